@@ -0,0 +1,195 @@
+/**
+ * TattooTryOn API Proxy - Credits ledger
+ *
+ * Each browser gets an anonymous client id, handed out as a signed token
+ * (`v1.<clientId>.<HMAC-SHA256>` keyed with TOKEN_SECRET), so the balance can only
+ * be changed by the Worker. Balances live in a pluggable store:
+ *
+ *   getBalance(clientId, initial) -> Promise<number>
+ *   debit(clientId, amount, initial) -> Promise<{ok: boolean, balance: number}>   // all or nothing
+ *   credit(clientId, amount, initial) -> Promise<number>
+ *   creditOnce(clientId, amount, initial, eventId) -> Promise<{applied: boolean, balance: number}>
+ *
+ * creditOnce is for top-ups that may be delivered twice (payment webhooks, voucher retries).
+ * `initial` is the free balance a client id starts with the first time it is seen.
+ * - MemoryCreditStore: per-isolate Map, for local runs and tests
+ * - DurableObjectCreditStore: one CreditLedger object per client, so debits are atomic
+ * KV is deliberately not offered: it has no atomic read-modify-write.
+ */
+
+export const DEFAULT_FREE_CREDITS = 3;
+const TOKEN_VERSION = 'v1';
+
+const encoder = new TextEncoder();
+
+function toBase64Url(buffer) {
+    let binary = '';
+    for (const byte of new Uint8Array(buffer)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function sign(clientId, secret) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${TOKEN_VERSION}.${clientId}`));
+    return toBase64Url(signature);
+}
+
+export function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i += 1) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Create a new anonymous client id and its signed token.
+ * @param {string} secret - TOKEN_SECRET
+ * @returns {Promise<{clientId: string, token: string}>}
+ */
+export async function issueClientToken(secret) {
+    const clientId = crypto.randomUUID();
+    return { clientId, token: `${TOKEN_VERSION}.${clientId}.${await sign(clientId, secret)}` };
+}
+
+/**
+ * Client id inside a token, or null when the token is missing, malformed or not ours.
+ * @param {string|null} token
+ * @param {string} secret - TOKEN_SECRET
+ * @returns {Promise<string|null>}
+ */
+export async function verifyClientToken(token, secret) {
+    if (typeof token !== 'string') return null;
+    const [version, clientId, signature, ...rest] = token.split('.');
+    if (version !== TOKEN_VERSION || !clientId || !signature || rest.length > 0) return null;
+
+    const expected = await sign(clientId, secret);
+    return timingSafeEqual(signature, expected) ? clientId : null;
+}
+
+export class MemoryCreditStore {
+    constructor() {
+        this.balances = new Map();
+        this.events = new Set();
+    }
+
+    read(clientId, initial) {
+        return this.balances.has(clientId) ? this.balances.get(clientId) : initial;
+    }
+
+    async getBalance(clientId, initial) {
+        return this.read(clientId, initial);
+    }
+
+    async debit(clientId, amount, initial) {
+        const balance = this.read(clientId, initial);
+        if (balance < amount) {
+            return { ok: false, balance };
+        }
+        this.balances.set(clientId, balance - amount);
+        return { ok: true, balance: balance - amount };
+    }
+
+    async credit(clientId, amount, initial) {
+        const balance = this.read(clientId, initial) + amount;
+        this.balances.set(clientId, balance);
+        return balance;
+    }
+
+    async creditOnce(clientId, amount, initial, eventId) {
+        const key = `${clientId}:${eventId}`;
+        if (this.events.has(key)) {
+            return { applied: false, balance: this.read(clientId, initial) };
+        }
+        this.events.add(key);
+        return { applied: true, balance: await this.credit(clientId, amount, initial) };
+    }
+}
+
+export class DurableObjectCreditStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async call(clientId, body) {
+        const stub = this.namespace.get(this.namespace.idFromName(clientId));
+        const response = await stub.fetch('https://credits/ledger', {
+            method: 'POST',
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`Credit ledger error: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async getBalance(clientId, initial) {
+        return (await this.call(clientId, { op: 'get', initial })).balance;
+    }
+
+    debit(clientId, amount, initial) {
+        return this.call(clientId, { op: 'debit', amount, initial });
+    }
+
+    async credit(clientId, amount, initial) {
+        return (await this.call(clientId, { op: 'credit', amount, initial })).balance;
+    }
+
+    creditOnce(clientId, amount, initial, eventId) {
+        return this.call(clientId, { op: 'credit-once', amount, initial, eventId });
+    }
+}
+
+/**
+ * Durable Object backing DurableObjectCreditStore: the balance of one client.
+ * Requests to a single object run one at a time, which makes debit atomic.
+ */
+export class CreditLedger {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async fetch(request) {
+        const { op, amount = 0, initial = 0, eventId } = await request.json();
+        const stored = await this.state.storage.get('balance');
+        const balance = stored === undefined ? initial : stored;
+        let result;
+
+        if (op === 'get') {
+            result = { balance };
+        } else if (op === 'debit') {
+            result = balance < amount
+                ? { ok: false, balance }
+                : { ok: true, balance: balance - amount };
+        } else if (op === 'credit') {
+            result = { balance: balance + amount };
+        } else if (op === 'credit-once') {
+            const eventKey = `event:${eventId}`;
+            if (!eventId || await this.state.storage.get(eventKey)) {
+                result = { applied: false, balance };
+            } else {
+                await this.state.storage.put(eventKey, Date.now());
+                result = { applied: true, balance: balance + amount };
+            }
+        } else {
+            return new Response('Unknown op', { status: 400 });
+        }
+
+        if (result.balance !== stored) {
+            await this.state.storage.put('balance', result.balance);
+        }
+
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+}
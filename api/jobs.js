@@ -0,0 +1,230 @@
+/**
+ * TattooTryOn API Proxy - Background jobs
+ *
+ * An AI action sent with `async: true` becomes a job: the Worker answers at once with a
+ * job id and keeps working after the response (ctx.waitUntil). The browser polls
+ * `job-status` and fetches the reply with `job-result` once the job is done.
+ * Job records live in a pluggable store:
+ *
+ *   create(job, ttlSeconds) -> Promise<void>
+ *   get(id, {includeResult}) -> Promise<job|null>
+ *   update(id, patch) -> Promise<job|null>   // shallow merge, bumps updatedAt
+ *   finish(id, patch) -> Promise<job|null>   // same, but only while the job is not done
+ *
+ * A job is {id, clientId, action, charged, status, progress, result?, error?, createdAt, updatedAt}
+ * where status is one of JOB_STATUS, progress runs 0-100 and charged is the credits debited for it.
+ *
+ * ctx.waitUntil() only keeps a job alive for a while after the response, so a job can be cut
+ * off without recording an outcome. One still unfinished after JOB_MAX_RUN_MS is stale: the
+ * Worker fails it (and refunds it) when it is polled. finish() makes sure only one of the two
+ * outcomes is recorded.
+ * - MemoryJobStore: per-isolate Map, for local runs and tests (polls may land on another isolate)
+ * - DurableObjectJobStore: one JobRecord object per job; results are chunked to fit storage limits
+ */
+
+export const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+});
+
+export const JOB_TTL_SECONDS = 3600;
+// Longer than any job can run: Gemini calls time out after 60 s, Replicate after about as long.
+export const JOB_MAX_RUN_MS = 120000;
+const MEMORY_SWEEP_THRESHOLD = 1000;
+// Durable Object values are capped at 128 KiB; images are far bigger.
+const RESULT_CHUNK_SIZE = 100000;
+
+export function isJobDone(job) {
+    return job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * Whether an unfinished job has outlived any real run, i.e. its runtime was cut off.
+ */
+export function isJobStale(job, now = Date.now()) {
+    return !isJobDone(job) && now - job.createdAt > JOB_MAX_RUN_MS;
+}
+
+/**
+ * New job record in the queued state.
+ * @param {{clientId: string|null, action: string, charged?: number}} fields
+ */
+export function createJob({ clientId, action, charged = 0 }, now = Date.now()) {
+    return {
+        id: crypto.randomUUID(),
+        clientId,
+        action,
+        charged,
+        status: JOB_STATUS.QUEUED,
+        progress: 0,
+        createdAt: now,
+        updatedAt: now,
+    };
+}
+
+/**
+ * What `job-status` reports: no result payload, no owner.
+ */
+export function toJobStatus(job) {
+    return {
+        success: true,
+        jobId: job.id,
+        action: job.action,
+        status: job.status,
+        progress: job.progress,
+        done: isJobDone(job),
+    };
+}
+
+export class MemoryJobStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async create(job, ttlSeconds = JOB_TTL_SECONDS, now = Date.now()) {
+        if (this.entries.size > MEMORY_SWEEP_THRESHOLD) {
+            this.sweep(now);
+        }
+        this.entries.set(job.id, { job: { ...job }, expiresAt: now + ttlSeconds * 1000 });
+    }
+
+    async get(id, { includeResult = true } = {}, now = Date.now()) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.expiresAt <= now) return null;
+        if (includeResult) return { ...entry.job };
+
+        const { result, ...job } = entry.job;
+        return job;
+    }
+
+    async update(id, patch, now = Date.now()) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.expiresAt <= now) return null;
+        entry.job = { ...entry.job, ...patch, updatedAt: now };
+        return { ...entry.job };
+    }
+
+    async finish(id, patch, now = Date.now()) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.expiresAt <= now || isJobDone(entry.job)) return null;
+        return this.update(id, patch, now);
+    }
+
+    sweep(now = Date.now()) {
+        for (const [id, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(id);
+        }
+    }
+}
+
+export class DurableObjectJobStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async call(id, body) {
+        const stub = this.namespace.get(this.namespace.idFromName(id));
+        const response = await stub.fetch('https://jobs/job', {
+            method: 'POST',
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`Job store error: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async create(job, ttlSeconds = JOB_TTL_SECONDS) {
+        await this.call(job.id, { op: 'create', job, ttlSeconds });
+    }
+
+    async get(id, { includeResult = true } = {}) {
+        return (await this.call(id, { op: 'get', includeResult })).job;
+    }
+
+    async update(id, patch) {
+        return (await this.call(id, { op: 'update', patch })).job;
+    }
+
+    async finish(id, patch) {
+        return (await this.call(id, { op: 'finish', patch })).job;
+    }
+}
+
+/**
+ * Durable Object backing DurableObjectJobStore: one job. The record and its result are
+ * stored apart so status polls stay cheap; an alarm deletes both after the TTL.
+ */
+export class JobRecord {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async readResult(chunks) {
+        if (!chunks) return undefined;
+        const keys = Array.from({ length: chunks }, (_, index) => `result:${index}`);
+        const stored = await this.state.storage.get(keys);
+        return JSON.parse(keys.map((key) => stored.get(key)).join(''));
+    }
+
+    async writeResult(result) {
+        const json = JSON.stringify(result);
+        const chunks = {};
+        for (let index = 0; index * RESULT_CHUNK_SIZE < json.length; index += 1) {
+            chunks[`result:${index}`] = json.slice(index * RESULT_CHUNK_SIZE, (index + 1) * RESULT_CHUNK_SIZE);
+        }
+        // put() takes at most 128 keys per call.
+        const entries = Object.entries(chunks);
+        for (let start = 0; start < entries.length; start += 128) {
+            await this.state.storage.put(Object.fromEntries(entries.slice(start, start + 128)));
+        }
+        return entries.length;
+    }
+
+    async fetch(request) {
+        const { op, job, ttlSeconds, patch, includeResult } = await request.json();
+        const stored = await this.state.storage.get('job');
+        let result;
+
+        if (op === 'create') {
+            if (!stored) {
+                await this.state.storage.put('job', job);
+                await this.state.storage.setAlarm(Date.now() + ttlSeconds * 1000);
+            }
+            result = { job: stored || job };
+        } else if (op === 'get') {
+            result = { job: null };
+            if (stored) {
+                const { resultChunks, ...record } = stored;
+                result.job = includeResult && resultChunks
+                    ? { ...record, result: await this.readResult(resultChunks) }
+                    : record;
+            }
+        } else if (op === 'update' || op === 'finish') {
+            result = { job: null };
+            // Requests to one object run one at a time, so this check and the write are atomic.
+            if (stored && !(op === 'finish' && isJobDone(stored))) {
+                const { result: payload, ...fields } = patch;
+                const next = { ...stored, ...fields, updatedAt: Date.now() };
+                if (payload !== undefined) {
+                    next.resultChunks = await this.writeResult(payload);
+                }
+                await this.state.storage.put('job', next);
+                const { resultChunks, ...record } = next;
+                result.job = record;
+            }
+        } else {
+            return new Response('Unknown op', { status: 400 });
+        }
+
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * TattooTryOn API Proxy - Credit packs and payment providers
+ *
+ * A provider has two methods:
+ *
+ *   createCheckout({packId, pack, clientId, successUrl, cancelUrl}) -> Promise<{id, url}>
+ *   verifyWebhook(request) -> Promise<{paid: boolean, orderId, clientId, packId}>   // throws on a bad signature
+ *
+ * The pack (and so the number of credits) always comes from CREDIT_PACKS on the
+ * Worker, never from the browser.
+ * - StripePaymentProvider: Stripe Checkout + signed webhooks
+ * - MockPaymentProvider: no money moves; webhooks are HMAC-signed JSON, for local runs and tests
+ */
+
+import { timingSafeEqual } from './credits-ledger.js';
+
+export const CREDIT_PACKS = Object.freeze({
+    starter: { label: '10 credits', credits: 10, amount: 299, currency: 'usd' },
+    studio: { label: '30 credits', credits: 30, amount: 699, currency: 'usd' },
+    pro: { label: '100 credits', credits: 100, amount: 1999, currency: 'usd' },
+});
+
+// Stripe's default tolerance for webhook timestamps.
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const encoder = new TextEncoder();
+
+async function hmacHex(secret, message) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Packs as sent to the browser.
+ */
+export function listCreditPacks() {
+    return Object.entries(CREDIT_PACKS).map(([id, pack]) => ({ id, ...pack }));
+}
+
+export class StripePaymentProvider {
+    constructor(secretKey, webhookSecret) {
+        this.secretKey = secretKey;
+        this.webhookSecret = webhookSecret;
+    }
+
+    async createCheckout({ packId, pack, clientId, successUrl, cancelUrl }) {
+        const form = new URLSearchParams({
+            mode: 'payment',
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: clientId,
+            'line_items[0][quantity]': '1',
+            'line_items[0][price_data][currency]': pack.currency,
+            'line_items[0][price_data][unit_amount]': String(pack.amount),
+            'line_items[0][price_data][product_data][name]': `TattooTryOn - ${pack.label}`,
+            'metadata[client_id]': clientId,
+            'metadata[pack]': packId,
+        });
+
+        const response = await fetch('https://api.stripe.com/v1/checkout/sessions', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: form,
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Stripe checkout error:', errorText);
+            throw new Error('Could not start checkout');
+        }
+
+        const session = await response.json();
+        return { id: session.id, url: session.url };
+    }
+
+    async verifyWebhook(request, now = Date.now()) {
+        const payload = await request.text();
+        const header = request.headers.get('Stripe-Signature') || '';
+        const fields = header.split(',').map((field) => field.split('='));
+        const timestamp = Number(fields.find(([key]) => key === 't')?.[1]);
+        const signatures = fields.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+        if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+            throw new Error('Webhook timestamp out of range');
+        }
+
+        const expected = await hmacHex(this.webhookSecret, `${timestamp}.${payload}`);
+        if (!signatures.some((signature) => timingSafeEqual(signature, expected))) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        const event = JSON.parse(payload);
+        const session = event.data?.object || {};
+        return {
+            paid: event.type === 'checkout.session.completed' && session.payment_status === 'paid',
+            orderId: session.id,
+            clientId: session.metadata?.client_id,
+            packId: session.metadata?.pack,
+        };
+    }
+}
+
+export class MockPaymentProvider {
+    constructor(webhookSecret) {
+        this.webhookSecret = webhookSecret;
+    }
+
+    // Skips the payment page: straight back to the app. Tests then send createWebhookRequest().
+    async createCheckout({ successUrl }) {
+        const id = `mock_${crypto.randomUUID()}`;
+        const url = new URL(successUrl);
+        url.searchParams.set('mock_session', id);
+        return { id, url: url.toString() };
+    }
+
+    /**
+     * The webhook the provider would send once the customer has paid.
+     * @param {string} webhookUrl - The Worker's /webhooks/payments URL
+     * @param {{id: string, clientId: string, packId: string}} checkout
+     * @returns {Promise<Request>}
+     */
+    async createWebhookRequest(webhookUrl, { id, clientId, packId }) {
+        const payload = JSON.stringify({ type: 'checkout.paid', id, clientId, packId });
+        return new Request(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Mock-Signature': await hmacHex(this.webhookSecret, payload),
+            },
+            body: payload,
+        });
+    }
+
+    async verifyWebhook(request) {
+        const payload = await request.text();
+        const expected = await hmacHex(this.webhookSecret, payload);
+        if (!timingSafeEqual(request.headers.get('X-Mock-Signature') || '', expected)) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        const event = JSON.parse(payload);
+        return {
+            paid: event.type === 'checkout.paid',
+            orderId: event.id,
+            clientId: event.clientId,
+            packId: event.packId,
+        };
+    }
+}
+
+/**
+ * Provider chosen by PAYMENT_PROVIDER ('stripe' or 'mock'), or null when payments are off.
+ * A provider without its webhook secret stays off: a known secret would let anyone mint credits.
+ */
+export function getPaymentProvider(env) {
+    if (env.PAYMENT_PROVIDER === 'stripe' && env.STRIPE_SECRET_KEY && env.STRIPE_WEBHOOK_SECRET) {
+        return new StripePaymentProvider(env.STRIPE_SECRET_KEY, env.STRIPE_WEBHOOK_SECRET);
+    }
+    if (env.PAYMENT_PROVIDER === 'mock' && env.MOCK_WEBHOOK_SECRET) {
+        return new MockPaymentProvider(env.MOCK_WEBHOOK_SECRET);
+    }
+    return null;
+}
@@ -0,0 +1,189 @@
+/**
+ * TattooTryOn API Proxy - Rate limiting
+ *
+ * Fixed-window limits per IP and per client token, plus daily quotas per action.
+ * Quotas always count per IP: callers can get new tokens, so a token only adds a second key.
+ * Counters live in a pluggable store with a single method:
+ *
+ *   increment(key, amount, ttlSeconds) -> Promise<number>   // new value of the counter
+ *
+ * - MemoryRateLimitStore: per-isolate Map, for local runs and tests
+ * - KVRateLimitStore: Workers KV; cheap, but eventually consistent (counts can lag under bursts)
+ * - DurableObjectRateLimitStore: one RateLimitCounter object per counter; exact
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+    ip: { limit: 30, windowSeconds: 60 },
+    client: { limit: 20, windowSeconds: 60 },
+    // Units per UTC day. generate-tattoo counts each variant.
+    daily: {
+        'place-tattoo': 20,
+        'generate-tattoo': 60,
+        'remove-background': 100,
+        // Session checks per IP; a new session comes with free credits.
+        session: 200,
+        // Guessing voucher codes.
+        'redeem-voucher': 20,
+    },
+};
+
+const DAY_SECONDS = 86400;
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+export class MemoryRateLimitStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async increment(key, amount, ttlSeconds, now = Date.now()) {
+        if (this.entries.size > MEMORY_SWEEP_THRESHOLD) {
+            this.sweep(now);
+        }
+
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= now) {
+            this.entries.set(key, { value: amount, expiresAt: now + ttlSeconds * 1000 });
+            return amount;
+        }
+
+        entry.value += amount;
+        return entry.value;
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+export class KVRateLimitStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async increment(key, amount, ttlSeconds) {
+        const value = (Number(await this.namespace.get(key)) || 0) + amount;
+        // KV rejects TTLs under 60 seconds.
+        await this.namespace.put(key, String(value), { expirationTtl: Math.max(60, Math.ceil(ttlSeconds)) });
+        return value;
+    }
+}
+
+export class DurableObjectRateLimitStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async increment(key, amount, ttlSeconds) {
+        const stub = this.namespace.get(this.namespace.idFromName(key));
+        const response = await stub.fetch('https://rate-limit/increment', {
+            method: 'POST',
+            body: JSON.stringify({ amount, ttlSeconds }),
+        });
+        const { value } = await response.json();
+        return value;
+    }
+}
+
+/**
+ * Durable Object backing DurableObjectRateLimitStore. Each counter key gets its own
+ * object; an alarm clears it once the window is over.
+ */
+export class RateLimitCounter {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async fetch(request) {
+        const { amount, ttlSeconds } = await request.json();
+        const current = (await this.state.storage.get('value')) || 0;
+        const value = current + amount;
+        await this.state.storage.put('value', value);
+
+        if (!(await this.state.storage.getAlarm())) {
+            await this.state.storage.setAlarm(Date.now() + ttlSeconds * 1000);
+        }
+
+        return new Response(JSON.stringify({ value }), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
+
+/**
+ * Limits from the RATE_LIMITS variable (JSON, same shape as DEFAULT_RATE_LIMITS),
+ * merged over the defaults. Invalid JSON falls back to the defaults.
+ */
+export function readRateLimits(env = {}) {
+    let overrides = {};
+    if (env.RATE_LIMITS) {
+        try {
+            overrides = typeof env.RATE_LIMITS === 'string' ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+        } catch (error) {
+            console.error('Ignoring invalid RATE_LIMITS:', error);
+        }
+    }
+
+    return {
+        ip: { ...DEFAULT_RATE_LIMITS.ip, ...overrides.ip },
+        client: { ...DEFAULT_RATE_LIMITS.client, ...overrides.client },
+        daily: { ...DEFAULT_RATE_LIMITS.daily, ...overrides.daily },
+    };
+}
+
+async function checkWindow(store, scope, id, { limit, windowSeconds }, now) {
+    const windowMs = windowSeconds * 1000;
+    const bucket = Math.floor(now / windowMs);
+    const count = await store.increment(`rl:${scope}:${id}:${windowSeconds}:${bucket}`, 1, windowSeconds, now);
+    if (count <= limit) return null;
+
+    return { scope, limit, retryAfter: Math.max(1, Math.ceil(((bucket + 1) * windowMs - now) / 1000)) };
+}
+
+/**
+ * Count a request against every applicable limit.
+ * Checks stop at the first limit hit, so a throttled request does not use up the daily quota.
+ * @param {object} store - Rate limit store
+ * @param {object} request
+ * @param {string} request.ip - Caller IP (CF-Connecting-IP)
+ * @param {string|null} request.clientToken - Client id from a token this Worker signed, or null
+ * @param {string} request.action - API action
+ * @param {number} request.units - Quota units this request costs
+ * @param {object} limits - From readRateLimits()
+ * @returns {Promise<{allowed: true}|{allowed: false, scope: string, limit: number, retryAfter: number}>}
+ */
+export async function checkRateLimits(store, { ip, clientToken = null, action, units = 1 }, limits, now = Date.now()) {
+    const ipHit = await checkWindow(store, 'ip', ip || 'unknown', limits.ip, now);
+    if (ipHit) return { allowed: false, ...ipHit };
+
+    if (clientToken) {
+        const clientHit = await checkWindow(store, 'client', clientToken, limits.client, now);
+        if (clientHit) return { allowed: false, ...clientHit };
+    }
+
+    const quota = limits.daily[action];
+    if (Number.isFinite(quota)) {
+        const day = Math.floor(now / (DAY_SECONDS * 1000));
+        const keys = [`quota:${action}:ip:${ip || 'unknown'}:${day}`];
+        if (clientToken) keys.push(`quota:${action}:client:${clientToken}:${day}`);
+
+        const counted = [];
+        for (const key of keys) {
+            counted.push(key);
+            const used = await store.increment(key, units, DAY_SECONDS, now);
+            if (used > quota) {
+                // Give the units back so a smaller request can still fit in what is left.
+                await Promise.all(counted.map((countedKey) => store.increment(countedKey, -units, DAY_SECONDS, now)));
+                const retryAfter = Math.max(1, Math.ceil(((day + 1) * DAY_SECONDS * 1000 - now) / 1000));
+                return { allowed: false, scope: 'daily', limit: quota, retryAfter };
+            }
+        }
+    }
+
+    return { allowed: true };
+}
@@ -0,0 +1,137 @@
+/**
+ * TattooTryOn API Proxy - Voucher codes
+ *
+ * Studios create batches of codes (admin `create-vouchers` action) and hand them out
+ * at the counter; a client redeems one for credits. Codes live in a pluggable store:
+ *
+ *   create(code, {credits, maxUses, expiresAt}) -> Promise<boolean>   // false if the code exists
+ *   redeem(code, clientId, now) -> Promise<{ok: true, credits, repeat}|{ok: false, reason}>
+ *
+ * Redeeming the same code twice from one client answers `repeat: true` instead of
+ * failing, so the caller can safely retry the top-up (creditOnce dedupes it).
+ * - MemoryVoucherStore: per-isolate Map, for local runs and tests
+ * - DurableObjectVoucherStore: one VoucherLedger object per code, so uses are counted exactly
+ */
+
+// No 0/O, 1/I/L: codes are read aloud and typed from paper.
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+// Largest multiple of the alphabet size that fits in a byte; bytes past it are drawn
+// again so every character is equally likely.
+const CODE_BYTE_LIMIT = 256 - (256 % CODE_ALPHABET.length);
+export const MAX_VOUCHER_BATCH = 200;
+
+/**
+ * Random code like `7KQM-ZP4D-X9TB`.
+ */
+export function generateVoucherCode() {
+    let chars = '';
+    while (chars.length < CODE_GROUPS * CODE_GROUP_LENGTH) {
+        for (const byte of crypto.getRandomValues(new Uint8Array(CODE_GROUPS * CODE_GROUP_LENGTH))) {
+            if (byte < CODE_BYTE_LIMIT && chars.length < CODE_GROUPS * CODE_GROUP_LENGTH) {
+                chars += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+            }
+        }
+    }
+    return chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Canonical form of user input (case, spaces and dashes ignored), or null if it cannot be a code.
+ */
+export function normalizeVoucherCode(input) {
+    if (typeof input !== 'string') return null;
+    const chars = input.toUpperCase().replace(/[\s-]/g, '');
+    if (chars.length !== CODE_GROUPS * CODE_GROUP_LENGTH) return null;
+    if ([...chars].some((char) => !CODE_ALPHABET.includes(char))) return null;
+    return chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+function redeemRecord(record, clientId, now) {
+    if (!record) return { ok: false, reason: 'invalid' };
+    if (record.redeemedBy.includes(clientId)) {
+        return { ok: true, credits: record.credits, repeat: true };
+    }
+    if (record.expiresAt && now > record.expiresAt) return { ok: false, reason: 'expired' };
+    if (record.redeemedBy.length >= record.maxUses) return { ok: false, reason: 'used' };
+
+    record.redeemedBy.push(clientId);
+    return { ok: true, credits: record.credits, repeat: false };
+}
+
+export class MemoryVoucherStore {
+    constructor() {
+        this.vouchers = new Map();
+    }
+
+    async create(code, { credits, maxUses = 1, expiresAt = null }) {
+        if (this.vouchers.has(code)) return false;
+        this.vouchers.set(code, { credits, maxUses, expiresAt, redeemedBy: [] });
+        return true;
+    }
+
+    async redeem(code, clientId, now = Date.now()) {
+        return redeemRecord(this.vouchers.get(code), clientId, now);
+    }
+}
+
+export class DurableObjectVoucherStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async call(code, body) {
+        const stub = this.namespace.get(this.namespace.idFromName(code));
+        const response = await stub.fetch('https://vouchers/voucher', {
+            method: 'POST',
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`Voucher store error: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async create(code, voucher) {
+        return (await this.call(code, { op: 'create', voucher })).created;
+    }
+
+    redeem(code, clientId, now = Date.now()) {
+        return this.call(code, { op: 'redeem', clientId, now });
+    }
+}
+
+/**
+ * Durable Object backing DurableObjectVoucherStore: one voucher code.
+ */
+export class VoucherLedger {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async fetch(request) {
+        const { op, voucher, clientId, now } = await request.json();
+        const record = await this.state.storage.get('voucher');
+        let result;
+
+        if (op === 'create') {
+            if (!record) {
+                const { credits, maxUses = 1, expiresAt = null } = voucher;
+                await this.state.storage.put('voucher', { credits, maxUses, expiresAt, redeemedBy: [] });
+            }
+            result = { created: !record };
+        } else if (op === 'redeem') {
+            result = redeemRecord(record, clientId, now);
+            if (result.ok && !result.repeat) {
+                await this.state.storage.put('voucher', record);
+            }
+        } else {
+            return new Response('Unknown op', { status: 400 });
+        }
+
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+}
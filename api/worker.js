@@ -5,14 +5,88 @@
  * 
  * SETUP:
  * 1. Create a Cloudflare account at https://dash.cloudflare.com
- * 2. Go to Workers & Pages > Create Worker
- * 3. Paste this code
- * 4. Go to Settings > Variables > Add:
- *    - GEMINI_API_KEY: Your Gemini API key from https://aistudio.google.com/apikey
- * 5. Deploy and note the worker URL (e.g., https://tattoo-api.yourname.workers.dev)
- * 6. Update WORKER_URL in your frontend config
+ * 2. From the repository root, deploy with Wrangler (it bundles ../js/tattoo-styles.js):
+ *    npx wrangler deploy api/worker.js --name tattoo-api --compatibility-date 2024-09-01
+ * 3. Add the API key as a secret:
+ *    npx wrangler secret put GEMINI_API_KEY --name tattoo-api
+ *    (key from https://aistudio.google.com/apikey)
+ * 4. Note the worker URL (e.g., https://tattoo-api.yourname.workers.dev)
+ * 5. Update WORKER_URL in your frontend config
+ *
+ * RATE LIMITS (optional):
+ * - RATE_LIMITS variable: JSON overriding DEFAULT_RATE_LIMITS in rate-limit.js
+ * - Bind a Durable Object namespace as RATE_LIMITER (class RateLimitCounter) for exact
+ *   counters, or a KV namespace as RATE_LIMIT_KV. Without either, counters are per isolate.
+ *
+ * CREDITS (optional):
+ * - TOKEN_SECRET secret: turns on the server-side credit ledger and signs client tokens
+ * - FREE_CREDITS variable: starting balance for a new client (default 3)
+ * - Bind a Durable Object namespace as CREDIT_LEDGER (class CreditLedger)
+ *
+ * PAYMENTS AND VOUCHERS (optional, need credits on):
+ * - PAYMENT_PROVIDER: 'stripe' (with STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET) or 'mock' (with MOCK_WEBHOOK_SECRET)
+ * - Point the provider's webhook at <worker url>/webhooks/payments
+ * - ADMIN_TOKEN secret: allows the create-vouchers action
+ * - Bind a Durable Object namespace as VOUCHERS (class VoucherLedger)
+ *
+ * MOCK AI (development and CI):
+ * - AI_BACKEND variable: 'mock' answers AI actions from ../js/mock-ai.js; no keys needed
+ * - MOCK_LATENCY_MS, MOCK_FAILURE_RATE (0-1) and MOCK_ERROR (an error code) shape its behaviour
+ *
+ * JOBS (optional):
+ * - AI actions sent with `async: true` run as background jobs (see jobs.js)
+ * - Bind a Durable Object namespace as JOBS (class JobRecord); without it, jobs are per isolate
+ * - A job the runtime cut off is failed and refunded when it is next polled
  */
 
+import { buildDesignParts, normalizeCustomStyle, toInlineImagePart } from '../js/tattoo-styles.js';
+import { clampVariants, generateVariants } from '../js/tattoo-variants.js';
+import { MockAIBackend } from '../js/mock-ai.js';
+import {
+    APIError,
+    ERROR_CODES,
+    codeFromUpstreamStatus,
+    getGeminiBlockReason,
+} from '../js/api-errors.js';
+import {
+    MemoryRateLimitStore,
+    KVRateLimitStore,
+    DurableObjectRateLimitStore,
+    readRateLimits,
+    checkRateLimits,
+} from './rate-limit.js';
+
+import {
+    DEFAULT_FREE_CREDITS,
+    MemoryCreditStore,
+    DurableObjectCreditStore,
+    issueClientToken,
+    verifyClientToken,
+    timingSafeEqual,
+} from './credits-ledger.js';
+import { CREDIT_PACKS, listCreditPacks, getPaymentProvider } from './payments.js';
+import {
+    MAX_VOUCHER_BATCH,
+    MemoryVoucherStore,
+    DurableObjectVoucherStore,
+    generateVoucherCode,
+    normalizeVoucherCode,
+} from './vouchers.js';
+import {
+    JOB_STATUS,
+    MemoryJobStore,
+    DurableObjectJobStore,
+    createJob,
+    isJobDone,
+    isJobStale,
+    toJobStatus,
+} from './jobs.js';
+
+export { RateLimitCounter } from './rate-limit.js';
+export { CreditLedger } from './credits-ledger.js';
+export { VoucherLedger } from './vouchers.js';
+export { JobRecord } from './jobs.js';
+
 const ALLOWED_ORIGINS = [
     'http://localhost:8080',
     'http://localhost:3000',
@@ -29,13 +103,398 @@ function corsHeaders(origin) {
     return {
         'Access-Control-Allow-Origin': isAllowedOrigin(origin) ? origin : ALLOWED_ORIGINS[0],
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Client-Token',
+        'Access-Control-Expose-Headers': 'Retry-After',
         'Access-Control-Max-Age': '86400',
     };
 }
 
+const AI_ACTIONS = ['place-tattoo', 'generate-tattoo', 'remove-background'];
+const ACCOUNT_ACTIONS = ['session', 'list-packs', 'create-checkout', 'redeem-voucher', 'create-vouchers'];
+const JOB_ACTIONS = ['job-status', 'job-result'];
+const WEBHOOK_PATH = '/webhooks/payments';
+const memoryRateLimitStore = new MemoryRateLimitStore();
+const memoryCreditStore = new MemoryCreditStore();
+const memoryVoucherStore = new MemoryVoucherStore();
+const memoryJobStore = new MemoryJobStore();
+
+function jsonResponse(origin, body) {
+    return new Response(JSON.stringify(body), {
+        headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
+    });
+}
+
+function toAPIError(error) {
+    if (error instanceof APIError) return error;
+    console.error('Worker error:', error);
+    return new APIError(ERROR_CODES.INTERNAL, error.message || 'Internal error');
+}
+
+/**
+ * Failed reply in the shared error contract (js/api-errors.js).
+ * @param {string} origin
+ * @param {APIError} error
+ * @param {object} extra - Additional fields, e.g. the balance after a refund
+ */
+function errorResponse(origin, error, extra = {}) {
+    const headers = { ...corsHeaders(origin), 'Content-Type': 'application/json' };
+    if (error.retryAfter !== null) {
+        headers['Retry-After'] = String(error.retryAfter);
+    }
+    return new Response(JSON.stringify({ ...error.toJSON(), ...extra }), {
+        status: error.status,
+        headers,
+    });
+}
+
+function getRateLimitStore(env) {
+    if (env.RATE_LIMITER) return new DurableObjectRateLimitStore(env.RATE_LIMITER);
+    if (env.RATE_LIMIT_KV) return new KVRateLimitStore(env.RATE_LIMIT_KV);
+    return memoryRateLimitStore;
+}
+
+/**
+ * Credits are on when TOKEN_SECRET is set. Bind a Durable Object namespace as
+ * CREDIT_LEDGER (class CreditLedger) in production; the fallback map is per isolate.
+ */
+function getCreditStore(env) {
+    if (!env.TOKEN_SECRET) return null;
+    if (env.CREDIT_LEDGER) return new DurableObjectCreditStore(env.CREDIT_LEDGER);
+    return memoryCreditStore;
+}
+
+function freeCredits(env) {
+    const credits = Number(env.FREE_CREDITS);
+    return env.FREE_CREDITS !== undefined && Number.isInteger(credits) && credits >= 0 ? credits : DEFAULT_FREE_CREDITS;
+}
+
+// Background removal is part of the free upload flow.
+function creditCost(action, count) {
+    if (action === 'generate-tattoo') return clampVariants(count);
+    if (action === 'place-tattoo') return 1;
+    return 0;
+}
+
+/**
+ * Client id from the X-Client-Token header. With credits on, only tokens signed by
+ * this Worker count; otherwise the header is an opaque id that only scopes jobs.
+ */
+async function resolveClientId(request, env) {
+    const token = request.headers.get('X-Client-Token');
+    if (!env.TOKEN_SECRET) return token || null;
+    return verifyClientToken(token, env.TOKEN_SECRET);
+}
+
+/**
+ * `session` action: confirm the caller's token (or issue a new one) and report the balance.
+ */
+async function openSession(env, clientId) {
+    const ledger = getCreditStore(env);
+    if (!ledger) {
+        return { success: true, creditsEnabled: false };
+    }
+
+    let token = null;
+    if (!clientId) {
+        ({ clientId, token } = await issueClientToken(env.TOKEN_SECRET));
+    }
+
+    return {
+        success: true,
+        creditsEnabled: true,
+        // Only sent when a new token was issued; otherwise the client keeps its own.
+        token,
+        balance: await ledger.getBalance(clientId, freeCredits(env)),
+    };
+}
+
+function getVoucherStore(env) {
+    if (env.VOUCHERS) return new DurableObjectVoucherStore(env.VOUCHERS);
+    return memoryVoucherStore;
+}
+
+function isMockBackend(env) {
+    return env.AI_BACKEND === 'mock';
+}
+
+function getMockBackend(env) {
+    return new MockAIBackend({
+        latency: env.MOCK_LATENCY_MS ?? 800,
+        failureRate: env.MOCK_FAILURE_RATE ?? 0,
+        error: env.MOCK_ERROR || null,
+    });
+}
+
+function getJobStore(env) {
+    if (env.JOBS) return new DurableObjectJobStore(env.JOBS);
+    return memoryJobStore;
+}
+
+const VOUCHER_ERRORS = Object.freeze({
+    invalid: 'That voucher code is not valid.',
+    expired: 'That voucher has expired.',
+    used: 'That voucher has already been used.',
+});
+
+/**
+ * Credit packs, checkout and vouchers.
+ * @throws {APIError}
+ */
+async function runAccountAction(action, body, env, clientId, request) {
+    const ledger = getCreditStore(env);
+    const provider = getPaymentProvider(env);
+
+    if (action === 'list-packs') {
+        return { success: true, packs: ledger && provider ? listCreditPacks() : [] };
+    }
+
+    if (action === 'create-vouchers') {
+        return createVouchers(body, env, request);
+    }
+
+    if (!ledger) {
+        throw new APIError(ERROR_CODES.NOT_CONFIGURED, 'Credits are not enabled');
+    }
+    if (!clientId) {
+        throw new APIError(ERROR_CODES.UNAUTHORIZED, 'Missing or invalid client token');
+    }
+
+    if (action === 'create-checkout') {
+        if (!provider) {
+            throw new APIError(ERROR_CODES.NOT_CONFIGURED, 'Payments are not configured');
+        }
+
+        const pack = Object.prototype.hasOwnProperty.call(CREDIT_PACKS, body.pack) ? CREDIT_PACKS[body.pack] : null;
+        if (!pack) {
+            throw new APIError(ERROR_CODES.INVALID_INPUT, 'Unknown credit pack');
+        }
+
+        let returnUrl;
+        try {
+            returnUrl = new URL(body.returnUrl);
+        } catch (error) {
+            returnUrl = null;
+        }
+        // Only send buyers back to our own site.
+        if (!returnUrl || !isAllowedOrigin(returnUrl.origin)) {
+            throw new APIError(ERROR_CODES.INVALID_INPUT, 'Invalid return URL');
+        }
+
+        const withStatus = (status) => {
+            const url = new URL(returnUrl);
+            url.searchParams.set('checkout', status);
+            return url.toString();
+        };
+        const checkout = await provider.createCheckout({
+            packId: body.pack,
+            pack,
+            clientId,
+            successUrl: withStatus('success'),
+            cancelUrl: withStatus('cancel'),
+        });
+        return { success: true, url: checkout.url };
+    }
+
+    // redeem-voucher
+    const code = normalizeVoucherCode(body.code);
+    const redemption = code ? await getVoucherStore(env).redeem(code, clientId, Date.now()) : { ok: false, reason: 'invalid' };
+    if (!redemption.ok) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, VOUCHER_ERRORS[redemption.reason] || VOUCHER_ERRORS.invalid);
+    }
+
+    const { balance } = await ledger.creditOnce(clientId, redemption.credits, freeCredits(env), `voucher:${code}`);
+    return { success: true, credits: redemption.credits, balance };
+}
+
+/**
+ * Admin: create a batch of voucher codes. Needs `Authorization: Bearer <ADMIN_TOKEN>`.
+ * Body: {credits, count = 1, maxUses = 1, expiresInDays}
+ */
+async function createVouchers(body, env, request) {
+    const auth = request.headers.get('Authorization') || '';
+    if (!env.ADMIN_TOKEN || !timingSafeEqual(auth, `Bearer ${env.ADMIN_TOKEN}`)) {
+        throw new APIError(ERROR_CODES.UNAUTHORIZED, 'Forbidden', { status: 403 });
+    }
+
+    const credits = Number(body.credits);
+    const count = Number(body.count ?? 1);
+    const maxUses = Number(body.maxUses ?? 1);
+    const days = body.expiresInDays === undefined ? null : Number(body.expiresInDays);
+
+    const valid = Number.isInteger(credits) && credits > 0 && credits <= 1000
+        && Number.isInteger(count) && count > 0 && count <= MAX_VOUCHER_BATCH
+        && Number.isInteger(maxUses) && maxUses > 0
+        && (days === null || (Number.isFinite(days) && days > 0));
+    if (!valid) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, `Expected credits 1-1000, count 1-${MAX_VOUCHER_BATCH}, maxUses >= 1`);
+    }
+
+    const store = getVoucherStore(env);
+    const expiresAt = days === null ? null : Date.now() + days * 86400000;
+    const codes = [];
+    while (codes.length < count) {
+        const code = generateVoucherCode();
+        if (await store.create(code, { credits, maxUses, expiresAt })) {
+            codes.push(code);
+        }
+    }
+
+    return { success: true, codes, credits, maxUses, expiresAt };
+}
+
+/**
+ * Payment provider webhook: top up the buyer's balance once per order.
+ */
+async function handlePaymentWebhook(request, env) {
+    const provider = getPaymentProvider(env);
+    const ledger = getCreditStore(env);
+    const reply = (body, status) => new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+
+    if (!provider || !ledger) {
+        return reply({ error: 'Payments are not configured' }, 404);
+    }
+
+    let event;
+    try {
+        event = await provider.verifyWebhook(request);
+    } catch (error) {
+        console.error('Rejected payment webhook:', error.message);
+        return reply({ error: error.message }, 400);
+    }
+
+    const pack = Object.prototype.hasOwnProperty.call(CREDIT_PACKS, event.packId) ? CREDIT_PACKS[event.packId] : null;
+    if (!event.paid || !pack || !event.clientId || !event.orderId) {
+        // Acknowledge so the provider stops retrying events we do not act on.
+        return reply({ received: true, applied: false }, 200);
+    }
+
+    const { applied } = await ledger.creditOnce(event.clientId, pack.credits, freeCredits(env), `order:${event.orderId}`);
+    return reply({ received: true, applied }, 200);
+}
+
+/**
+ * Run an AI action and settle its charge: refund everything on failure and the
+ * variants that did not come back on partial success.
+ * @param {{ledger: object, clientId: string, amount: number, balance: number}|null} charge - What was debited
+ * @param {(progress: number) => void} onProgress
+ * @returns {Promise<{result: object}|{error: APIError, balance?: number}>}
+ */
+async function settleAction(action, body, env, charge, onProgress) {
+    let result;
+    try {
+        result = await runAction(action, body, env, onProgress);
+    } catch (error) {
+        const balance = charge ? await charge.ledger.credit(charge.clientId, charge.amount, freeCredits(env)) : undefined;
+        return { error: toAPIError(error), balance };
+    }
+
+    if (charge) {
+        const delivered = action === 'generate-tattoo' ? result.images.length : charge.amount;
+        result.balance = charge.amount > delivered
+            ? await charge.ledger.credit(charge.clientId, charge.amount - delivered, freeCredits(env))
+            : charge.balance;
+    }
+    return { result };
+}
+
+function toJobError({ code, message, retryAfter, status }) {
+    return { code, message, retryAfter, status };
+}
+
+/**
+ * Fail a job that was cut off before recording an outcome, and refund what it was charged.
+ * Only the poll whose finish() lands refunds, so concurrent polls cannot refund twice.
+ * @returns {Promise<object>} The job as it is now
+ */
+async function expireStaleJob(jobs, job, env) {
+    const error = new APIError(ERROR_CODES.UPSTREAM_TIMEOUT, 'The job was interrupted before it finished', { status: 504 });
+    const failed = await jobs.finish(job.id, { status: JOB_STATUS.FAILED, progress: 100, error: toJobError(error) });
+    if (!failed) {
+        return (await jobs.get(job.id)) || job;
+    }
+
+    const ledger = getCreditStore(env);
+    if (ledger && job.charged > 0) {
+        const balance = await ledger.credit(job.clientId, job.charged, freeCredits(env));
+        return (await jobs.update(job.id, { balance })) || { ...failed, balance };
+    }
+    return failed;
+}
+
+/**
+ * Body of a background job: runs the action and records the outcome on the job.
+ */
+async function runJob(jobs, jobId, action, body, env, charge) {
+    // Progress writes are chained so a late one cannot land after the final update.
+    let progressWrites = Promise.resolve();
+    const onProgress = (progress) => {
+        progressWrites = progressWrites
+            .then(() => jobs.update(jobId, { progress: Math.round(progress) }))
+            .catch((error) => console.error('Job progress update failed:', error));
+    };
+
+    try {
+        await jobs.update(jobId, { status: JOB_STATUS.RUNNING, progress: 5 });
+        const outcome = await settleAction(action, body, env, charge, onProgress);
+        await progressWrites;
+
+        const recorded = outcome.error
+            ? await jobs.finish(jobId, {
+                status: JOB_STATUS.FAILED,
+                progress: 100,
+                error: toJobError(outcome.error),
+                balance: outcome.balance,
+            })
+            : await jobs.finish(jobId, { status: JOB_STATUS.SUCCEEDED, progress: 100, result: outcome.result });
+        if (!recorded) {
+            console.error(`Job ${jobId} finished after it was failed as stale`);
+        }
+    } catch (error) {
+        console.error('Job failed to record its outcome:', error);
+    }
+}
+
+/**
+ * `job-status` and `job-result`. A job is only visible to the client that submitted it.
+ * @throws {APIError}
+ */
+async function readJob(origin, action, body, env, clientId) {
+    const jobs = getJobStore(env);
+    let job = typeof body.jobId === 'string'
+        ? await jobs.get(body.jobId, { includeResult: action === 'job-result' })
+        : null;
+    if (!job || job.clientId !== clientId) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'Unknown or expired job', { status: 404 });
+    }
+    if (isJobStale(job)) {
+        job = await expireStaleJob(jobs, job, env);
+    }
+
+    if (action === 'job-status') {
+        return jsonResponse(origin, toJobStatus(job));
+    }
+    if (!isJobDone(job)) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'Job has not finished yet', { status: 409 });
+    }
+    if (job.status === JOB_STATUS.FAILED) {
+        const { code, message, retryAfter, status } = job.error;
+        return errorResponse(origin, new APIError(code, message, { retryAfter, status }), { balance: job.balance });
+    }
+    return jsonResponse(origin, job.result);
+}
+
+function rateLimitError({ scope, retryAfter }) {
+    const message = scope === 'daily'
+        ? 'Daily limit reached for this feature'
+        : `Too many requests (${scope} limit)`;
+    return new APIError(ERROR_CODES.QUOTA_EXCEEDED, message, { retryAfter });
+}
+
 export default {
-    async fetch(request, env) {
+    async fetch(request, env, ctx) {
         const origin = request.headers.get('Origin') || '';
 
         // Handle CORS preflight
@@ -48,197 +507,257 @@ export default {
 
         // Only allow POST
         if (request.method !== 'POST') {
-            return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-                status: 405,
-                headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
-            });
+            return errorResponse(origin, new APIError(ERROR_CODES.INVALID_INPUT, 'Method not allowed', { status: 405 }));
         }
 
         try {
-            const body = await request.json();
-            const { action, bodyImage, tattooImage, prompt, style, image } = body;
+            if (new URL(request.url).pathname === WEBHOOK_PATH) {
+                return await handlePaymentWebhook(request, env);
+            }
+
+            const body = await request.json().catch(() => {
+                throw new APIError(ERROR_CODES.INVALID_INPUT, 'Request body must be JSON');
+            });
+            const { action, count } = body || {};
 
             const needsGemini = action === 'place-tattoo' || action === 'generate-tattoo';
-            if (needsGemini && !env.GEMINI_API_KEY) {
-                return new Response(JSON.stringify({ error: 'API key not configured' }), {
-                    status: 500,
-                    headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
-                });
+            if (needsGemini && !env.GEMINI_API_KEY && !isMockBackend(env)) {
+                throw new APIError(ERROR_CODES.NOT_CONFIGURED, 'API key not configured');
+            }
+            if (action === 'remove-background' && !env.REPLICATE_API_TOKEN && !isMockBackend(env)) {
+                throw new APIError(ERROR_CODES.NOT_CONFIGURED, 'Replicate token not configured');
+            }
+            if (!ACCOUNT_ACTIONS.includes(action) && !AI_ACTIONS.includes(action) && !JOB_ACTIONS.includes(action)) {
+                throw new APIError(ERROR_CODES.INVALID_INPUT, 'Invalid action');
+            }
+
+            const clientId = await resolveClientId(request, env);
+
+            // Polls are cheap reads of work that was rate limited when it was submitted.
+            if (JOB_ACTIONS.includes(action)) {
+                return await readJob(origin, action, body, env, clientId);
             }
 
-            let result;
-
-            if (action === 'place-tattoo') {
-                // AI Tattoo Placement: body image + tattoo image + placement prompt
-                result = await placeTattoo(env.GEMINI_API_KEY, bodyImage, tattooImage, prompt);
-            } else if (action === 'generate-tattoo') {
-                // AI Tattoo Generation: text prompt to tattoo image
-                result = await generateTattoo(env.GEMINI_API_KEY, prompt, style);
-            } else if (action === 'remove-background') {
-                if (!env.REPLICATE_API_TOKEN) {
-                    return new Response(JSON.stringify({ error: 'Replicate token not configured' }), {
-                        status: 500,
-                        headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
+            const verdict = await checkRateLimits(getRateLimitStore(env), {
+                ip: request.headers.get('CF-Connecting-IP'),
+                // Sessions mint free credits, so they are only counted per IP. Unsigned
+                // tokens cost nothing to rotate and are never a limit key.
+                clientToken: action === 'session' || !env.TOKEN_SECRET ? null : clientId,
+                action,
+                units: action === 'generate-tattoo' ? clampVariants(count) : 1,
+            }, readRateLimits(env));
+
+            if (!verdict.allowed) {
+                throw rateLimitError(verdict);
+            }
+
+            if (action === 'session') {
+                return jsonResponse(origin, await openSession(env, clientId));
+            }
+            if (ACCOUNT_ACTIONS.includes(action)) {
+                return jsonResponse(origin, await runAccountAction(action, body, env, clientId, request));
+            }
+
+            // Debit up front, refund whatever was not delivered.
+            const ledger = getCreditStore(env);
+            const cost = creditCost(action, count);
+            let charge = null;
+
+            if (ledger && cost > 0) {
+                if (!clientId) {
+                    throw new APIError(ERROR_CODES.UNAUTHORIZED, 'Missing or invalid client token');
+                }
+                const debit = await ledger.debit(clientId, cost, freeCredits(env));
+                if (!debit.ok) {
+                    return errorResponse(origin, new APIError(ERROR_CODES.INSUFFICIENT_CREDITS, 'Not enough credits'), {
+                        balance: debit.balance,
                     });
                 }
-                result = await removeBackgroundWithReplicate(env.REPLICATE_API_TOKEN, image);
-            } else {
-                return new Response(JSON.stringify({ error: 'Invalid action' }), {
-                    status: 400,
-                    headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
-                });
+                charge = { ledger, clientId, amount: cost, balance: debit.balance };
             }
 
-            return new Response(JSON.stringify(result), {
-                status: result.success ? 200 : 500,
-                headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
-            });
+            if (body.async === true) {
+                const jobs = getJobStore(env);
+                const job = createJob({ clientId, action, charged: charge ? cost : 0 });
+                try {
+                    await jobs.create(job);
+                } catch (error) {
+                    if (charge) await ledger.credit(clientId, cost, freeCredits(env));
+                    throw error;
+                }
+                ctx.waitUntil(runJob(jobs, job.id, action, body, env, charge));
+                return jsonResponse(origin, { success: true, jobId: job.id, status: job.status, balance: charge?.balance });
+            }
+
+            const outcome = await settleAction(action, body, env, charge);
+            if (outcome.error) {
+                return errorResponse(origin, outcome.error, { balance: outcome.balance });
+            }
+            return jsonResponse(origin, outcome.result);
 
         } catch (error) {
-            console.error('Worker error:', error);
-            return new Response(JSON.stringify({ error: error.message || 'Internal error' }), {
-                status: 500,
-                headers: { ...corsHeaders(origin), 'Content-Type': 'application/json' },
-            });
+            return errorResponse(origin, toAPIError(error));
         }
     },
 };
 
-/**
- * Place a tattoo on a body image using Gemini
- */
-async function placeTattoo(apiKey, bodyImageBase64, tattooImageBase64, placementPrompt) {
-    const systemPrompt = `You are an expert tattoo placement artist. Take the provided body photo and tattoo design, 
-and create a realistic composite image where the tattoo appears naturally on the person's skin.
+async function runAction(action, body, env, onProgress = () => { }) {
+    const { bodyImage, tattooImage, prompt, style, customStyle, image, count, seed, referenceImage } = body;
 
-Placement instruction: ${placementPrompt}
+    if (isMockBackend(env)) {
+        return getMockBackend(env).run(action, body, { onProgress });
+    }
+    if (action === 'place-tattoo') {
+        // AI Tattoo Placement: body image + tattoo image + placement prompt
+        return placeTattoo(env.GEMINI_API_KEY, bodyImage, tattooImage, prompt);
+    }
+    if (action === 'generate-tattoo') {
+        // AI Tattoo Generation: text prompt (and optional reference design) to N tattoo images
+        return generateTattoo(env.GEMINI_API_KEY, prompt, style, { count, seed, referenceImage, customStyle, onProgress });
+    }
+    return removeBackgroundWithReplicate(env.REPLICATE_API_TOKEN, image, onProgress);
+}
 
-Guidelines:
-- Make the tattoo look realistic and natural, as if it's an actual tattoo on their skin
-- Match the skin tone and lighting conditions
-- Preserve the original tattoo design accurately
-- Maintain the person's original appearance
-- Output only the edited image`;
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent';
+const GEMINI_TIMEOUT_MS = 60000;
 
-    const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent`,
-        {
+/**
+ * Send a generateContent request. Returns the parsed reply, or throws an APIError
+ * for timeouts, HTTP failures and safety blocks.
+ */
+async function callGemini(apiKey, parts, generationConfig = {}) {
+    let response;
+    try {
+        response = await fetch(GEMINI_URL, {
             method: 'POST',
             headers: {
                 'x-goog-api-key': apiKey,
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                contents: [{
-                    parts: [
-                        { text: systemPrompt },
-                        {
-                            inline_data: {
-                                mime_type: 'image/jpeg',
-                                data: bodyImageBase64.replace(/^data:image\/\w+;base64,/, '')
-                            }
-                        },
-                        {
-                            inline_data: {
-                                mime_type: 'image/png',
-                                data: tattooImageBase64.replace(/^data:image\/\w+;base64,/, '')
-                            }
-                        }
-                    ]
-                }],
+                contents: [{ parts }],
                 generationConfig: {
                     responseModalities: ['IMAGE', 'TEXT'],
+                    ...generationConfig,
                 }
             }),
+            signal: AbortSignal.timeout(GEMINI_TIMEOUT_MS),
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new APIError(ERROR_CODES.UPSTREAM_TIMEOUT, 'Gemini did not answer in time');
         }
-    );
+        throw new APIError(ERROR_CODES.UPSTREAM_ERROR, `Gemini request failed: ${error.message}`);
+    }
 
     if (!response.ok) {
         const errorText = await response.text();
         console.error('Gemini API error:', errorText);
-        return { success: false, error: 'Failed to generate image' };
+        throw new APIError(codeFromUpstreamStatus(response.status), `Gemini API error ${response.status}`);
     }
 
     const data = await response.json();
-
-    // Extract image from response
-    const parts = data.candidates?.[0]?.content?.parts || [];
-    for (const part of parts) {
-        if (part.inlineData) {
-            return {
-                success: true,
-                image: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`,
-            };
-        }
+    const blockReason = getGeminiBlockReason(data);
+    if (blockReason) {
+        throw new APIError(ERROR_CODES.SAFETY_BLOCKED, `Blocked by Gemini: ${blockReason}`);
     }
-
-    return { success: false, error: 'No image in response' };
+    return data;
 }
 
 /**
- * Generate a tattoo design from text prompt
+ * Place a tattoo on a body image using Gemini
  */
-async function generateTattoo(apiKey, prompt, style = 'minimalist') {
-    const styleDescriptions = {
-        minimalist: 'minimalist line art, simple clean lines, black ink tattoo design',
-        tribal: 'tribal tattoo design, bold black patterns, polynesian inspired',
-        japanese: 'traditional japanese irezumi style tattoo, detailed',
-        watercolor: 'watercolor tattoo style, soft colors, artistic splashes',
-        geometric: 'geometric tattoo design, sacred geometry, symmetrical',
-        traditional: 'american traditional tattoo style, bold lines, classic',
-    };
+async function placeTattoo(apiKey, bodyImageBase64, tattooImageBase64, placementPrompt) {
+    const bodyPart = toInlineImagePart(bodyImageBase64);
+    const tattooPart = toInlineImagePart(tattooImageBase64);
+    if (!bodyPart || !tattooPart) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'bodyImage and tattooImage must be image data URLs');
+    }
+    if (typeof placementPrompt !== 'string' || !placementPrompt.trim()) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'Missing placement prompt');
+    }
 
-    const fullPrompt = `Create a tattoo design: ${prompt}. 
-Style: ${styleDescriptions[style] || styleDescriptions.minimalist}. 
-The design should be on a pure white background, high contrast, suitable as a tattoo stencil.
-Output only the tattoo design image.`;
+    const systemPrompt = `You are an expert tattoo placement artist. Take the provided body photo and tattoo design, 
+and create a realistic composite image where the tattoo appears naturally on the person's skin.
 
-    const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent`,
-        {
-            method: 'POST',
-            headers: {
-                'x-goog-api-key': apiKey,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: fullPrompt }]
-                }],
-                generationConfig: {
-                    responseModalities: ['IMAGE', 'TEXT'],
-                }
-            }),
-        }
-    );
+Placement instruction: ${placementPrompt}
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Gemini API error:', errorText);
-        return { success: false, error: 'Failed to generate tattoo' };
+Guidelines:
+- Make the tattoo look realistic and natural, as if it's an actual tattoo on their skin
+- Match the skin tone and lighting conditions
+- Preserve the original tattoo design accurately
+- Maintain the person's original appearance
+- Output only the edited image`;
+
+    const data = await callGemini(apiKey, [{ text: systemPrompt }, bodyPart, tattooPart]);
+    const [image] = extractImages(data);
+    if (!image) {
+        throw new APIError(ERROR_CODES.NO_IMAGE, 'No image in response');
     }
 
-    const data = await response.json();
+    return { success: true, image };
+}
+
+/**
+ * Collect every image part from a Gemini response (a response may hold more than one).
+ */
+function extractImages(data) {
+    const images = [];
+    for (const candidate of data.candidates || []) {
+        for (const part of candidate.content?.parts || []) {
+            if (part.inlineData) {
+                images.push(`data:${part.inlineData.mimeType};base64,${part.inlineData.data}`);
+            }
+        }
+    }
+    return images;
+}
+
+/**
+ * Generate tattoo design variants from a text prompt.
+ * Each variant is a separate request with its own seed (see generateVariants()).
+ * @param {object} options
+ * @param {number} options.count - Number of variants (1-4)
+ * @param {number} options.seed - Base seed, random when omitted
+ * @param {string} options.referenceImage - Data URL of a design to riff on ("more like this")
+ * @param {object} options.customStyle - User-defined style {name, descriptor, references}; overrides `style`
+ * @param {(progress: number) => void} options.onProgress - Called as variants finish, 0-100
+ * @throws {APIError} When no variant came back; a safety block wins over other failures
+ */
+async function generateTattoo(apiKey, prompt, style, { count = 1, seed, referenceImage, customStyle, onProgress = () => { } } = {}) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'Missing prompt');
+    }
+    if (referenceImage && !toInlineImagePart(referenceImage)) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'Reference image must be an image data URL');
+    }
 
-    const parts = data.candidates?.[0]?.content?.parts || [];
-    for (const part of parts) {
-        if (part.inlineData) {
-            return {
-                success: true,
-                image: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`,
-            };
+    let validStyle = null;
+    if (customStyle) {
+        try {
+            validStyle = normalizeCustomStyle(customStyle);
+        } catch (error) {
+            throw new APIError(ERROR_CODES.INVALID_INPUT, error.message);
         }
     }
 
-    return { success: false, error: 'No image in response' };
+    const parts = buildDesignParts({ prompt, style, customStyle: validStyle, referenceImage });
+
+    const result = await generateVariants(
+        async (variantSeed) => extractImages(await callGemini(apiKey, parts, { seed: variantSeed })),
+        { count, seed, onVariantDone: (finished, total) => onProgress((finished / total) * 90) }
+    );
+
+    return { success: true, image: result.images[0], ...result };
 }
 
 /**
  * Remove background using Replicate rembg model
+ * @param {(progress: number) => void} onProgress - Called while the prediction is polled, 0-100
  */
-async function removeBackgroundWithReplicate(apiToken, imageDataUrl) {
-    if (!imageDataUrl || typeof imageDataUrl !== 'string') {
-        return { success: false, error: 'Missing image input' };
+async function removeBackgroundWithReplicate(apiToken, imageDataUrl, onProgress = () => { }) {
+    if (!toInlineImagePart(imageDataUrl)) {
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'image must be an image data URL');
     }
 
     const createResponse = await fetch('https://api.replicate.com/v1/predictions', {
@@ -259,7 +778,7 @@ async function removeBackgroundWithReplicate(apiToken, imageDataUrl) {
     if (!createResponse.ok) {
         const errorText = await createResponse.text();
         console.error('Replicate create prediction error:', errorText);
-        return { success: false, error: 'Failed to process image' };
+        throw new APIError(codeFromUpstreamStatus(createResponse.status), `Replicate error ${createResponse.status}`);
     }
 
     let prediction = await createResponse.json();
@@ -279,27 +798,32 @@ async function removeBackgroundWithReplicate(apiToken, imageDataUrl) {
             if (!poll.ok) {
                 const pollError = await poll.text();
                 console.error('Replicate poll error:', pollError);
-                return { success: false, error: 'Prediction polling failed' };
+                throw new APIError(ERROR_CODES.UPSTREAM_ERROR, 'Prediction polling failed');
             }
 
             prediction = await poll.json();
+            onProgress(10 + ((i + 1) / maxPolls) * 70);
         }
     }
 
+    if (prediction.status === 'starting' || prediction.status === 'processing') {
+        throw new APIError(ERROR_CODES.UPSTREAM_TIMEOUT, 'Background removal did not finish in time');
+    }
     if (prediction.status !== 'succeeded') {
-        return { success: false, error: prediction.error || 'Background removal failed' };
+        throw new APIError(ERROR_CODES.UPSTREAM_ERROR, prediction.error || 'Background removal failed');
     }
 
     const output = prediction.output;
     const outputUrl = Array.isArray(output) ? output[0] : output;
 
     if (!outputUrl || typeof outputUrl !== 'string') {
-        return { success: false, error: 'No output image from Replicate' };
+        throw new APIError(ERROR_CODES.NO_IMAGE, 'No output image from Replicate');
     }
 
+    onProgress(85);
     const imageResp = await fetch(outputUrl);
     if (!imageResp.ok) {
-        return { success: false, error: 'Failed to fetch processed image' };
+        throw new APIError(ERROR_CODES.UPSTREAM_ERROR, 'Failed to fetch processed image');
     }
 
     const contentType = imageResp.headers.get('content-type') || 'image/png';
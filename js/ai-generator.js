@@ -2,32 +2,91 @@
 // Uses Gemini API for both tattoo generation and placement
 
 import { creditsManager } from './credits.js';
-import { config, isAIAvailable, getAPIEndpoint } from './config.js';
-
-// Tattoo styles
-const TATTOO_STYLES = {
-    minimalist: 'minimalist line art, simple, clean lines, black ink',
-    tribal: 'tribal tattoo design, bold black patterns, polynesian inspired',
-    japanese: 'traditional japanese tattoo style, irezumi, detailed',
-    watercolor: 'watercolor tattoo style, soft colors, artistic splashes',
-    geometric: 'geometric tattoo design, sacred geometry, symmetrical patterns',
-    traditional: 'american traditional tattoo style, bold lines, classic'
+import { config, isAIAvailable, getAPIEndpoint, isMockAI } from './config.js';
+import { customStyleStore } from './custom-styles.js';
+import { runWorkerJob } from './worker-api.js';
+import {
+    APIError,
+    ERROR_CODES,
+    codeFromUpstreamStatus,
+    describeError,
+    getGeminiBlockReason,
+    isAbortError,
+    isRetryableError,
+    retryWithBackoff,
+    throwIfCancelled
+} from './api-errors.js';
+import {
+    DEFAULT_STYLE,
+    TATTOO_STYLES,
+    getStyleIds,
+    isBuiltInStyle,
+    isCustomStyleId,
+    buildDesignParts
+} from './tattoo-styles.js';
+import { clampVariants, generateVariants } from './tattoo-variants.js';
+
+// Worker jobs only retry their submit (see runWorkerJob()); direct calls retry whole.
+// A stale token is fixed by resetSession() in callWorker() (worker-api.js), so a rejected submit is retried as well.
+const RETRY_OPTIONS = {
+    retries: 2,
+    baseDelay: 800,
+    shouldRetry: (error) => isRetryableError(error) || error.code === ERROR_CODES.UNAUTHORIZED
 };
 
 class AIGenerator {
     constructor() {
-        this.currentStyle = 'minimalist';
+        this.currentStyle = DEFAULT_STYLE;
         this.isProcessing = false;
     }
 
     setStyle(style) {
-        if (TATTOO_STYLES[style]) {
+        if (isBuiltInStyle(style) || (isCustomStyleId(style) && customStyleStore.get(style))) {
             this.currentStyle = style;
         }
     }
 
+    /**
+     * Built-in style ids followed by the user's saved styles.
+     * @returns {string[]}
+     */
     getStyles() {
-        return Object.keys(TATTOO_STYLES);
+        return [...getStyleIds(), ...customStyleStore.list().map((style) => style.id)];
+    }
+
+    getStyleLabel(style) {
+        if (isBuiltInStyle(style)) return TATTOO_STYLES[style].label;
+        const custom = customStyleStore.get(style);
+        return custom ? custom.name : style;
+    }
+
+    /**
+     * The saved descriptor for the current style when it is user-defined, else null.
+     */
+    getCurrentCustomStyle() {
+        if (!isCustomStyleId(this.currentStyle)) return null;
+        const custom = customStyleStore.get(this.currentStyle);
+        if (!custom) {
+            this.currentStyle = DEFAULT_STYLE;
+            return null;
+        }
+        return { name: custom.name, descriptor: custom.descriptor, references: custom.references };
+    }
+
+    /**
+     * Failed result for the UI: a user-facing message plus the error code.
+     */
+    toFailure(error) {
+        if (isAbortError(error) && !(error instanceof APIError)) {
+            error = new APIError(ERROR_CODES.CANCELLED, error.message);
+        }
+        const apiError = error instanceof APIError ? error : new APIError(ERROR_CODES.INTERNAL, error?.message);
+        return {
+            success: false,
+            code: apiError.code,
+            error: describeError(apiError),
+            retryAfter: apiError.retryAfter
+        };
     }
 
     /**
@@ -37,128 +96,204 @@ class AIGenerator {
         return isAIAvailable();
     }
 
+    /**
+     * Turn layer placements into a placement instruction for placeTattoo().
+     * @param {Array<{centerX: number, centerY: number, width: number, height: number, rotation: number}>} placements
+     *   From CanvasController.getLayerPlacement(), bottom layer first
+     * @returns {string}
+     */
+    describePlacement(placements) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const area = (placement) => {
+            const vertical = placement.centerY < 0.34 ? 'upper' : (placement.centerY > 0.66 ? 'lower' : 'middle');
+            const horizontal = placement.centerX < 0.34 ? 'left' : (placement.centerX > 0.66 ? 'right' : 'center');
+            return vertical === 'middle' && horizontal === 'center' ? 'center' : `${vertical} ${horizontal}`;
+        };
+
+        const lines = placements.map((placement, index) => {
+            const label = placements.length > 1 ? `Design ${index + 1}` : 'The tattoo';
+            const rotation = placement.rotation === 0
+                ? 'upright'
+                : `rotated ${Math.abs(placement.rotation)}° ${placement.rotation > 0 ? 'clockwise' : 'counter-clockwise'}`;
+
+            return `${label} sits in the ${area(placement)} of the photo, centered ${percent(placement.centerX)} from the left `
+                + `and ${percent(placement.centerY)} from the top, about ${percent(placement.width)} of the photo width across, ${rotation}.`;
+        });
+
+        lines.push('The second image is a transparent overlay the same size as the photo with the design already at its exact position and size. '
+            + 'Keep that position, size and orientation; only make it look like real ink on skin.');
+
+        return lines.join('\n');
+    }
+
     /**
      * Place a tattoo on a body image using Gemini AI
      * @param {string} bodyImageBase64 - Body photo as base64
      * @param {string} tattooImageBase64 - Tattoo image as base64
      * @param {string} placementPrompt - Where to place the tattoo
-     * @returns {Promise<{success: boolean, image?: string, error?: string}>}
+     * @param {{signal?: AbortSignal, onProgress?: (progress: number) => void}} options
+     *   Aborting fails the call with code CANCELLED; progress (0-100) is reported by Worker jobs
+     * @returns {Promise<{success: boolean, image?: string, error?: string, code?: string}>}
+     *   On failure `code` is one of ERROR_CODES and `error` is a message for the user
      */
-    async placeTattoo(bodyImageBase64, tattooImageBase64, placementPrompt) {
+    async placeTattoo(bodyImageBase64, tattooImageBase64, placementPrompt, { signal = null, onProgress } = {}) {
+        await creditsManager.ready();
         if (this.isProcessing) {
-            return { success: false, error: 'Processing in progress' };
+            return this.toFailure(new APIError(ERROR_CODES.BUSY, 'Processing in progress'));
         }
 
         if (!creditsManager.hasCredits(1)) {
             creditsManager.showBuyModal();
-            return { success: false, error: 'No credits available' };
+            return this.toFailure(new APIError(ERROR_CODES.INSUFFICIENT_CREDITS));
         }
 
         this.isProcessing = true;
 
         try {
-            // Use credit
-            creditsManager.useCredit(1);
-
-            const endpoint = getAPIEndpoint();
-
-            if (!endpoint) {
+            const result = !getAPIEndpoint() && !isMockAI()
                 // Fallback: Try direct API call (only works if CORS is disabled or in dev)
-                return await this.placeTattooDirectly(bodyImageBase64, tattooImageBase64, placementPrompt);
-            }
-
-            // Call the worker proxy
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+                ? await retryWithBackoff(() => this.placeTattooDirectly(bodyImageBase64, tattooImageBase64, placementPrompt, signal), {
+                    ...RETRY_OPTIONS,
+                    signal
+                })
+                : await runWorkerJob({
                     action: 'place-tattoo',
                     bodyImage: bodyImageBase64,
                     tattooImage: tattooImageBase64,
                     prompt: placementPrompt
-                })
-            });
-
-            const result = await response.json();
-
-            if (!result.success) {
-                creditsManager.addCredits(1); // Refund on failure
-                return { success: false, error: result.error || 'AI placement failed' };
-            }
+                }, { signal, onProgress, retry: RETRY_OPTIONS });
 
             return { success: true, image: result.image };
 
         } catch (error) {
-            console.error('AI placement error:', error);
-            creditsManager.addCredits(1); // Refund on failure
-            return { success: false, error: error.message || 'AI placement failed' };
+            if (!isAbortError(error)) {
+                console.error('AI placement error:', error);
+            }
+            return this.toFailure(error);
         } finally {
             this.isProcessing = false;
         }
     }
 
     /**
-     * Generate a tattoo from text prompt using Gemini AI
+     * Generate tattoo variants from a text prompt using Gemini AI
      * @param {string} prompt - Description of the tattoo
-     * @returns {Promise<{success: boolean, image?: string, error?: string}>}
+     * @param {object} options
+     * @param {number} options.count - Number of variants (1-4), one credit each
+     * @param {number|null} options.seed - Base seed; variant i uses seed + i. Random when null
+     * @param {string|null} options.referenceImage - Data URL of a design to riff on ("more like this")
+     * @param {AbortSignal|null} options.signal - Aborting fails the call with code CANCELLED
+     * @param {(progress: number) => void} options.onProgress - Progress (0-100) reported by Worker jobs
+     * @returns {Promise<{success: boolean, image?: string, images?: string[], seeds?: number[], seed?: number, error?: string, code?: string}>}
      */
-    async generateTattoo(prompt) {
+    async generateTattoo(prompt, { count = 1, seed = null, referenceImage = null, signal = null, onProgress } = {}) {
+        await creditsManager.ready();
         if (this.isProcessing) {
-            return { success: false, error: 'Processing in progress' };
+            return this.toFailure(new APIError(ERROR_CODES.BUSY, 'Processing in progress'));
         }
 
-        if (!creditsManager.hasCredits(1)) {
+        const variants = clampVariants(count);
+
+        if (!creditsManager.hasCredits(variants)) {
             creditsManager.showBuyModal();
-            return { success: false, error: 'No credits available' };
+            return this.toFailure(new APIError(ERROR_CODES.INSUFFICIENT_CREDITS));
         }
 
         this.isProcessing = true;
 
         try {
-            creditsManager.useCredit(1);
+            const customStyle = this.getCurrentCustomStyle();
+            const options = { count: variants, seed, referenceImage, customStyle, signal };
 
-            const endpoint = getAPIEndpoint();
-
-            if (!endpoint) {
-                return await this.generateTattooDirectly(prompt);
-            }
-
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+            const result = !getAPIEndpoint() && !isMockAI()
+                ? await retryWithBackoff(() => this.generateTattooDirectly(prompt, options), { ...RETRY_OPTIONS, signal })
+                : await runWorkerJob({
                     action: 'generate-tattoo',
                     prompt: prompt,
-                    style: this.currentStyle
-                })
-            });
+                    style: customStyle ? DEFAULT_STYLE : this.currentStyle,
+                    customStyle,
+                    count: variants,
+                    seed,
+                    referenceImage
+                }, { signal, onProgress, retry: RETRY_OPTIONS });
 
-            const result = await response.json();
+            // Older workers only return `image`.
+            const images = Array.isArray(result.images) ? result.images : [result.image];
+            const seeds = Array.isArray(result.seeds) ? result.seeds : images.map(() => null);
 
-            if (!result.success) {
-                creditsManager.addCredits(1);
-                return { success: false, error: result.error || 'Generation failed' };
-            }
-
-            return { success: true, image: result.image };
+            return { success: true, image: images[0], images, seeds, seed: result.seed ?? null };
 
         } catch (error) {
-            console.error('Generation error:', error);
-            creditsManager.addCredits(1);
-            return { success: false, error: error.message || 'Generation failed' };
+            if (!isAbortError(error)) {
+                console.error('Generation error:', error);
+            }
+            return this.toFailure(error);
         } finally {
             this.isProcessing = false;
         }
     }
 
     /**
-     * Direct API call (for development - requires API key in config)
+     * "More like this": new variants that keep the look of a chosen design
+     * @param {string} prompt - Original description
+     * @param {string} referenceImage - Data URL of the chosen variant
+     * @param {{count?: number, seed?: number|null, signal?: AbortSignal, onProgress?: Function}} options
+     */
+    generateSimilar(prompt, referenceImage, options = {}) {
+        return this.generateTattoo(prompt, { ...options, referenceImage });
+    }
+
+    /**
+     * Direct Gemini call (for development - requires API key in config).
+     * Fails the same way the Worker does.
+     * @throws {APIError}
      */
-    async placeTattooDirectly(bodyImageBase64, tattooImageBase64, placementPrompt) {
+    async callGeminiDirectly(parts, generationConfig = {}, signal = null) {
         if (!config.GEMINI_API_KEY) {
-            return { success: false, error: 'API not configured. Deploy the Cloudflare Worker and set WORKER_URL in config.js' };
+            throw new APIError(ERROR_CODES.NOT_CONFIGURED, 'Deploy the Cloudflare Worker and set WORKER_URL in config.js');
+        }
+
+        let response;
+        try {
+            response = await fetch(`${config.GEMINI_API_URL}?key=${config.GEMINI_API_KEY}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{ parts }],
+                    generationConfig: {
+                        responseModalities: ['IMAGE', 'TEXT'],
+                        ...generationConfig
+                    }
+                }),
+                signal
+            });
+        } catch (error) {
+            throwIfCancelled(signal);
+            throw new APIError(ERROR_CODES.NETWORK, error.message);
         }
 
+        if (!response.ok) {
+            throw new APIError(codeFromUpstreamStatus(response.status), `API error: ${response.status}`);
+        }
+
+        const data = await response.json().catch((error) => {
+            throwIfCancelled(signal);
+            throw error;
+        });
+        const blockReason = getGeminiBlockReason(data);
+        if (blockReason) {
+            throw new APIError(ERROR_CODES.SAFETY_BLOCKED, `Blocked by Gemini: ${blockReason}`);
+        }
+
+        return (data.candidates?.[0]?.content?.parts || [])
+            .filter((part) => part.inlineData)
+            .map((part) => `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`);
+    }
+
+    /**
+     * Direct API call (for development - requires API key in config)
+     */
+    async placeTattooDirectly(bodyImageBase64, tattooImageBase64, placementPrompt, signal = null) {
         const systemPrompt = `You are an expert tattoo placement artist. Take the provided body photo and tattoo design, 
 and create a realistic composite image where the tattoo appears naturally on the person's skin.
 
@@ -171,100 +306,28 @@ Guidelines:
 - Maintain the person's original appearance
 - Output only the edited image`;
 
-        try {
-            const response = await fetch(
-                `${config.GEMINI_API_URL}?key=${config.GEMINI_API_KEY}`,
-                {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        contents: [{
-                            parts: [
-                                { text: systemPrompt },
-                                { inline_data: { mime_type: 'image/jpeg', data: bodyImageBase64.replace(/^data:image\/\w+;base64,/, '') } },
-                                { inline_data: { mime_type: 'image/png', data: tattooImageBase64.replace(/^data:image\/\w+;base64,/, '') } }
-                            ]
-                        }],
-                        generationConfig: {
-                            responseModalities: ['IMAGE', 'TEXT'],
-                        }
-                    }),
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const parts = data.candidates?.[0]?.content?.parts || [];
+        const [image] = await this.callGeminiDirectly([
+            { text: systemPrompt },
+            { inline_data: { mime_type: 'image/jpeg', data: bodyImageBase64.replace(/^data:image\/\w+;base64,/, '') } },
+            { inline_data: { mime_type: 'image/png', data: tattooImageBase64.replace(/^data:image\/\w+;base64,/, '') } }
+        ], {}, signal);
 
-            for (const part of parts) {
-                if (part.inlineData) {
-                    return {
-                        success: true,
-                        image: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`,
-                    };
-                }
-            }
-
-            return { success: false, error: 'No image in response' };
-        } catch (error) {
-            throw error;
+        if (!image) {
+            throw new APIError(ERROR_CODES.NO_IMAGE, 'No image in response');
         }
+        return { success: true, image };
     }
 
     /**
-     * Direct tattoo generation (for development)
+     * Direct tattoo generation (for development), one request per variant like the Worker
      */
-    async generateTattooDirectly(prompt) {
-        if (!config.GEMINI_API_KEY) {
-            return { success: false, error: 'API not configured. Deploy the Cloudflare Worker and set WORKER_URL in config.js' };
-        }
-
-        const styleDesc = TATTOO_STYLES[this.currentStyle];
-        const fullPrompt = `Create a tattoo design: ${prompt}. 
-Style: ${styleDesc}. 
-The design should be on a pure white background, high contrast, suitable as a tattoo stencil.
-Output only the tattoo design image.`;
-
-        try {
-            const response = await fetch(
-                `${config.GEMINI_API_URL}?key=${config.GEMINI_API_KEY}`,
-                {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        contents: [{
-                            parts: [{ text: fullPrompt }]
-                        }],
-                        generationConfig: {
-                            responseModalities: ['IMAGE', 'TEXT'],
-                        }
-                    }),
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const parts = data.candidates?.[0]?.content?.parts || [];
-
-            for (const part of parts) {
-                if (part.inlineData) {
-                    return {
-                        success: true,
-                        image: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`,
-                    };
-                }
-            }
-
-            return { success: false, error: 'No image in response' };
-        } catch (error) {
-            throw error;
-        }
+    async generateTattooDirectly(prompt, { count = 1, seed = null, referenceImage = null, customStyle = null, signal = null } = {}) {
+        const parts = buildDesignParts({ prompt, style: this.currentStyle, customStyle, referenceImage });
+        const result = await generateVariants(
+            (variantSeed) => this.callGeminiDirectly(parts, { seed: variantSeed }, signal),
+            { count, seed, signal }
+        );
+        return { success: true, ...result };
     }
 }
 
@@ -0,0 +1,234 @@
+// API Errors
+// Error contract shared by the browser and the Cloudflare Worker (api/worker.js).
+// Every failed reply is `{success: false, code, error, retryAfter?}` where `code` is one of
+// ERROR_CODES; `error` is a developer-facing detail, `describeError()` gives the text for users.
+// Keep this module free of DOM and Worker APIs so both sides can import it.
+
+export const ERROR_CODES = Object.freeze({
+    QUOTA_EXCEEDED: 'quota_exceeded',
+    INSUFFICIENT_CREDITS: 'insufficient_credits',
+    SAFETY_BLOCKED: 'safety_blocked',
+    UPSTREAM_TIMEOUT: 'upstream_timeout',
+    UPSTREAM_ERROR: 'upstream_error',
+    INVALID_INPUT: 'invalid_input',
+    NO_IMAGE: 'no_image',
+    NOT_CONFIGURED: 'not_configured',
+    UNAUTHORIZED: 'unauthorized',
+    NETWORK: 'network',
+    CANCELLED: 'cancelled',
+    // Browser only: another AI call of this generator is still running.
+    BUSY: 'busy',
+    INTERNAL: 'internal'
+});
+
+const ERROR_STATUS = Object.freeze({
+    [ERROR_CODES.QUOTA_EXCEEDED]: 429,
+    [ERROR_CODES.INSUFFICIENT_CREDITS]: 402,
+    [ERROR_CODES.SAFETY_BLOCKED]: 422,
+    [ERROR_CODES.UPSTREAM_TIMEOUT]: 504,
+    [ERROR_CODES.UPSTREAM_ERROR]: 502,
+    [ERROR_CODES.INVALID_INPUT]: 400,
+    [ERROR_CODES.NO_IMAGE]: 502,
+    [ERROR_CODES.NOT_CONFIGURED]: 503,
+    [ERROR_CODES.UNAUTHORIZED]: 401,
+    [ERROR_CODES.INTERNAL]: 500
+});
+
+const ERROR_MESSAGES = Object.freeze({
+    [ERROR_CODES.QUOTA_EXCEEDED]: 'You have hit the usage limit.',
+    [ERROR_CODES.INSUFFICIENT_CREDITS]: 'You are out of credits.',
+    [ERROR_CODES.SAFETY_BLOCKED]: 'This request was blocked by the content safety filter. Try rewording the prompt or using a different image.',
+    [ERROR_CODES.UPSTREAM_TIMEOUT]: 'The AI service took too long to answer. Please try again.',
+    [ERROR_CODES.UPSTREAM_ERROR]: 'The AI service is having trouble right now. Please try again in a moment.',
+    [ERROR_CODES.INVALID_INPUT]: 'Something about this request is not valid. Check the prompt and images and try again.',
+    [ERROR_CODES.NO_IMAGE]: 'The AI did not return an image. Try again or adjust the prompt.',
+    [ERROR_CODES.NOT_CONFIGURED]: 'AI features are not configured on this server.',
+    [ERROR_CODES.UNAUTHORIZED]: 'Your session expired. Please try again.',
+    [ERROR_CODES.NETWORK]: 'Could not reach the server. Check your connection and try again.',
+    [ERROR_CODES.CANCELLED]: 'Cancelled.',
+    [ERROR_CODES.BUSY]: 'Another AI request is still running. Wait for it to finish and try again.',
+    [ERROR_CODES.INTERNAL]: 'Something went wrong. Please try again.'
+});
+
+// Worth repeating as-is: the same request may well succeed a moment later.
+const RETRYABLE_CODES = new Set([
+    ERROR_CODES.UPSTREAM_TIMEOUT,
+    ERROR_CODES.UPSTREAM_ERROR,
+    ERROR_CODES.NETWORK
+]);
+
+export class APIError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Developer-facing detail
+     * @param {{retryAfter?: number, status?: number}} options
+     */
+    constructor(code, message = ERROR_MESSAGES[code], { retryAfter = null, status = null } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.code = ERROR_MESSAGES[code] ? code : ERROR_CODES.INTERNAL;
+        this.retryAfter = retryAfter;
+        this.status = status || ERROR_STATUS[this.code] || 500;
+    }
+
+    /**
+     * Reply body for the Worker.
+     */
+    toJSON() {
+        const body = { success: false, code: this.code, error: this.message };
+        if (this.retryAfter !== null) body.retryAfter = this.retryAfter;
+        return body;
+    }
+}
+
+export function getErrorStatus(code) {
+    return ERROR_STATUS[code] || 500;
+}
+
+export function isRetryableError(error) {
+    return Boolean(error) && RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Whether a failure comes from an aborted AbortSignal: a DOM AbortError from fetch or
+ * `signal.throwIfAborted()`, or an APIError/failed result with the CANCELLED code.
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return Boolean(error) && (error.name === 'AbortError' || error.code === ERROR_CODES.CANCELLED);
+}
+
+/**
+ * Throw a CANCELLED APIError once `signal` has been aborted. No-op without a signal.
+ * @param {AbortSignal|null|undefined} signal
+ * @throws {APIError}
+ */
+export function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new APIError(ERROR_CODES.CANCELLED, 'Cancelled by the user');
+    }
+}
+
+/**
+ * Resolve after `ms`, or reject with a CANCELLED APIError as soon as `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal|null} signal
+ * @returns {Promise<void>}
+ */
+export function sleepUnlessCancelled(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new APIError(ERROR_CODES.CANCELLED, 'Cancelled by the user'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Best-guess code for an HTTP status when the reply carried none (older Worker, proxy page).
+ * @param {number} status
+ * @returns {string}
+ */
+export function codeFromStatus(status) {
+    if (status === 429) return ERROR_CODES.QUOTA_EXCEEDED;
+    if (status === 402) return ERROR_CODES.INSUFFICIENT_CREDITS;
+    if (status === 401 || status === 403) return ERROR_CODES.UNAUTHORIZED;
+    if (status === 408 || status === 504) return ERROR_CODES.UPSTREAM_TIMEOUT;
+    if (status >= 400 && status < 500) return ERROR_CODES.INVALID_INPUT;
+    if (status >= 500) return ERROR_CODES.UPSTREAM_ERROR;
+    return ERROR_CODES.INTERNAL;
+}
+
+/**
+ * Code for a failed reply from an upstream provider (Gemini, Replicate). Their 429s are
+ * short-lived capacity limits, so they count as transient upstream errors rather than
+ * the caller's quota; auth failures mean our key is missing or wrong.
+ * @param {number} status
+ * @returns {string}
+ */
+export function codeFromUpstreamStatus(status) {
+    if (status === 408 || status === 504) return ERROR_CODES.UPSTREAM_TIMEOUT;
+    if (status === 429 || status >= 500) return ERROR_CODES.UPSTREAM_ERROR;
+    if (status === 401 || status === 403) return ERROR_CODES.NOT_CONFIGURED;
+    return ERROR_CODES.INVALID_INPUT;
+}
+
+const SAFETY_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
+/**
+ * Why Gemini refused to answer, or null. Covers prompt blocks and safety-stopped candidates.
+ * @param {object} data - Parsed generateContent reply
+ * @returns {string|null}
+ */
+export function getGeminiBlockReason(data) {
+    if (data?.promptFeedback?.blockReason) {
+        return data.promptFeedback.blockReason;
+    }
+    const blocked = (data?.candidates || []).find((candidate) => SAFETY_FINISH_REASONS.includes(candidate.finishReason));
+    return blocked ? blocked.finishReason : null;
+}
+
+/**
+ * Text to show users for an error or failed reply.
+ * @param {{code?: string, retryAfter?: number}} error
+ * @returns {string}
+ */
+export function describeError(error) {
+    const code = error && ERROR_MESSAGES[error.code] ? error.code : ERROR_CODES.INTERNAL;
+    const message = ERROR_MESSAGES[code];
+
+    if (code === ERROR_CODES.QUOTA_EXCEEDED && error.retryAfter) {
+        const seconds = Number(error.retryAfter);
+        if (seconds > 3600) return `${message} Please come back tomorrow.`;
+        if (seconds > 90) return `${message} Please try again in ${Math.ceil(seconds / 60)} minutes.`;
+        return `${message} Please try again in ${seconds} seconds.`;
+    }
+    return message;
+}
+
+/**
+ * Run `task` until it succeeds, retrying transient failures with exponential backoff
+ * and full jitter (delay = random(0, baseDelay * 2^attempt), capped at maxDelay).
+ * @param {(attempt: number) => Promise<*>} task
+ * @param {object} options
+ * @param {number} options.retries - Extra attempts after the first
+ * @param {number} options.baseDelay - Milliseconds
+ * @param {number} options.maxDelay - Milliseconds
+ * @param {(error: *) => boolean} options.shouldRetry
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} options.sleep - Injectable for tests
+ * @param {AbortSignal} options.signal - Stops further attempts; a pending backoff rejects at once
+ * @returns {Promise<*>}
+ * @throws The last failure, or a CANCELLED APIError once `signal` aborts
+ */
+export async function retryWithBackoff(task, {
+    retries = 2,
+    baseDelay = 500,
+    maxDelay = 8000,
+    shouldRetry = isRetryableError,
+    sleep = sleepUnlessCancelled,
+    signal = null
+} = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+        throwIfCancelled(signal);
+        try {
+            return await task(attempt);
+        } catch (error) {
+            throwIfCancelled(signal);
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            await sleep(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt), signal);
+        }
+    }
+}
@@ -1,24 +1,99 @@
 import { CanvasController } from './canvas.js';
-import { removeImageBackground, loadImageFromFile } from './background-removal.js';
+import { runBackgroundRemoval, loadImageFromFile } from './background-removal.js';
+import { AUTO_ENGINE, removalEngines } from './removal-engines.js';
+import { MaskEditor, MASK_TOOLS } from './mask-editor.js';
+import { LineArtEditor, LINE_ART_DEFAULTS } from './line-art.js';
+import { serializeProject, deserializeProject, readProjectFile, createProjectBlob, PROJECT_EXTENSION } from './project.js';
+import { sessionStore } from './session-store.js';
+import { aiGenerator } from './ai-generator.js';
+import { creditsManager } from './credits.js';
+import { ERROR_CODES, isAbortError } from './api-errors.js';
+import { customStyleStore } from './custom-styles.js';
+import { DEFAULT_STYLE, isCustomStyleId, MAX_STYLE_REFERENCES } from './tattoo-styles.js';
+import { clampVariants } from './tattoo-variants.js';
+import { isOnline, onConnectivityChange, registerServiceWorker } from './offline.js';
+
+const AUTOSAVE_DELAY = 1200;
+const MAX_AI_RESULTS = 12;
+const UPLOAD_MODES = Object.freeze({
+    PHOTO: 'photo',
+    LINE_ART: 'line-art'
+});
+const UPLOAD_MODE_KEY = 'tattoo_tryon_upload_mode';
+
+function readUploadMode() {
+    try {
+        return localStorage.getItem(UPLOAD_MODE_KEY) === UPLOAD_MODES.LINE_ART ? UPLOAD_MODES.LINE_ART : UPLOAD_MODES.PHOTO;
+    } catch (error) {
+        // Storage blocked: photo mode for this session.
+        return UPLOAD_MODES.PHOTO;
+    }
+}
 
 class TattooTryOnApp {
     constructor() {
         this.previewObjectUrl = null;
         this.mobileStage = 'body';
+        this.sessionId = null;
+        this.autosaveTimer = null;
+        this.sessionThumbnailUrls = [];
+        this.aiResults = [];
+        this.placement = null;
+        this.styleFormReferences = [];
+        // Every result of the last auto background removal, so another one can be picked.
+        this.removalChoice = null;
+        // Uploads before background removal, per tattoo layer id: the mask editor restores from them.
+        this.layerSources = new Map();
+        this.maskEditor = null;
+        this.maskLayerId = null;
+        // How tattoo uploads are processed: background removal, or line art for sketches and stencils.
+        this.uploadMode = readUploadMode();
+        this.lineArtEditor = null;
+        // The upload being tuned in the line art dialog: {file, name}.
+        this.lineArtUpload = null;
+        // Aborts the job behind the loading overlay (AI call or background removal).
+        this.loadingController = null;
         this.elements = this.collectElements();
         this.canvas = new CanvasController(this.elements.mainCanvas, this.elements.canvasWrapper);
 
         this.canvas.onSelectionChange = (layer) => {
             this.elements.floatingControls.classList.toggle('visible', Boolean(layer));
+            this.syncSlidersToLayer(layer);
             this.updateControlAvailability(layer);
+            this.renderLayerPanel();
+        };
+
+        this.canvas.onLayersChange = () => {
+            this.renderLayerPanel();
+            this.updateAIPlacementState();
+            this.syncRemovalCandidates();
         };
 
+        this.canvas.onHistoryChange = () => this.updateHistoryButtons();
+        this.canvas.onStateRestored = () => this.syncWorkflowState();
+        this.canvas.onSceneChange = () => this.scheduleAutosave();
+
         this.canvas.onCropStateChange = (active, layer) => {
             this.updateCropButtons(active);
             this.updateControlAvailability(layer ?? this.canvas.getSelectedLayer());
         };
 
-        this.canvas.onTattooRemoved = () => {
+        this.canvas.onWarpStateChange = (active, layer) => {
+            this.elements.warpControls.classList.toggle('is-hidden', !active);
+            if (active) {
+                this.syncWarpSliders(layer);
+            }
+            this.updateControlAvailability(layer ?? this.canvas.getSelectedLayer());
+        };
+
+        this.canvas.onFreeTransformChange = (active, layer) => {
+            this.elements.resetPerspectiveButton.classList.toggle('is-hidden', !active);
+            this.updateControlAvailability(layer ?? this.canvas.getSelectedLayer());
+        };
+
+        this.canvas.onTattooRemoved = (layerId, remaining) => {
+            if (remaining > 0) return;
+
             this.resetTattooSection();
             this.setStepState(this.elements.stepCard2, 'active');
             this.setStepState(this.elements.stepCard3, 'locked');
@@ -42,6 +117,10 @@ class TattooTryOnApp {
             tattooUploadZone: document.getElementById('tattooUploadZone'),
             tattooImageInput: document.getElementById('tattooImageInput'),
             tattooPreview: document.getElementById('tattooPreview'),
+            uploadModeSelect: document.getElementById('uploadModeSelect'),
+            removalEngineOption: document.getElementById('removalEngineOption'),
+            removalEngineSelect: document.getElementById('removalEngineSelect'),
+            removalCandidates: document.getElementById('removalCandidates'),
 
             canvasContainer: document.getElementById('canvasContainer'),
             canvasWrapper: document.getElementById('canvasWrapper'),
@@ -50,8 +129,11 @@ class TattooTryOnApp {
 
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingText: document.getElementById('loadingText'),
+            loadingCancelButton: document.getElementById('loadingCancelButton'),
 
             floatingControls: document.getElementById('floatingControls'),
+            undoButton: document.getElementById('undoButton'),
+            redoButton: document.getElementById('redoButton'),
             opacitySlider: document.getElementById('opacitySlider'),
             opacityValue: document.getElementById('opacityValue'),
             rotationSlider: document.getElementById('rotationSlider'),
@@ -60,9 +142,30 @@ class TattooTryOnApp {
             cropToggleButton: document.getElementById('cropToggleButton'),
             cropApplyButton: document.getElementById('cropApplyButton'),
             cropCancelButton: document.getElementById('cropCancelButton'),
+            warpToggleButton: document.getElementById('warpToggleButton'),
+            freeTransformButton: document.getElementById('freeTransformButton'),
+            resetPerspectiveButton: document.getElementById('resetPerspectiveButton'),
+            maskEditButton: document.getElementById('maskEditButton'),
+
+            warpControls: document.getElementById('warpControls'),
+            cylinderWrapButton: document.getElementById('cylinderWrapButton'),
+            cylinderRadiusSlider: document.getElementById('cylinderRadiusSlider'),
+            cylinderRadiusValue: document.getElementById('cylinderRadiusValue'),
+            cylinderAxisSlider: document.getElementById('cylinderAxisSlider'),
+            cylinderAxisValue: document.getElementById('cylinderAxisValue'),
+            resetWarpButton: document.getElementById('resetWarpButton'),
+            warpDoneButton: document.getElementById('warpDoneButton'),
+
+            layerPanel: document.getElementById('layerPanel'),
+            layerList: document.getElementById('layerList'),
+            addLayerButton: document.getElementById('addLayerButton'),
 
             clearButton: document.getElementById('clearButton'),
             downloadButton: document.getElementById('downloadButton'),
+            saveProjectButton: document.getElementById('saveProjectButton'),
+            mobileSaveProjectButton: document.getElementById('mobileSaveProjectButton'),
+            openProjectButton: document.getElementById('openProjectButton'),
+            projectFileInput: document.getElementById('projectFileInput'),
 
             stepCard1: document.getElementById('stepCard1'),
             stepCard2: document.getElementById('stepCard2'),
@@ -72,6 +175,80 @@ class TattooTryOnApp {
             mobileDownloadButton: document.getElementById('mobileDownloadButton'),
             mobileClearButton: document.getElementById('mobileClearButton'),
 
+            aiPanel: document.getElementById('aiPanel'),
+            aiUnavailableNote: document.getElementById('aiUnavailableNote'),
+            aiOfflineNote: document.getElementById('aiOfflineNote'),
+            aiPromptInput: document.getElementById('aiPromptInput'),
+            aiStyleList: document.getElementById('aiStyleList'),
+            customStyleForm: document.getElementById('customStyleForm'),
+            customStyleName: document.getElementById('customStyleName'),
+            customStyleDescriptor: document.getElementById('customStyleDescriptor'),
+            customStyleImages: document.getElementById('customStyleImages'),
+            customStyleRefs: document.getElementById('customStyleRefs'),
+            customStyleCancel: document.getElementById('customStyleCancel'),
+            aiVariantCount: document.getElementById('aiVariantCount'),
+            aiSeedInput: document.getElementById('aiSeedInput'),
+            aiGenerateButton: document.getElementById('aiGenerateButton'),
+            aiError: document.getElementById('aiError'),
+            aiResults: document.getElementById('aiResults'),
+
+            aiPlaceButton: document.getElementById('aiPlaceButton'),
+            compareDialog: document.getElementById('compareDialog'),
+            buyCreditsButton: document.getElementById('buyCreditsButton'),
+            creditsDialog: document.getElementById('creditsDialog'),
+            creditsDialogBalance: document.getElementById('creditsDialogBalance'),
+            creditPackList: document.getElementById('creditPackList'),
+            creditPacksNote: document.getElementById('creditPacksNote'),
+            voucherForm: document.getElementById('voucherForm'),
+            voucherCodeInput: document.getElementById('voucherCodeInput'),
+            voucherRedeemButton: document.getElementById('voucherRedeemButton'),
+            creditsError: document.getElementById('creditsError'),
+            creditsMessage: document.getElementById('creditsMessage'),
+            creditsCloseButton: document.getElementById('creditsCloseButton'),
+            compareView: document.getElementById('compareView'),
+            compareBefore: document.getElementById('compareBefore'),
+            compareAfter: document.getElementById('compareAfter'),
+            compareSlider: document.getElementById('compareSlider'),
+            compareKeepButton: document.getElementById('compareKeepButton'),
+            compareRetryButton: document.getElementById('compareRetryButton'),
+            compareDiscardButton: document.getElementById('compareDiscardButton'),
+            maskDialog: document.getElementById('maskDialog'),
+            maskSourceNote: document.getElementById('maskSourceNote'),
+            maskCanvas: document.getElementById('maskCanvas'),
+            maskSizeControl: document.getElementById('maskSizeControl'),
+            maskSizeSlider: document.getElementById('maskSizeSlider'),
+            maskSizeValue: document.getElementById('maskSizeValue'),
+            maskHardnessControl: document.getElementById('maskHardnessControl'),
+            maskHardnessSlider: document.getElementById('maskHardnessSlider'),
+            maskHardnessValue: document.getElementById('maskHardnessValue'),
+            maskToleranceControl: document.getElementById('maskToleranceControl'),
+            maskToleranceSlider: document.getElementById('maskToleranceSlider'),
+            maskToleranceValue: document.getElementById('maskToleranceValue'),
+            maskApplyButton: document.getElementById('maskApplyButton'),
+            maskUndoButton: document.getElementById('maskUndoButton'),
+            maskResetButton: document.getElementById('maskResetButton'),
+            maskCancelButton: document.getElementById('maskCancelButton'),
+            lineArtDialog: document.getElementById('lineArtDialog'),
+            lineArtCanvas: document.getElementById('lineArtCanvas'),
+            lineArtThresholdSlider: document.getElementById('lineArtThresholdSlider'),
+            lineArtThresholdValue: document.getElementById('lineArtThresholdValue'),
+            lineArtThickenSlider: document.getElementById('lineArtThickenSlider'),
+            lineArtThickenValue: document.getElementById('lineArtThickenValue'),
+            lineArtInkInput: document.getElementById('lineArtInkInput'),
+            lineArtShadingInput: document.getElementById('lineArtShadingInput'),
+            lineArtDespeckleInput: document.getElementById('lineArtDespeckleInput'),
+            lineArtApplyButton: document.getElementById('lineArtApplyButton'),
+            lineArtPhotoButton: document.getElementById('lineArtPhotoButton'),
+            lineArtCancelButton: document.getElementById('lineArtCancelButton'),
+
+            restoreBanner: document.getElementById('restoreBanner'),
+            offlineBadge: document.getElementById('offlineBadge'),
+            restoreBannerThumb: document.getElementById('restoreBannerThumb'),
+            restoreSessionButton: document.getElementById('restoreSessionButton'),
+            dismissRestoreButton: document.getElementById('dismissRestoreButton'),
+            recentSessions: document.getElementById('recentSessions'),
+            recentSessionList: document.getElementById('recentSessionList'),
+
             themeToggle: document.getElementById('themeToggle')
         };
     }
@@ -84,10 +261,782 @@ class TattooTryOnApp {
         this.bindControls();
         this.updateCropButtons(false);
         this.updateControlAvailability(null);
+        this.updateHistoryButtons();
         this.syncResponsiveMode();
+        this.setupSessions();
+        this.setupRemovalEngines();
+        this.setupMaskEditor();
+        this.setupLineArt();
+        this.setupAIGenerator();
+        this.setupCredits();
+        this.setupOffline();
         window.addEventListener('resize', () => this.syncResponsiveMode());
     }
 
+    setupSessions() {
+        if (!sessionStore.isSupported()) return;
+
+        this.elements.recentSessionList.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-session-id]');
+            if (!item) return;
+
+            if (event.target.closest('[data-session-action="delete"]')) {
+                this.deleteSession(item.dataset.sessionId);
+            } else {
+                this.restoreSession(item.dataset.sessionId);
+            }
+        });
+
+        this.elements.restoreSessionButton.addEventListener('click', () => {
+            const { sessionId } = this.elements.restoreBanner.dataset;
+            if (sessionId) this.restoreSession(sessionId);
+        });
+        this.elements.dismissRestoreButton.addEventListener('click', () => this.hideRestoreBanner());
+
+        // Flush a pending autosave when the tab is hidden or closed.
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.autosaveTimer) {
+                clearTimeout(this.autosaveTimer);
+                this.autosave();
+            }
+        });
+
+        this.renderRecentSessions({ offerRestore: true });
+    }
+
+    setupCredits() {
+        creditsManager.onBuyRequest = () => this.openCreditsDialog();
+        this.elements.buyCreditsButton.addEventListener('click', () => this.openCreditsDialog());
+        this.elements.creditsCloseButton.addEventListener('click', () => this.elements.creditsDialog.close());
+
+        this.elements.creditPackList.addEventListener('click', (event) => {
+            const pack = event.target.closest('[data-pack]');
+            if (pack) this.buyCreditPack(pack.dataset.pack);
+        });
+
+        this.elements.voucherForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.redeemVoucher();
+        });
+
+        creditsManager.sync().then(() => this.handleCheckoutReturn());
+    }
+
+    /**
+     * Offline, manual try-on keeps working from the cached app shell; AI actions and the
+     * cloud removal engine are disabled until the connection is back.
+     */
+    setupOffline() {
+        registerServiceWorker();
+        this.updateConnectivity();
+        onConnectivityChange((online) => {
+            this.updateConnectivity();
+            if (online) {
+                // Purchases or debits elsewhere may have changed the balance meanwhile.
+                creditsManager.sync();
+            }
+        });
+    }
+
+    updateConnectivity() {
+        this.elements.offlineBadge.classList.toggle('is-hidden', isOnline());
+        this.updateAIAvailability();
+        this.updateAIPlacementState();
+        this.renderRemovalEngines();
+    }
+
+    showCreditsStatus({ error = '', message = '' } = {}) {
+        this.elements.creditsError.textContent = error;
+        this.elements.creditsError.classList.toggle('is-hidden', !error);
+        this.elements.creditsMessage.textContent = message;
+        this.elements.creditsMessage.classList.toggle('is-hidden', !message);
+    }
+
+    async openCreditsDialog() {
+        this.showCreditsStatus();
+        this.elements.voucherCodeInput.value = '';
+        this.elements.creditsDialogBalance.textContent = String(creditsManager.getCredits());
+        this.elements.creditPackList.replaceChildren();
+        this.elements.creditPacksNote.classList.add('is-hidden');
+        if (!this.elements.creditsDialog.open) {
+            this.elements.creditsDialog.showModal();
+        }
+
+        let packs = [];
+        try {
+            packs = await creditsManager.listPacks();
+        } catch (error) {
+            console.error('Loading credit packs failed:', error);
+        }
+        this.renderCreditPacks(packs);
+    }
+
+    renderCreditPacks(packs) {
+        const fragment = document.createDocumentFragment();
+
+        packs.forEach((pack) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'credit-pack';
+            button.dataset.pack = pack.id;
+
+            const label = document.createElement('strong');
+            label.textContent = pack.label;
+            const price = document.createElement('span');
+            price.textContent = new Intl.NumberFormat(undefined, {
+                style: 'currency',
+                currency: pack.currency.toUpperCase()
+            }).format(pack.amount / 100);
+
+            button.append(label, price);
+            fragment.appendChild(button);
+        });
+
+        this.elements.creditPackList.replaceChildren(fragment);
+        this.elements.creditPacksNote.classList.toggle('is-hidden', packs.length > 0);
+    }
+
+    async buyCreditPack(packId) {
+        this.showCreditsStatus();
+        this.elements.creditPackList.querySelectorAll('button').forEach((button) => {
+            button.disabled = true;
+        });
+
+        try {
+            // Save now so the mockup can be restored from recent sessions after the redirect.
+            if (sessionStore.isSupported()) {
+                clearTimeout(this.autosaveTimer);
+                await this.autosave();
+            }
+            const returnUrl = new URL(window.location.href);
+            returnUrl.search = '';
+            returnUrl.hash = '';
+            window.location.assign(await creditsManager.startCheckout(packId, returnUrl.toString()));
+        } catch (error) {
+            console.error('Checkout failed:', error);
+            this.showCreditsStatus({ error: error.message });
+            this.elements.creditPackList.querySelectorAll('button').forEach((button) => {
+                button.disabled = false;
+            });
+        }
+    }
+
+    async redeemVoucher() {
+        const code = this.elements.voucherCodeInput.value.trim();
+        if (!code) return;
+
+        this.showCreditsStatus();
+        this.elements.voucherRedeemButton.disabled = true;
+
+        try {
+            const credits = await creditsManager.redeemVoucher(code);
+            this.elements.voucherCodeInput.value = '';
+            this.elements.creditsDialogBalance.textContent = String(creditsManager.getCredits());
+            this.showCreditsStatus({ message: `${credits} credits added.` });
+        } catch (error) {
+            console.error('Voucher redemption failed:', error);
+            this.showCreditsStatus({ error: error.message });
+        } finally {
+            this.elements.voucherRedeemButton.disabled = false;
+        }
+    }
+
+    /**
+     * Back from the payment page: the webhook may land a moment after the redirect,
+     * so poll the balance briefly before telling the buyer.
+     */
+    async handleCheckoutReturn() {
+        const url = new URL(window.location.href);
+        const status = url.searchParams.get('checkout');
+        if (!status) return;
+
+        ['checkout', 'mock_session'].forEach((param) => url.searchParams.delete(param));
+        window.history.replaceState(null, '', url.toString());
+
+        if (status !== 'success') return;
+
+        const before = creditsManager.getCredits();
+        for (let attempt = 0; attempt < 5 && creditsManager.getCredits() <= before; attempt += 1) {
+            await new Promise((resolve) => setTimeout(resolve, 2000));
+            await creditsManager.sync();
+        }
+
+        await this.openCreditsDialog();
+        this.showCreditsStatus({
+            message: creditsManager.getCredits() > before
+                ? 'Payment received. Your credits have been added.'
+                : 'Payment received. Your credits will appear in a moment.'
+        });
+    }
+
+    setupAIGenerator() {
+        this.renderAIStyles();
+
+        this.elements.aiStyleList.addEventListener('click', (event) => {
+            if (event.target.closest('[data-style-action="new"]')) {
+                this.openStyleForm();
+                return;
+            }
+
+            const chip = event.target.closest('[data-style]');
+            if (!chip) return;
+
+            if (event.target.closest('[data-style-action="delete"]')) {
+                this.deleteCustomStyle(chip.dataset.style);
+                return;
+            }
+
+            aiGenerator.setStyle(chip.dataset.style);
+            this.renderAIStyles();
+        });
+
+        this.elements.customStyleForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveCustomStyle();
+        });
+        this.elements.customStyleCancel.addEventListener('click', () => this.closeStyleForm());
+        this.elements.customStyleImages.addEventListener('change', (event) => {
+            const files = Array.from(event.target.files || []);
+            event.target.value = '';
+            this.addStyleReferences(files);
+        });
+        this.elements.customStyleRefs.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-reference-index]');
+            if (!item) return;
+            this.styleFormReferences.splice(Number(item.dataset.referenceIndex), 1);
+            this.renderStyleFormReferences();
+        });
+
+        this.elements.aiPromptInput.addEventListener('input', () => this.updateAIAvailability());
+        this.elements.aiPromptInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                this.generateWithAI();
+            }
+        });
+
+        this.elements.aiGenerateButton.addEventListener('click', () => this.generateWithAI());
+
+        this.elements.aiResults.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-result-index]');
+            if (!item) return;
+
+            const result = this.aiResults[Number(item.dataset.resultIndex)];
+            if (event.target.closest('[data-result-action="similar"]')) {
+                this.generateWithAI({ reference: result });
+            } else {
+                this.useGeneratedTattoo(result);
+            }
+        });
+
+        this.elements.aiPlaceButton.addEventListener('click', () => this.placeWithAI());
+        this.elements.compareSlider.addEventListener('input', (event) => {
+            this.elements.compareView.style.setProperty('--split', `${event.target.value}%`);
+        });
+        this.elements.compareKeepButton.addEventListener('click', () => this.keepPlacement());
+        this.elements.compareRetryButton.addEventListener('click', () => {
+            this.elements.compareDialog.close();
+            this.placeWithAI({ retry: true });
+        });
+        this.elements.compareDiscardButton.addEventListener('click', () => {
+            this.placement = null;
+            this.elements.compareDialog.close();
+        });
+
+        this.updateAIAvailability();
+        this.updateAIPlacementState();
+    }
+
+    updateAIPlacementState() {
+        const available = aiGenerator.isAvailable();
+        const online = isOnline();
+        const hasTattoo = this.canvas.getTattooLayers().length > 0;
+
+        this.elements.aiPlaceButton.disabled = !available || !online || !hasTattoo || aiGenerator.isProcessing;
+        if (!available) {
+            this.elements.aiPlaceButton.title = 'AI placement is not configured (set WORKER_URL in js/config.js)';
+        } else if (!online) {
+            this.elements.aiPlaceButton.title = 'You are offline: AI placement needs a connection';
+        } else {
+            this.elements.aiPlaceButton.title = 'Let AI blend the positioned tattoo into your photo';
+        }
+    }
+
+    /**
+     * Send the cropped photo, the positioned tattoo overlay and a placement hint to the model,
+     * then open the before/after comparison.
+     * @param {{retry?: boolean}} options - Retry reuses the "before" image of the last attempt
+     */
+    async placeWithAI({ retry = false } = {}) {
+        const layers = this.canvas.getTattooLayers();
+        if (!aiGenerator.isAvailable() || !isOnline() || layers.length === 0 || aiGenerator.isProcessing) return;
+
+        const controller = new AbortController();
+        const loadingText = 'Placing tattoo with AI...';
+        this.setLoading(true, loadingText, controller);
+        this.elements.aiPlaceButton.disabled = true;
+
+        try {
+            await this.waitForNextPaint();
+
+            if (!retry || !this.placement) {
+                this.placement = {
+                    before: this.canvas.exportImage(),
+                    bodyImage: this.canvas.exportBodyCrop(),
+                    tattooImage: this.canvas.exportTattooOverlay(),
+                    prompt: aiGenerator.describePlacement(layers.map((layer) => this.canvas.getLayerPlacement(layer.id)))
+                };
+            }
+
+            const { bodyImage, tattooImage, prompt } = this.placement;
+            const result = await aiGenerator.placeTattoo(bodyImage, tattooImage, prompt, {
+                signal: controller.signal,
+                onProgress: (progress) => this.setLoadingProgress(loadingText, progress)
+            });
+            if (!result.success) {
+                console.error('AI placement failed:', result.code, result.error);
+                // Out of credits already opened the credits dialog; a cancel needs no message.
+                if (result.code !== ERROR_CODES.INSUFFICIENT_CREDITS && result.code !== ERROR_CODES.CANCELLED) {
+                    alert(`AI placement failed. ${result.error || 'Please try again.'}`);
+                }
+                this.placement = null;
+                return;
+            }
+
+            this.placement.after = result.image;
+            this.openComparison();
+        } catch (error) {
+            console.error('AI placement failed:', error);
+            alert('AI placement failed. Please try again.');
+            this.placement = null;
+        } finally {
+            this.setLoading(false);
+            this.updateAIPlacementState();
+        }
+    }
+
+    openComparison() {
+        this.elements.compareBefore.src = this.placement.before;
+        this.elements.compareAfter.src = this.placement.after;
+        this.elements.compareSlider.value = '50';
+        this.elements.compareView.style.setProperty('--split', '50%');
+        this.elements.compareDialog.showModal();
+    }
+
+    // Keeping swaps the photo for the AI composite; the previous photo and layers stay one undo away.
+    async keepPlacement() {
+        if (!this.placement || !this.placement.after) return;
+
+        try {
+            const image = await loadImageFromFile(this.placement.after);
+            this.elements.compareDialog.close();
+            this.placement = null;
+            this.forgetLayerSources();
+            this.canvas.setBodyImage(image, { historyLabel: 'AI placement' });
+            this.syncWorkflowState();
+        } catch (error) {
+            console.error('Keeping AI placement failed:', error);
+            alert('Unable to use the AI result. Please try again.');
+        }
+    }
+
+    renderAIStyles() {
+        const fragment = document.createDocumentFragment();
+
+        const available = aiGenerator.isAvailable();
+
+        aiGenerator.getStyles().forEach((style) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'ai-style-chip';
+            chip.dataset.style = style;
+            chip.setAttribute('role', 'radio');
+            chip.setAttribute('aria-checked', String(style === aiGenerator.currentStyle));
+            chip.textContent = aiGenerator.getStyleLabel(style);
+            chip.disabled = !available;
+
+            if (isCustomStyleId(style)) {
+                chip.classList.add('custom');
+                const remove = document.createElement('span');
+                remove.className = 'material-symbols-outlined';
+                remove.dataset.styleAction = 'delete';
+                remove.title = 'Delete style';
+                remove.textContent = 'close';
+                chip.appendChild(remove);
+            }
+
+            fragment.appendChild(chip);
+        });
+
+        const addChip = document.createElement('button');
+        addChip.type = 'button';
+        addChip.className = 'ai-style-chip add';
+        addChip.dataset.styleAction = 'new';
+        addChip.disabled = !available;
+        const addIcon = document.createElement('span');
+        addIcon.className = 'material-symbols-outlined';
+        addIcon.textContent = 'add';
+        addChip.append(addIcon, 'My style');
+        fragment.appendChild(addChip);
+
+        this.elements.aiStyleList.replaceChildren(fragment);
+    }
+
+    openStyleForm() {
+        this.styleFormReferences = [];
+        this.elements.customStyleForm.reset();
+        this.renderStyleFormReferences();
+        this.elements.customStyleForm.classList.remove('is-hidden');
+        this.elements.customStyleName.focus();
+    }
+
+    closeStyleForm() {
+        this.styleFormReferences = [];
+        this.elements.customStyleForm.classList.add('is-hidden');
+    }
+
+    async addStyleReferences(files) {
+        const room = MAX_STYLE_REFERENCES - this.styleFormReferences.length;
+        if (files.length > room) {
+            alert(`A style can have at most ${MAX_STYLE_REFERENCES} example images.`);
+        }
+
+        for (const file of files.slice(0, Math.max(0, room))) {
+            try {
+                this.styleFormReferences.push(await customStyleStore.createReference(file));
+            } catch (error) {
+                console.warn('Skipping unreadable example image:', error);
+            }
+        }
+        this.renderStyleFormReferences();
+    }
+
+    renderStyleFormReferences() {
+        const fragment = document.createDocumentFragment();
+
+        this.styleFormReferences.forEach((reference, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'style-form-ref';
+            item.dataset.referenceIndex = String(index);
+            item.title = 'Remove example';
+
+            const image = document.createElement('img');
+            image.src = reference;
+            image.alt = `Example ${index + 1}`;
+            item.appendChild(image);
+            fragment.appendChild(item);
+        });
+
+        this.elements.customStyleRefs.replaceChildren(fragment);
+    }
+
+    saveCustomStyle() {
+        try {
+            const style = customStyleStore.add({
+                name: this.elements.customStyleName.value,
+                descriptor: this.elements.customStyleDescriptor.value,
+                references: this.styleFormReferences
+            });
+            aiGenerator.setStyle(style.id);
+            this.closeStyleForm();
+            this.renderAIStyles();
+        } catch (error) {
+            console.error('Saving custom style failed:', error);
+            alert(error.message);
+        }
+    }
+
+    deleteCustomStyle(styleId) {
+        const style = customStyleStore.get(styleId);
+        if (!style || !confirm(`Delete the style "${style.name}"?`)) return;
+
+        try {
+            customStyleStore.remove(styleId);
+        } catch (error) {
+            console.error('Deleting custom style failed:', error);
+            alert(error.message);
+            return;
+        }
+
+        if (aiGenerator.currentStyle === styleId) {
+            aiGenerator.setStyle(DEFAULT_STYLE);
+        }
+        this.renderAIStyles();
+    }
+
+    updateAIAvailability() {
+        const available = aiGenerator.isAvailable();
+        const online = isOnline();
+        const hasPrompt = this.elements.aiPromptInput.value.trim().length > 0;
+
+        this.elements.aiUnavailableNote.classList.toggle('is-hidden', available);
+        // Offline, the prompt can still be written; only sending it waits for the connection.
+        this.elements.aiOfflineNote.classList.toggle('is-hidden', !available || online);
+        this.elements.aiPromptInput.disabled = !available;
+        this.elements.aiVariantCount.disabled = !available;
+        this.elements.aiSeedInput.disabled = !available;
+        this.elements.aiGenerateButton.disabled = !available || !online || !hasPrompt || aiGenerator.isProcessing;
+    }
+
+    getAISeed() {
+        const value = this.elements.aiSeedInput.value.trim();
+        if (!value) return null;
+        const seed = Number(value);
+        return Number.isInteger(seed) && seed >= 0 ? seed : null;
+    }
+
+    showAIError(message) {
+        this.elements.aiError.textContent = message || '';
+        this.elements.aiError.classList.toggle('is-hidden', !message);
+    }
+
+    /**
+     * Generate variants from the prompt field, or "more like this" from an earlier result.
+     * @param {{reference?: {image: string, prompt: string}}} options
+     */
+    async generateWithAI({ reference = null } = {}) {
+        const prompt = reference ? reference.prompt : this.elements.aiPromptInput.value.trim();
+        if (!prompt || !aiGenerator.isAvailable() || !isOnline() || aiGenerator.isProcessing) return;
+
+        const count = clampVariants(this.elements.aiVariantCount.value);
+        const controller = new AbortController();
+        const loadingText = reference ? 'Generating similar designs...' : `Generating ${count > 1 ? `${count} designs` : 'design'}...`;
+        const options = {
+            count,
+            seed: this.getAISeed(),
+            signal: controller.signal,
+            onProgress: (progress) => this.setLoadingProgress(loadingText, progress)
+        };
+
+        this.showAIError('');
+        this.setLoading(true, loadingText, controller);
+        this.elements.aiGenerateButton.disabled = true;
+
+        try {
+            const result = reference
+                ? await aiGenerator.generateSimilar(prompt, reference.image, options)
+                : await aiGenerator.generateTattoo(prompt, options);
+            if (!result.success) {
+                console.error('AI generation failed:', result.code, result.error);
+                if (result.code !== ERROR_CODES.CANCELLED) {
+                    this.showAIError(result.error || 'Generation failed. Please try again.');
+                }
+                return;
+            }
+
+            if (result.images.length < count) {
+                this.showAIError(`Only ${result.images.length} of ${count} variants came back; you were not charged for the rest.`);
+            }
+
+            this.addAIResults(result.images.map((image, index) => ({
+                image,
+                prompt,
+                style: aiGenerator.currentStyle,
+                seed: result.seeds[index]
+            })));
+        } catch (error) {
+            console.error('AI generation failed:', error);
+            this.showAIError(error.message || 'Generation failed. Please try again.');
+        } finally {
+            this.setLoading(false);
+            this.updateAIAvailability();
+        }
+    }
+
+    addAIResults(results) {
+        this.aiResults = [...results, ...this.aiResults].slice(0, MAX_AI_RESULTS);
+        this.renderAIResults();
+    }
+
+    renderAIResults() {
+        const fragment = document.createDocumentFragment();
+
+        this.aiResults.forEach((result, index) => {
+            const item = document.createElement('div');
+            item.className = 'ai-result';
+            item.dataset.resultIndex = String(index);
+
+            const useButton = document.createElement('button');
+            useButton.type = 'button';
+            useButton.className = 'ai-result-use';
+            useButton.title = result.seed === null || result.seed === undefined
+                ? `Use "${result.prompt}" (${result.style})`
+                : `Use "${result.prompt}" (${result.style}, seed ${result.seed})`;
+
+            const image = document.createElement('img');
+            image.src = result.image;
+            image.alt = result.prompt;
+            useButton.appendChild(image);
+
+            const similarButton = document.createElement('button');
+            similarButton.type = 'button';
+            similarButton.className = 'icon-btn-small ai-result-similar';
+            similarButton.dataset.resultAction = 'similar';
+            similarButton.title = 'More like this';
+            similarButton.setAttribute('aria-label', 'More like this');
+            const icon = document.createElement('span');
+            icon.className = 'material-symbols-outlined';
+            icon.textContent = 'auto_awesome_motion';
+            similarButton.appendChild(icon);
+
+            item.append(useButton, similarButton);
+            fragment.appendChild(item);
+        });
+
+        this.elements.aiResults.replaceChildren(fragment);
+    }
+
+    async useGeneratedTattoo(result) {
+        if (!result) return;
+
+        try {
+            const blob = await fetch(result.image).then((res) => res.blob());
+            const name = result.prompt.length > 28 ? `${result.prompt.slice(0, 27).trim()}…` : result.prompt;
+            await this.handleTattooUpload(blob, name);
+        } catch (error) {
+            console.error('Using generated design failed:', error);
+            this.showAIError('Unable to use this design. Please try another one.');
+        }
+    }
+
+    scheduleAutosave() {
+        if (!sessionStore.isSupported()) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY);
+    }
+
+    async autosave() {
+        this.autosaveTimer = null;
+
+        // An empty canvas ends the session; the next photo starts a fresh one.
+        if (!this.canvas.hasContent()) {
+            this.sessionId = null;
+            return;
+        }
+
+        if (!this.sessionId) {
+            this.sessionId = sessionStore.createSessionId();
+        }
+
+        try {
+            await sessionStore.save(this.sessionId, this.canvas.exportScene(), this.canvas.exportThumbnail());
+            await this.renderRecentSessions();
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    }
+
+    async renderRecentSessions({ offerRestore = false } = {}) {
+        let sessions = [];
+        try {
+            sessions = await sessionStore.list();
+        } catch (error) {
+            console.warn('Unable to read saved sessions:', error);
+        }
+
+        this.sessionThumbnailUrls.forEach((url) => URL.revokeObjectURL(url));
+        this.sessionThumbnailUrls = [];
+
+        const list = this.elements.recentSessionList;
+        list.replaceChildren();
+        this.elements.recentSessions.classList.toggle('is-hidden', sessions.length === 0);
+
+        for (const session of sessions) {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+            item.classList.toggle('current', session.id === this.sessionId);
+            item.dataset.sessionId = session.id;
+            item.title = 'Restore this session';
+
+            const thumb = document.createElement('img');
+            thumb.className = 'session-thumb';
+            thumb.alt = '';
+            thumb.src = this.getSessionThumbnailUrl(session);
+
+            const info = document.createElement('span');
+            info.className = 'session-info';
+            const date = document.createElement('strong');
+            date.textContent = this.formatSessionDate(session.updatedAt);
+            const detail = document.createElement('span');
+            detail.textContent = session.layerCount === 1 ? '1 tattoo' : `${session.layerCount} tattoos`;
+            info.append(date, detail);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'icon-btn-small';
+            remove.title = 'Delete session';
+            remove.dataset.sessionAction = 'delete';
+            const glyph = document.createElement('span');
+            glyph.className = 'material-symbols-outlined';
+            glyph.textContent = 'delete';
+            remove.appendChild(glyph);
+
+            item.append(thumb, info, remove);
+            list.appendChild(item);
+        }
+
+        const [latest] = sessions;
+        if (offerRestore && latest && !this.canvas.hasContent()) {
+            this.elements.restoreBanner.dataset.sessionId = latest.id;
+            this.elements.restoreBannerThumb.src = this.getSessionThumbnailUrl(latest);
+            this.elements.restoreBanner.classList.add('visible');
+        }
+    }
+
+    getSessionThumbnailUrl(session) {
+        if (!session.thumbnail) return '';
+        const url = URL.createObjectURL(session.thumbnail);
+        this.sessionThumbnailUrls.push(url);
+        return url;
+    }
+
+    formatSessionDate(timestamp) {
+        return new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    hideRestoreBanner() {
+        this.elements.restoreBanner.classList.remove('visible');
+        delete this.elements.restoreBanner.dataset.sessionId;
+    }
+
+    async restoreSession(sessionId) {
+        this.hideRestoreBanner();
+        this.setLoading(true, 'Restoring session...');
+
+        try {
+            const scene = await sessionStore.load(sessionId);
+            this.sessionId = sessionId;
+            this.setCanvasReady(true);
+            this.forgetLayerSources();
+            this.canvas.loadScene(scene);
+            this.setMobileStage(scene.layers.length > 0 ? 'editor' : 'tattoo');
+        } catch (error) {
+            console.error('Session restore failed:', error);
+            alert('Unable to restore this session.');
+        } finally {
+            this.setLoading(false);
+            this.renderRecentSessions();
+        }
+    }
+
+    async deleteSession(sessionId) {
+        try {
+            await sessionStore.remove(sessionId);
+        } catch (error) {
+            console.warn('Unable to delete session:', error);
+        }
+
+        if (sessionId === this.sessionId) {
+            this.sessionId = null;
+        }
+        if (this.elements.restoreBanner.dataset.sessionId === sessionId) {
+            this.hideRestoreBanner();
+        }
+        this.renderRecentSessions();
+    }
+
     bindUploadZone(zone, input, onFile) {
         zone.addEventListener('click', () => input.click());
 
@@ -113,12 +1062,24 @@ class TattooTryOnApp {
     }
 
     bindActions() {
+        this.elements.loadingCancelButton.addEventListener('click', () => this.cancelLoading());
+
         this.elements.clearButton.addEventListener('click', () => this.resetAll());
         this.elements.mobileClearButton.addEventListener('click', () => this.resetAll());
 
         this.elements.downloadButton.addEventListener('click', () => this.downloadResult());
         this.elements.mobileDownloadButton.addEventListener('click', () => this.downloadResult());
 
+        this.elements.saveProjectButton.addEventListener('click', () => this.saveProject());
+        this.elements.mobileSaveProjectButton.addEventListener('click', () => this.saveProject());
+
+        this.elements.openProjectButton.addEventListener('click', () => this.elements.projectFileInput.click());
+        this.elements.projectFileInput.addEventListener('change', (event) => {
+            const [file] = event.target.files || [];
+            event.target.value = '';
+            if (file) this.openProject(file);
+        });
+
         this.elements.bodyContinueButton.addEventListener('click', () => {
             if (!this.canvas.hasContent()) return;
             this.setMobileStage('tattoo');
@@ -131,6 +1092,9 @@ class TattooTryOnApp {
     }
 
     bindControls() {
+        this.elements.undoButton.addEventListener('click', () => this.canvas.undo());
+        this.elements.redoButton.addEventListener('click', () => this.canvas.redo());
+
         this.elements.opacitySlider.addEventListener('input', (event) => {
             const value = Number(event.target.value);
             this.elements.opacityValue.textContent = `${value}%`;
@@ -145,8 +1109,7 @@ class TattooTryOnApp {
 
         this.elements.resetControlsButton.addEventListener('click', () => {
             this.resetSliders();
-            this.canvas.setOpacity(100);
-            this.canvas.setRotation(0);
+            this.canvas.resetTattooAdjustments();
         });
 
         this.elements.cropToggleButton.addEventListener('click', () => {
@@ -160,6 +1123,138 @@ class TattooTryOnApp {
         this.elements.cropCancelButton.addEventListener('click', () => {
             this.canvas.cancelCrop();
         });
+
+        this.elements.warpToggleButton.addEventListener('click', () => {
+            if (this.canvas.isWarping()) {
+                this.canvas.endWarp();
+            } else {
+                this.canvas.beginWarp(this.canvas.getSelectedLayer());
+            }
+        });
+
+        this.elements.freeTransformButton.addEventListener('click', () => {
+            if (this.canvas.isFreeTransforming()) {
+                this.canvas.endFreeTransform();
+            } else {
+                this.canvas.beginFreeTransform(this.canvas.getSelectedLayer());
+            }
+        });
+
+        this.elements.resetPerspectiveButton.addEventListener('click', () => {
+            this.canvas.resetPerspective(this.canvas.getSelectedLayer());
+        });
+
+        const applyCylinder = () => {
+            const radius = Number(this.elements.cylinderRadiusSlider.value);
+            const axis = Number(this.elements.cylinderAxisSlider.value);
+            this.elements.cylinderRadiusValue.textContent = `${radius}%`;
+            this.elements.cylinderAxisValue.textContent = `${axis}°`;
+            this.canvas.applyCylinderWrap(this.canvas.getSelectedLayer(), { radius: radius / 100, axis });
+        };
+
+        this.elements.cylinderWrapButton.addEventListener('click', applyCylinder);
+        this.elements.cylinderRadiusSlider.addEventListener('input', applyCylinder);
+        this.elements.cylinderAxisSlider.addEventListener('input', applyCylinder);
+
+        this.elements.resetWarpButton.addEventListener('click', () => {
+            this.canvas.resetWarp(this.canvas.getSelectedLayer());
+        });
+
+        this.elements.warpDoneButton.addEventListener('click', () => {
+            this.canvas.endWarp();
+        });
+
+        this.elements.addLayerButton.addEventListener('click', () => {
+            this.elements.tattooImageInput.click();
+        });
+
+        this.elements.layerList.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-layer-id]');
+            if (!item) return;
+
+            const layerId = item.dataset.layerId;
+            const actionButton = event.target.closest('[data-layer-action]');
+            const action = actionButton ? actionButton.dataset.layerAction : 'select';
+
+            if (action === 'forward') {
+                this.canvas.moveLayer(layerId, 1);
+            } else if (action === 'backward') {
+                this.canvas.moveLayer(layerId, -1);
+            } else if (action === 'remove') {
+                this.canvas.removeLayer(layerId);
+            } else {
+                this.canvas.selectLayer(layerId);
+            }
+        });
+    }
+
+    renderLayerPanel() {
+        const list = this.elements.layerList;
+        const layers = this.canvas.getTattooLayers();
+        const selected = this.canvas.getSelectedLayer();
+
+        list.replaceChildren();
+        this.elements.layerPanel.classList.toggle('visible', this.canvas.hasContent());
+        if (!this.canvas.hasContent()) return;
+
+        // Top of the stack is listed first, the body photo always sits at the bottom.
+        [...layers].reverse().forEach((layer) => {
+            list.appendChild(this.createLayerItem(layer.id, layer.name, layer.image.src, layer.id === selected, [
+                { action: 'forward', icon: 'arrow_upward', title: 'Bring forward', disabled: layer.index === layers.length - 1 },
+                { action: 'backward', icon: 'arrow_downward', title: 'Send backward', disabled: layer.index === 0 },
+                { action: 'remove', icon: 'delete', title: 'Remove layer', disabled: false }
+            ]));
+        });
+
+        list.appendChild(this.createLayerItem('body', 'Photo', this.elements.bodyPreview.src, selected === 'body', []));
+    }
+
+    createLayerItem(layerId, name, thumbnailSrc, selected, actions) {
+        const item = document.createElement('li');
+        item.className = 'layer-item';
+        item.classList.toggle('selected', selected);
+        item.dataset.layerId = layerId;
+
+        const thumb = document.createElement('img');
+        thumb.className = 'layer-thumb';
+        thumb.alt = '';
+        thumb.src = thumbnailSrc;
+
+        const label = document.createElement('span');
+        label.className = 'layer-name';
+        label.textContent = name;
+
+        item.append(thumb, label);
+
+        for (const { action, icon, title, disabled } of actions) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'icon-btn-small';
+            button.title = title;
+            button.disabled = disabled;
+            button.dataset.layerAction = action;
+
+            const glyph = document.createElement('span');
+            glyph.className = 'material-symbols-outlined';
+            glyph.textContent = icon;
+            button.appendChild(glyph);
+
+            item.appendChild(button);
+        }
+
+        return item;
+    }
+
+    syncSlidersToLayer(layerId) {
+        const layer = this.canvas.getTattooLayer(layerId);
+        if (!layer) return;
+
+        const opacity = Math.round(layer.opacity * 100);
+        const rotation = Math.round((layer.rotation * 180) / Math.PI);
+        this.elements.opacitySlider.value = String(opacity);
+        this.elements.rotationSlider.value = String(rotation);
+        this.elements.opacityValue.textContent = `${opacity}%`;
+        this.elements.rotationValue.textContent = `${rotation}°`;
     }
 
     setupTheme() {
@@ -227,20 +1322,74 @@ class TattooTryOnApp {
         this.setMobileStage('body');
     }
 
-    setLoading(visible, text = 'Processing...') {
+    /**
+     * Show or hide the loading overlay.
+     * @param {boolean} visible
+     * @param {string} text
+     * @param {AbortController|null} controller - Shows a Cancel button that aborts it
+     */
+    setLoading(visible, text = 'Processing...', controller = null) {
+        this.loadingController = visible ? controller : null;
         this.elements.loadingText.textContent = text;
+        this.elements.loadingCancelButton.classList.toggle('is-hidden', !this.loadingController);
+        this.elements.loadingCancelButton.disabled = false;
         this.elements.loadingOverlay.classList.toggle('visible', visible);
     }
 
+    /**
+     * Append a percentage to the loading text, unless the job is already being cancelled.
+     */
+    setLoadingProgress(text, progress) {
+        if (this.loadingController?.signal.aborted) return;
+        this.elements.loadingText.textContent = `${text} ${Math.round(progress)}%`;
+    }
+
+    cancelLoading() {
+        if (!this.loadingController) return;
+        this.loadingController.abort();
+        this.elements.loadingText.textContent = 'Cancelling...';
+        this.elements.loadingCancelButton.disabled = true;
+    }
+
     updateControlAvailability(layer) {
         const selectedLayer = layer ?? this.canvas.getSelectedLayer();
-        const isTattoo = selectedLayer === 'tattoo';
+        const isTattoo = this.canvas.isTattooLayer(selectedLayer);
         const isCropping = this.canvas.isCropping();
+        const isWarping = this.canvas.isWarping();
+        const isFreeTransforming = this.canvas.isFreeTransforming();
+        const isEditing = isCropping || isWarping || isFreeTransforming;
+
+        this.elements.opacitySlider.disabled = !isTattoo || isEditing;
+        this.elements.rotationSlider.disabled = !isTattoo || isEditing;
+        this.elements.resetControlsButton.disabled = !isTattoo || isEditing;
+        this.elements.cropToggleButton.disabled = !selectedLayer || isEditing;
+        this.elements.warpToggleButton.disabled = !isTattoo || isCropping || isFreeTransforming;
+        this.elements.warpToggleButton.classList.toggle('active', isWarping);
+        this.elements.freeTransformButton.disabled = !isTattoo || isCropping || isWarping;
+        this.elements.freeTransformButton.classList.toggle('active', isFreeTransforming);
+        this.elements.maskEditButton.disabled = !isTattoo || isEditing;
+    }
+
+    syncWarpSliders(layerId) {
+        const layer = this.canvas.getTattooLayer(layerId);
+        const cylinder = layer && layer.warp ? layer.warp.cylinder : null;
+        const radius = cylinder ? Math.round(cylinder.radius * 100) : 120;
+        const axis = cylinder ? Math.round(cylinder.axis) : 0;
+
+        this.elements.cylinderRadiusSlider.value = radius;
+        this.elements.cylinderRadiusValue.textContent = `${radius}%`;
+        this.elements.cylinderAxisSlider.value = axis;
+        this.elements.cylinderAxisValue.textContent = `${axis}°`;
+    }
+
+    updateHistoryButtons() {
+        const undoLabel = this.canvas.history.getUndoLabel();
+        const redoLabel = this.canvas.history.getRedoLabel();
 
-        this.elements.opacitySlider.disabled = !isTattoo || isCropping;
-        this.elements.rotationSlider.disabled = !isTattoo || isCropping;
-        this.elements.resetControlsButton.disabled = !isTattoo || isCropping;
-        this.elements.cropToggleButton.disabled = !selectedLayer || isCropping;
+        this.elements.undoButton.disabled = !this.canvas.canUndo();
+        this.elements.redoButton.disabled = !this.canvas.canRedo();
+        this.elements.undoButton.title = undoLabel ? `Undo ${undoLabel.toLowerCase()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.elements.redoButton.title = redoLabel ? `Redo ${redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
     }
 
     updateCropButtons(active) {
@@ -278,6 +1427,8 @@ class TattooTryOnApp {
         const disabled = !this.canvas.hasContent();
         this.elements.downloadButton.disabled = disabled;
         this.elements.mobileDownloadButton.disabled = disabled;
+        this.elements.saveProjectButton.disabled = disabled;
+        this.elements.mobileSaveProjectButton.disabled = disabled;
     }
 
     waitForNextPaint() {
@@ -302,6 +1453,48 @@ class TattooTryOnApp {
         }
     }
 
+    async saveProject() {
+        if (!this.canvas.hasContent()) return;
+
+        this.setLoading(true, 'Saving project...');
+
+        try {
+            await this.waitForNextPaint();
+            const project = serializeProject(this.canvas.exportScene());
+            const url = URL.createObjectURL(createProjectBlob(project));
+            const link = document.createElement('a');
+            link.download = `tattoo-project${PROJECT_EXTENSION}`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        } catch (error) {
+            console.error('Project save failed:', error);
+            alert('Unable to save this project. Please try again.');
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async openProject(file) {
+        this.setLoading(true, 'Opening project...');
+
+        try {
+            const project = await readProjectFile(file);
+            const scene = await deserializeProject(project);
+            this.hideRestoreBanner();
+            this.sessionId = null;
+            this.setCanvasReady(true);
+            this.forgetLayerSources();
+            this.canvas.loadScene(scene);
+            this.setMobileStage(scene.layers.length > 0 ? 'editor' : 'tattoo');
+        } catch (error) {
+            console.error('Project open failed:', error);
+            alert(`Unable to open this project: ${error.message}`);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
     async handleBodyUpload(file) {
         try {
             const image = await loadImageFromFile(file);
@@ -309,6 +1502,8 @@ class TattooTryOnApp {
             this.elements.bodyPreview.src = image.src;
             this.elements.bodyUploadZone.classList.add('has-image');
 
+            this.hideRestoreBanner();
+            this.forgetLayerSources();
             this.canvas.setBodyImage(image);
             this.setCanvasReady(true);
             this.elements.bodyContinueButton.disabled = false;
@@ -330,58 +1525,452 @@ class TattooTryOnApp {
         }
     }
 
-    async handleTattooUpload(file) {
+    async handleTattooUpload(file, name = this.getLayerName(file), { mode = this.uploadMode } = {}) {
         if (!this.canvas.hasContent()) {
             alert('Please upload your photo first.');
             return;
         }
 
-        this.setLoading(true, 'Removing background... 0%');
+        if (mode === UPLOAD_MODES.LINE_ART) {
+            await this.openLineArt(file, name);
+            return;
+        }
 
-        try {
-            const cleanedBlob = await removeImageBackground(file, (progress) => {
-                this.elements.loadingText.textContent = `Removing background... ${Math.round(progress)}%`;
-            });
+        const controller = new AbortController();
+        this.setLoading(true, 'Removing background... 0%', controller);
 
-            const image = await loadImageFromFile(cleanedBlob);
-            this.resetTattooSection();
-            this.previewObjectUrl = URL.createObjectURL(cleanedBlob);
-            this.elements.tattooPreview.src = this.previewObjectUrl;
-            this.elements.tattooUploadZone.classList.add('has-image');
-            this.canvas.setTattooImage(image);
-            this.elements.tattooContinueButton.disabled = false;
+        try {
+            const removal = await runBackgroundRemoval(file, (progress) => {
+                this.setLoadingProgress('Removing background...', progress);
+            }, { signal: controller.signal, engine: removalEngines.getPreference() });
 
-            this.setStepState(this.elements.stepCard2, 'completed');
-            this.setStepState(this.elements.stepCard3, 'active');
-            this.updateDownloadState();
-            this.updateControlAvailability(this.canvas.getSelectedLayer());
-            if (!this.isMobileViewport()) {
-                this.setMobileStage('editor');
-            }
+            const image = await loadImageFromFile(removal.blob);
+            const layerId = this.placeUploadedTattoo(image, file, name, removal.blob);
+            this.showRemovalCandidates(layerId, removal, image);
         } catch (error) {
+            // Cancelled: leave the tattoo step as it was.
+            if (isAbortError(error)) return;
             console.warn('Background removal failed, using original image:', error);
 
             const image = await loadImageFromFile(file);
-            this.resetTattooSection();
-            this.elements.tattooPreview.src = image.src;
-            this.elements.tattooUploadZone.classList.add('has-image');
-            this.canvas.setTattooImage(image);
-            this.elements.tattooContinueButton.disabled = false;
+            this.clearRemovalCandidates();
+            this.placeUploadedTattoo(image, file, name, image.src);
+        } finally {
+            this.setLoading(false);
+        }
+    }
 
-            this.setStepState(this.elements.stepCard2, 'completed');
-            this.setStepState(this.elements.stepCard3, 'active');
-            this.updateDownloadState();
-            this.updateControlAvailability(this.canvas.getSelectedLayer());
-            if (!this.isMobileViewport()) {
-                this.setMobileStage('editor');
+    /**
+     * Add a processed upload as a new tattoo layer and move on to the adjust step.
+     * @param {HTMLImageElement} image - Layer image
+     * @param {File|Blob} source - Kept for the mask editor to restore from
+     * @param {string} name - Layer name
+     * @param {Blob|string} preview - Shown in the upload zone
+     * @returns {string|null} The new layer's id
+     */
+    placeUploadedTattoo(image, source, name, preview) {
+        this.resetTattooSection();
+        if (preview instanceof Blob) {
+            this.previewObjectUrl = URL.createObjectURL(preview);
+            this.elements.tattooPreview.src = this.previewObjectUrl;
+        } else {
+            this.elements.tattooPreview.src = preview;
+        }
+        this.elements.tattooUploadZone.classList.add('has-image');
+        const layerId = this.canvas.setTattooImage(image, { name });
+        this.layerSources.set(layerId, source);
+        this.elements.tattooContinueButton.disabled = false;
+
+        this.setStepState(this.elements.stepCard2, 'completed');
+        this.setStepState(this.elements.stepCard3, 'active');
+        this.updateDownloadState();
+        this.updateControlAvailability(this.canvas.getSelectedLayer());
+        if (!this.isMobileViewport()) {
+            this.setMobileStage('editor');
+        }
+        return layerId;
+    }
+
+    setupLineArt() {
+        const { elements } = this;
+        this.lineArtEditor = new LineArtEditor(elements.lineArtCanvas);
+
+        elements.uploadModeSelect.value = this.uploadMode;
+        elements.removalEngineOption.classList.toggle('is-hidden', this.uploadMode === UPLOAD_MODES.LINE_ART);
+        elements.uploadModeSelect.addEventListener('change', (event) => {
+            this.uploadMode = event.target.value;
+            try {
+                localStorage.setItem(UPLOAD_MODE_KEY, this.uploadMode);
+            } catch (error) {
+                // Storage blocked: the choice lasts for this session only.
             }
+            elements.removalEngineOption.classList.toggle('is-hidden', this.uploadMode === UPLOAD_MODES.LINE_ART);
+        });
+
+        elements.lineArtThresholdSlider.addEventListener('input', (event) => {
+            this.lineArtEditor.setOptions({ threshold: Number(event.target.value) });
+            elements.lineArtThresholdValue.textContent = event.target.value;
+        });
+        elements.lineArtThickenSlider.addEventListener('input', (event) => {
+            this.lineArtEditor.setOptions({ thicken: Number(event.target.value) });
+            elements.lineArtThickenValue.textContent = `${event.target.value}px`;
+        });
+        elements.lineArtInkInput.addEventListener('input', (event) => {
+            this.lineArtEditor.setOptions({ inkColor: event.target.value });
+        });
+        elements.lineArtShadingInput.addEventListener('change', (event) => {
+            this.lineArtEditor.setOptions({ removeShading: event.target.checked });
+        });
+        elements.lineArtDespeckleInput.addEventListener('change', (event) => {
+            this.lineArtEditor.setOptions({ despeckle: event.target.checked ? LINE_ART_DEFAULTS.despeckle : 0 });
+        });
+
+        elements.lineArtApplyButton.addEventListener('click', () => this.applyLineArt());
+        elements.lineArtPhotoButton.addEventListener('click', () => {
+            const upload = this.lineArtUpload;
+            elements.lineArtDialog.close();
+            if (upload) {
+                this.handleTattooUpload(upload.file, upload.name, { mode: UPLOAD_MODES.PHOTO });
+            }
+        });
+        elements.lineArtCancelButton.addEventListener('click', () => elements.lineArtDialog.close());
+        // Escape, Cancel and Apply all end up here.
+        elements.lineArtDialog.addEventListener('close', () => {
+            this.lineArtEditor.release();
+            this.lineArtUpload = null;
+            // Picking the same file again should open it again.
+            elements.tattooImageInput.value = '';
+        });
+    }
+
+    async openLineArt(file, name) {
+        try {
+            const image = await loadImageFromFile(file);
+            this.lineArtUpload = { file, name };
+            this.elements.lineArtDialog.showModal();
+            this.lineArtEditor.load(image);
+        } catch (error) {
+            console.error('Opening line art failed:', error);
+            alert('Unable to load this image. Please try a different file.');
+        }
+    }
+
+    async applyLineArt() {
+        const upload = this.lineArtUpload;
+        if (!upload) return;
+
+        this.setLoading(true, 'Extracting line art...');
+        try {
+            await this.waitForNextPaint();
+            const blob = await this.lineArtEditor.toBlob();
+            const image = await loadImageFromFile(blob);
+            this.elements.lineArtDialog.close();
+            this.clearRemovalCandidates();
+            // The mask editor restores from the line art: the photo would bring back paper colours.
+            this.placeUploadedTattoo(image, blob, upload.name, blob);
+        } catch (error) {
+            console.error('Line art extraction failed:', error);
+            alert('Unable to convert this drawing. Please try again.');
         } finally {
             this.setLoading(false);
         }
     }
 
+    setupRemovalEngines() {
+        this.renderRemovalEngines();
+        // Engines registered later (add-ons) show up in the picker too.
+        removalEngines.onChange = () => this.renderRemovalEngines();
+
+        this.elements.removalEngineSelect.addEventListener('change', (event) => {
+            removalEngines.setPreference(event.target.value);
+        });
+
+        this.elements.removalCandidates.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-engine-id]');
+            if (item) {
+                this.chooseRemovalCandidate(item.dataset.engineId);
+            }
+        });
+    }
+
+    renderRemovalEngines() {
+        const fragment = document.createDocumentFragment();
+        const auto = document.createElement('option');
+        auto.value = AUTO_ENGINE;
+        auto.textContent = 'Auto (compare all)';
+        fragment.appendChild(auto);
+
+        removalEngines.list({ availableOnly: true }).forEach((engine) => {
+            const option = document.createElement('option');
+            option.value = engine.id;
+            option.textContent = engine.label;
+            if (engine.description) {
+                option.title = engine.description;
+            }
+            fragment.appendChild(option);
+        });
+
+        this.elements.removalEngineSelect.replaceChildren(fragment);
+        this.elements.removalEngineSelect.value = removalEngines.getPreference();
+    }
+
+    // Auto mode ran several engines: show them side by side with the heuristic's pick selected.
+    showRemovalCandidates(layerId, removal, image) {
+        this.clearRemovalCandidates();
+        if (!layerId || removal.candidates.length < 2) return;
+
+        this.removalChoice = {
+            layerId,
+            picked: removal.engineId,
+            selected: removal.engineId,
+            candidates: removal.candidates.map((candidate) => ({
+                ...candidate,
+                url: URL.createObjectURL(candidate.blob),
+                // Loaded when first chosen; matched against the layer after undo/redo.
+                image: candidate.engineId === removal.engineId ? image : null
+            }))
+        };
+        this.renderRemovalCandidates();
+    }
+
+    renderRemovalCandidates() {
+        const choice = this.removalChoice;
+        const fragment = document.createDocumentFragment();
+
+        choice.candidates.forEach((candidate) => {
+            const selected = candidate.engineId === choice.selected;
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'removal-candidate';
+            item.classList.toggle('is-selected', selected);
+            item.dataset.engineId = candidate.engineId;
+            item.setAttribute('aria-pressed', String(selected));
+            item.title = `Use the ${candidate.label} result`;
+
+            const image = document.createElement('img');
+            image.src = candidate.url;
+            image.alt = candidate.label;
+
+            const label = document.createElement('span');
+            label.className = 'removal-candidate-label';
+            label.textContent = candidate.engineId === choice.picked ? `${candidate.label} · best` : candidate.label;
+
+            item.append(image, label);
+            fragment.appendChild(item);
+        });
+
+        this.elements.removalCandidates.replaceChildren(fragment);
+        this.elements.removalCandidates.classList.remove('is-hidden');
+    }
+
+    async chooseRemovalCandidate(engineId) {
+        const choice = this.removalChoice;
+        const candidate = choice?.candidates.find((entry) => entry.engineId === engineId);
+        if (!candidate || engineId === choice.selected) return;
+
+        try {
+            candidate.image = candidate.image || await loadImageFromFile(candidate.blob);
+            if (this.removalChoice !== choice) return;
+
+            // onLayersChange then marks the candidate as selected.
+            this.canvas.setTattooImage(candidate.image, {
+                layerId: choice.layerId,
+                historyLabel: 'Change background removal'
+            });
+            this.elements.tattooPreview.src = candidate.image.src;
+        } catch (error) {
+            console.error('Switching background removal result failed:', error);
+            alert('Unable to use this result. Please try another one.');
+        }
+    }
+
+    // Follows the layer through undo/redo; the choice goes away with the layer.
+    syncRemovalCandidates() {
+        const choice = this.removalChoice;
+        if (!choice) return;
+
+        const layer = this.canvas.getTattooLayer(choice.layerId);
+        if (!layer) {
+            this.clearRemovalCandidates();
+            return;
+        }
+
+        const current = choice.candidates.find((candidate) => candidate.image && candidate.image === layer.image);
+        if (current && current.engineId !== choice.selected) {
+            choice.selected = current.engineId;
+            this.renderRemovalCandidates();
+        }
+    }
+
+    clearRemovalCandidates() {
+        if (this.removalChoice) {
+            this.removalChoice.candidates.forEach((candidate) => URL.revokeObjectURL(candidate.url));
+            this.removalChoice = null;
+        }
+        this.elements.removalCandidates.replaceChildren();
+        this.elements.removalCandidates.classList.add('is-hidden');
+    }
+
+    setupMaskEditor() {
+        const { elements } = this;
+        this.maskEditor = new MaskEditor(elements.maskCanvas);
+        this.maskEditor.onChange = ({ canUndo }) => {
+            elements.maskUndoButton.disabled = !canUndo;
+        };
+
+        elements.maskEditButton.addEventListener('click', () => this.openMaskEditor());
+
+        elements.maskDialog.addEventListener('click', (event) => {
+            const modeButton = event.target.closest('[data-mask-mode]');
+            const toolButton = event.target.closest('[data-mask-tool]');
+            if (modeButton) {
+                this.maskEditor.setMode(modeButton.dataset.maskMode);
+            } else if (toolButton) {
+                this.maskEditor.setTool(toolButton.dataset.maskTool);
+            } else {
+                return;
+            }
+            this.syncMaskToolbar();
+        });
+
+        elements.maskSizeSlider.addEventListener('input', (event) => {
+            this.maskEditor.brushSize = Number(event.target.value);
+            elements.maskSizeValue.textContent = `${event.target.value}px`;
+        });
+        elements.maskHardnessSlider.addEventListener('input', (event) => {
+            this.maskEditor.hardness = Number(event.target.value) / 100;
+            elements.maskHardnessValue.textContent = `${event.target.value}%`;
+        });
+        elements.maskToleranceSlider.addEventListener('input', (event) => {
+            this.maskEditor.tolerance = Number(event.target.value);
+            elements.maskToleranceValue.textContent = event.target.value;
+        });
+
+        elements.maskUndoButton.addEventListener('click', () => this.maskEditor.undo());
+        elements.maskResetButton.addEventListener('click', () => this.maskEditor.reset());
+        elements.maskApplyButton.addEventListener('click', () => this.applyMask());
+        elements.maskCancelButton.addEventListener('click', () => elements.maskDialog.close());
+
+        elements.maskDialog.addEventListener('keydown', (event) => {
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+                event.preventDefault();
+                this.maskEditor.undo();
+            }
+        });
+        // Escape, Cancel and Apply all end up here.
+        elements.maskDialog.addEventListener('close', () => {
+            this.maskEditor.release();
+            this.maskLayerId = null;
+        });
+    }
+
+    syncMaskToolbar() {
+        const { mode, tool } = this.maskEditor;
+        this.elements.maskDialog.querySelectorAll('[data-mask-mode]').forEach((button) => {
+            button.setAttribute('aria-pressed', String(button.dataset.maskMode === mode));
+        });
+        this.elements.maskDialog.querySelectorAll('[data-mask-tool]').forEach((button) => {
+            button.setAttribute('aria-pressed', String(button.dataset.maskTool === tool));
+        });
+
+        const wand = tool === MASK_TOOLS.WAND;
+        this.elements.maskSizeControl.classList.toggle('is-hidden', wand);
+        this.elements.maskHardnessControl.classList.toggle('is-hidden', wand);
+        this.elements.maskToleranceControl.classList.toggle('is-hidden', !wand);
+    }
+
+    async openMaskEditor() {
+        const layerId = this.canvas.getSelectedLayer();
+        const layer = this.canvas.getTattooLayer(layerId);
+        if (!layer) return;
+
+        // Designs restored from a project or session have no upload to restore from.
+        const source = this.layerSources.get(layerId);
+        try {
+            const original = source ? await loadImageFromFile(source) : layer.image;
+            this.maskLayerId = layerId;
+            this.elements.maskSourceNote.classList.toggle('is-hidden', Boolean(source));
+            this.elements.maskDialog.showModal();
+            this.maskEditor.load(original, layer.image);
+            this.syncMaskToolbar();
+        } catch (error) {
+            console.error('Opening the mask editor failed:', error);
+            alert('Unable to edit this design. Please try again.');
+        }
+    }
+
+    async applyMask() {
+        const layerId = this.maskLayerId;
+        if (!layerId) return;
+
+        try {
+            const blob = await this.maskEditor.toBlob();
+            const image = await loadImageFromFile(blob);
+            this.elements.maskDialog.close();
+            if (!this.canvas.setTattooImage(image, { layerId, historyLabel: 'Refine mask' })) return;
+
+            const layers = this.canvas.getTattooLayers();
+            if (layers[layers.length - 1].id === layerId) {
+                this.elements.tattooPreview.src = image.src;
+            }
+        } catch (error) {
+            console.error('Applying the mask failed:', error);
+            alert('Unable to apply the mask. Please try again.');
+        }
+    }
+
+    // Rebuilds the step cards and previews from whatever the canvas currently holds
+    // (used after undo/redo, where the photo or the last tattoo may come and go).
+    syncWorkflowState() {
+        const bodyImage = this.canvas.getBodyImage();
+        const layers = this.canvas.getTattooLayers();
+        const topLayer = layers[layers.length - 1];
+        const hasBody = Boolean(bodyImage);
+
+        this.setCanvasReady(hasBody);
+        this.elements.bodyUploadZone.classList.toggle('has-image', hasBody);
+        this.elements.bodyPreview.src = hasBody ? bodyImage.src : '';
+        this.elements.bodyContinueButton.disabled = !hasBody;
+
+        if (topLayer) {
+            if (this.elements.tattooPreview.src !== topLayer.image.src) {
+                this.resetTattooSection();
+                this.elements.tattooPreview.src = topLayer.image.src;
+            }
+            this.elements.tattooUploadZone.classList.add('has-image');
+            this.elements.tattooContinueButton.disabled = false;
+        } else {
+            this.resetTattooSection();
+        }
+
+        this.setStepState(this.elements.stepCard1, hasBody ? 'completed' : 'active');
+        this.setStepState(this.elements.stepCard2, !hasBody ? 'locked' : (topLayer ? 'completed' : 'active'));
+        this.setStepState(this.elements.stepCard3, topLayer ? 'active' : 'locked');
+
+        this.syncSlidersToLayer(this.canvas.getSelectedLayer());
+        this.updateDownloadState();
+        this.updateControlAvailability(this.canvas.getSelectedLayer());
+        this.renderLayerPanel();
+        this.updateAIPlacementState();
+        this.syncResponsiveMode();
+    }
+
+    getLayerName(file) {
+        const name = file && typeof file.name === 'string' ? file.name.replace(/\.[^.]+$/, '').trim() : '';
+        return name || undefined;
+    }
+
+    /**
+     * Drop the uploads kept for the mask editor. Loaded scenes bring their own layer ids,
+     * which can match ids of earlier uploads, so this runs whenever the layers are replaced.
+     */
+    forgetLayerSources() {
+        this.layerSources.clear();
+    }
+
     resetAll() {
         this.canvas.clear();
+        this.forgetLayerSources();
 
         this.setCanvasReady(false);
         this.resetSliders();
@@ -1,29 +1,94 @@
 // Background removal module
-// Stability-first pipeline:
-// 1) Replicate via backend worker (primary when configured)
-// 2) @imgly/background-removal (local fallback)
-// 3) rembg-webgpu fallback
-// 4) simple luminance fallback
-// Post-processing is intentionally conservative to preserve tattoo details.
-
-import { getAPIEndpoint } from './config.js';
-
-const IMGLY_CDN = 'https://cdn.jsdelivr.net/npm/@imgly/background-removal@1.7.0/+esm';
-const REMBG_CDN = 'https://cdn.jsdelivr.net/npm/rembg-webgpu@0.2.1/+esm';
+// Built-in engines, registered in removal-engines.js:
+// - replicate: Replicate via the backend Worker (needs WORKER_URL, or MOCK_AI, and a connection)
+// - imgly: @imgly/background-removal, in the browser
+// - rembg: rembg-webgpu, in the browser
+// - segmentation-model: RMBG-1.4 through @xenova/transformers, in the browser (opt-in, see config.js)
+// - luminance: simple luminance key, the fallback when every other engine failed
+// In auto mode the available engines run concurrently within a shared time budget and the
+// result with the best mask score (removal-pixels.js, including how well the engines agree)
+// is picked; every finished result is returned so the user can choose. A result that is good enough ends the wait for the others early.
+// Engines that still have to download their model are left out of auto mode, except one when
+// nothing else could run: several large downloads at once would mostly be cut off by the budget.
+// Post-processing is intentionally conservative to preserve tattoo details, and runs in
+// removal-worker.js where the browser supports it.
+// An AbortSignal stops the pipeline between steps and rejects with its reason (an AbortError).
+// Runtimes and models come from config.REMOVAL_ASSETS; sw.js keeps them for offline use.
+
+import { getAPIEndpoint, getRemovalAssets, isMockAI } from './config.js';
+import { isOnline } from './offline.js';
+import { runWorkerJob } from './worker-api.js';
+import { AUTO_ENGINE, removalEngines } from './removal-engines.js';
+import { GOOD_ENOUGH_SCORE, applyAgreement, cleanupAlpha, measureMaskQuality } from './removal-pixels.js';
+
+// Auto mode stops waiting for engines after this long and keeps the results it has.
+const AUTO_TIME_BUDGET_MS = 30000;
+
+// RMBG-1.4 ships without a preprocessor config that transformers.js understands.
+const RMBG_PREPROCESSOR = {
+    do_normalize: true,
+    do_pad: false,
+    do_rescale: true,
+    do_resize: true,
+    image_mean: [0.5, 0.5, 0.5],
+    image_std: [1, 1, 1],
+    feature_extractor_type: 'ImageFeatureExtractor',
+    resample: 2,
+    rescale_factor: 0.00392156862745098,
+    size: { width: 1024, height: 1024 }
+};
 
 let imglyPromise = null;
 let rembgPromise = null;
+let segmenterPromise = null;
+// Download progress of the segmentation model goes to the run waiting for it.
+let segmenterDownloadListener = null;
+
+// Also rejects as soon as `signal` aborts; `promise` itself keeps running and is ignored.
+function withTimeout(promise, ms, label, signal = null) {
+    let timer;
+    let onAbort;
+
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+            if (!signal) return;
+
+            onAbort = () => reject(signal.reason);
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        })
+    ]).finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    });
+}
+
+// Rejects as soon as `signal` aborts; `promise` itself keeps running and is ignored.
+function withSignal(promise, signal) {
+    if (!signal) return promise;
 
-function withTimeout(promise, ms, label) {
+    let onAbort;
     return Promise.race([
         promise,
-        new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timed out`)), ms))
-    ]);
+        new Promise((_, reject) => {
+            onAbort = () => reject(signal.reason);
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        })
+    ]).finally(() => signal.removeEventListener('abort', onAbort));
 }
 
 function initImgly() {
     if (!imglyPromise) {
-        imglyPromise = import(IMGLY_CDN)
+        imglyPromise = import(getRemovalAssets().IMGLY_URL)
             .then((module) => module.removeBackground)
             .catch((error) => {
                 imglyPromise = null;
@@ -35,7 +100,7 @@ function initImgly() {
 
 function initRembg() {
     if (!rembgPromise) {
-        rembgPromise = import(REMBG_CDN).catch((error) => {
+        rembgPromise = import(getRemovalAssets().REMBG_URL).catch((error) => {
             rembgPromise = null;
             throw error;
         });
@@ -76,66 +141,102 @@ function encodePng(canvas, ctx, imageData) {
     });
 }
 
-async function conservativeAlphaCleanup(blob) {
-    const { canvas, ctx, imageData } = await toCanvasData(blob);
-    const data = imageData.data;
+// The pixel worker, started on first use. Null where module workers or OffscreenCanvas are
+// missing, or once the worker has failed; the passes then run on the main thread.
+let pixelWorker = null;
+let pixelWorkerFailed = false;
+let nextPixelJobId = 1;
+const pixelJobs = new Map();
 
-    // Keep detail: only remove very faint haze and gently strengthen semi-opaque pixels.
-    for (let i = 0; i < data.length; i += 4) {
-        const a = data[i + 3];
+function getPixelWorker() {
+    if (pixelWorkerFailed || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+        return null;
+    }
+    if (pixelWorker) return pixelWorker;
 
-        if (a < 10) {
-            data[i + 3] = 0;
-        } else if (a < 42) {
-            data[i + 3] = clamp(Math.round((a - 6) * 1.35));
-        }
+    try {
+        pixelWorker = new Worker(new URL('./removal-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Removal pixel worker unavailable:', error);
+        pixelWorkerFailed = true;
+        return null;
     }
 
-    return encodePng(canvas, ctx, imageData);
-}
+    pixelWorker.onmessage = (event) => {
+        const { id, blob, quality, error } = event.data;
+        const job = pixelJobs.get(id);
+        if (!job) return;
 
-async function analyzeMaskQuality(blob) {
-    const { canvas, imageData } = await toCanvasData(blob);
-    const data = imageData.data;
+        pixelJobs.delete(id);
+        if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve({ blob, quality });
+        }
+    };
+    // Load errors (no module worker support) and crashes: reject what is queued and stop using it.
+    pixelWorker.onerror = (event) => {
+        event.preventDefault?.();
+        pixelWorkerFailed = true;
+        pixelWorker.terminate();
+        pixelWorker = null;
+        for (const job of pixelJobs.values()) {
+            job.reject(new Error(event.message || 'Removal pixel worker failed'));
+        }
+        pixelJobs.clear();
+    };
 
-    const w = canvas.width;
-    const h = canvas.height;
-    const total = w * h;
+    return pixelWorker;
+}
 
-    let visible = 0;
-    let edgeResidue = 0;
+function cleanInWorker(worker, blob) {
+    return new Promise((resolve, reject) => {
+        const id = nextPixelJobId++;
+        pixelJobs.set(id, { resolve, reject });
+        worker.postMessage({ id, blob });
+    });
+}
 
-    const isEdgePixel = (x, y) => x < 8 || y < 8 || x >= w - 8 || y >= h - 8;
+async function conservativeAlphaCleanup(blob) {
+    const { canvas, ctx, imageData } = await toCanvasData(blob);
+    cleanupAlpha(imageData.data);
+    return encodePng(canvas, ctx, imageData);
+}
 
-    for (let p = 0, i = 0; i < data.length; i += 4, p += 1) {
-        const a = data[i + 3];
-        if (a > 18) {
-            visible += 1;
+async function analyzeMaskQuality(blob) {
+    const { canvas, imageData } = await toCanvasData(blob);
+    return measureMaskQuality(imageData.data, canvas.width, canvas.height);
+}
 
-            const x = p % w;
-            const y = Math.floor(p / w);
-            if (isEdgePixel(x, y)) edgeResidue += 1;
+// conservativeAlphaCleanup then analyzeMaskQuality, in the pixel worker when there is one.
+async function cleanAndScore(blob, signal = null) {
+    const worker = getPixelWorker();
+    if (worker) {
+        try {
+            return await withSignal(cleanInWorker(worker, blob), signal);
+        } catch (error) {
+            signal?.throwIfAborted();
+            console.warn('Removal pixel worker failed, using the main thread:', error);
         }
     }
 
-    const visibleRatio = visible / total;
-    const edgeResidueRatio = edgeResidue / Math.max(1, visible);
-
-    return {
-        visibleRatio,
-        edgeResidueRatio,
-        // Lower score is better.
-        score: (edgeResidueRatio * 100) + (visibleRatio < 0.003 ? 80 : 0)
-    };
+    const cleaned = await conservativeAlphaCleanup(blob);
+    signal?.throwIfAborted();
+    return { blob: cleaned, quality: await analyzeMaskQuality(cleaned) };
 }
 
-async function removeWithImgly(file, onProgress) {
-    const removeBackground = await withTimeout(initImgly(), 10000, 'Imgly init');
+async function removeWithImgly(file, onProgress, signal = null) {
+    signal?.throwIfAborted();
+    const removeBackground = await withTimeout(initImgly(), 10000, 'Imgly init', signal);
 
     const config = {
         model: 'medium',
         output: { format: 'image/png', quality: 1 },
+        // Model and wasm downloads are aborted with the signal.
+        fetchArgs: { signal },
         progress: (key, current, total) => {
+            // Imgly has no cancel option: throwing here ends inference at its next step.
+            signal?.throwIfAborted();
             const ratio = total > 0 ? current / total : 0;
             const base = key && key.includes('fetch') ? 12 : 48;
             const span = key && key.includes('fetch') ? 30 : 40;
@@ -143,46 +244,40 @@ async function removeWithImgly(file, onProgress) {
         }
     };
 
-    return withTimeout(removeBackground(file, config), 22000, 'Imgly processing');
+    return withTimeout(removeBackground(file, config), 22000, 'Imgly processing', signal);
 }
 
-async function removeWithReplicateWorker(file, onProgress) {
-    const endpoint = getAPIEndpoint();
-    if (!endpoint) {
+async function removeWithReplicateWorker(file, onProgress, signal = null) {
+    if (!getAPIEndpoint() && !isMockAI()) {
         throw new Error('Worker URL not configured');
     }
 
+    signal?.throwIfAborted();
     onProgress(14);
     const imageDataUrl = await blobToDataURL(file);
 
-    const response = await withTimeout(fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            action: 'remove-background',
-            image: imageDataUrl
-        })
-    }), 45000, 'Replicate worker request');
+    const result = await withTimeout(runWorkerJob({
+        action: 'remove-background',
+        image: imageDataUrl
+    }, {
+        signal,
+        onProgress: (progress) => onProgress(Math.round(14 + (progress * 0.66)))
+    }), 45000, 'Replicate worker request', signal);
 
     onProgress(80);
 
-    if (!response.ok) {
-        const message = await response.text();
-        throw new Error(`Replicate worker failed: ${response.status} ${message}`);
-    }
-
-    const result = await response.json();
-    if (!result.success || !result.image) {
-        throw new Error(result.error || 'Replicate worker returned no image');
+    if (!result.image) {
+        throw new Error('Replicate worker returned no image');
     }
 
-    const cleaned = await fetch(result.image).then((res) => res.blob());
+    const cleaned = await fetch(result.image, { signal }).then((res) => res.blob());
     onProgress(95);
     return cleaned;
 }
 
-async function removeWithRembg(file, onProgress) {
-    const rembg = await withTimeout(initRembg(), 10000, 'Rembg init');
+async function removeWithRembg(file, onProgress, signal = null) {
+    signal?.throwIfAborted();
+    const rembg = await withTimeout(initRembg(), 10000, 'Rembg init', signal);
     const { removeBackground, subscribeToProgress } = rembg;
 
     const unsubscribe = subscribeToProgress(({ phase, progress }) => {
@@ -196,13 +291,21 @@ async function removeWithRembg(file, onProgress) {
     });
 
     const src = URL.createObjectURL(file);
+    const releaseResult = (result) => {
+        URL.revokeObjectURL(result.blobUrl);
+        URL.revokeObjectURL(result.previewUrl);
+    };
+    const processing = removeBackground(src);
 
     try {
-        const result = await withTimeout(removeBackground(src), 22000, 'Rembg processing');
+        const result = await withTimeout(processing, 22000, 'Rembg processing', signal).catch((error) => {
+            // WebGPU inference cannot be interrupted; free its output whenever it lands.
+            processing.then(releaseResult, () => { });
+            throw error;
+        });
         const blob = await fetch(result.blobUrl).then((res) => res.blob());
 
-        URL.revokeObjectURL(result.blobUrl);
-        URL.revokeObjectURL(result.previewUrl);
+        releaseResult(result);
 
         return blob;
     } finally {
@@ -211,6 +314,89 @@ async function removeWithRembg(file, onProgress) {
     }
 }
 
+// Transformers.js cannot cancel downloads or inference: aborting only stops waiting for them,
+// and a model that finishes downloading after that is ready for the next run.
+function initSegmenter() {
+    if (!segmenterPromise) {
+        const { TRANSFORMERS_URL, SEGMENTATION_MODEL, MODEL_BASE_URL } = getRemovalAssets();
+        // Relative URLs are relative to the page, like MODEL_BASE_URL, not to this module.
+        const runtimeUrl = new URL(TRANSFORMERS_URL, location.href).href;
+
+        segmenterPromise = import(runtimeUrl)
+            .then(async ({ AutoModel, AutoProcessor, RawImage, env }) => {
+                env.allowLocalModels = Boolean(MODEL_BASE_URL);
+                if (MODEL_BASE_URL) {
+                    env.localModelPath = MODEL_BASE_URL;
+                }
+                // Self-hosted runtime: the ONNX .wasm files are next to the module.
+                if (/\.m?js$/.test(TRANSFORMERS_URL)) {
+                    env.backends.onnx.wasm.wasmPaths = new URL('./', runtimeUrl).href;
+                }
+
+                const progress_callback = (event) => segmenterDownloadListener?.(event);
+                const [model, processor] = await Promise.all([
+                    AutoModel.from_pretrained(SEGMENTATION_MODEL, {
+                        config: { model_type: 'custom' },
+                        progress_callback
+                    }),
+                    AutoProcessor.from_pretrained(SEGMENTATION_MODEL, {
+                        config: RMBG_PREPROCESSOR,
+                        progress_callback
+                    })
+                ]);
+                return { model, processor, RawImage };
+            })
+            .catch((error) => {
+                segmenterPromise = null;
+                throw error;
+            });
+    }
+    return segmenterPromise;
+}
+
+async function removeWithSegmentationModel(file, onProgress, signal = null) {
+    signal?.throwIfAborted();
+
+    // Model and runtime files, by name: progress is the share of their bytes downloaded so far.
+    const downloads = new Map();
+    segmenterDownloadListener = (event) => {
+        if (event.status !== 'progress' || !event.total) return;
+        downloads.set(event.file, { loaded: event.loaded, total: event.total });
+        let loaded = 0;
+        let total = 0;
+        downloads.forEach((entry) => {
+            loaded += entry.loaded;
+            total += entry.total;
+        });
+        onProgress(Math.round(10 + ((loaded / total) * 50)));
+    };
+
+    let segmenter;
+    try {
+        onProgress(8);
+        segmenter = await withSignal(initSegmenter(), signal);
+    } finally {
+        segmenterDownloadListener = null;
+    }
+    const { model, processor, RawImage } = segmenter;
+    onProgress(62);
+
+    const { canvas, ctx, imageData } = await toCanvasData(file);
+    const image = new RawImage(imageData.data, canvas.width, canvas.height, 4);
+    const { pixel_values: pixelValues } = await processor(image);
+    signal?.throwIfAborted();
+
+    const { output } = await withTimeout(model({ input: pixelValues }), 30000, 'Segmentation model', signal);
+    onProgress(88);
+
+    const mask = await RawImage.fromTensor(output[0].mul(255).to('uint8')).resize(canvas.width, canvas.height);
+    for (let p = 0; p < mask.data.length; p += 1) {
+        imageData.data[(p * 4) + 3] = mask.data[p];
+    }
+    onProgress(95);
+    return encodePng(canvas, ctx, imageData);
+}
+
 async function removeByLuminance(file) {
     const { canvas, ctx, imageData } = await toCanvasData(file);
     const data = imageData.data;
@@ -228,48 +414,204 @@ async function removeByLuminance(file) {
     return encodePng(canvas, ctx, imageData);
 }
 
-export async function removeImageBackground(imageInput, onProgress = () => { }) {
-    onProgress(6);
+removalEngines.register({
+    id: 'replicate',
+    label: 'Replicate (cloud)',
+    description: 'rembg on Replicate, through the Worker',
+    // Offline, Auto mode runs the in-browser engines only and the picker hides this one.
+    isAvailable: () => (Boolean(getAPIEndpoint()) || isMockAI()) && isOnline(),
+    remove: removeWithReplicateWorker
+});
+
+removalEngines.register({
+    id: 'imgly',
+    label: 'IMG.LY (in browser)',
+    description: 'Runs on this device; downloads a model the first time',
+    download: true,
+    remove: removeWithImgly
+});
+
+removalEngines.register({
+    id: 'rembg',
+    label: 'rembg WebGPU (in browser)',
+    description: 'Runs on this device with WebGPU or WebAssembly; downloads a model the first time',
+    download: true,
+    remove: removeWithRembg
+});
+
+removalEngines.register({
+    id: 'segmentation-model',
+    label: 'RMBG (in browser, offline)',
+    description: 'Runs on this device; the model is downloaded once and then works offline',
+    download: true,
+    // Off until a model is configured: RMBG-1.4 is licensed for non-commercial use only.
+    isAvailable: () => typeof WebAssembly !== 'undefined' && Boolean(getRemovalAssets().SEGMENTATION_MODEL),
+    remove: removeWithSegmentationModel
+});
+
+removalEngines.register({
+    id: 'luminance',
+    label: 'Simple (light backgrounds)',
+    description: 'Keys out light pixels; for scans and drawings on white paper',
+    fallback: true,
+    remove: removeByLuminance
+});
+
+async function runEngine(engine, imageInput, onProgress, signal) {
+    // Engines that ignore the signal still release the pipeline as soon as it aborts.
+    const blob = await withSignal(engine.remove(imageInput, onProgress, signal), signal);
+    if (!(blob instanceof Blob)) {
+        throw new Error(`${engine.label} returned no image`);
+    }
+    if (engine.download) {
+        removalEngines.markDownloaded(engine.id);
+    }
+    const { blob: cleaned, quality } = await cleanAndScore(blob, signal);
+    return { engineId: engine.id, label: engine.label, blob: cleaned, quality };
+}
 
-    const candidates = [];
+// Auto mode runs the engines that are ready; with none, it downloads the first model only.
+function pickAutoEngines(engines) {
+    const ready = engines.filter((engine) => removalEngines.isDownloaded(engine));
+    return ready.length > 0 ? ready : engines.slice(0, 1);
+}
 
-    try {
-        const replicateBlob = await removeWithReplicateWorker(imageInput, onProgress);
-        const cleaned = await conservativeAlphaCleanup(replicateBlob);
-        const quality = await analyzeMaskQuality(cleaned);
-        candidates.push({ blob: cleaned, quality, source: 'replicate' });
-    } catch (error) {
-        console.warn('Replicate path failed:', error);
+// Aborts when any of `signals` aborts, with that signal's reason.
+function linkSignals(...signals) {
+    const controller = new AbortController();
+    for (const signal of signals) {
+        if (!signal) continue;
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
     }
+    return controller.signal;
+}
 
-    try {
-        const imglyBlob = await removeWithImgly(imageInput, onProgress);
-        const cleaned = await conservativeAlphaCleanup(imglyBlob);
-        const quality = await analyzeMaskQuality(cleaned);
-        candidates.push({ blob: cleaned, quality, source: 'imgly' });
-    } catch (error) {
-        console.warn('Imgly path failed:', error);
+// Runs `engines` at the same time and resolves with whatever succeeded, in engine order.
+// Engines still running when `budget` aborts (time up, or a good enough result) are dropped.
+async function runConcurrently(engines, imageInput, onProgress, signal, budget, goodEnoughScore) {
+    const results = new Array(engines.length).fill(null);
+    const progress = new Array(engines.length).fill(0);
+    let reported = 0;
+
+    // The bar follows the average engine, and never moves backwards.
+    const reportProgress = () => {
+        const average = progress.reduce((sum, value) => sum + value, 0) / engines.length;
+        reported = Math.max(reported, Math.round(6 + (average * 0.9)));
+        onProgress(reported);
+    };
+
+    await Promise.all(engines.map(async (entry, index) => {
+        const engineSignal = linkSignals(signal, budget.signal);
+        const onEngineProgress = (percent) => {
+            progress[index] = clamp(percent, 0, 100);
+            reportProgress();
+        };
+
+        try {
+            const candidate = await runEngine(entry, imageInput, onEngineProgress, engineSignal);
+            results[index] = candidate;
+            if (candidate.quality.score <= goodEnoughScore && !budget.signal.aborted) {
+                budget.abort(new DOMException(`${entry.label} result is good enough`, 'AbortError'));
+            }
+        } catch (error) {
+            if (signal?.aborted) return;
+            if (budget.signal.aborted) {
+                console.warn(`${entry.label} stopped:`, budget.signal.reason?.message);
+            } else {
+                console.warn(`${entry.label} failed:`, error);
+            }
+        } finally {
+            progress[index] = 100;
+            reportProgress();
+        }
+    }));
+
+    return results.filter(Boolean);
+}
+
+/**
+ * Remove the background of a tattoo image with one engine, or with every available
+ * engine in auto mode.
+ *
+ * Auto mode runs the engines concurrently within one time budget. Engines still running when
+ * the budget runs out, or when a result scores at or below `goodEnoughScore`, are aborted and
+ * the best finished result wins. Fallback engines run only when no other engine succeeded.
+ * @param {File|Blob|string} imageInput
+ * @param {(percent: number) => void} onProgress
+ * @param {{signal?: AbortSignal, engine?: string, timeBudget?: number, goodEnoughScore?: number}} options -
+ *   Engine id or AUTO_ENGINE; `timeBudget` in ms and `goodEnoughScore` apply to auto mode.
+ *   Aborting rejects with the signal's reason
+ * @returns {Promise<{blob: Blob, engineId: string, candidates: object[]}>} The picked PNG and
+ *   every finished candidate ({engineId, label, blob, quality}) in engine order
+ * @throws {Error} When the chosen engine is unavailable or fails
+ */
+export async function runBackgroundRemoval(imageInput, onProgress = () => { }, {
+    signal = null,
+    engine = AUTO_ENGINE,
+    timeBudget = AUTO_TIME_BUDGET_MS,
+    goodEnoughScore = GOOD_ENOUGH_SCORE
+} = {}) {
+    signal?.throwIfAborted();
+    onProgress(6);
+
+    if (engine !== AUTO_ENGINE) {
+        const chosen = removalEngines.get(engine);
+        if (!chosen || !removalEngines.isAvailable(chosen)) {
+            throw new Error(`Background removal engine "${engine}" is not available`);
+        }
+        const candidate = await runEngine(chosen, imageInput, onProgress, signal);
+        onProgress(100);
+        return { blob: candidate.blob, engineId: candidate.engineId, candidates: [candidate] };
     }
 
+    const available = removalEngines.list({ availableOnly: true });
+    const primary = pickAutoEngines(available.filter((entry) => !entry.fallback));
+
+    // Shared by every engine, fallbacks included.
+    const budget = new AbortController();
+    const timer = setTimeout(() => {
+        budget.abort(new DOMException('Background removal time budget used up', 'TimeoutError'));
+    }, timeBudget);
+
+    let candidates;
     try {
-        const rembgBlob = await removeWithRembg(imageInput, onProgress);
-        const cleaned = await conservativeAlphaCleanup(rembgBlob);
-        const quality = await analyzeMaskQuality(cleaned);
-        candidates.push({ blob: cleaned, quality, source: 'rembg' });
-    } catch (error) {
-        console.warn('Rembg path failed:', error);
+        candidates = await runConcurrently(primary, imageInput, onProgress, signal, budget, goodEnoughScore);
+        signal?.throwIfAborted();
+        if (candidates.length === 0) {
+            // The fallbacks are quick and local; they still get to run when the budget is gone.
+            const fallbackBudget = budget.signal.aborted ? new AbortController() : budget;
+            const fallbacks = available.filter((entry) => entry.fallback);
+            candidates = await runConcurrently(fallbacks, imageInput, onProgress, signal, fallbackBudget, goodEnoughScore);
+            signal?.throwIfAborted();
+        }
+    } finally {
+        clearTimeout(timer);
     }
 
-    if (candidates.length > 0) {
-        candidates.sort((a, b) => a.quality.score - b.quality.score);
-        onProgress(100);
-        return candidates[0].blob;
+    if (candidates.length === 0) {
+        throw new Error('Every background removal engine failed');
     }
 
-    const fallback = await removeByLuminance(imageInput);
-    const cleanedFallback = await conservativeAlphaCleanup(fallback);
+    // A result the other engines disagree with is probably wrong. Lower score is better.
+    applyAgreement(candidates.map((candidate) => candidate.quality));
+    const best = candidates.reduce((a, b) => (b.quality.score < a.quality.score ? b : a));
     onProgress(100);
-    return cleanedFallback;
+    return { blob: best.blob, engineId: best.engineId, candidates };
+}
+
+/**
+ * Remove the background of a tattoo image, keeping the best of the engines that succeed.
+ * @param {File|Blob|string} imageInput
+ * @param {(percent: number) => void} onProgress
+ * @param {{signal?: AbortSignal, engine?: string}} options - Aborting rejects with the signal's reason
+ * @returns {Promise<Blob>} PNG with transparency
+ */
+export async function removeImageBackground(imageInput, onProgress = () => { }, options = {}) {
+    return (await runBackgroundRemoval(imageInput, onProgress, options)).blob;
 }
 
 export function blobToDataURL(blob) {
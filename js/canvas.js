@@ -1,5 +1,21 @@
 // Canvas Controller - layer-based interaction model
-// Supports moving/resizing both body photo and tattoo.
+// Supports moving/resizing the body photo and a stack of tattoo layers.
+
+import { HistoryStack } from './history.js';
+import {
+    createWarp,
+    cloneWarp,
+    isIdentityWarp,
+    createCylinderWarp,
+    renderWarpedImage,
+    createCorners,
+    cloneCorners,
+    isIdentityCorners,
+    isValidCorners,
+    projectPoint,
+    unprojectPoint,
+    WARP_GRID_SIZE
+} from './warp.js';
 
 export class CanvasController {
     constructor(canvasElement, containerElement) {
@@ -8,34 +24,39 @@ export class CanvasController {
         this.ctx = canvasElement.getContext('2d');
 
         this.bodyImage = null;
-        this.tattooImage = null;
 
-        this.body = {
-            x: 0,
-            y: 0,
-            scale: 1,
-            width: 0,
-            height: 0,
-            crop: { x: 0, y: 0, width: 0, height: 0 }
-        };
+        // Tattoo layers in stacking order (first = bottom, last = top).
+        this.layers = [];
+        this.nextLayerId = 1;
 
-        this.tattoo = {
+        this.body = {
             x: 0,
             y: 0,
             scale: 1,
-            rotation: 0,
-            opacity: 1,
             width: 0,
             height: 0,
             crop: { x: 0, y: 0, width: 0, height: 0 }
         };
 
         this.state = {
-            selectedLayer: null, // 'body' | 'tattoo' | null
+            selectedLayer: null, // 'body' | tattoo layer id | null
             dragging: false,
             resizing: false,
             dragStart: { x: 0, y: 0 },
             layerStart: { x: 0, y: 0, scale: 1 },
+            gestureSnapshot: null,
+            warp: {
+                active: false,
+                layer: null,
+                pointIndex: -1
+            },
+            freeTransform: {
+                active: false,
+                layer: null,
+                handle: null,
+                dragStart: { x: 0, y: 0 },
+                startCorners: null
+            },
             crop: {
                 active: false,
                 layer: null,
@@ -49,6 +70,20 @@ export class CanvasController {
         this.onSelectionChange = null;
         this.onTattooRemoved = null;
         this.onCropStateChange = null;
+        this.onWarpStateChange = null;
+        this.onFreeTransformChange = null;
+        this.onLayersChange = null;
+        this.onHistoryChange = null;
+        this.onStateRestored = null;
+        this.onSceneChange = null;
+
+        this.history = new HistoryStack();
+        this.history.onChange = (canUndo, canRedo) => {
+            if (this.onHistoryChange) {
+                this.onHistoryChange(canUndo, canRedo);
+            }
+            this.notifySceneChange();
+        };
 
         this.logoImage = new Image();
         this.logoImage.src = 'assets/images/logo.png';
@@ -56,9 +91,10 @@ export class CanvasController {
         this.toneSampleCanvas.width = 32;
         this.toneSampleCanvas.height = 32;
         this.toneSampleCtx = this.toneSampleCanvas.getContext('2d', { willReadFrequently: true });
-        this.integrationCanvas = document.createElement('canvas');
-        this.integrationCtx = this.integrationCanvas.getContext('2d', { willReadFrequently: true });
-        this.integrationCache = { key: '', map: null, lightX: -0.2, lightY: -0.8, luminance: 0.56 };
+        // Skin integration maps, one entry per tattoo layer id.
+        this.integrationCache = new Map();
+        // Warped tattoo rasters for the live canvas, one entry per tattoo layer id.
+        this.warpCache = new Map();
 
         this.initCanvasSize();
         this.attachEvents();
@@ -92,26 +128,24 @@ export class CanvasController {
 
         const sx = nextWidth / oldWidth;
         const sy = nextHeight / oldHeight;
-        const scaleAdjust = Math.min(sx, sy);
 
         this.canvas.width = nextWidth;
         this.canvas.height = nextHeight;
 
-        if (this.bodyImage) {
-            this.body.x *= sx;
-            this.body.y *= sy;
-            this.body.scale *= scaleAdjust;
-        }
-
-        if (this.tattooImage) {
-            this.tattoo.x *= sx;
-            this.tattoo.y *= sy;
-            this.tattoo.scale *= scaleAdjust;
-        }
+        this.scaleTransforms(this.bodyImage ? [this.body, ...this.layers] : this.layers, sx, sy);
 
         this.render();
     }
 
+    scaleTransforms(transforms, sx, sy) {
+        const scaleAdjust = Math.min(sx, sy);
+        for (const t of transforms) {
+            t.x *= sx;
+            t.y *= sy;
+            t.scale *= scaleAdjust;
+        }
+    }
+
     attachEvents() {
         this.canvas.addEventListener('pointerdown', this.onPointerDown.bind(this));
         window.addEventListener('pointermove', this.onPointerMove.bind(this));
@@ -122,6 +156,35 @@ export class CanvasController {
         this.canvas.addEventListener('touchmove', (event) => event.preventDefault(), { passive: false });
 
         document.addEventListener('keydown', (event) => {
+            if (this.isTextEntryTarget(event.target)) return;
+            // Dialogs (mask editor, AI compare) handle their own keys.
+            if (event.target.closest && event.target.closest('dialog[open]')) return;
+
+            if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    event.preventDefault();
+                    if (key === 'y' || event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    return;
+                }
+            }
+
+            if (this.state.warp.active && (event.key === 'Enter' || event.key === 'Escape')) {
+                event.preventDefault();
+                this.endWarp();
+                return;
+            }
+
+            if (this.state.freeTransform.active && (event.key === 'Enter' || event.key === 'Escape')) {
+                event.preventDefault();
+                this.endFreeTransform();
+                return;
+            }
+
             if (this.state.crop.active) {
                 if (event.key === 'Enter') {
                     event.preventDefault();
@@ -135,15 +198,24 @@ export class CanvasController {
                 }
             }
 
-            if (this.state.selectedLayer === 'tattoo' && this.tattooImage) {
+            if (this.isTattooLayer(this.state.selectedLayer)) {
                 if (event.key === 'Delete' || event.key === 'Backspace') {
                     event.preventDefault();
-                    this.removeTattoo();
+                    this.removeLayer(this.state.selectedLayer);
                 }
             }
         });
     }
 
+    isTextEntryTarget(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+        if (target.tagName !== 'INPUT') return false;
+
+        const type = (target.type || 'text').toLowerCase();
+        return !['range', 'checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'color'].includes(type);
+    }
+
     toCanvasPoint(event) {
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = this.canvas.width / rect.width;
@@ -160,6 +232,12 @@ export class CanvasController {
         if (this.state.crop.active && this.state.crop.layer !== layer) {
             this.cancelCrop();
         }
+        if (this.state.warp.active && this.state.warp.layer !== layer) {
+            this.endWarp();
+        }
+        if (this.state.freeTransform.active && this.state.freeTransform.layer !== layer) {
+            this.endFreeTransform();
+        }
 
         this.state.selectedLayer = layer;
 
@@ -170,14 +248,46 @@ export class CanvasController {
         this.render();
     }
 
+    selectLayer(layerName) {
+        if (layerName !== null && !this.hasLayer(layerName)) return false;
+        this.setSelectedLayer(layerName);
+        return true;
+    }
+
     getLayerTransform(layerName) {
-        return layerName === 'body' ? this.body : this.tattoo;
+        return layerName === 'body' ? this.body : this.getTattooLayer(layerName);
+    }
+
+    getTattooLayer(layerId) {
+        return this.layers.find((layer) => layer.id === layerId) || null;
+    }
+
+    getTattooLayers() {
+        return this.layers.map((layer, index) => ({
+            id: layer.id,
+            name: layer.name,
+            image: layer.image,
+            index,
+            selected: layer.id === this.state.selectedLayer
+        }));
+    }
+
+    isTattooLayer(layerName) {
+        return Boolean(layerName) && layerName !== 'body' && Boolean(this.getTattooLayer(layerName));
     }
 
     getSelectedLayer() {
         return this.state.selectedLayer;
     }
 
+    getBodyImage() {
+        return this.bodyImage;
+    }
+
+    getSelectedTattooLayer() {
+        return this.getTattooLayer(this.state.selectedLayer);
+    }
+
     getLayerCrop(layerName) {
         const layer = this.getLayerTransform(layerName);
         const crop = layer.crop || { x: 0, y: 0, width: layer.width, height: layer.height };
@@ -199,7 +309,21 @@ export class CanvasController {
     }
 
     hasLayer(layerName) {
-        return layerName === 'body' ? Boolean(this.bodyImage) : Boolean(this.tattooImage);
+        return layerName === 'body' ? Boolean(this.bodyImage) : this.isTattooLayer(layerName);
+    }
+
+    getLayerAt(x, y) {
+        for (let i = this.layers.length - 1; i >= 0; i -= 1) {
+            if (this.isInsideLayer(this.layers[i].id, x, y)) {
+                return this.layers[i].id;
+            }
+        }
+
+        if (this.bodyImage && this.isInsideLayer('body', x, y)) {
+            return 'body';
+        }
+
+        return null;
     }
 
     getLayerBounds(layerName) {
@@ -227,10 +351,40 @@ export class CanvasController {
         };
     }
 
+    /**
+     * Screen-space outline of a layer. Matches getLayerBounds().corners until the
+     * layer is distorted, then follows the rotated perspective quad.
+     * @returns {Array<{x: number, y: number, type: string}>|null} nw, ne, se, sw
+     */
+    getLayerQuad(layerName) {
+        const bounds = this.getLayerBounds(layerName);
+        if (!bounds) return null;
+
+        const layer = this.getTattooLayer(layerName);
+        const distorted = layer && (!isIdentityCorners(layer.corners)
+            || (this.state.freeTransform.active && this.state.freeTransform.layer === layerName));
+        if (!distorted) return bounds.corners;
+
+        return (layer.corners || createCorners()).map((corner, index) => ({
+            ...this.layerLocalToCanvas(layer, corner),
+            type: bounds.corners[index].type
+        }));
+    }
+
     isInsideLayer(layerName, x, y) {
         const bounds = this.getLayerBounds(layerName);
         if (!bounds) return false;
 
+        const layer = this.getTattooLayer(layerName);
+        if (layer && !isIdentityCorners(layer.corners)) {
+            // Convex quad: inside when on the same side of every edge.
+            const quad = this.getLayerQuad(layerName);
+            return quad.every((a, index) => {
+                const b = quad[(index + 1) % quad.length];
+                return ((b.x - a.x) * (y - a.y)) - ((b.y - a.y) * (x - a.x)) >= 0;
+            });
+        }
+
         return (
             x >= bounds.x &&
             x <= bounds.x + bounds.width &&
@@ -242,12 +396,12 @@ export class CanvasController {
     getHandleAt(layerName, x, y) {
         if (this.state.selectedLayer !== layerName) return null;
 
-        const bounds = this.getLayerBounds(layerName);
-        if (!bounds) return null;
+        const quad = this.getLayerQuad(layerName);
+        if (!quad) return null;
 
         const size = 12;
 
-        for (const corner of bounds.corners) {
+        for (const corner of quad) {
             if (
                 x >= corner.x - size &&
                 x <= corner.x + size &&
@@ -267,6 +421,8 @@ export class CanvasController {
 
     beginCrop(layerName = this.state.selectedLayer) {
         if (!layerName || !this.hasLayer(layerName)) return false;
+        this.endWarp();
+        this.endFreeTransform();
 
         const bounds = this.getLayerBounds(layerName);
         if (!bounds) return false;
@@ -320,6 +476,8 @@ export class CanvasController {
         const currentCrop = this.getLayerCrop(layerName);
         const minRatio = 0.03;
 
+        this.recordHistory(layerName === 'body' ? 'Crop photo' : 'Crop tattoo');
+
         const rx0 = this.clamp((cropRect.x - bounds.x) / bounds.width, 0, 1);
         const ry0 = this.clamp((cropRect.y - bounds.y) / bounds.height, 0, 1);
         const rx1 = this.clamp((cropRect.x + cropRect.width - bounds.x) / bounds.width, 0, 1);
@@ -339,7 +497,7 @@ export class CanvasController {
             height: this.clamp(nextCrop.height, 1, layer.height - nextCrop.y)
         };
         if (layerName === 'body') {
-            this.integrationCache = { key: '', map: null, lightX: -0.2, lightY: -0.8, luminance: 0.56 };
+            this.integrationCache.clear();
         }
 
         layer.x = cropRect.x + (cropRect.width / 2);
@@ -360,6 +518,251 @@ export class CanvasController {
         return true;
     }
 
+    isWarping() {
+        return this.state.warp.active;
+    }
+
+    beginWarp(layerId = this.state.selectedLayer) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer) return false;
+
+        this.cancelCrop();
+        this.endFreeTransform();
+        if (!layer.warp) {
+            layer.warp = createWarp();
+        }
+
+        this.state.warp.active = true;
+        this.state.warp.layer = layerId;
+        this.state.warp.pointIndex = -1;
+        this.canvas.style.cursor = 'default';
+
+        if (this.onWarpStateChange) {
+            this.onWarpStateChange(true, layerId);
+        }
+
+        this.render();
+        return true;
+    }
+
+    endWarp() {
+        if (!this.state.warp.active) return;
+
+        const layer = this.getTattooLayer(this.state.warp.layer);
+        if (layer && isIdentityWarp(layer.warp)) {
+            layer.warp = null;
+        }
+
+        this.state.warp.active = false;
+        this.state.warp.layer = null;
+        this.state.warp.pointIndex = -1;
+        this.canvas.style.cursor = this.state.selectedLayer ? 'grab' : 'default';
+
+        if (this.onWarpStateChange) {
+            this.onWarpStateChange(false, this.state.selectedLayer);
+        }
+
+        this.render();
+    }
+
+    resetWarp(layerId = this.state.selectedLayer) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer || isIdentityWarp(layer.warp)) return false;
+
+        this.recordHistory('Reset warp');
+        layer.warp = this.state.warp.active && this.state.warp.layer === layerId ? createWarp() : null;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Bend the layer around a cylinder (arms, legs).
+     * @param {string} layerId
+     * @param {{radius: number, axis: number}} options - Radius as a multiple of the design width, axis in degrees
+     */
+    applyCylinderWrap(layerId = this.state.selectedLayer, { radius = 1, axis = 0 } = {}) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer) return false;
+
+        const crop = this.getLayerCrop(layerId);
+        this.recordHistory('Cylinder wrap', `cylinder:${layerId}`);
+        layer.warp = createCylinderWarp({ radius, axis, aspect: crop.width / crop.height });
+        this.render();
+        return true;
+    }
+
+    layerLocalToCanvas(layer, local) {
+        const size = this.getLayerDisplaySize(layer.id);
+        const px = local.x * size.width;
+        const py = local.y * size.height;
+        const cos = Math.cos(layer.rotation);
+        const sin = Math.sin(layer.rotation);
+        return {
+            x: layer.x + (px * cos) - (py * sin),
+            y: layer.y + (px * sin) + (py * cos)
+        };
+    }
+
+    canvasToLayerLocal(layer, point) {
+        const size = this.getLayerDisplaySize(layer.id);
+        const dx = point.x - layer.x;
+        const dy = point.y - layer.y;
+        const cos = Math.cos(layer.rotation);
+        const sin = Math.sin(layer.rotation);
+        return {
+            x: ((dx * cos) + (dy * sin)) / (size.width || 1),
+            y: ((dy * cos) - (dx * sin)) / (size.height || 1)
+        };
+    }
+
+    // Layer-local point -> canvas, through the layer's perspective corners.
+    projectLayerPoint(layer, local) {
+        return this.layerLocalToCanvas(layer, projectPoint(layer.corners, local));
+    }
+
+    unprojectLayerPoint(layer, point) {
+        return unprojectPoint(layer.corners, this.canvasToLayerLocal(layer, point));
+    }
+
+    isFreeTransforming() {
+        return this.state.freeTransform.active;
+    }
+
+    /**
+     * Free-transform mode: drag corners independently for perspective,
+     * or edge midpoints to stretch width / height.
+     */
+    beginFreeTransform(layerId = this.state.selectedLayer) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer) return false;
+
+        this.cancelCrop();
+        this.endWarp();
+
+        this.state.freeTransform.active = true;
+        this.state.freeTransform.layer = layerId;
+        this.state.freeTransform.handle = null;
+
+        if (this.onFreeTransformChange) {
+            this.onFreeTransformChange(true, layerId);
+        }
+
+        this.render();
+        return true;
+    }
+
+    endFreeTransform() {
+        if (!this.state.freeTransform.active) return;
+
+        const layer = this.getTattooLayer(this.state.freeTransform.layer);
+        if (layer && isIdentityCorners(layer.corners)) {
+            layer.corners = null;
+        }
+
+        this.state.freeTransform.active = false;
+        this.state.freeTransform.layer = null;
+        this.state.freeTransform.handle = null;
+        this.state.freeTransform.startCorners = null;
+
+        if (this.onFreeTransformChange) {
+            this.onFreeTransformChange(false, this.state.selectedLayer);
+        }
+
+        this.render();
+    }
+
+    resetPerspective(layerId = this.state.selectedLayer) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer || isIdentityCorners(layer.corners)) return false;
+
+        this.recordHistory('Reset distortion');
+        layer.corners = null;
+        this.render();
+        return true;
+    }
+
+    getFreeTransformHandles(layer) {
+        const corners = layer.corners || createCorners();
+        const types = ['nw', 'ne', 'se', 'sw'];
+        const edges = ['n', 'e', 's', 'w'];
+        const handles = corners.map((corner, index) => ({
+            ...this.layerLocalToCanvas(layer, corner),
+            type: types[index]
+        }));
+
+        edges.forEach((type, index) => {
+            const a = corners[index];
+            const b = corners[(index + 1) % 4];
+            handles.push({
+                ...this.layerLocalToCanvas(layer, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }),
+                type
+            });
+        });
+
+        return handles;
+    }
+
+    getFreeTransformHandleAt(x, y) {
+        if (!this.state.freeTransform.active) return null;
+        const layer = this.getTattooLayer(this.state.freeTransform.layer);
+        if (!layer) return null;
+
+        const hs = 11;
+        const handle = this.getFreeTransformHandles(layer).find((point) => (
+            Math.abs(x - point.x) <= hs && Math.abs(y - point.y) <= hs
+        ));
+        return handle ? handle.type : null;
+    }
+
+    // Corner handles move one corner; edge handles slide both corners of that edge
+    // along the layer axis, which stretches width or height independently.
+    updateFreeTransform(point) {
+        const { layer: layerId, handle, startCorners, dragStart } = this.state.freeTransform;
+        const layer = this.getTattooLayer(layerId);
+        if (!layer || !handle || !startCorners) return;
+
+        const start = this.canvasToLayerLocal(layer, dragStart);
+        const current = this.canvasToLayerLocal(layer, point);
+        const dx = current.x - start.x;
+        const dy = current.y - start.y;
+        const corners = cloneCorners(startCorners);
+        const cornerIndex = ['nw', 'ne', 'se', 'sw'].indexOf(handle);
+
+        if (cornerIndex !== -1) {
+            corners[cornerIndex].x += dx;
+            corners[cornerIndex].y += dy;
+        } else {
+            const edgeCorners = { n: [0, 1], e: [1, 2], s: [2, 3], w: [3, 0] }[handle];
+            edgeCorners.forEach((index) => {
+                if (handle === 'e' || handle === 'w') {
+                    corners[index].x += dx;
+                } else {
+                    corners[index].y += dy;
+                }
+            });
+        }
+
+        if (!isValidCorners(corners)) return;
+        layer.corners = corners;
+        this.render();
+    }
+
+    getWarpPointAt(x, y) {
+        if (!this.state.warp.active) return -1;
+        const layer = this.getTattooLayer(this.state.warp.layer);
+        if (!layer) return -1;
+
+        const warp = layer.warp || createWarp();
+        const hs = 11;
+        for (let i = warp.points.length - 1; i >= 0; i -= 1) {
+            const p = this.projectLayerPoint(layer, warp.points[i]);
+            if (Math.abs(x - p.x) <= hs && Math.abs(y - p.y) <= hs) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
     getCropHandleAt(x, y) {
         if (!this.state.crop.active || !this.state.crop.rect) return null;
         const r = this.state.crop.rect;
@@ -413,11 +816,41 @@ export class CanvasController {
             return;
         }
 
-        if (this.state.selectedLayer) {
+        if (this.state.warp.active) {
+            const pointIndex = this.getWarpPointAt(point.x, point.y);
+            if (pointIndex === -1) return;
+
+            const layer = this.getTattooLayer(this.state.warp.layer);
+            if (!layer.warp) {
+                layer.warp = createWarp();
+            }
+            this.state.warp.pointIndex = pointIndex;
+            this.state.gestureSnapshot = this.captureState();
+            this.canvas.style.cursor = 'grabbing';
+            this.canvas.setPointerCapture(event.pointerId);
+            return;
+        }
+
+        if (this.state.freeTransform.active) {
+            const handle = this.getFreeTransformHandleAt(point.x, point.y);
+            if (handle) {
+                const layer = this.getTattooLayer(this.state.freeTransform.layer);
+                this.state.freeTransform.handle = handle;
+                this.state.freeTransform.dragStart = point;
+                this.state.freeTransform.startCorners = cloneCorners(layer.corners || createCorners());
+                this.state.gestureSnapshot = this.captureState();
+                this.canvas.style.cursor = 'grabbing';
+                this.canvas.setPointerCapture(event.pointerId);
+                return;
+            }
+        }
+
+        if (this.state.selectedLayer && !this.state.freeTransform.active) {
             const selectedHandle = this.getHandleAt(this.state.selectedLayer, point.x, point.y);
             if (selectedHandle) {
                 this.state.resizing = true;
                 this.state.dragStart = point;
+                this.state.gestureSnapshot = this.captureState();
                 const t = this.getLayerTransform(this.state.selectedLayer);
                 this.state.layerStart = { x: t.x, y: t.y, scale: t.scale };
                 this.canvas.style.cursor = 'nwse-resize';
@@ -426,21 +859,14 @@ export class CanvasController {
             }
         }
 
-        if (this.tattooImage && this.isInsideLayer('tattoo', point.x, point.y)) {
-            this.setSelectedLayer('tattoo');
+        const hitLayer = this.getLayerAt(point.x, point.y);
+        if (hitLayer) {
+            this.setSelectedLayer(hitLayer);
+            const t = this.getLayerTransform(hitLayer);
             this.state.dragging = true;
             this.state.dragStart = point;
-            this.state.layerStart = { x: this.tattoo.x, y: this.tattoo.y, scale: this.tattoo.scale };
-            this.canvas.style.cursor = 'grabbing';
-            this.canvas.setPointerCapture(event.pointerId);
-            return;
-        }
-
-        if (this.bodyImage && this.isInsideLayer('body', point.x, point.y)) {
-            this.setSelectedLayer('body');
-            this.state.dragging = true;
-            this.state.dragStart = point;
-            this.state.layerStart = { x: this.body.x, y: this.body.y, scale: this.body.scale };
+            this.state.gestureSnapshot = this.captureState();
+            this.state.layerStart = { x: t.x, y: t.y, scale: t.scale };
             this.canvas.style.cursor = 'grabbing';
             this.canvas.setPointerCapture(event.pointerId);
             return;
@@ -527,6 +953,24 @@ export class CanvasController {
             return;
         }
 
+        if (this.state.warp.active) {
+            const warpLayer = this.getTattooLayer(this.state.warp.layer);
+            if (warpLayer && warpLayer.warp && this.state.warp.pointIndex >= 0) {
+                warpLayer.warp.points[this.state.warp.pointIndex] = this.unprojectLayerPoint(warpLayer, point);
+                warpLayer.warp.cylinder = null;
+                this.render();
+                return;
+            }
+
+            this.canvas.style.cursor = this.getWarpPointAt(point.x, point.y) >= 0 ? 'grab' : 'default';
+            return;
+        }
+
+        if (this.state.freeTransform.active && this.state.freeTransform.handle) {
+            this.updateFreeTransform(point);
+            return;
+        }
+
         if (this.state.dragging && layer) {
             const t = this.getLayerTransform(layer);
             t.x = this.state.layerStart.x + (point.x - this.state.dragStart.x);
@@ -551,17 +995,17 @@ export class CanvasController {
             return;
         }
 
-        if (layer && this.getHandleAt(layer, point.x, point.y)) {
-            this.canvas.style.cursor = 'nwse-resize';
+        if (this.state.freeTransform.active && this.getFreeTransformHandleAt(point.x, point.y)) {
+            this.canvas.style.cursor = 'move';
             return;
         }
 
-        if (this.tattooImage && this.isInsideLayer('tattoo', point.x, point.y)) {
-            this.canvas.style.cursor = 'grab';
+        if (layer && !this.state.freeTransform.active && this.getHandleAt(layer, point.x, point.y)) {
+            this.canvas.style.cursor = 'nwse-resize';
             return;
         }
 
-        if (this.bodyImage && this.isInsideLayer('body', point.x, point.y)) {
+        if (this.getLayerAt(point.x, point.y)) {
             this.canvas.style.cursor = 'grab';
             return;
         }
@@ -572,6 +1016,15 @@ export class CanvasController {
     onPointerUp() {
         this.state.dragging = false;
         this.state.resizing = false;
+        this.state.warp.pointIndex = -1;
+        this.state.freeTransform.handle = null;
+        this.state.freeTransform.startCorners = null;
+        this.commitGesture();
+
+        if (this.state.warp.active) {
+            this.canvas.style.cursor = 'default';
+            return;
+        }
 
         if (this.state.crop.active) {
             this.state.crop.mode = null;
@@ -587,11 +1040,23 @@ export class CanvasController {
         }
     }
 
-    setBodyImage(image) {
+    /**
+     * Set (or replace) the body photo. Tattoo layers are cleared.
+     * @param {HTMLImageElement} image
+     * @param {{historyLabel?: string}} options - Undo label used when a photo is replaced
+     */
+    setBodyImage(image, { historyLabel = 'Replace photo' } = {}) {
+        if (this.bodyImage) {
+            this.recordHistory(historyLabel);
+        }
+
         this.bodyImage = image;
-        this.tattooImage = null;
+        this.layers = [];
         this.cancelCrop();
-        this.integrationCache = { key: '', map: null, lightX: -0.2, lightY: -0.8, luminance: 0.56 };
+        this.endWarp();
+        this.endFreeTransform();
+        this.integrationCache.clear();
+        this.warpCache.clear();
 
         this.resizeCanvasToContainer();
 
@@ -605,55 +1070,409 @@ export class CanvasController {
         this.body.x = this.canvas.width / 2;
         this.body.y = this.canvas.height / 2;
 
+        this.notifyLayersChange();
         this.setSelectedLayer('body');
+        this.notifySceneChange();
     }
 
-    setTattooImage(image) {
-        if (!this.bodyImage) return;
+    addTattooLayer(image, options = {}) {
+        if (!this.bodyImage) return null;
 
-        this.tattooImage = image;
-        this.tattoo.width = image.width;
-        this.tattoo.height = image.height;
-        this.tattoo.crop = { x: 0, y: 0, width: image.width, height: image.height };
+        const number = this.nextLayerId;
+        this.nextLayerId += 1;
 
+        // Cascade new layers slightly so a stacked design doesn't hide the one below.
+        const cascade = (this.layers.length % 6) * 18;
         const bodyDisplayWidth = this.body.crop.width * this.body.scale;
-        this.tattoo.scale = Math.max(0.08, (bodyDisplayWidth * 0.28) / image.width);
-        this.tattoo.rotation = 0;
-        this.tattoo.opacity = 1;
-        this.tattoo.x = this.body.x;
-        this.tattoo.y = this.body.y;
+        const layer = {
+            id: `tattoo-${number}`,
+            name: options.name || `Tattoo ${number}`,
+            image,
+            x: this.body.x + cascade,
+            y: this.body.y + cascade,
+            scale: Math.max(0.08, (bodyDisplayWidth * 0.28) / image.width),
+            rotation: 0,
+            opacity: 1,
+            width: image.width,
+            height: image.height,
+            crop: { x: 0, y: 0, width: image.width, height: image.height },
+            warp: null,
+            corners: null
+        };
+
+        this.recordHistory('Add tattoo');
+        this.layers.push(layer);
+        this.notifyLayersChange();
+        this.setSelectedLayer(layer.id);
+        return layer.id;
+    }
 
-        this.setSelectedLayer('tattoo');
+    // Upload entry point; every new design becomes its own layer on top of the stack.
+    // With `options.layerId` that layer's image is swapped instead (see replaceLayerImage).
+    setTattooImage(image, options = {}) {
+        if (options.layerId) {
+            return this.replaceLayerImage(options.layerId, image, options) ? options.layerId : null;
+        }
+        return this.addTattooLayer(image, options);
+    }
+
+    /**
+     * Swap the image of a tattoo layer and keep its placement, e.g. for another
+     * background-removal result of the same upload. A differently sized image keeps
+     * the layer's on-screen width; the crop is mapped proportionally.
+     * @param {string} layerId
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {{historyLabel?: string}} options
+     * @returns {boolean} False when the layer does not exist
+     */
+    replaceLayerImage(layerId, image, { historyLabel = 'Replace tattoo image' } = {}) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer) return false;
+
+        this.recordHistory(historyLabel);
+
+        if (image.width !== layer.width || image.height !== layer.height) {
+            const sx = image.width / layer.width;
+            const sy = image.height / layer.height;
+            layer.crop = {
+                x: layer.crop.x * sx,
+                y: layer.crop.y * sy,
+                width: layer.crop.width * sx,
+                height: layer.crop.height * sy
+            };
+            layer.scale /= sx;
+            layer.width = image.width;
+            layer.height = image.height;
+        }
+
+        layer.image = image;
+        this.integrationCache.delete(layerId);
+        this.warpCache.delete(layerId);
+        this.notifyLayersChange();
+        this.render();
+        return true;
+    }
+
+    removeLayer(layerId = this.state.selectedLayer) {
+        const index = this.layers.findIndex((layer) => layer.id === layerId);
+        if (index === -1) return false;
+
+        if (this.state.crop.active && this.state.crop.layer === layerId) {
+            this.cancelCrop();
+        }
+        if (this.state.warp.active && this.state.warp.layer === layerId) {
+            this.endWarp();
+        }
+        if (this.state.freeTransform.active && this.state.freeTransform.layer === layerId) {
+            this.endFreeTransform();
+        }
+
+        this.recordHistory('Remove tattoo');
+        this.layers.splice(index, 1);
+        this.integrationCache.delete(layerId);
+        this.warpCache.delete(layerId);
+        this.notifyLayersChange();
+
+        if (this.state.selectedLayer === layerId) {
+            const next = this.layers[Math.min(index, this.layers.length - 1)];
+            this.setSelectedLayer(next ? next.id : 'body');
+        } else {
+            this.render();
+        }
+
+        if (this.onTattooRemoved) {
+            this.onTattooRemoved(layerId, this.layers.length);
+        }
+        return true;
+    }
+
+    reorderLayer(layerId, toIndex) {
+        const fromIndex = this.layers.findIndex((layer) => layer.id === layerId);
+        if (fromIndex === -1) return false;
+
+        const target = this.clamp(Math.round(toIndex), 0, this.layers.length - 1);
+        if (target === fromIndex) return false;
+
+        this.recordHistory('Reorder layers');
+        const [layer] = this.layers.splice(fromIndex, 1);
+        this.layers.splice(target, 0, layer);
+        this.notifyLayersChange();
+        this.render();
+        return true;
+    }
+
+    // Positive offsets bring the layer forward, negative send it backward.
+    moveLayer(layerId, offset) {
+        const index = this.layers.findIndex((layer) => layer.id === layerId);
+        if (index === -1) return false;
+        return this.reorderLayer(layerId, index + offset);
+    }
+
+    // Fired after anything worth persisting changed (every history step, a first photo, a cleared canvas).
+    notifySceneChange() {
+        if (this.onSceneChange) {
+            this.onSceneChange();
+        }
+    }
+
+    notifyLayersChange() {
+        if (this.onLayersChange) {
+            this.onLayersChange(this.getTattooLayers());
+        }
     }
 
     setOpacity(value) {
-        this.tattoo.opacity = Math.max(0.1, Math.min(1, Number(value) / 100));
+        const layer = this.getSelectedTattooLayer();
+        if (!layer) return;
+
+        const opacity = Math.max(0.1, Math.min(1, Number(value) / 100));
+        if (opacity === layer.opacity) return;
+
+        this.recordHistory('Change opacity', `opacity:${layer.id}`);
+        layer.opacity = opacity;
         this.render();
     }
 
     setRotation(value) {
-        this.tattoo.rotation = (Number(value) * Math.PI) / 180;
+        const layer = this.getSelectedTattooLayer();
+        if (!layer) return;
+
+        const rotation = (Number(value) * Math.PI) / 180;
+        if (rotation === layer.rotation) return;
+
+        this.recordHistory('Rotate tattoo', `rotation:${layer.id}`);
+        layer.rotation = rotation;
         this.render();
     }
 
-    removeTattoo() {
+    resetTattooAdjustments() {
+        const layer = this.getSelectedTattooLayer();
+        if (!layer || (layer.opacity === 1 && layer.rotation === 0)) return;
+
+        this.recordHistory('Reset adjustments');
+        layer.opacity = 1;
+        layer.rotation = 0;
+        this.render();
+    }
+
+    cloneLayerState(layer) {
+        return { ...layer, crop: { ...layer.crop }, warp: cloneWarp(layer.warp), corners: cloneCorners(layer.corners) };
+    }
+
+    captureState() {
+        return {
+            canvas: { width: this.canvas.width, height: this.canvas.height },
+            bodyImage: this.bodyImage,
+            body: { ...this.body, crop: { ...this.body.crop } },
+            layers: this.layers.map((layer) => this.cloneLayerState(layer)),
+            selectedLayer: this.state.selectedLayer
+        };
+    }
+
+    restoreState(snapshot) {
         this.cancelCrop();
-        this.tattooImage = null;
-        if (this.state.selectedLayer === 'tattoo') {
-            this.setSelectedLayer('body');
-        } else {
-            this.render();
+        const warpLayer = this.state.warp.active ? this.state.warp.layer : null;
+        const freeTransformLayer = this.state.freeTransform.active ? this.state.freeTransform.layer : null;
+        this.endWarp();
+        this.endFreeTransform();
+        this.state.dragging = false;
+        this.state.resizing = false;
+        this.state.gestureSnapshot = null;
+
+        this.bodyImage = snapshot.bodyImage;
+        this.body = { ...snapshot.body, crop: { ...snapshot.body.crop } };
+        this.layers = snapshot.layers.map((layer) => this.cloneLayerState(layer));
+        this.integrationCache.clear();
+
+        // Snapshots are in canvas space; adapt them if the canvas was resized since.
+        const { width, height } = snapshot.canvas;
+        if (width && height && (width !== this.canvas.width || height !== this.canvas.height)) {
+            this.scaleTransforms([this.body, ...this.layers], this.canvas.width / width, this.canvas.height / height);
         }
 
-        if (this.onTattooRemoved) {
-            this.onTattooRemoved();
+        const selected = this.hasLayer(snapshot.selectedLayer) ? snapshot.selectedLayer : null;
+        this.state.selectedLayer = this.bodyImage ? (selected || 'body') : null;
+        this.notifyLayersChange();
+
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.state.selectedLayer);
+        }
+
+        if (warpLayer && warpLayer === this.state.selectedLayer) {
+            this.beginWarp(warpLayer);
+        } else if (freeTransformLayer && freeTransformLayer === this.state.selectedLayer) {
+            this.beginFreeTransform(freeTransformLayer);
+        }
+
+        this.render();
+
+        if (this.onStateRestored) {
+            this.onStateRestored();
+        }
+    }
+
+    // Describes the scene independently of the on-screen canvas size: the body keeps its
+    // canvas placement (with the canvas size it was made on), tattoo layers are stored
+    // relative to the body crop in body image pixels so placements survive any resize.
+    exportScene() {
+        if (!this.bodyImage) return null;
+
+        const bodyCrop = this.getLayerCrop('body');
+        const safeBodyScale = this.body.scale > 0 ? this.body.scale : 1;
+
+        return {
+            canvas: { width: this.canvas.width, height: this.canvas.height },
+            body: {
+                image: this.bodyImage,
+                x: this.body.x,
+                y: this.body.y,
+                scale: this.body.scale,
+                width: this.body.width,
+                height: this.body.height,
+                crop: { ...bodyCrop }
+            },
+            layers: this.layers.map((layer) => ({
+                id: layer.id,
+                name: layer.name,
+                image: layer.image,
+                x: ((layer.x - this.body.x) / safeBodyScale) + (bodyCrop.width / 2),
+                y: ((layer.y - this.body.y) / safeBodyScale) + (bodyCrop.height / 2),
+                scale: layer.scale / safeBodyScale,
+                rotation: layer.rotation,
+                opacity: layer.opacity,
+                width: layer.width,
+                height: layer.height,
+                crop: { ...this.getLayerCrop(layer.id) },
+                warp: cloneWarp(layer.warp),
+                corners: cloneCorners(layer.corners)
+            })),
+            selectedLayer: this.state.selectedLayer
+        };
+    }
+
+    loadScene(scene) {
+        this.cancelCrop();
+        this.endWarp();
+        this.endFreeTransform();
+        this.state.dragging = false;
+        this.state.resizing = false;
+        this.state.gestureSnapshot = null;
+        this.resizeCanvasToContainer();
+
+        const source = scene.canvas || { width: this.canvas.width, height: this.canvas.height };
+        const sx = this.canvas.width / source.width;
+        const sy = this.canvas.height / source.height;
+        const bodyCrop = scene.body.crop;
+
+        this.bodyImage = scene.body.image;
+        this.body = {
+            x: scene.body.x * sx,
+            y: scene.body.y * sy,
+            scale: scene.body.scale * Math.min(sx, sy),
+            width: scene.body.width,
+            height: scene.body.height,
+            crop: { ...bodyCrop }
+        };
+
+        this.layers = scene.layers.map((layer) => ({
+            id: layer.id,
+            name: layer.name,
+            image: layer.image,
+            x: this.body.x + ((layer.x - (bodyCrop.width / 2)) * this.body.scale),
+            y: this.body.y + ((layer.y - (bodyCrop.height / 2)) * this.body.scale),
+            scale: layer.scale * this.body.scale,
+            rotation: layer.rotation,
+            opacity: layer.opacity,
+            width: layer.width,
+            height: layer.height,
+            crop: { ...layer.crop },
+            warp: cloneWarp(layer.warp),
+            corners: cloneCorners(layer.corners)
+        }));
+
+        for (const layer of this.layers) {
+            const number = Number(String(layer.id).replace(/^tattoo-/, ''));
+            if (Number.isFinite(number) && number >= this.nextLayerId) {
+                this.nextLayerId = number + 1;
+            }
+        }
+
+        this.integrationCache.clear();
+        this.history.clear();
+
+        const selected = this.hasLayer(scene.selectedLayer) ? scene.selectedLayer : 'body';
+        this.state.selectedLayer = selected;
+        this.notifyLayersChange();
+
+        if (this.onSelectionChange) {
+            this.onSelectionChange(selected);
+        }
+
+        this.render();
+
+        if (this.onStateRestored) {
+            this.onStateRestored();
+        }
+    }
+
+    recordHistory(label, coalesceKey = null) {
+        if (!this.bodyImage) return;
+        this.history.record(label, this.captureState(), coalesceKey);
+    }
+
+    commitGesture() {
+        const before = this.state.gestureSnapshot;
+        this.state.gestureSnapshot = null;
+        if (!before) return;
+
+        const layerName = before.selectedLayer;
+        const previous = layerName === 'body' ? before.body : before.layers.find((layer) => layer.id === layerName);
+        const current = this.getLayerTransform(layerName);
+        if (!previous || !current) return;
+
+        if (previous.scale !== current.scale) {
+            this.history.record('Resize', before);
+        } else if (previous.x !== current.x || previous.y !== current.y) {
+            this.history.record('Move', before);
+        } else if (JSON.stringify(previous.warp || null) !== JSON.stringify(current.warp || null)) {
+            this.history.record('Warp tattoo', before);
+        } else if (JSON.stringify(previous.corners || null) !== JSON.stringify(current.corners || null)) {
+            this.history.record('Distort tattoo', before);
         }
     }
 
+    undo() {
+        if (!this.history.canUndo()) return false;
+        const snapshot = this.history.undo(this.captureState());
+        this.restoreState(snapshot);
+        return true;
+    }
+
+    redo() {
+        if (!this.history.canRedo()) return false;
+        const snapshot = this.history.redo(this.captureState());
+        this.restoreState(snapshot);
+        return true;
+    }
+
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    canRedo() {
+        return this.history.canRedo();
+    }
+
     clear() {
         this.cancelCrop();
+        this.endWarp();
+        this.endFreeTransform();
         this.bodyImage = null;
-        this.tattooImage = null;
+        this.layers = [];
+        this.integrationCache.clear();
+        this.warpCache.clear();
+        this.history.clear();
+        this.notifyLayersChange();
         this.setSelectedLayer(null);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.canvas.style.cursor = 'default';
@@ -668,11 +1487,27 @@ export class CanvasController {
             return this.canvas.toDataURL('image/png');
         }
 
+        return this.renderComposite().toDataURL('image/png');
+    }
+
+    // Small preview of the composite (no watermark), e.g. for session thumbnails.
+    exportThumbnail(maxSize = 240) {
+        if (!this.bodyImage) return null;
+
+        const bodyCrop = this.getLayerCrop('body');
+        const scale = Math.min(1, maxSize / Math.max(bodyCrop.width, bodyCrop.height));
+        return this.renderComposite({ scale, watermark: false });
+    }
+
+    // Draws the body crop plus every tattoo layer in body image space.
+    // `scale` shrinks the output canvas without changing placement.
+    renderComposite({ scale = 1, watermark = true } = {}) {
         const exportCanvas = document.createElement('canvas');
         const bodyCrop = this.getLayerCrop('body');
-        exportCanvas.width = bodyCrop.width;
-        exportCanvas.height = bodyCrop.height;
+        exportCanvas.width = Math.max(1, Math.round(bodyCrop.width * scale));
+        exportCanvas.height = Math.max(1, Math.round(bodyCrop.height * scale));
         const exportCtx = exportCanvas.getContext('2d');
+        exportCtx.scale(scale, scale);
 
         exportCtx.drawImage(
             this.bodyImage,
@@ -686,11 +1521,13 @@ export class CanvasController {
             bodyCrop.height
         );
 
-        if (this.tattooImage) {
-            const tattooForExport = this.getTattooTransformForImageSpace();
-            this.drawTattooLayer(exportCtx, this.tattooImage, tattooForExport, {
-                rotation: this.tattoo.rotation,
-                opacity: this.tattoo.opacity,
+        for (const layer of this.layers) {
+            const tattooForExport = this.getTattooTransformForImageSpace(layer);
+            this.drawTattooLayer(exportCtx, layer.image, tattooForExport, {
+                layerId: layer.id,
+                cacheRaster: false,
+                rotation: layer.rotation,
+                opacity: layer.opacity,
                 bodyRef: {
                     x: bodyCrop.width / 2,
                     y: bodyCrop.height / 2,
@@ -703,22 +1540,102 @@ export class CanvasController {
             });
         }
 
-        this.drawWatermark(exportCtx, exportCanvas.width, exportCanvas.height);
+        if (watermark) {
+            this.drawWatermark(exportCtx, bodyCrop.width, bodyCrop.height);
+        }
 
-        return exportCanvas.toDataURL('image/png');
+        return exportCanvas;
     }
 
-    getTattooTransformForImageSpace() {
+    /**
+     * The body photo as currently cropped, for sending to the AI placement model.
+     * @param {{maxSize?: number}} options - Longest output side in pixels
+     * @returns {string} JPEG data URL
+     */
+    exportBodyCrop({ maxSize = 1536 } = {}) {
+        if (!this.bodyImage) return null;
+
+        const bodyCrop = this.getLayerCrop('body');
+        const scale = Math.min(1, maxSize / Math.max(bodyCrop.width, bodyCrop.height));
+        const output = document.createElement('canvas');
+        output.width = Math.max(1, Math.round(bodyCrop.width * scale));
+        output.height = Math.max(1, Math.round(bodyCrop.height * scale));
+        output.getContext('2d').drawImage(
+            this.bodyImage,
+            bodyCrop.x,
+            bodyCrop.y,
+            bodyCrop.width,
+            bodyCrop.height,
+            0,
+            0,
+            output.width,
+            output.height
+        );
+
+        return output.toDataURL('image/jpeg', 0.92);
+    }
+
+    /**
+     * Tattoo layers on a transparent canvas matching exportBodyCrop(), drawn flat
+     * (no skin blending) so the model sees the design exactly where it sits.
+     * @param {{maxSize?: number}} options - Longest output side in pixels
+     * @returns {string} PNG data URL
+     */
+    exportTattooOverlay({ maxSize = 1536 } = {}) {
+        if (!this.bodyImage) return null;
+
+        const bodyCrop = this.getLayerCrop('body');
+        const scale = Math.min(1, maxSize / Math.max(bodyCrop.width, bodyCrop.height));
+        const output = document.createElement('canvas');
+        output.width = Math.max(1, Math.round(bodyCrop.width * scale));
+        output.height = Math.max(1, Math.round(bodyCrop.height * scale));
+        const outputCtx = output.getContext('2d');
+        outputCtx.scale(scale, scale);
+
+        for (const layer of this.layers) {
+            this.drawLayer(outputCtx, layer.image, this.getTattooTransformForImageSpace(layer), {
+                rotation: layer.rotation,
+                opacity: layer.opacity
+            });
+        }
+
+        return output.toDataURL('image/png');
+    }
+
+    /**
+     * Where a tattoo layer sits on the photo, as fractions of the body crop.
+     * @param {string} layerId
+     * @returns {{centerX: number, centerY: number, width: number, height: number, rotation: number}|null}
+     *   Rotation in degrees, clockwise
+     */
+    getLayerPlacement(layerId) {
+        const layer = this.getTattooLayer(layerId);
+        if (!layer || !this.bodyImage) return null;
+
+        const bodyCrop = this.getLayerCrop('body');
+        const transform = this.getTattooTransformForImageSpace(layer);
+        return {
+            centerX: transform.x / bodyCrop.width,
+            centerY: transform.y / bodyCrop.height,
+            width: (transform.crop.width * transform.scale) / bodyCrop.width,
+            height: (transform.crop.height * transform.scale) / bodyCrop.height,
+            rotation: Math.round((layer.rotation * 180) / Math.PI)
+        };
+    }
+
+    getTattooTransformForImageSpace(layer) {
         const safeBodyScale = this.body.scale > 0 ? this.body.scale : 1;
         const bodyCrop = this.getLayerCrop('body');
-        const tattooCrop = this.getLayerCrop('tattoo');
+        const tattooCrop = this.getLayerCrop(layer.id);
         return {
-            x: ((this.tattoo.x - this.body.x) / safeBodyScale) + (bodyCrop.width / 2),
-            y: ((this.tattoo.y - this.body.y) / safeBodyScale) + (bodyCrop.height / 2),
+            x: ((layer.x - this.body.x) / safeBodyScale) + (bodyCrop.width / 2),
+            y: ((layer.y - this.body.y) / safeBodyScale) + (bodyCrop.height / 2),
             width: tattooCrop.width,
             height: tattooCrop.height,
-            scale: this.tattoo.scale / safeBodyScale,
-            crop: { ...tattooCrop }
+            scale: layer.scale / safeBodyScale,
+            crop: { ...tattooCrop },
+            warp: layer.warp,
+            corners: layer.corners
         };
     }
 
@@ -806,7 +1723,7 @@ export class CanvasController {
                 width: bodyRef.width,
                 height: bodyRef.height
             };
-        const crop = transform.crop || this.getLayerCrop('tattoo');
+        const crop = transform.crop || { x: 0, y: 0, width: transform.width, height: transform.height };
         const width = crop.width * transform.scale;
         const height = crop.height * transform.scale;
         const safeScale = bodyRef && bodyRef.scale > 0 ? bodyRef.scale : 1;
@@ -827,9 +1744,28 @@ export class CanvasController {
         return { sx, sy, sw, sh, width, height };
     }
 
-    getIntegrationMap(transform, bodyRef) {
-        if (!this.bodyImage || !this.integrationCtx || !bodyRef || bodyRef.scale <= 0) {
-            return this.integrationCache;
+    getIntegrationEntry(layerId) {
+        let entry = this.integrationCache.get(layerId);
+        if (!entry) {
+            const canvas = document.createElement('canvas');
+            entry = {
+                canvas,
+                ctx: canvas.getContext('2d', { willReadFrequently: true }),
+                key: '',
+                map: null,
+                lightX: -0.2,
+                lightY: -0.8,
+                luminance: 0.56
+            };
+            this.integrationCache.set(layerId, entry);
+        }
+        return entry;
+    }
+
+    getIntegrationMap(transform, bodyRef, layerId) {
+        const entry = this.getIntegrationEntry(layerId);
+        if (!this.bodyImage || !entry.ctx || !bodyRef || bodyRef.scale <= 0) {
+            return entry;
         }
 
         const bodyRect = this.getBodySamplingRect(transform, bodyRef);
@@ -844,14 +1780,14 @@ export class CanvasController {
             mapHeight
         ].join(':');
 
-        if (this.integrationCache.key === key && this.integrationCache.map) {
-            return this.integrationCache;
+        if (entry.key === key && entry.map) {
+            return entry;
         }
 
-        this.integrationCanvas.width = mapWidth;
-        this.integrationCanvas.height = mapHeight;
-        this.integrationCtx.clearRect(0, 0, mapWidth, mapHeight);
-        this.integrationCtx.drawImage(
+        entry.canvas.width = mapWidth;
+        entry.canvas.height = mapHeight;
+        entry.ctx.clearRect(0, 0, mapWidth, mapHeight);
+        entry.ctx.drawImage(
             this.bodyImage,
             bodyRect.sx,
             bodyRect.sy,
@@ -863,10 +1799,10 @@ export class CanvasController {
             mapHeight
         );
 
-        const source = this.integrationCtx.getImageData(0, 0, mapWidth, mapHeight);
+        const source = entry.ctx.getImageData(0, 0, mapWidth, mapHeight);
         const pixelCount = mapWidth * mapHeight;
         const luma = new Float32Array(pixelCount);
-        const output = this.integrationCtx.createImageData(mapWidth, mapHeight);
+        const output = entry.ctx.createImageData(mapWidth, mapHeight);
 
         let left = 0;
         let right = 0;
@@ -913,17 +1849,15 @@ export class CanvasController {
             }
         }
 
-        this.integrationCtx.putImageData(output, 0, 0);
+        entry.ctx.putImageData(output, 0, 0);
 
-        this.integrationCache = {
-            key,
-            map: this.integrationCanvas,
-            lightX,
-            lightY,
-            luminance: avgLum
-        };
+        entry.key = key;
+        entry.map = entry.canvas;
+        entry.lightX = lightX;
+        entry.lightY = lightY;
+        entry.luminance = avgLum;
 
-        return this.integrationCache;
+        return entry;
     }
 
     drawImageWithCrop(ctx, image, layerOrTransform, dx, dy, dw, dh) {
@@ -944,16 +1878,63 @@ export class CanvasController {
         );
     }
 
+    // Warped rasters are expensive (one textured triangle per mesh cell), so the live canvas
+    // reuses the last one until the warp, corners, crop, image or display size changes.
+    getWarpRaster(image, crop, warp, corners, width, height, cacheId) {
+        const pointsKey = (points) => (points ? points.map((point) => `${point.x.toFixed(4)},${point.y.toFixed(4)}`).join(';') : '');
+        const key = [
+            Math.round(width),
+            Math.round(height),
+            crop.x,
+            crop.y,
+            crop.width,
+            crop.height,
+            isIdentityWarp(warp) ? '' : pointsKey(warp.points),
+            isIdentityCorners(corners) ? '' : pointsKey(corners)
+        ].join('|');
+
+        const cached = cacheId ? this.warpCache.get(cacheId) : null;
+        if (cached && cached.key === key && cached.image === image) {
+            return cached.raster;
+        }
+
+        const raster = renderWarpedImage(image, crop, warp, width, height, corners);
+        if (cacheId) {
+            this.warpCache.set(cacheId, { key, image, raster });
+        }
+        return raster;
+    }
+
     drawTattooLayer(ctx, image, transform, extra = null) {
         if (!image) return;
 
-        const width = transform.width * transform.scale;
-        const height = transform.height * transform.scale;
+        const crop = transform.crop || { x: 0, y: 0, width: transform.width, height: transform.height };
+        const width = crop.width * transform.scale;
+        const height = crop.height * transform.scale;
         const rotation = extra && typeof extra.rotation === 'number' ? extra.rotation : 0;
         const opacity = extra && typeof extra.opacity === 'number' ? extra.opacity : 1;
         const bodyRef = extra && extra.bodyRef ? extra.bodyRef : this.body;
         const filters = this.getTattooToneFilters(transform, bodyRef);
-        const integration = this.getIntegrationMap(transform, bodyRef);
+        const layerId = extra && extra.layerId ? extra.layerId : 'default';
+        const integration = this.getIntegrationMap(transform, bodyRef, layerId);
+        const raster = isIdentityWarp(transform.warp) && isIdentityCorners(transform.corners)
+            ? null
+            : this.getWarpRaster(
+                image,
+                crop,
+                transform.warp,
+                transform.corners,
+                width,
+                height,
+                extra && extra.cacheRaster === false ? null : layerId
+            );
+        const drawInk = () => {
+            if (raster) {
+                ctx.drawImage(raster.canvas, raster.x, raster.y, raster.width, raster.height);
+            } else {
+                this.drawImageWithCrop(ctx, image, transform, -width / 2, -height / 2, width, height);
+            }
+        };
 
         ctx.save();
         ctx.translate(transform.x, transform.y);
@@ -964,7 +1945,7 @@ export class CanvasController {
         ctx.globalCompositeOperation = 'multiply';
         ctx.globalAlpha = opacity * 0.22;
         ctx.filter = `blur(0.9px) brightness(${(filters.brightness * 1.02).toFixed(3)}) saturate(${(filters.saturation * 0.95).toFixed(3)})`;
-        this.drawImageWithCrop(ctx, image, transform, -width / 2, -height / 2, width, height);
+        drawInk();
         ctx.restore();
 
         // Main ink pass: multiplies with skin tone.
@@ -972,7 +1953,7 @@ export class CanvasController {
         ctx.globalCompositeOperation = 'multiply';
         ctx.globalAlpha = opacity * 0.9;
         ctx.filter = `contrast(${filters.contrast.toFixed(3)}) brightness(${filters.brightness.toFixed(3)}) saturate(${filters.saturation.toFixed(3)})`;
-        this.drawImageWithCrop(ctx, image, transform, -width / 2, -height / 2, width, height);
+        drawInk();
         ctx.restore();
 
         // Light interaction pass: subtle highlight integration with skin.
@@ -980,7 +1961,7 @@ export class CanvasController {
         ctx.globalCompositeOperation = 'soft-light';
         ctx.globalAlpha = opacity * 0.24;
         ctx.filter = `contrast(${(filters.contrast * 0.97).toFixed(3)}) brightness(${Math.min(1.2, filters.brightness + 0.06).toFixed(3)}) saturate(${(filters.saturation * 0.92).toFixed(3)})`;
-        this.drawImageWithCrop(ctx, image, transform, -width / 2, -height / 2, width, height);
+        drawInk();
         ctx.restore();
 
         if (integration && integration.map) {
@@ -1053,7 +2034,12 @@ export class CanvasController {
             ctx.globalAlpha = extra.opacity;
         }
 
-        this.drawImageWithCrop(ctx, image, { crop }, -width / 2, -height / 2, width, height);
+        if (isIdentityWarp(finalTransform.warp) && isIdentityCorners(finalTransform.corners)) {
+            this.drawImageWithCrop(ctx, image, { crop }, -width / 2, -height / 2, width, height);
+        } else {
+            const raster = this.getWarpRaster(image, crop, finalTransform.warp, finalTransform.corners, width, height, null);
+            ctx.drawImage(raster.canvas, raster.x, raster.y, raster.width, raster.height);
+        }
         ctx.restore();
     }
 
@@ -1064,13 +2050,27 @@ export class CanvasController {
         this.ctx.save();
         this.ctx.setLineDash([7, 5]);
         this.ctx.lineWidth = 2;
-        this.ctx.strokeStyle = layerName === 'tattoo' ? '#0f62a5' : '#1f8f5f';
-        this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        this.ctx.strokeStyle = layerName === 'body' ? '#1f8f5f' : '#0f62a5';
+        const quad = this.getLayerQuad(layerName);
+        this.ctx.beginPath();
+        quad.forEach((corner, index) => {
+            if (index === 0) {
+                this.ctx.moveTo(corner.x, corner.y);
+            } else {
+                this.ctx.lineTo(corner.x, corner.y);
+            }
+        });
+        this.ctx.closePath();
+        this.ctx.stroke();
         this.ctx.setLineDash([]);
 
+        const handles = this.state.freeTransform.active && this.state.freeTransform.layer === layerName
+            ? this.getFreeTransformHandles(this.getTattooLayer(layerName))
+            : quad;
+
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#1f2937';
-        for (const corner of bounds.corners) {
+        for (const corner of handles) {
             this.ctx.beginPath();
             this.ctx.rect(corner.x - 5.5, corner.y - 5.5, 11, 11);
             this.ctx.fill();
@@ -1080,6 +2080,48 @@ export class CanvasController {
         this.ctx.restore();
     }
 
+    drawWarpOverlay() {
+        const layer = this.getTattooLayer(this.state.warp.layer);
+        if (!layer) return;
+
+        const warp = layer.warp || createWarp();
+        const points = warp.points.map((point) => this.projectLayerPoint(layer, point));
+        const at = (row, col) => points[(row * WARP_GRID_SIZE) + col];
+
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeStyle = 'rgba(15, 98, 165, 0.85)';
+        this.ctx.setLineDash([5, 4]);
+        this.ctx.beginPath();
+        for (let row = 0; row < WARP_GRID_SIZE; row += 1) {
+            for (let col = 0; col < WARP_GRID_SIZE; col += 1) {
+                const p = at(row, col);
+                if (col < WARP_GRID_SIZE - 1) {
+                    const right = at(row, col + 1);
+                    this.ctx.moveTo(p.x, p.y);
+                    this.ctx.lineTo(right.x, right.y);
+                }
+                if (row < WARP_GRID_SIZE - 1) {
+                    const below = at(row + 1, col);
+                    this.ctx.moveTo(p.x, p.y);
+                    this.ctx.lineTo(below.x, below.y);
+                }
+            }
+        }
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeStyle = '#0f62a5';
+        points.forEach((p, index) => {
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, index === this.state.warp.pointIndex ? 7 : 5.5, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
     drawCropOverlay() {
         if (!this.state.crop.active || !this.state.crop.layer || !this.state.crop.rect) return;
         const bounds = this.getLayerBounds(this.state.crop.layer);
@@ -1127,14 +2169,17 @@ export class CanvasController {
 
         this.drawLayer(this.ctx, this.bodyImage, this.body);
 
-        if (this.tattooImage) {
-            this.drawTattooLayer(this.ctx, this.tattooImage, this.tattoo, {
-                rotation: this.tattoo.rotation,
-                opacity: this.tattoo.opacity
+        for (const layer of this.layers) {
+            this.drawTattooLayer(this.ctx, layer.image, layer, {
+                layerId: layer.id,
+                rotation: layer.rotation,
+                opacity: layer.opacity
             });
         }
 
-        if (this.state.selectedLayer) {
+        if (this.state.warp.active) {
+            this.drawWarpOverlay();
+        } else if (this.state.selectedLayer) {
             this.drawSelection(this.state.selectedLayer);
         }
 
@@ -9,6 +9,25 @@ export const config = {
     // This is only used if WORKER_URL is null
     GEMINI_API_KEY: null,
 
+    // Offline development and CI: answer AI actions in the browser from js/mock-ai.js,
+    // no Worker or key needed. Set to true, or to options such as
+    // { latency: 800, failureRate: 0.2, error: 'safety_blocked' }
+    MOCK_AI: false,
+
+    // Background-removal runtimes and models. sw.js caches them on first use, so removal keeps
+    // working offline. Point them at your own server to self-host (npm run vendor:models).
+    REMOVAL_ASSETS: {
+        IMGLY_URL: 'https://cdn.jsdelivr.net/npm/@imgly/background-removal@1.7.0/+esm',
+        REMBG_URL: 'https://cdn.jsdelivr.net/npm/rembg-webgpu@0.2.1/+esm',
+        // The @xenova/transformers entry module; its .wasm files must sit next to it.
+        TRANSFORMERS_URL: 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2',
+        // Opt-in RMBG-1.4 engine: set to 'briaai/RMBG-1.4' (or a mirror of it) to enable it.
+        // Its licence only allows non-commercial use; selling credits needs a licence from BRIA AI.
+        SEGMENTATION_MODEL: null,
+        // Folder holding <model id>/ folders, e.g. 'models/'; models missing there come from the Hugging Face hub.
+        MODEL_BASE_URL: null
+    },
+
     // API endpoints
     GEMINI_API_URL: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent',
 
@@ -24,7 +43,28 @@ export const config = {
  * Check if AI features are available
  */
 export function isAIAvailable() {
-    return config.WORKER_URL !== null || config.GEMINI_API_KEY !== null;
+    return config.WORKER_URL !== null || config.GEMINI_API_KEY !== null || isMockAI();
+}
+
+/**
+ * Whether AI actions are answered by the in-browser mock backend
+ */
+export function isMockAI() {
+    return Boolean(config.MOCK_AI);
+}
+
+/**
+ * Options for MockAIBackend from config.MOCK_AI
+ */
+export function getMockAIOptions() {
+    return typeof config.MOCK_AI === 'object' && config.MOCK_AI !== null ? config.MOCK_AI : {};
+}
+
+/**
+ * Where the background-removal runtimes and models are loaded from
+ */
+export function getRemovalAssets() {
+    return config.REMOVAL_ASSETS;
 }
 
 /**
@@ -36,3 +76,51 @@ export function getAPIEndpoint() {
     }
     return null;
 }
+
+const CLIENT_TOKEN_KEY = 'tattoo_tryon_client_token';
+// Used when localStorage is blocked (e.g. some private modes).
+let pageClientToken = null;
+
+/**
+ * Per-browser token sent to the Worker. A Worker with credits on replaces it with a
+ * signed token (see creditsManager.sync()), which also gets its own rate limits;
+ * otherwise it is an anonymous id that only scopes Worker jobs.
+ */
+export function getClientToken() {
+    try {
+        let token = localStorage.getItem(CLIENT_TOKEN_KEY);
+        if (!token) {
+            token = crypto.randomUUID();
+            localStorage.setItem(CLIENT_TOKEN_KEY, token);
+        }
+        return token;
+    } catch (error) {
+        pageClientToken = pageClientToken || crypto.randomUUID();
+        return pageClientToken;
+    }
+}
+
+/**
+ * Store the token issued by the Worker, or clear it with null.
+ */
+export function setClientToken(token) {
+    try {
+        if (token) {
+            localStorage.setItem(CLIENT_TOKEN_KEY, token);
+        } else {
+            localStorage.removeItem(CLIENT_TOKEN_KEY);
+        }
+    } catch (error) {
+        pageClientToken = token;
+    }
+}
+
+/**
+ * Headers for requests to the Worker
+ */
+export function getAPIHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'X-Client-Token': getClientToken()
+    };
+}
@@ -1,40 +1,109 @@
 // Credits Manager
-// Handles localStorage-based credit system for AI generation
+// Mirrors the balance kept by the Worker's credit ledger (api/credits-ledger.js).
+// The browser never decides the balance: it is synced from the `session` action and
+// from the `balance` field of every AI response. The Worker debits and refunds.
 //
-// NOTE: Credits UI (modal/counter) has been removed/disabled.
-// We keep this module to avoid breaking imports, but credits are treated as unlimited.
+// Credits are unlimited when there is no Worker, or the Worker runs without TOKEN_SECRET.
+// Top-ups (credit packs, vouchers) are also applied by the Worker; this module only asks.
 
-const CREDITS_KEY = 'tattoo_tryon_credits';
-const DEFAULT_CREDITS = 3;
-
-// Toggle if you ever want to re-enable credits later.
-const CREDITS_ENABLED = false;
+import { getAPIEndpoint, getAPIHeaders, setClientToken } from './config.js';
+import { ERROR_CODES, codeFromStatus, describeError } from './api-errors.js';
 
 class CreditsManager {
     constructor() {
-        this.credits = this.loadCredits();
-        this.updateDisplay();
+        this.enabled = false;
+        this.credits = Number.POSITIVE_INFINITY;
+        this.syncPromise = null;
+        // Set by the app to open the buy credits dialog.
+        this.onBuyRequest = null;
     }
 
-    loadCredits() {
-        if (!CREDITS_ENABLED) {
-            return Number.POSITIVE_INFINITY;
+    /**
+     * POST an action to the Worker and pick up the balance it reports.
+     * Failed replies resolve too (`success: false`) with a user-facing `error`.
+     * @param {object} body - Request body with `action`
+     * @returns {Promise<object>} Parsed reply
+     */
+    async request(body) {
+        const endpoint = getAPIEndpoint();
+        if (!endpoint) {
+            throw new Error('Credits need the Cloudflare Worker. Set WORKER_URL in config.js');
         }
 
-        const stored = localStorage.getItem(CREDITS_KEY);
-        if (stored === null) {
-            // First time user - grant 3 free credits
-            localStorage.setItem(CREDITS_KEY, DEFAULT_CREDITS);
-            return DEFAULT_CREDITS;
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: getAPIHeaders(),
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({ success: false }));
+        this.applyBalance(result.balance);
+
+        if (!response.ok || !result.success) {
+            const code = result.code || codeFromStatus(response.status);
+            // Invalid voucher and checkout input comes back already worded for users.
+            const error = code === ERROR_CODES.INVALID_INPUT && result.error
+                ? result.error
+                : describeError({ code, retryAfter: result.retryAfter });
+            return { ...result, success: false, code, error };
         }
-        return parseInt(stored, 10);
+        return result;
     }
 
-    saveCredits() {
-        if (!CREDITS_ENABLED) {
+    /**
+     * Ask the Worker for the current balance. The first call also obtains a signed client token.
+     * @returns {Promise<number>} Balance (Infinity when credits are off)
+     */
+    sync() {
+        const endpoint = getAPIEndpoint();
+        if (!endpoint) {
+            return Promise.resolve(this.credits);
+        }
+
+        this.syncPromise = (async () => {
+            const result = await this.request({ action: 'session' });
+            if (!result.success) {
+                throw new Error(result.error || 'Session request failed');
+            }
+
+            if (result.token) {
+                setClientToken(result.token);
+            }
+            this.enabled = result.creditsEnabled === true;
+            this.applyBalance(this.enabled ? result.balance : Number.POSITIVE_INFINITY);
+            return this.credits;
+        })().catch((error) => {
+            console.warn('Credit sync failed:', error);
+            this.syncPromise = null;
+            return this.credits;
+        });
+
+        return this.syncPromise;
+    }
+
+    /**
+     * Resolve once the balance has been synced at least once.
+     */
+    ready() {
+        return this.syncPromise || this.sync();
+    }
+
+    /**
+     * Drop a token the Worker no longer accepts and fetch a fresh one.
+     */
+    resetSession() {
+        setClientToken(null);
+        return this.sync();
+    }
+
+    /**
+     * Take the balance reported by the Worker (ignored when absent).
+     * @param {number|undefined} balance
+     */
+    applyBalance(balance) {
+        if (typeof balance !== 'number') {
             return;
         }
-        localStorage.setItem(CREDITS_KEY, this.credits.toString());
+        this.credits = balance;
         this.updateDisplay();
     }
 
@@ -42,41 +111,61 @@ class CreditsManager {
         return this.credits;
     }
 
+    /**
+     * Whether the last known balance covers `amount`. Advisory only: the Worker has the final say.
+     */
     hasCredits(amount = 1) {
-        if (!CREDITS_ENABLED) {
+        if (!this.enabled) {
             return true;
         }
         return this.credits >= amount;
     }
 
-    useCredit(amount = 1) {
-        if (!CREDITS_ENABLED) {
-            return true;
-        }
-        if (!this.hasCredits(amount)) {
-            return false;
+    /**
+     * Credit packs on sale. Empty when payments are not configured on the Worker.
+     * @returns {Promise<Array<{id: string, label: string, credits: number, amount: number, currency: string}>>}
+     */
+    async listPacks() {
+        const result = await this.request({ action: 'list-packs' });
+        return result.success ? result.packs : [];
+    }
+
+    /**
+     * Start a checkout for a pack. The provider sends the buyer back to `returnUrl`
+     * with `?checkout=success` or `?checkout=cancel`.
+     * @param {string} packId
+     * @param {string} returnUrl
+     * @returns {Promise<string>} Checkout page URL
+     */
+    async startCheckout(packId, returnUrl) {
+        const result = await this.request({ action: 'create-checkout', pack: packId, returnUrl });
+        if (!result.success) {
+            throw new Error(result.error || 'Could not start checkout');
         }
-        this.credits -= amount;
-        this.saveCredits();
-        return true;
+        return result.url;
     }
 
-    addCredits(amount) {
-        if (!CREDITS_ENABLED) {
-            return;
+    /**
+     * Redeem a voucher code handed out by a studio.
+     * @param {string} code
+     * @returns {Promise<number>} Credits added
+     */
+    async redeemVoucher(code) {
+        const result = await this.request({ action: 'redeem-voucher', code });
+        if (!result.success) {
+            throw new Error(result.error || 'Could not redeem voucher');
         }
-        this.credits += amount;
-        this.saveCredits();
+        return result.credits;
     }
 
     updateDisplay() {
-        // Credits counter UI removed/disabled.
-        if (!CREDITS_ENABLED) {
-            return;
+        const noteEl = document.getElementById('creditsNote');
+        if (noteEl) {
+            noteEl.classList.toggle('is-hidden', !this.enabled);
         }
 
         const countEl = document.getElementById('creditsCount');
-        if (countEl) {
+        if (countEl && this.enabled) {
             countEl.textContent = this.credits;
 
             // Add pulse animation on change
@@ -86,25 +175,8 @@ class CreditsManager {
     }
 
     showBuyModal() {
-        // Credits purchase modal removed/disabled.
-        if (!CREDITS_ENABLED) {
-            return;
-        }
-
-        const modal = document.getElementById('creditsModal');
-        if (modal) {
-            modal.classList.add('visible');
-        }
-    }
-
-    hideBuyModal() {
-        if (!CREDITS_ENABLED) {
-            return;
-        }
-
-        const modal = document.getElementById('creditsModal');
-        if (modal) {
-            modal.classList.remove('visible');
+        if (this.enabled && this.onBuyRequest) {
+            this.onBuyRequest();
         }
     }
 }
@@ -0,0 +1,100 @@
+// Custom Styles
+// User-defined style presets (name, descriptor, example images) saved in localStorage.
+// Example images are downscaled JPEG data URLs so several styles fit in the storage quota.
+
+import { loadImageFromFile } from './background-removal.js';
+import { CUSTOM_STYLE_PREFIX, MAX_STYLE_REFERENCE_LENGTH, normalizeCustomStyle } from './tattoo-styles.js';
+
+const STORAGE_KEY = 'tattoo_tryon_custom_styles';
+const REFERENCE_MAX_SIZE = 384;
+
+class CustomStyleStore {
+    constructor() {
+        this.styles = this.load();
+    }
+
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable custom styles:', error);
+            return [];
+        }
+        if (!Array.isArray(stored)) return [];
+
+        // Stored data may be stale or edited by hand: keep only what add() would have saved.
+        return stored.flatMap((style) => {
+            if (!style || typeof style.id !== 'string') return [];
+            try {
+                return [{ id: style.id, ...normalizeCustomStyle(style), createdAt: Number(style.createdAt) || 0 }];
+            } catch (error) {
+                console.warn(`Ignoring invalid custom style ${style.id}:`, error.message);
+                return [];
+            }
+        });
+    }
+
+    persist(styles) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(styles));
+        } catch (error) {
+            throw new Error('Not enough browser storage to save this style. Try fewer or smaller example images.');
+        }
+        this.styles = styles;
+    }
+
+    list() {
+        return this.styles.map((style) => ({ ...style, references: [...style.references] }));
+    }
+
+    get(id) {
+        return this.styles.find((style) => style.id === id) || null;
+    }
+
+    /**
+     * Save a new style.
+     * @param {{name: string, descriptor: string, references?: string[]}} style - References as data URLs
+     * @returns {object} Saved style with its id
+     */
+    add(style) {
+        const saved = {
+            id: `${CUSTOM_STYLE_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...normalizeCustomStyle(style),
+            createdAt: Date.now()
+        };
+        this.persist([...this.styles, saved]);
+        return saved;
+    }
+
+    remove(id) {
+        this.persist(this.styles.filter((style) => style.id !== id));
+    }
+
+    /**
+     * Downscale an uploaded example image to a small JPEG data URL.
+     * @param {File|Blob} file
+     * @returns {Promise<string>}
+     */
+    async createReference(file) {
+        const image = await loadImageFromFile(file);
+        const scale = Math.min(1, REFERENCE_MAX_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        // Transparent designs would otherwise turn black in JPEG.
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.82);
+        if (dataUrl.length > MAX_STYLE_REFERENCE_LENGTH) {
+            return canvas.toDataURL('image/jpeg', 0.6);
+        }
+        return dataUrl;
+    }
+}
+
+export const customStyleStore = new CustomStyleStore();
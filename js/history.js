@@ -0,0 +1,100 @@
+// History Stack
+// Snapshot-based undo/redo for canvas edits.
+// Each entry stores the state *before* a mutation; undo swaps it with the current state.
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_COALESCE_WINDOW = 1000;
+
+export class HistoryStack {
+    constructor({ limit = DEFAULT_LIMIT, coalesceWindow = DEFAULT_COALESCE_WINDOW } = {}) {
+        this.limit = limit;
+        this.coalesceWindow = coalesceWindow;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange = null;
+    }
+
+    /**
+     * Record the state captured before a mutation.
+     * Consecutive records sharing a coalesceKey (e.g. one slider drag) collapse into one step.
+     * @param {string} label - Human readable name of the edit
+     * @param {object} snapshot - State before the edit
+     * @param {string|null} coalesceKey - Optional key for merging rapid edits
+     */
+    record(label, snapshot, coalesceKey = null) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        this.redoStack = [];
+
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.time < this.coalesceWindow) {
+            last.time = now;
+            this.notify();
+            return;
+        }
+
+        this.undoStack.push({ label, snapshot, coalesceKey, time: now });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.notify();
+    }
+
+    /**
+     * Step back one edit.
+     * @param {object} current - Snapshot of the live state, kept for redo
+     * @returns {object|null} Snapshot to restore
+     */
+    undo(current) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.redoStack.push({ label: entry.label, snapshot: current, coalesceKey: null, time: 0 });
+        this.notify();
+        return entry.snapshot;
+    }
+
+    /**
+     * Re-apply the last undone edit.
+     * @param {object} current - Snapshot of the live state, kept for undo
+     * @returns {object|null} Snapshot to restore
+     */
+    redo(current) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push({ label: entry.label, snapshot: current, coalesceKey: null, time: 0 });
+        this.notify();
+        return entry.snapshot;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    getUndoLabel() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        return entry ? entry.label : null;
+    }
+
+    getRedoLabel() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        return entry ? entry.label : null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.canUndo(), this.canRedo());
+        }
+    }
+}
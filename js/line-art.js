@@ -0,0 +1,424 @@
+// Line Art
+// Turns photos of paper sketches and stencils into crisp transparent ink, for uploads where
+// salient-object background removal does badly. The steps are:
+// - paper shading removal: divide by an estimate of the paper brightness, so shadows and
+//   uneven light do not read as ink
+// - adaptive threshold against the local mean, with a soft edge one or two levels wide
+// - despeckling of tiny ink islands (paper grain, dust, eraser crumbs)
+// - optional line thickening
+// The result is the ink colour with the ink mask as alpha.
+// The pixel operations are plain functions over typed arrays; LineArtEditor wires them to a
+// preview canvas.
+
+export const LINE_ART_DEFAULTS = Object.freeze({
+    // 0-100: higher keeps fainter strokes as ink.
+    threshold: 60,
+    inkColor: '#1a1a1a',
+    removeShading: true,
+    // Ink islands up to this many pixels (at full size) are removed; 0 keeps everything.
+    despeckle: 12,
+    // Pixels added around every line, at full size.
+    thicken: 0
+});
+
+// Longest side of the result and of the live preview.
+const MAX_OUTPUT_SIZE = 2048;
+const MAX_PREVIEW_SIZE = 1024;
+// After shading removal, anything this dark is ink even inside large solid fills.
+const SOLID_INK = 96;
+// Luminance levels from fully transparent to fully opaque ink at the threshold.
+const EDGE_SOFTNESS = 32;
+
+function clamp(v, min = 0, max = 255) {
+    return Math.max(min, Math.min(max, v));
+}
+
+/**
+ * Luminance of RGBA pixels; transparent pixels count as white paper.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8ClampedArray}
+ */
+export function toLuminance(rgba) {
+    const lum = new Uint8ClampedArray(rgba.length / 4);
+    for (let p = 0; p < lum.length; p += 1) {
+        const i = p * 4;
+        const y = (0.299 * rgba[i]) + (0.587 * rgba[i + 1]) + (0.114 * rgba[i + 2]);
+        const a = rgba[i + 3] / 255;
+        lum[p] = Math.round((y * a) + (255 * (1 - a)));
+    }
+    return lum;
+}
+
+// 90th percentile of each block: the paper, even where a few lines cross it.
+function blockPaper(lum, width, height, block, cols, rows) {
+    const grid = new Float32Array(cols * rows);
+    const histogram = new Uint32Array(256);
+
+    for (let by = 0; by < rows; by += 1) {
+        for (let bx = 0; bx < cols; bx += 1) {
+            histogram.fill(0);
+            const x1 = Math.min(width, (bx + 1) * block);
+            const y1 = Math.min(height, (by + 1) * block);
+            let count = 0;
+            for (let y = by * block; y < y1; y += 1) {
+                for (let x = bx * block; x < x1; x += 1) {
+                    histogram[lum[(y * width) + x]] += 1;
+                    count += 1;
+                }
+            }
+
+            let seen = 0;
+            let level = 255;
+            for (; level > 0; level -= 1) {
+                seen += histogram[level];
+                if (seen >= count * 0.1) break;
+            }
+            grid[(by * cols) + bx] = level;
+        }
+    }
+    return grid;
+}
+
+// 3x3 max then 3x3 mean over the block grid: blocks filled with ink take their neighbours' paper.
+function smoothPaper(grid, cols, rows) {
+    const pass = (source, reduce) => {
+        const out = new Float32Array(source.length);
+        for (let y = 0; y < rows; y += 1) {
+            for (let x = 0; x < cols; x += 1) {
+                const values = [];
+                for (let dy = -1; dy <= 1; dy += 1) {
+                    for (let dx = -1; dx <= 1; dx += 1) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < cols && ny < rows) values.push(source[(ny * cols) + nx]);
+                    }
+                }
+                out[(y * cols) + x] = reduce(values);
+            }
+        }
+        return out;
+    };
+    const maxed = pass(grid, (values) => Math.max(...values));
+    return pass(maxed, (values) => values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Paper shading removal: divides every pixel by a smooth estimate of the paper brightness
+ * around it, so the paper comes out white and lines keep their contrast.
+ * @param {Uint8ClampedArray} lum - One luminance value per pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray}
+ */
+export function flattenShading(lum, width, height) {
+    const block = Math.max(8, Math.round(Math.max(width, height) / 16));
+    const cols = Math.ceil(width / block);
+    const rows = Math.ceil(height / block);
+    const paper = smoothPaper(blockPaper(lum, width, height, block, cols, rows), cols, rows);
+    const out = new Uint8ClampedArray(lum.length);
+
+    // Bilinear between block centres.
+    for (let y = 0; y < height; y += 1) {
+        const gy = clamp((y / block) - 0.5, 0, rows - 1);
+        const y0 = Math.floor(gy);
+        const y1 = Math.min(rows - 1, y0 + 1);
+        const fy = gy - y0;
+        for (let x = 0; x < width; x += 1) {
+            const gx = clamp((x / block) - 0.5, 0, cols - 1);
+            const x0 = Math.floor(gx);
+            const x1 = Math.min(cols - 1, x0 + 1);
+            const fx = gx - x0;
+
+            const top = (paper[(y0 * cols) + x0] * (1 - fx)) + (paper[(y0 * cols) + x1] * fx);
+            const bottom = (paper[(y1 * cols) + x0] * (1 - fx)) + (paper[(y1 * cols) + x1] * fx);
+            const level = Math.max(1, (top * (1 - fy)) + (bottom * fy));
+
+            const p = (y * width) + x;
+            out[p] = Math.round((lum[p] / level) * 255);
+        }
+    }
+    return out;
+}
+
+/**
+ * Adaptive threshold: a pixel is ink when it is darker than the mean of the window around it
+ * by more than the threshold allows, or dark enough to be ink anywhere.
+ * @param {Uint8ClampedArray} lum
+ * @param {number} width
+ * @param {number} height
+ * @param {number} threshold - 0-100, higher keeps fainter strokes
+ * @returns {Uint8ClampedArray} Ink alpha per pixel, with a narrow soft edge
+ */
+export function adaptiveThreshold(lum, width, height, threshold) {
+    // Fraction below the local mean that a pixel must reach: 0.4 at threshold 0, 0.02 at 100.
+    const margin = 0.4 - (clamp(threshold, 0, 100) / 100 * 0.38);
+    const radius = Math.max(7, Math.round(Math.min(width, height) / 16));
+    const stride = width + 1;
+
+    const integral = new Uint32Array(stride * (height + 1));
+    for (let y = 0; y < height; y += 1) {
+        let row = 0;
+        for (let x = 0; x < width; x += 1) {
+            row += lum[(y * width) + x];
+            integral[((y + 1) * stride) + x + 1] = integral[(y * stride) + x + 1] + row;
+        }
+    }
+
+    const alpha = new Uint8ClampedArray(lum.length);
+    for (let y = 0; y < height; y += 1) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x += 1) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width, x + radius + 1);
+            const sum = integral[(y1 * stride) + x1] - integral[(y0 * stride) + x1]
+                - integral[(y1 * stride) + x0] + integral[(y0 * stride) + x0];
+            const mean = sum / ((x1 - x0) * (y1 - y0));
+
+            const cut = Math.max(mean * (1 - margin), SOLID_INK);
+            const p = (y * width) + x;
+            alpha[p] = clamp(Math.round(128 + (((cut - lum[p]) / EDGE_SOFTNESS) * 255)));
+        }
+    }
+    return alpha;
+}
+
+/**
+ * Removes ink islands (8-connected visible pixels) whose ink adds up to at most `maxArea`
+ * fully opaque pixels. In place.
+ * @param {Uint8ClampedArray} alpha
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxArea
+ * @returns {number} Islands removed
+ */
+export function despeckle(alpha, width, height, maxArea) {
+    if (maxArea <= 0) return 0;
+
+    const seen = new Uint8Array(alpha.length);
+    const stack = new Int32Array(alpha.length);
+    const island = [];
+    let removed = 0;
+
+    for (let start = 0; start < alpha.length; start += 1) {
+        if (seen[start] || alpha[start] === 0) continue;
+
+        let top = 0;
+        let ink = 0;
+        island.length = 0;
+        stack[top++] = start;
+        seen[start] = 1;
+
+        while (top > 0) {
+            const p = stack[--top];
+            island.push(p);
+            ink += alpha[p] / 255;
+
+            const x = p % width;
+            const y = (p - x) / width;
+            for (let dy = -1; dy <= 1; dy += 1) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx += 1) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    const q = (ny * width) + nx;
+                    if (!seen[q] && alpha[q] > 0) {
+                        seen[q] = 1;
+                        stack[top++] = q;
+                    }
+                }
+            }
+        }
+
+        if (ink <= maxArea) {
+            island.forEach((p) => { alpha[p] = 0; });
+            removed += 1;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Thickens lines by `radius` pixels (square dilation of the alpha). Returns a new array.
+ * @param {Uint8ClampedArray} alpha
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius - Whole pixels
+ * @returns {Uint8ClampedArray}
+ */
+export function thicken(alpha, width, height, radius) {
+    if (radius <= 0) return alpha;
+
+    const pass = (source, horizontal) => {
+        const out = new Uint8ClampedArray(source.length);
+        for (let y = 0; y < height; y += 1) {
+            for (let x = 0; x < width; x += 1) {
+                let max = 0;
+                for (let d = -radius; d <= radius; d += 1) {
+                    const sx = horizontal ? x + d : x;
+                    const sy = horizontal ? y : y + d;
+                    if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+                    max = Math.max(max, source[(sy * width) + sx]);
+                }
+                out[(y * width) + x] = max;
+            }
+        }
+        return out;
+    };
+    return pass(pass(alpha, true), false);
+}
+
+function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    const value = parseInt(match ? match[1] : LINE_ART_DEFAULTS.inkColor.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Line art from a photo or scan of a drawing.
+ * @param {Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {object} options - LINE_ART_DEFAULTS keys, plus `pixelScale`: size of this image
+ *   relative to the full-size result, for previews (scales despeckle and thicken)
+ * @returns {Uint8ClampedArray} RGBA: the ink colour with the ink as alpha
+ */
+export function extractLineArt(rgba, width, height, options = {}) {
+    const { threshold, inkColor, removeShading, despeckle: speckArea, thicken: thickness, pixelScale = 1 } = {
+        ...LINE_ART_DEFAULTS,
+        ...options
+    };
+
+    let lum = toLuminance(rgba);
+    if (removeShading) {
+        lum = flattenShading(lum, width, height);
+    }
+
+    let alpha = adaptiveThreshold(lum, width, height, threshold);
+    despeckle(alpha, width, height, speckArea * pixelScale * pixelScale);
+    alpha = thicken(alpha, width, height, Math.round(thickness * pixelScale));
+
+    const [r, g, b] = parseHexColor(inkColor);
+    const out = new Uint8ClampedArray(rgba.length);
+    for (let p = 0; p < alpha.length; p += 1) {
+        const i = p * 4;
+        out[i] = r;
+        out[i + 1] = g;
+        out[i + 2] = b;
+        out[i + 3] = alpha[p];
+    }
+    return out;
+}
+
+function fitWithin(width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+function readPixels(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+}
+
+export class LineArtEditor {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Preview canvas
+     */
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+        this.options = { ...LINE_ART_DEFAULTS };
+        this.image = null;
+        this.preview = null;
+        this.renderFrame = null;
+    }
+
+    /**
+     * Start tuning a drawing.
+     * @param {HTMLImageElement} image - The upload
+     */
+    load(image) {
+        this.image = image;
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        this.outputSize = fitWithin(naturalWidth, naturalHeight, MAX_OUTPUT_SIZE);
+
+        const { width, height } = fitWithin(naturalWidth, naturalHeight, MAX_PREVIEW_SIZE);
+        this.preview = { width, height, pixels: readPixels(image, width, height) };
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.render();
+    }
+
+    /**
+     * Change some options and redraw the preview (at most once per frame).
+     * @param {object} options - LINE_ART_DEFAULTS keys
+     */
+    setOptions(options) {
+        Object.assign(this.options, options);
+        if (typeof requestAnimationFrame === 'undefined') {
+            this.render();
+            return;
+        }
+        if (this.renderFrame !== null) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        if (!this.preview) return;
+
+        const { width, height, pixels } = this.preview;
+        const output = this.ctx.createImageData(width, height);
+        output.data.set(extractLineArt(pixels, width, height, {
+            ...this.options,
+            pixelScale: width / this.outputSize.width
+        }));
+        this.ctx.putImageData(output, 0, 0);
+    }
+
+    /**
+     * The line art at full size (up to 2048px), with the current options.
+     * @returns {Promise<Blob>} PNG with transparency
+     */
+    toBlob() {
+        const { width, height } = this.outputSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(width, height);
+        output.data.set(extractLineArt(readPixels(this.image, width, height), width, height, this.options));
+        ctx.putImageData(output, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG encode failed'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    // Free the pixels between sessions; the options stay for the next drawing.
+    release() {
+        if (this.renderFrame !== null) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        this.image = null;
+        this.preview = null;
+    }
+}
@@ -0,0 +1,490 @@
+// Mask Editor
+// Manual refinement of a background-removed tattoo. The mask is one alpha value per pixel
+// of the original upload: erase and restore brushes and the magic wand edit the mask, and
+// the result is the original pixels with the mask as alpha, so restoring brings back real
+// detail instead of whatever the removal engine left behind.
+// The pixel operations are plain functions over typed arrays; MaskEditor wires them to a
+// canvas and pointer events.
+
+export const MASK_MODES = Object.freeze({
+    ERASE: 'erase',
+    RESTORE: 'restore'
+});
+
+export const MASK_TOOLS = Object.freeze({
+    BRUSH: 'brush',
+    WAND: 'wand'
+});
+
+const MAX_UNDO = 20;
+// Longest side of the on-screen canvas; edits always happen at full resolution.
+const MAX_DISPLAY_SIZE = 1024;
+// Dabs per brush radius along a stroke.
+const DAB_SPACING = 0.25;
+// Restore shows erased pixels faintly so there is something to aim at.
+const GHOST_ALPHA = 0.22;
+
+/**
+ * Alpha channel of RGBA pixels.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8ClampedArray}
+ */
+export function extractAlpha(rgba) {
+    const alpha = new Uint8ClampedArray(rgba.length / 4);
+    for (let p = 0; p < alpha.length; p += 1) {
+        alpha[p] = rgba[(p * 4) + 3];
+    }
+    return alpha;
+}
+
+function unionRect(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+}
+
+/**
+ * Paint one round dab into the mask. Full strength inside `radius * hardness`, then a
+ * smooth falloff to the edge. Dabs never go past their own strength, so overlapping dabs
+ * of a stroke do not build up a hard edge.
+ * @param {Uint8ClampedArray} mask - One value per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {{x: number, y: number, radius: number, hardness?: number, mode: string}} dab
+ * @returns {{x: number, y: number, width: number, height: number}|null} Pixels that may have changed
+ */
+export function applyBrushDab(mask, width, height, { x, y, radius, hardness = 0.7, mode }) {
+    const r = Math.max(0.5, radius);
+    const inner = r * Math.min(1, Math.max(0, hardness));
+    const left = Math.max(0, Math.floor(x - r));
+    const top = Math.max(0, Math.floor(y - r));
+    const right = Math.min(width - 1, Math.ceil(x + r));
+    const bottom = Math.min(height - 1, Math.ceil(y + r));
+    if (left > right || top > bottom) return null;
+
+    const erase = mode === MASK_MODES.ERASE;
+    for (let py = top; py <= bottom; py += 1) {
+        for (let px = left; px <= right; px += 1) {
+            const distance = Math.hypot((px + 0.5) - x, (py + 0.5) - y);
+            if (distance >= r) continue;
+
+            let strength = 1;
+            if (distance > inner) {
+                const t = (r - distance) / (r - inner);
+                strength = t * t * (3 - (2 * t));
+            }
+
+            const i = (py * width) + px;
+            const value = Math.round(255 * strength);
+            mask[i] = erase ? Math.min(mask[i], 255 - value) : Math.max(mask[i], value);
+        }
+    }
+
+    return { x: left, y: top, width: (right - left) + 1, height: (bottom - top) + 1 };
+}
+
+/**
+ * Points to dab between two pointer positions (excluding `from`, which was already painted).
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function interpolateStroke(from, to, spacing) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(1, Math.ceil(distance / Math.max(0.5, spacing)));
+    const points = [];
+    for (let step = 1; step <= steps; step += 1) {
+        const t = step / steps;
+        points.push({ x: from.x + ((to.x - from.x) * t), y: from.y + ((to.y - from.y) * t) });
+    }
+    return points;
+}
+
+/**
+ * Magic wand: the pixels connected to (x, y) whose colour is within `tolerance` of it
+ * (largest difference over R, G and B).
+ * @param {Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @param {number} tolerance - 0-255
+ * @returns {{selection: Uint8Array, bounds: object, count: number}|null} One flag per pixel
+ */
+export function floodSelect(rgba, width, height, x, y, tolerance = 32) {
+    const sx = Math.floor(x);
+    const sy = Math.floor(y);
+    if (sx < 0 || sy < 0 || sx >= width || sy >= height) return null;
+
+    const seed = ((sy * width) + sx) * 4;
+    const [r, g, b] = [rgba[seed], rgba[seed + 1], rgba[seed + 2]];
+    const matches = (p) => {
+        const i = p * 4;
+        return Math.abs(rgba[i] - r) <= tolerance
+            && Math.abs(rgba[i + 1] - g) <= tolerance
+            && Math.abs(rgba[i + 2] - b) <= tolerance;
+    };
+
+    const selection = new Uint8Array(width * height);
+    const stack = [(sy * width) + sx];
+    let count = 0;
+    let minX = sx;
+    let maxX = sx;
+    let minY = sy;
+    let maxY = sy;
+
+    // Scanline fill: walk each run to both ends, then queue the rows above and below.
+    while (stack.length > 0) {
+        const start = stack.pop();
+        if (selection[start]) continue;
+
+        const row = Math.floor(start / width);
+        const rowStart = row * width;
+        let left = start - rowStart;
+        let right = left;
+        while (left > 0 && !selection[rowStart + left - 1] && matches(rowStart + left - 1)) left -= 1;
+        while (right < width - 1 && !selection[rowStart + right + 1] && matches(rowStart + right + 1)) right += 1;
+
+        for (let px = left; px <= right; px += 1) {
+            selection[rowStart + px] = 1;
+        }
+        count += (right - left) + 1;
+        minX = Math.min(minX, left);
+        maxX = Math.max(maxX, right);
+        minY = Math.min(minY, row);
+        maxY = Math.max(maxY, row);
+
+        for (const next of [row - 1, row + 1]) {
+            if (next < 0 || next >= height) continue;
+            const nextStart = next * width;
+            let inRun = false;
+            for (let px = left; px <= right; px += 1) {
+                const p = nextStart + px;
+                const open = !selection[p] && matches(p);
+                if (open && !inRun) stack.push(p);
+                inRun = open;
+            }
+        }
+    }
+
+    return {
+        selection,
+        count,
+        bounds: { x: minX, y: minY, width: (maxX - minX) + 1, height: (maxY - minY) + 1 }
+    };
+}
+
+/**
+ * Erase or restore every selected pixel.
+ * @param {Uint8ClampedArray} mask
+ * @param {Uint8Array} selection - From floodSelect
+ * @param {string} mode - MASK_MODES value
+ */
+export function applySelection(mask, selection, mode) {
+    const value = mode === MASK_MODES.ERASE ? 0 : 255;
+    for (let p = 0; p < mask.length; p += 1) {
+        if (selection[p]) mask[p] = value;
+    }
+}
+
+/**
+ * Write the original pixels with `min(original alpha, mask)` as alpha into `out`,
+ * for the whole image or one rectangle.
+ * @param {Uint8ClampedArray} original - RGBA
+ * @param {Uint8ClampedArray} mask
+ * @param {Uint8ClampedArray} out - RGBA, same size as original
+ * @param {number} width
+ * @param {{x: number, y: number, width: number, height: number}|null} rect
+ */
+export function composeMasked(original, mask, out, width, rect = null) {
+    const height = mask.length / width;
+    const area = rect || { x: 0, y: 0, width, height };
+
+    for (let y = area.y; y < area.y + area.height; y += 1) {
+        for (let x = area.x; x < area.x + area.width; x += 1) {
+            const p = (y * width) + x;
+            const i = p * 4;
+            out[i] = original[i];
+            out[i + 1] = original[i + 1];
+            out[i + 2] = original[i + 2];
+            out[i + 3] = Math.min(original[i + 3], mask[p]);
+        }
+    }
+    return out;
+}
+
+function readPixels(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+}
+
+export class MaskEditor {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - On-screen canvas; its CSS size may differ from its pixels
+     */
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+        this.mode = MASK_MODES.ERASE;
+        this.tool = MASK_TOOLS.BRUSH;
+        // Brush diameter in screen pixels, so it feels the same at any zoom.
+        this.brushSize = 36;
+        this.hardness = 0.7;
+        this.tolerance = 32;
+
+        this.width = 0;
+        this.height = 0;
+        this.original = null;
+        this.mask = null;
+        this.initialMask = null;
+        this.output = null;
+        this.outputCanvas = document.createElement('canvas');
+        this.outputCtx = this.outputCanvas.getContext('2d');
+        this.ghostCanvas = document.createElement('canvas');
+        this.undoStack = [];
+        this.stroke = null;
+        this.pointer = null;
+
+        this.onChange = null;
+
+        this.handlePointerDown = this.onPointerDown.bind(this);
+        this.handlePointerMove = this.onPointerMove.bind(this);
+        this.handlePointerUp = this.onPointerUp.bind(this);
+        this.handlePointerLeave = () => {
+            this.pointer = null;
+            this.render();
+        };
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+        this.canvas.addEventListener('pointerleave', this.handlePointerLeave);
+    }
+
+    /**
+     * Start editing.
+     * @param {HTMLImageElement} originalImage - The upload before background removal
+     * @param {HTMLImageElement} maskImage - Current layer image; its alpha becomes the mask
+     *   (scaled to the original when the sizes differ)
+     */
+    load(originalImage, maskImage) {
+        this.width = originalImage.naturalWidth || originalImage.width;
+        this.height = originalImage.naturalHeight || originalImage.height;
+        this.original = readPixels(originalImage, this.width, this.height);
+        this.mask = extractAlpha(readPixels(maskImage, this.width, this.height));
+        this.initialMask = this.mask.slice();
+        this.undoStack = [];
+        this.stroke = null;
+
+        this.outputCanvas.width = this.width;
+        this.outputCanvas.height = this.height;
+        this.output = this.outputCtx.createImageData(this.width, this.height);
+        composeMasked(this.original, this.mask, this.output.data, this.width);
+        this.outputCtx.putImageData(this.output, 0, 0);
+
+        this.ghostCanvas.width = this.width;
+        this.ghostCanvas.height = this.height;
+        this.ghostCanvas.getContext('2d').drawImage(originalImage, 0, 0, this.width, this.height);
+
+        const scale = Math.min(1, MAX_DISPLAY_SIZE / Math.max(this.width, this.height));
+        this.canvas.width = Math.max(1, Math.round(this.width * scale));
+        this.canvas.height = Math.max(1, Math.round(this.height * scale));
+        this.render();
+        this.notifyChange();
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.render();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.render();
+    }
+
+    // Image pixels per on-screen pixel.
+    getScreenScale() {
+        const rect = this.canvas.getBoundingClientRect();
+        return rect.width > 0 ? this.width / rect.width : 1;
+    }
+
+    toImagePoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * this.width,
+            y: ((event.clientY - rect.top) / rect.height) * this.height
+        };
+    }
+
+    getBrushRadius() {
+        return (this.brushSize / 2) * this.getScreenScale();
+    }
+
+    pushUndo() {
+        this.undoStack.push(this.mask.slice());
+        if (this.undoStack.length > MAX_UNDO) {
+            this.undoStack.shift();
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+        this.mask = this.undoStack.pop();
+        this.refresh(null);
+        return true;
+    }
+
+    // Back to the mask the editor was opened with.
+    reset() {
+        if (!this.mask) return;
+        this.pushUndo();
+        this.mask = this.initialMask.slice();
+        this.refresh(null);
+    }
+
+    refresh(rect) {
+        composeMasked(this.original, this.mask, this.output.data, this.width, rect);
+        if (rect) {
+            this.outputCtx.putImageData(this.output, 0, 0, rect.x, rect.y, rect.width, rect.height);
+        } else {
+            this.outputCtx.putImageData(this.output, 0, 0);
+        }
+        this.render();
+        this.notifyChange();
+    }
+
+    dab(point) {
+        return applyBrushDab(this.mask, this.width, this.height, {
+            x: point.x,
+            y: point.y,
+            radius: this.getBrushRadius(),
+            hardness: this.hardness,
+            mode: this.mode
+        });
+    }
+
+    onPointerDown(event) {
+        if (!this.mask || event.button > 0) return;
+        event.preventDefault();
+        const point = this.toImagePoint(event);
+        this.pushUndo();
+
+        if (this.tool === MASK_TOOLS.WAND) {
+            const region = floodSelect(this.original, this.width, this.height, point.x, point.y, this.tolerance);
+            if (region) {
+                applySelection(this.mask, region.selection, this.mode);
+                this.refresh(region.bounds);
+            }
+            return;
+        }
+
+        this.canvas.setPointerCapture?.(event.pointerId);
+        this.stroke = { last: point };
+        this.refresh(this.dab(point));
+    }
+
+    onPointerMove(event) {
+        this.pointer = this.toImagePoint(event);
+        if (!this.stroke) {
+            this.render();
+            return;
+        }
+
+        const spacing = this.getBrushRadius() * DAB_SPACING;
+        let changed = null;
+        for (const point of interpolateStroke(this.stroke.last, this.pointer, spacing)) {
+            changed = unionRect(changed, this.dab(point));
+        }
+        this.stroke.last = this.pointer;
+        if (changed) {
+            this.refresh(changed);
+        }
+    }
+
+    onPointerUp(event) {
+        if (!this.stroke) return;
+        this.stroke = null;
+        this.canvas.releasePointerCapture?.(event.pointerId);
+    }
+
+    render() {
+        const { ctx } = this;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.mask) return;
+
+        if (this.mode === MASK_MODES.RESTORE) {
+            ctx.globalAlpha = GHOST_ALPHA;
+            ctx.drawImage(this.ghostCanvas, 0, 0, this.canvas.width, this.canvas.height);
+            ctx.globalAlpha = 1;
+        }
+        ctx.drawImage(this.outputCanvas, 0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.pointer && this.tool === MASK_TOOLS.BRUSH) {
+            const scale = this.canvas.width / this.width;
+            const radius = this.getBrushRadius() * scale;
+            ctx.beginPath();
+            ctx.arc(this.pointer.x * scale, this.pointer.y * scale, radius, 0, Math.PI * 2);
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = this.mode === MASK_MODES.ERASE ? '#d92d20' : '#12b76a';
+            ctx.stroke();
+            if (this.hardness < 1) {
+                ctx.beginPath();
+                ctx.arc(this.pointer.x * scale, this.pointer.y * scale, radius * this.hardness, 0, Math.PI * 2);
+                ctx.setLineDash([3, 3]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        }
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange({ canUndo: this.canUndo() });
+        }
+    }
+
+    /**
+     * The refined design: original pixels with the edited mask as alpha.
+     * @returns {Promise<Blob>} PNG at the original's resolution
+     */
+    toBlob() {
+        return new Promise((resolve, reject) => {
+            this.outputCanvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG encode failed'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    // Free the pixel buffers between sessions; listeners stay attached for the next load().
+    release() {
+        this.original = null;
+        this.mask = null;
+        this.initialMask = null;
+        this.output = null;
+        this.undoStack = [];
+        this.stroke = null;
+        this.pointer = null;
+        this.outputCanvas.width = 1;
+        this.outputCanvas.height = 1;
+        this.ghostCanvas.width = 1;
+        this.ghostCanvas.height = 1;
+    }
+}
@@ -0,0 +1,241 @@
+// Mock AI Backend
+// Stand-in for Gemini and Replicate, so the AI UI can be built and tested offline and in CI
+// without a key or credits. Answers the Worker's AI actions with the same reply bodies:
+// - generate-tattoo: deterministic fixture designs (same prompt, style and seed give the same PNGs)
+// - place-tattoo: the photo it was sent, unchanged
+// - remove-background: the image it was sent, unchanged
+// Latency and failures are simulated. Put `[mock:<error code>]` in a prompt to force that error.
+// Used by the Worker (AI_BACKEND=mock) and by the browser (config.MOCK_AI); keep it free of
+// DOM and Worker APIs.
+
+import { APIError, ERROR_CODES, sleepUnlessCancelled } from './api-errors.js';
+import { toInlineImagePart } from './tattoo-styles.js';
+import { clampVariants } from './tattoo-variants.js';
+
+export const MOCK_IMAGE_SIZE = 256;
+const FORCED_ERROR_PATTERN = /\[mock:([a-z_]+)\]/;
+
+// FNV-1a, enough to turn a prompt into a stable seed.
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c = n;
+            for (let k = 0; k < 8; k += 1) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i += 1) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream made of stored (uncompressed) deflate blocks: no compressor needed.
+function zlibStore(bytes) {
+    const blockCount = Math.max(1, Math.ceil(bytes.length / 65535));
+    const out = new Uint8Array(2 + bytes.length + (blockCount * 5) + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+
+    let offset = 2;
+    for (let block = 0; block < blockCount; block += 1) {
+        const chunk = bytes.subarray(block * 65535, (block + 1) * 65535);
+        out[offset] = block === blockCount - 1 ? 1 : 0;
+        view.setUint16(offset + 1, chunk.length, true);
+        view.setUint16(offset + 3, ~chunk.length & 0xffff, true);
+        out.set(chunk, offset + 5);
+        offset += 5 + chunk.length;
+    }
+    view.setUint32(offset, adler32(bytes));
+    return out;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i += 1) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encode RGBA pixels as a PNG data URL.
+ * @param {Uint8Array} rgba - width * height * 4 bytes
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+export function encodePngDataUrl(rgba, width, height) {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Every scanline starts with filter type 0 (none).
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y += 1) {
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), (y * (stride + 1)) + 1);
+    }
+
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlibStore(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+
+    let binary = '';
+    for (const part of parts) {
+        for (let i = 0; i < part.length; i += 0x8000) {
+            binary += String.fromCharCode(...part.subarray(i, i + 0x8000));
+        }
+    }
+    return `data:image/png;base64,${btoa(binary)}`;
+}
+
+/**
+ * A fixture "tattoo": a rosette with dotwork ring in dark ink on a transparent background.
+ * The seed picks the petal count, phase and ring sizes.
+ * @param {number} seed
+ * @param {number} size - Width and height in pixels
+ * @returns {string} PNG data URL
+ */
+export function renderFixtureDesign(seed, size = MOCK_IMAGE_SIZE) {
+    const petals = 3 + (seed % 6);
+    const phase = ((seed >>> 3) % 360) * (Math.PI / 180);
+    const radius = 0.28 + (((seed >>> 7) % 10) / 100);
+    const depth = 0.08 + (((seed >>> 11) % 6) / 100);
+    const dots = 12 + ((seed >>> 13) % 12);
+    const stroke = 0.022;
+
+    const rgba = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y += 1) {
+        for (let x = 0; x < size; x += 1) {
+            const dx = ((x + 0.5) / size) - 0.5;
+            const dy = ((y + 0.5) / size) - 0.5;
+            const r = Math.hypot(dx, dy);
+            const theta = Math.atan2(dy, dx);
+
+            const petalEdge = Math.abs(r - (radius + (depth * Math.cos((petals * theta) + phase))));
+            const centre = Math.abs(r - (radius * 0.3));
+            const dotAngle = Math.round((theta / (2 * Math.PI)) * dots) * ((2 * Math.PI) / dots);
+            const dot = Math.hypot(dx - (0.45 * Math.cos(dotAngle)), dy - (0.45 * Math.sin(dotAngle)));
+
+            const ink = Math.max(
+                1 - (petalEdge / stroke),
+                1 - (centre / stroke),
+                1 - (dot / 0.018)
+            );
+            if (ink <= 0) continue;
+
+            const i = ((y * size) + x) * 4;
+            rgba[i] = 24;
+            rgba[i + 1] = 22;
+            rgba[i + 2] = 26;
+            rgba[i + 3] = Math.round(Math.min(1, ink * 1.6) * 255);
+        }
+    }
+    return encodePngDataUrl(rgba, size, size);
+}
+
+export class MockAIBackend {
+    /**
+     * @param {object} options
+     * @param {number} options.latency - Milliseconds per call
+     * @param {number} options.failureRate - Share of calls (0-1) that fail with a transient upstream error
+     * @param {string|null} options.error - Error code every call fails with
+     * @param {() => number} options.random - Injectable for tests
+     */
+    constructor({ latency = 800, failureRate = 0, error = null, random = Math.random } = {}) {
+        this.latency = Math.max(0, Number(latency) || 0);
+        this.failureRate = Math.min(1, Math.max(0, Number(failureRate) || 0));
+        this.error = error;
+        this.random = random;
+    }
+
+    /**
+     * Answer an AI action the way the Worker would.
+     * @param {string} action - place-tattoo, generate-tattoo or remove-background
+     * @param {object} body - Request body
+     * @param {{signal?: AbortSignal, onProgress?: (progress: number) => void}} options
+     * @returns {Promise<object>} Reply body
+     * @throws {APIError}
+     */
+    async run(action, body, { signal = null, onProgress = () => { } } = {}) {
+        const steps = action === 'generate-tattoo' ? clampVariants(body.count) : 1;
+        for (let step = 1; step <= steps; step += 1) {
+            await sleepUnlessCancelled(this.latency / steps, signal);
+            onProgress((step / steps) * 90);
+        }
+
+        const forced = typeof body.prompt === 'string' ? FORCED_ERROR_PATTERN.exec(body.prompt) : null;
+        const code = forced ? forced[1] : this.error;
+        if (code) {
+            throw new APIError(code, `Mock ${code}`);
+        }
+        if (this.random() < this.failureRate) {
+            throw new APIError(ERROR_CODES.UPSTREAM_ERROR, 'Mock transient failure');
+        }
+
+        if (action === 'place-tattoo') {
+            if (!toInlineImagePart(body.bodyImage) || !toInlineImagePart(body.tattooImage)) {
+                throw new APIError(ERROR_CODES.INVALID_INPUT, 'bodyImage and tattooImage must be image data URLs');
+            }
+            return { success: true, image: body.bodyImage };
+        }
+
+        if (action === 'remove-background') {
+            if (!toInlineImagePart(body.image)) {
+                throw new APIError(ERROR_CODES.INVALID_INPUT, 'image must be an image data URL');
+            }
+            return { success: true, image: body.image };
+        }
+
+        if (action === 'generate-tattoo') {
+            if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+                throw new APIError(ERROR_CODES.INVALID_INPUT, 'Missing prompt');
+            }
+
+            const key = `${body.prompt}|${body.customStyle?.name || body.style || ''}`;
+            const baseSeed = Number.isInteger(body.seed) && body.seed >= 0 ? body.seed : hashString(key) % 2147483647;
+            const seeds = Array.from({ length: steps }, (_, index) => baseSeed + index);
+            const images = seeds.map((seed) => renderFixtureDesign(hashString(`${key}|${seed}`)));
+
+            return { success: true, image: images[0], images, seeds, seed: baseSeed, requested: steps };
+        }
+
+        throw new APIError(ERROR_CODES.INVALID_INPUT, 'Invalid action');
+    }
+}
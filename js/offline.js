@@ -0,0 +1,42 @@
+// Offline support
+// Registers the service worker (sw.js), which precaches the app shell and keeps
+// background-removal runtimes and models after their first download, and tracks whether
+// the browser is online so AI actions can be disabled while it is not.
+
+/**
+ * Register sw.js. Does nothing where service workers are unavailable (older browsers,
+ * plain http other than localhost, file://).
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
+
+    try {
+        return await navigator.serviceWorker.register(new URL('../sw.js', import.meta.url));
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether the browser has a network connection. Online when it cannot tell.
+ */
+export function isOnline() {
+    return globalThis.navigator?.onLine !== false;
+}
+
+/**
+ * Call listener(online) whenever the browser goes online or offline.
+ * @param {(online: boolean) => void} listener
+ * @returns {() => void} Stops listening
+ */
+export function onConnectivityChange(listener) {
+    const handle = () => listener(isOnline());
+    window.addEventListener('online', handle);
+    window.addEventListener('offline', handle);
+    return () => {
+        window.removeEventListener('online', handle);
+        window.removeEventListener('offline', handle);
+    };
+}
@@ -0,0 +1,216 @@
+// Project Files
+// Saves a try-on session (photo, tattoo layers, crops, transforms, opacity, rotation,
+// warps, perspective corners)
+// as a single JSON manifest with the source images embedded as data URLs.
+
+import { loadImageFromFile } from './background-removal.js';
+import { WARP_GRID_SIZE, isValidCorners } from './warp.js';
+
+export const PROJECT_FORMAT = 'tattoo-tryon-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.tattoo.json';
+
+function imageToDataURL(image) {
+    if (typeof image.src === 'string' && image.src.startsWith('data:')) {
+        return image.src;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function assertRect(rect, label) {
+    if (!rect || !['x', 'y', 'width', 'height'].every((key) => isFiniteNumber(rect[key]))) {
+        throw new Error(`Invalid ${label} in project file`);
+    }
+}
+
+function assertTransform(transform, keys, label) {
+    for (const key of keys) {
+        if (!isFiniteNumber(transform[key])) {
+            throw new Error(`Invalid ${label} ${key} in project file`);
+        }
+    }
+    assertRect(transform.crop, `${label} crop`);
+}
+
+function assertWarp(warp, label) {
+    if (warp === undefined || warp === null) return;
+    const valid = Array.isArray(warp.points)
+        && warp.points.length === WARP_GRID_SIZE * WARP_GRID_SIZE
+        && warp.points.every((point) => point && isFiniteNumber(point.x) && isFiniteNumber(point.y));
+    if (!valid) {
+        throw new Error(`Invalid ${label} warp in project file`);
+    }
+}
+
+function assertCorners(corners, label) {
+    if (corners === undefined || corners === null) return;
+    const valid = Array.isArray(corners)
+        && corners.length === 4
+        && corners.every((point) => point && isFiniteNumber(point.x) && isFiniteNumber(point.y))
+        && isValidCorners(corners);
+    if (!valid) {
+        throw new Error(`Invalid ${label} perspective in project file`);
+    }
+}
+
+/**
+ * Split a canvas scene into a manifest and the images it references.
+ * Images shared between layers are listed once and referenced by asset id.
+ * @param {object} scene - Result of CanvasController.exportScene()
+ * @returns {{manifest: object, images: Map<string, HTMLImageElement>}}
+ */
+export function createManifest(scene) {
+    if (!scene || !scene.body) {
+        throw new Error('Nothing to save yet');
+    }
+
+    const images = new Map();
+    const assetIds = new Map();
+    const addAsset = (image) => {
+        if (!assetIds.has(image)) {
+            const id = `asset-${assetIds.size + 1}`;
+            assetIds.set(image, id);
+            images.set(id, image);
+        }
+        return assetIds.get(image);
+    };
+
+    const { image: bodyImage, ...body } = scene.body;
+
+    const manifest = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        createdAt: new Date().toISOString(),
+        canvas: { ...scene.canvas },
+        body: { ...body, crop: { ...body.crop }, asset: addAsset(bodyImage) },
+        layers: scene.layers.map(({ image, ...layer }) => ({
+            ...layer,
+            crop: { ...layer.crop },
+            asset: addAsset(image)
+        })),
+        selectedLayer: scene.selectedLayer
+    };
+
+    return { manifest, images };
+}
+
+/**
+ * Build a project file from a canvas scene with every image embedded as a data URL.
+ * @param {object} scene - Result of CanvasController.exportScene()
+ * @returns {object} JSON-serializable project
+ */
+export function serializeProject(scene) {
+    const { manifest, images } = createManifest(scene);
+    const assets = {};
+    for (const [id, image] of images) {
+        assets[id] = imageToDataURL(image);
+    }
+    return { ...manifest, assets };
+}
+
+/**
+ * Parse and validate a project manifest.
+ * @param {string} text - File contents
+ * @returns {object} Validated project
+ */
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Project file is not valid JSON');
+    }
+
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('Not a TattooTryOn project file');
+    }
+    if (!isFiniteNumber(project.version) || project.version > PROJECT_VERSION) {
+        throw new Error('Project was saved by a newer version of TattooTryOn');
+    }
+
+    const assets = project.assets || {};
+    const hasAsset = (id) => typeof assets[id] === 'string' && assets[id].startsWith('data:image/');
+
+    if (!project.body || !hasAsset(project.body.asset)) {
+        throw new Error('Project file is missing the photo');
+    }
+    assertTransform(project.body, ['x', 'y', 'scale', 'width', 'height'], 'photo');
+
+    if (!project.canvas || !isFiniteNumber(project.canvas.width) || !isFiniteNumber(project.canvas.height)) {
+        throw new Error('Invalid canvas size in project file');
+    }
+
+    if (!Array.isArray(project.layers)) {
+        throw new Error('Project file has no layer list');
+    }
+
+    // Keep ids in the controller's "tattoo-N" scheme and unique.
+    const isLayerId = (id) => typeof id === 'string' && /^tattoo-\d+$/.test(id);
+    const seenIds = new Set();
+    let nextNumber = 1 + Math.max(0, ...project.layers
+        .filter((layer) => layer && isLayerId(layer.id))
+        .map((layer) => Number(layer.id.slice('tattoo-'.length))));
+
+    project.layers.forEach((layer, index) => {
+        if (!layer || !hasAsset(layer.asset)) {
+            throw new Error(`Project layer ${index + 1} is missing its image`);
+        }
+        assertTransform(layer, ['x', 'y', 'scale', 'rotation', 'opacity', 'width', 'height'], `layer ${index + 1}`);
+        assertWarp(layer.warp, `layer ${index + 1}`);
+        assertCorners(layer.corners, `layer ${index + 1}`);
+
+        if (!isLayerId(layer.id) || seenIds.has(layer.id)) {
+            layer.id = `tattoo-${nextNumber}`;
+            nextNumber += 1;
+        }
+        seenIds.add(layer.id);
+    });
+
+    return project;
+}
+
+/**
+ * Decode the embedded images and rebuild a scene for CanvasController.loadScene().
+ * Assets may be data URLs (project files) or Blobs (local session storage).
+ * @param {object} project - Validated project
+ * @returns {Promise<object>} Scene
+ */
+export async function deserializeProject(project) {
+    const images = new Map();
+    await Promise.all(Object.entries(project.assets).map(async ([id, source]) => {
+        images.set(id, await loadImageFromFile(source));
+    }));
+
+    const { asset: bodyAsset, ...body } = project.body;
+
+    return {
+        canvas: { ...project.canvas },
+        body: { ...body, crop: { ...body.crop }, image: images.get(bodyAsset) },
+        layers: project.layers.map(({ asset, ...layer }) => ({
+            ...layer,
+            name: typeof layer.name === 'string' && layer.name ? layer.name : layer.id,
+            crop: { ...layer.crop },
+            warp: layer.warp || null,
+            corners: layer.corners || null,
+            image: images.get(asset)
+        })),
+        selectedLayer: project.selectedLayer
+    };
+}
+
+export function createProjectBlob(project) {
+    return new Blob([JSON.stringify(project)], { type: 'application/json' });
+}
+
+export async function readProjectFile(file) {
+    return parseProject(await file.text());
+}
@@ -0,0 +1,145 @@
+// Background Removal Engines
+// Registry of the engines removeImageBackground() can use. background-removal.js registers
+// the built-in ones; add-ons register their own the same way:
+//
+//   removalEngines.register({
+//       id: 'my-engine',
+//       label: 'My engine',
+//       remove: async (input, onProgress, signal) => pngBlob
+//   });
+//
+// An engine is {id, label, description?, fallback?, download?, isAvailable?(), remove(input, onProgress, signal)}:
+// - remove() resolves with a PNG Blob with transparency, reports its own progress (0-100)
+//   and stops with the signal's reason when the signal aborts
+// - isAvailable() hides an engine that cannot run here (e.g. no Worker configured)
+// - fallback engines only run in auto mode when every other engine failed
+// - download engines fetch a large model the first time they run; the registry remembers
+//   which have done so in this browser (see isDownloaded())
+
+export const AUTO_ENGINE = 'auto';
+const STORAGE_KEY = 'tattoo_tryon_removal_engine';
+const DOWNLOADED_KEY = 'tattoo_tryon_removal_downloaded';
+
+class RemovalEngineRegistry {
+    constructor() {
+        this.engines = new Map();
+        this.onChange = null;
+    }
+
+    /**
+     * Add an engine, or replace the one with the same id.
+     * @param {object} engine
+     * @returns {object} The registered engine
+     */
+    register(engine) {
+        if (!engine || typeof engine.id !== 'string' || !engine.id.trim()) {
+            throw new Error('A removal engine needs an id');
+        }
+        if (engine.id === AUTO_ENGINE) {
+            throw new Error(`"${AUTO_ENGINE}" is reserved`);
+        }
+        if (typeof engine.remove !== 'function') {
+            throw new Error(`Removal engine "${engine.id}" needs a remove() function`);
+        }
+
+        const registered = {
+            ...engine,
+            label: engine.label || engine.id,
+            fallback: Boolean(engine.fallback),
+            download: Boolean(engine.download)
+        };
+        this.engines.set(engine.id, registered);
+        this.notifyChange();
+        return registered;
+    }
+
+    unregister(id) {
+        const removed = this.engines.delete(id);
+        if (removed) this.notifyChange();
+        return removed;
+    }
+
+    get(id) {
+        return this.engines.get(id) || null;
+    }
+
+    isAvailable(engine) {
+        if (typeof engine.isAvailable !== 'function') return true;
+        try {
+            return Boolean(engine.isAvailable());
+        } catch (error) {
+            console.warn(`Removal engine "${engine.id}" availability check failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Whether an engine can run without downloading its model first: it has none, or it
+     * already ran in this browser (the service worker keeps the files).
+     */
+    isDownloaded(engine) {
+        return !engine.download || this.readDownloaded().includes(engine.id);
+    }
+
+    markDownloaded(id) {
+        const downloaded = this.readDownloaded();
+        if (downloaded.includes(id)) return;
+        try {
+            localStorage.setItem(DOWNLOADED_KEY, JSON.stringify([...downloaded, id]));
+        } catch (error) {
+            // Storage blocked: the engine counts as not downloaded in the next session.
+        }
+    }
+
+    readDownloaded() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(DOWNLOADED_KEY));
+            return Array.isArray(ids) ? ids : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Engines in registration order.
+     * @param {{availableOnly?: boolean}} options
+     */
+    list({ availableOnly = false } = {}) {
+        const engines = [...this.engines.values()];
+        return availableOnly ? engines.filter((engine) => this.isAvailable(engine)) : engines;
+    }
+
+    /**
+     * The engine the user picked, or AUTO_ENGINE when none (or one that is gone) was saved.
+     */
+    getPreference() {
+        let id = null;
+        try {
+            id = localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            // Storage blocked: auto for this session.
+        }
+        const engine = id ? this.get(id) : null;
+        return engine && this.isAvailable(engine) ? id : AUTO_ENGINE;
+    }
+
+    setPreference(id) {
+        try {
+            if (id === AUTO_ENGINE || !id) {
+                localStorage.removeItem(STORAGE_KEY);
+            } else {
+                localStorage.setItem(STORAGE_KEY, id);
+            }
+        } catch (error) {
+            console.warn('Unable to save the background removal engine:', error);
+        }
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.list());
+        }
+    }
+}
+
+export const removalEngines = new RemovalEngineRegistry();
@@ -0,0 +1,242 @@
+// Removal Pixels
+// Per-pixel passes over background-removal results, shared by the main thread
+// (background-removal.js) and the pixel worker (removal-worker.js); keep it free of DOM APIs.
+// test/mask-corpus/ benchmarks the mask score against sample designs with known masks:
+// run `npm run bench:masks` after changing it.
+
+// Alpha above which a pixel counts as part of the result, and the solid/clear split.
+const VISIBLE_ALPHA = 18;
+const SOLID_ALPHA = 128;
+// Alpha range of partly transparent pixels.
+const MIDTONE_MIN = 24;
+const MIDTONE_MAX = 232;
+// Side of the coarse mask that candidates are compared on.
+const THUMBNAIL_SIZE = 48;
+
+// How much each problem adds to the score at its worst. Lower scores are better.
+const PENALTIES = {
+    empty: 200,    // (almost) nothing left: the engine removed the design itself
+    border: 100,   // the border band is covered: background left around the design
+    softness: 20,  // blurry mask edges
+    haze: 100,     // semi-transparent fog that is not edge anti-aliasing
+    speckles: 20,  // specks of leftover background
+    pinholes: 20,  // tiny holes punched into the design
+    agreement: 40  // disagrees with the other engines' results
+};
+
+/**
+ * Results at or below this score are good enough to stop waiting for other engines. Every
+ * clean corpus mask scores under it; dust, blur, haze and paper edges score above.
+ */
+export const GOOD_ENOUGH_SCORE = 4;
+
+function clamp(v, min = 0, max = 255) {
+    return Math.max(min, Math.min(max, v));
+}
+
+/**
+ * Conservative alpha cleanup, in place. Keeps detail: only removes very faint haze and
+ * gently strengthens semi-opaque pixels.
+ * @param {Uint8ClampedArray} data - RGBA
+ */
+export function cleanupAlpha(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3];
+
+        if (a < 10) {
+            data[i + 3] = 0;
+        } else if (a < 42) {
+            data[i + 3] = clamp(Math.round((a - 6) * 1.35));
+        }
+    }
+    return data;
+}
+
+// Connected regions of pixels where `inside(alpha)` holds: how many there are and how many
+// are at most `smallArea` pixels. Regions touching the image border are skipped with `skipBorder`.
+function countRegions(alpha, width, height, inside, { smallArea, diagonal = false, skipBorder = false }) {
+    const seen = new Uint8Array(alpha.length);
+    const stack = new Int32Array(alpha.length);
+    let count = 0;
+    let small = 0;
+
+    for (let start = 0; start < alpha.length; start += 1) {
+        if (seen[start] || !inside(alpha[start])) continue;
+
+        let top = 0;
+        let area = 0;
+        let touchesBorder = false;
+        stack[top++] = start;
+        seen[start] = 1;
+
+        while (top > 0) {
+            const p = stack[--top];
+            const x = p % width;
+            const y = (p - x) / width;
+            area += 1;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+
+            for (let dy = -1; dy <= 1; dy += 1) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx += 1) {
+                    if ((dx === 0 && dy === 0) || (!diagonal && dx !== 0 && dy !== 0)) continue;
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+
+                    const q = (ny * width) + nx;
+                    if (!seen[q] && inside(alpha[q])) {
+                        seen[q] = 1;
+                        stack[top++] = q;
+                    }
+                }
+            }
+        }
+
+        if (skipBorder && touchesBorder) continue;
+        count += 1;
+        if (area <= smallArea) small += 1;
+    }
+
+    return { count, small };
+}
+
+/**
+ * Mask score from the measurements of measureMaskQuality, without engine agreement.
+ * @param {object} metrics
+ * @returns {number} Lower is better
+ */
+export function scoreMask(metrics) {
+    return (metrics.visibleRatio < 0.001 ? PENALTIES.empty : 0)
+        + ((metrics.borderCoverage ** 2) * PENALTIES.border)
+        + ((1 - metrics.sharpness) * PENALTIES.softness)
+        + ((1 - metrics.bimodality) * PENALTIES.haze)
+        + (Math.min(1, metrics.speckles / 200) * PENALTIES.speckles)
+        + (Math.min(1, metrics.pinholes / 200) * PENALTIES.pinholes);
+}
+
+/**
+ * How clean a cut-out looks, from its alpha channel alone:
+ * - visibleRatio: share of visible pixels; almost none means the design was removed
+ * - borderCoverage: share of the border band that is visible. Designs may touch the frame,
+ *   but leftover background tends to cover all of it
+ * - sharpness: alpha contrast across the mask edge, 1 for crisp edges
+ * - bimodality: share of pixels that are clear, solid or edge anti-aliasing rather than haze
+ * - islands/speckles: solid regions, and those of only a few pixels
+ * - holes/pinholes: enclosed clear regions, and those of only a few pixels
+ * @param {Uint8ClampedArray} data - RGBA
+ * @param {number} width
+ * @param {number} height
+ * @returns {object} The measurements, `score` (lower is better) and `thumbnail`, a coarse
+ *   mask for applyAgreement
+ */
+export function measureMaskQuality(data, width, height) {
+    const total = width * height;
+    const alpha = new Uint8Array(total);
+    for (let p = 0; p < total; p += 1) alpha[p] = data[(p * 4) + 3];
+
+    const band = clamp(Math.round(Math.min(width, height) * 0.01), 1, 8);
+    const cellSums = new Float64Array(THUMBNAIL_SIZE * THUMBNAIL_SIZE);
+    const cellCounts = new Uint32Array(THUMBNAIL_SIZE * THUMBNAIL_SIZE);
+    let visible = 0;
+    let bandPixels = 0;
+    let bandVisible = 0;
+    let crossings = 0;
+    let contrast = 0;
+    let haze = 0;
+
+    const isSolid = (p) => alpha[p] >= SOLID_ALPHA;
+
+    for (let y = 0; y < height; y += 1) {
+        const cellRow = Math.floor((y * THUMBNAIL_SIZE) / height) * THUMBNAIL_SIZE;
+        for (let x = 0; x < width; x += 1) {
+            const p = (y * width) + x;
+            const a = alpha[p];
+            const solid = a >= SOLID_ALPHA;
+
+            if (a > VISIBLE_ALPHA) visible += 1;
+            if (x < band || y < band || x >= width - band || y >= height - band) {
+                bandPixels += 1;
+                if (a > VISIBLE_ALPHA) bandVisible += 1;
+            }
+
+            const cell = cellRow + Math.floor((x * THUMBNAIL_SIZE) / width);
+            cellSums[cell] += a;
+            cellCounts[cell] += 1;
+
+            // Edge contrast is taken one pixel further out on both sides, so a single
+            // anti-aliased pixel still reads as a crisp edge.
+            if (x + 1 < width && isSolid(p + 1) !== solid) {
+                crossings += 1;
+                contrast += Math.abs(alpha[x > 0 ? p - 1 : p] - alpha[x + 2 < width ? p + 2 : p + 1]);
+            }
+            if (y + 1 < height && isSolid(p + width) !== solid) {
+                crossings += 1;
+                contrast += Math.abs(alpha[y > 0 ? p - width : p] - alpha[y + 2 < height ? p + (2 * width) : p + width]);
+            }
+
+            if (a > MIDTONE_MIN && a < MIDTONE_MAX) {
+                const onEdge = (x > 0 && isSolid(p - 1) !== solid)
+                    || (x + 1 < width && isSolid(p + 1) !== solid)
+                    || (y > 0 && isSolid(p - width) !== solid)
+                    || (y + 1 < height && isSolid(p + width) !== solid);
+                if (!onEdge) haze += 1;
+            }
+        }
+    }
+
+    // Dust and pinholes are a few pixels at any size; larger images allow a little more.
+    const smallArea = Math.max(4, Math.round(total * 0.00005));
+    const islands = countRegions(alpha, width, height, (a) => a >= SOLID_ALPHA, { smallArea, diagonal: true });
+    const holes = countRegions(alpha, width, height, (a) => a < SOLID_ALPHA, { smallArea, skipBorder: true });
+
+    const thumbnail = new Uint8Array(THUMBNAIL_SIZE * THUMBNAIL_SIZE);
+    for (let i = 0; i < thumbnail.length; i += 1) {
+        thumbnail[i] = cellCounts[i] > 0 && cellSums[i] / cellCounts[i] >= SOLID_ALPHA ? 1 : 0;
+    }
+
+    const metrics = {
+        visibleRatio: visible / Math.max(1, total),
+        borderCoverage: bandVisible / Math.max(1, bandPixels),
+        sharpness: crossings > 0 ? contrast / (crossings * 255) : 1,
+        bimodality: 1 - (haze / Math.max(1, total)),
+        islands: islands.count,
+        speckles: islands.small,
+        holes: holes.count,
+        pinholes: holes.small
+    };
+
+    return { ...metrics, score: scoreMask(metrics), thumbnail };
+}
+
+function maskIoU(a, b) {
+    let intersection = 0;
+    let union = 0;
+    for (let i = 0; i < a.length; i += 1) {
+        intersection += a[i] & b[i];
+        union += a[i] | b[i];
+    }
+    return union > 0 ? intersection / union : 1;
+}
+
+/**
+ * Adds engine agreement to the scores of candidates for the same image, in place: each one's
+ * `agreement` is its mean mask overlap (IoU) with the others, and disagreeing results score
+ * worse. `baseScore` keeps the score from measureMaskQuality. Needs at least two candidates.
+ * @param {object[]} qualities - Results of measureMaskQuality
+ * @returns {object[]} `qualities`
+ */
+export function applyAgreement(qualities) {
+    const comparable = qualities.filter((quality) => quality.thumbnail?.length === THUMBNAIL_SIZE * THUMBNAIL_SIZE);
+    if (comparable.length < 2) return qualities;
+
+    for (const quality of comparable) {
+        const overlaps = comparable
+            .filter((other) => other !== quality)
+            .map((other) => maskIoU(quality.thumbnail, other.thumbnail));
+        quality.agreement = overlaps.reduce((sum, value) => sum + value, 0) / overlaps.length;
+        quality.baseScore ??= quality.score;
+        quality.score = quality.baseScore + ((1 - quality.agreement) * PENALTIES.agreement);
+    }
+    return qualities;
+}
@@ -0,0 +1,30 @@
+// Background Removal Worker
+// Module Web Worker for the CPU-heavy part of each removal candidate: decode, alpha cleanup,
+// quality score and PNG encode, so the page stays responsive while engines finish.
+// Messages: {id, blob} -> {id, blob, quality} or {id, error}.
+// Needs createImageBitmap and OffscreenCanvas; background-removal.js falls back to the
+// main thread where they are missing.
+
+import { cleanupAlpha, measureMaskQuality } from './removal-pixels.js';
+
+self.onmessage = async (event) => {
+    const { id, blob } = event.data;
+
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        cleanupAlpha(imageData.data);
+        const quality = measureMaskQuality(imageData.data, canvas.width, canvas.height);
+        ctx.putImageData(imageData, 0, 0);
+
+        const cleaned = await canvas.convertToBlob({ type: 'image/png' });
+        self.postMessage({ id, blob: cleaned, quality });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
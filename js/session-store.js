@@ -0,0 +1,169 @@
+// Session Store
+// Autosaves try-on sessions to IndexedDB so an accidentally closed tab can be restored.
+// Two object stores: `sessions` holds small metadata + thumbnail for the recent list,
+// `session-data` holds the project manifest with the source images as Blobs.
+
+import { createManifest, deserializeProject } from './project.js';
+
+const DB_NAME = 'tattoo-tryon';
+const DB_VERSION = 1;
+const META_STORE = 'sessions';
+const DATA_STORE = 'session-data';
+const MAX_SESSIONS = 8;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+function canvasToBlob(canvas, type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('Image encode failed'));
+                return;
+            }
+            resolve(blob);
+        }, type, quality);
+    });
+}
+
+class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+        // Source images rarely change between autosaves; encode each one only once.
+        this.blobCache = new WeakMap();
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DATA_STORE)) {
+                    db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+                }
+            };
+            this.dbPromise = requestToPromise(request).catch((error) => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    createSessionId() {
+        return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    async imageToBlob(image) {
+        if (this.blobCache.has(image)) {
+            return this.blobCache.get(image);
+        }
+
+        let blob;
+        if (typeof image.src === 'string' && image.src.startsWith('data:')) {
+            blob = await fetch(image.src).then((res) => res.blob());
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth || image.width;
+            canvas.height = image.naturalHeight || image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            blob = await canvasToBlob(canvas);
+        }
+
+        this.blobCache.set(image, blob);
+        return blob;
+    }
+
+    /**
+     * Write (or overwrite) a session.
+     * @param {string} id - Session id from createSessionId()
+     * @param {object} scene - Result of CanvasController.exportScene()
+     * @param {HTMLCanvasElement|null} thumbnailCanvas - Result of CanvasController.exportThumbnail()
+     */
+    async save(id, scene, thumbnailCanvas = null) {
+        const { manifest, images } = createManifest(scene);
+        const assets = {};
+        for (const [assetId, image] of images) {
+            assets[assetId] = await this.imageToBlob(image);
+        }
+
+        const thumbnail = thumbnailCanvas ? await canvasToBlob(thumbnailCanvas, 'image/jpeg', 0.82) : null;
+        const db = await this.open();
+
+        const existing = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(id));
+        const now = Date.now();
+
+        const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+        transaction.objectStore(META_STORE).put({
+            id,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            layerCount: manifest.layers.length,
+            thumbnail
+        });
+        transaction.objectStore(DATA_STORE).put({ id, project: { ...manifest, assets } });
+        await transactionDone(transaction);
+
+        await this.prune();
+    }
+
+    /**
+     * Recent sessions, newest first (metadata and thumbnails only).
+     * @returns {Promise<Array<{id: string, createdAt: number, updatedAt: number, layerCount: number, thumbnail: Blob|null}>>}
+     */
+    async list() {
+        const db = await this.open();
+        const sessions = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Load a session back into a scene for CanvasController.loadScene().
+     * @param {string} id
+     * @returns {Promise<object>} Scene
+     */
+    async load(id) {
+        const db = await this.open();
+        const record = await requestToPromise(db.transaction(DATA_STORE).objectStore(DATA_STORE).get(id));
+        if (!record) {
+            throw new Error('Session not found');
+        }
+        return deserializeProject(record.project);
+    }
+
+    async remove(id) {
+        const db = await this.open();
+        const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+        transaction.objectStore(META_STORE).delete(id);
+        transaction.objectStore(DATA_STORE).delete(id);
+        await transactionDone(transaction);
+    }
+
+    async prune(limit = MAX_SESSIONS) {
+        const sessions = await this.list();
+        for (const session of sessions.slice(limit)) {
+            await this.remove(session.id);
+        }
+    }
+}
+
+export const sessionStore = new SessionStore();
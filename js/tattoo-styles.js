@@ -0,0 +1,171 @@
+// Tattoo Styles
+// Single style registry shared by the browser (ai-generator.js) and the Cloudflare Worker (api/worker.js).
+// Keep this module free of DOM and Worker APIs so both sides can import it.
+
+export const DEFAULT_STYLE = 'minimalist';
+export const CUSTOM_STYLE_PREFIX = 'custom-';
+export const MAX_STYLE_NAME_LENGTH = 40;
+export const MAX_STYLE_DESCRIPTOR_LENGTH = 300;
+export const MAX_STYLE_REFERENCES = 3;
+// Reference images are downscaled before saving; this caps what the Worker accepts per image.
+export const MAX_STYLE_REFERENCE_LENGTH = 400000;
+
+export const TATTOO_STYLES = Object.freeze({
+    minimalist: {
+        label: 'Minimalist',
+        prompt: 'minimalist line art, simple clean lines, black ink tattoo design'
+    },
+    'fine-line': {
+        label: 'Fine-line',
+        prompt: 'fine-line tattoo, single-needle thin delicate lines, subtle shading, black ink'
+    },
+    blackwork: {
+        label: 'Blackwork',
+        prompt: 'blackwork tattoo, heavy solid black fills, bold negative space, high contrast'
+    },
+    dotwork: {
+        label: 'Dotwork',
+        prompt: 'dotwork tattoo, stippled shading built from fine dots, black ink, ornamental'
+    },
+    tribal: {
+        label: 'Tribal',
+        prompt: 'tribal tattoo design, bold black patterns, polynesian inspired'
+    },
+    japanese: {
+        label: 'Japanese',
+        prompt: 'traditional japanese irezumi style tattoo, detailed, waves and wind bars'
+    },
+    traditional: {
+        label: 'Traditional',
+        prompt: 'american traditional tattoo style, bold outlines, limited classic palette'
+    },
+    'neo-traditional': {
+        label: 'Neo-traditional',
+        prompt: 'neo-traditional tattoo, bold varied line weight, rich jewel-tone colors, ornamental details'
+    },
+    chicano: {
+        label: 'Chicano',
+        prompt: 'chicano tattoo style, black and grey, smooth soft shading, fine script and portrait elements'
+    },
+    realism: {
+        label: 'Realism',
+        prompt: 'realistic black and grey tattoo, photographic detail, smooth tonal gradients'
+    },
+    watercolor: {
+        label: 'Watercolor',
+        prompt: 'watercolor tattoo style, soft colors, artistic splashes'
+    },
+    geometric: {
+        label: 'Geometric',
+        prompt: 'geometric tattoo design, sacred geometry, symmetrical patterns'
+    },
+    'trash-polka': {
+        label: 'Trash polka',
+        prompt: 'trash polka tattoo, black and red only, collage of realism and abstract brush strokes'
+    }
+});
+
+export function getStyleIds() {
+    return Object.keys(TATTOO_STYLES);
+}
+
+export function isBuiltInStyle(id) {
+    return Object.prototype.hasOwnProperty.call(TATTOO_STYLES, id);
+}
+
+export function isCustomStyleId(id) {
+    return typeof id === 'string' && id.startsWith(CUSTOM_STYLE_PREFIX);
+}
+
+/**
+ * Prompt fragment for a built-in style; unknown ids fall back to the default style.
+ * @param {string} id
+ * @returns {string}
+ */
+export function describeStyle(id) {
+    return (TATTOO_STYLES[id] || TATTOO_STYLES[DEFAULT_STYLE]).prompt;
+}
+
+/**
+ * Validate a user-defined style and return a clean copy.
+ * @param {{name: string, descriptor: string, references?: string[]}} style
+ * @returns {{name: string, descriptor: string, references: string[]}}
+ * @throws {Error} When a field is missing or out of bounds
+ */
+export function normalizeCustomStyle(style) {
+    if (!style || typeof style !== 'object') {
+        throw new Error('Custom style is missing');
+    }
+
+    const name = typeof style.name === 'string' ? style.name.trim() : '';
+    const descriptor = typeof style.descriptor === 'string' ? style.descriptor.trim() : '';
+    const references = Array.isArray(style.references) ? style.references : [];
+
+    if (!name || name.length > MAX_STYLE_NAME_LENGTH) {
+        throw new Error(`Style name must be 1-${MAX_STYLE_NAME_LENGTH} characters`);
+    }
+    if (!descriptor || descriptor.length > MAX_STYLE_DESCRIPTOR_LENGTH) {
+        throw new Error(`Style description must be 1-${MAX_STYLE_DESCRIPTOR_LENGTH} characters`);
+    }
+    if (references.length > MAX_STYLE_REFERENCES) {
+        throw new Error(`A style can have at most ${MAX_STYLE_REFERENCES} example images`);
+    }
+
+    references.forEach((reference) => {
+        const valid = typeof reference === 'string'
+            && /^data:image\/[\w.+-]+;base64,/.test(reference)
+            && reference.length <= MAX_STYLE_REFERENCE_LENGTH;
+        if (!valid) {
+            throw new Error('Style example images must be small image data URLs');
+        }
+    });
+
+    return { name, descriptor, references: [...references] };
+}
+
+/**
+ * Gemini inline_data part for an image data URL.
+ * @param {string} dataUrl
+ * @returns {{inline_data: {mime_type: string, data: string}}|null} Null when it is not an image data URL
+ */
+export function toInlineImagePart(dataUrl) {
+    const match = typeof dataUrl === 'string' ? /^data:(image\/[\w.+-]+);base64,/.exec(dataUrl) : null;
+    if (!match) return null;
+    return { inline_data: { mime_type: match[1], data: dataUrl.slice(match[0].length) } };
+}
+
+/**
+ * Request parts for a design generation: the text prompt, then the "more like this"
+ * reference (if any), then the custom style's example images (if any).
+ * @param {object} options
+ * @param {string} options.prompt - What to draw
+ * @param {string} options.style - Built-in style id (ignored when customStyle is given)
+ * @param {object|null} options.customStyle - Result of normalizeCustomStyle()
+ * @param {string|null} options.referenceImage - Data URL of a design to riff on
+ * @returns {Array<object>}
+ */
+export function buildDesignParts({ prompt, style = DEFAULT_STYLE, customStyle = null, referenceImage = null }) {
+    const styleText = customStyle
+        ? `${customStyle.name} - ${customStyle.descriptor}`
+        : describeStyle(style);
+    const notes = [];
+    if (referenceImage) {
+        notes.push('Use the first attached design as a reference: keep its subject, composition and line style, but make a fresh variation.');
+    }
+    if (customStyle && customStyle.references.length > 0) {
+        notes.push(`Match the look of the ${customStyle.references.length > 1 ? 'last attached example images' : 'last attached example image'} (style only, not subject).`);
+    }
+
+    const text = `Create a tattoo design: ${prompt}. 
+Style: ${styleText}. 
+${notes.map((note) => `${note}\n`).join('')}The design should be on a pure white background, high contrast, suitable as a tattoo stencil.
+Output only the tattoo design image.`;
+
+    const parts = [{ text }];
+    const reference = toInlineImagePart(referenceImage);
+    if (reference) parts.push(reference);
+    if (customStyle) {
+        customStyle.references.forEach((image) => parts.push(toInlineImagePart(image)));
+    }
+    return parts;
+}
@@ -0,0 +1,73 @@
+// Tattoo Variants
+// How many designs one generate-tattoo call may ask for and how they are requested, shared
+// by the browser (app.js, ai-generator.js, mock-ai.js) and the Cloudflare Worker (api/worker.js).
+// Keep this module free of DOM and Worker APIs so both sides can import it.
+
+import { APIError, ERROR_CODES, throwIfCancelled } from './api-errors.js';
+
+export const MAX_VARIANTS = 4;
+
+/**
+ * Requested variant count as a whole number from 1 to MAX_VARIANTS; anything else counts as 1.
+ * @param {*} count
+ * @returns {number}
+ */
+export function clampVariants(count) {
+    return Math.min(MAX_VARIANTS, Math.max(1, Math.floor(Number(count)) || 1));
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 2147483647);
+}
+
+/**
+ * Request variants side by side, each with its own seed (seed, seed + 1, ...), so passing
+ * the same seed back reproduces the same set. Keeps the variants that came back.
+ * @param {(seed: number) => Promise<string[]>} requestVariant - Image data URLs for one seed
+ * @param {object} options
+ * @param {number} options.count - Number of variants, clamped to 1-MAX_VARIANTS
+ * @param {number|null} options.seed - Base seed, random when not a non-negative integer
+ * @param {AbortSignal|null} options.signal - Checked once every variant has settled
+ * @param {(finished: number, total: number) => void} options.onVariantDone - Called as variants settle
+ * @returns {Promise<{images: string[], seeds: number[], seed: number, requested: number}>}
+ * @throws {APIError} When no variant came back; a safety block wins over other failures
+ */
+export async function generateVariants(requestVariant, { count = 1, seed = null, signal = null, onVariantDone = () => { } } = {}) {
+    const variants = clampVariants(count);
+    const baseSeed = Number.isInteger(seed) && seed >= 0 ? seed : randomSeed();
+
+    let finished = 0;
+    const request = async (variantSeed) => {
+        try {
+            const images = await requestVariant(variantSeed);
+            return images.map((image) => ({ image, seed: variantSeed }));
+        } finally {
+            finished += 1;
+            onVariantDone(finished, variants);
+        }
+    };
+
+    const settled = await Promise.allSettled(
+        Array.from({ length: variants }, (_, index) => request(baseSeed + index))
+    );
+    // Variants that finished before an abort are dropped along with the rest.
+    throwIfCancelled(signal);
+    const results = settled
+        .filter((entry) => entry.status === 'fulfilled')
+        .flatMap((entry) => entry.value)
+        .slice(0, variants);
+
+    if (results.length === 0) {
+        const failures = settled.filter((entry) => entry.status === 'rejected').map((entry) => entry.reason);
+        throw failures.find((error) => error.code === ERROR_CODES.SAFETY_BLOCKED)
+            || failures[0]
+            || new APIError(ERROR_CODES.NO_IMAGE, 'No image in response');
+    }
+
+    return {
+        images: results.map((result) => result.image),
+        seeds: results.map((result) => result.seed),
+        seed: baseSeed,
+        requested: variants
+    };
+}
@@ -0,0 +1,379 @@
+// Mesh Warp
+// Bicubic Bezier patch and four-corner perspective deformation for tattoo layers.
+// A warp is a 4x4 grid of control points (row-major) in layer-local normalized units:
+// (-0.5, -0.5) is the top-left corner of the undeformed layer and (0.5, 0.5) the bottom-right.
+// Perspective corners (nw, ne, se, sw) use the same units and are applied after the warp.
+
+export const WARP_GRID_SIZE = 4;
+const MESH_SEGMENTS = 12;
+// Affine triangles only approximate a projective map, so perspective gets a finer mesh.
+const PERSPECTIVE_MESH_SEGMENTS = 20;
+
+function bernstein(t) {
+    const mt = 1 - t;
+    return [mt * mt * mt, 3 * t * mt * mt, 3 * t * t * mt, t * t * t];
+}
+
+export function createWarp() {
+    const points = [];
+    for (let row = 0; row < WARP_GRID_SIZE; row += 1) {
+        for (let col = 0; col < WARP_GRID_SIZE; col += 1) {
+            points.push({
+                x: (col / (WARP_GRID_SIZE - 1)) - 0.5,
+                y: (row / (WARP_GRID_SIZE - 1)) - 0.5
+            });
+        }
+    }
+    return { points, cylinder: null };
+}
+
+export function cloneWarp(warp) {
+    if (!warp) return null;
+    return {
+        points: warp.points.map((point) => ({ x: point.x, y: point.y })),
+        cylinder: warp.cylinder ? { ...warp.cylinder } : null
+    };
+}
+
+export function isIdentityWarp(warp) {
+    if (!warp) return true;
+    const identity = createWarp().points;
+    return warp.points.every((point, index) => (
+        Math.abs(point.x - identity[index].x) < 1e-6 && Math.abs(point.y - identity[index].y) < 1e-6
+    ));
+}
+
+export function createCorners() {
+    return [
+        { x: -0.5, y: -0.5 },
+        { x: 0.5, y: -0.5 },
+        { x: 0.5, y: 0.5 },
+        { x: -0.5, y: 0.5 }
+    ];
+}
+
+export function cloneCorners(corners) {
+    if (!corners) return null;
+    return corners.map((point) => ({ x: point.x, y: point.y }));
+}
+
+export function isIdentityCorners(corners) {
+    if (!corners) return true;
+    const identity = createCorners();
+    return corners.every((point, index) => (
+        Math.abs(point.x - identity[index].x) < 1e-6 && Math.abs(point.y - identity[index].y) < 1e-6
+    ));
+}
+
+/**
+ * True when the quad is strictly convex and keeps its winding, i.e. it can be
+ * reached by a projective transform of the layer rectangle.
+ */
+export function isValidCorners(corners) {
+    let sign = 0;
+    for (let i = 0; i < 4; i += 1) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 4];
+        const c = corners[(i + 2) % 4];
+        const cross = ((b.x - a.x) * (c.y - b.y)) - ((b.y - a.y) * (c.x - b.x));
+        if (Math.abs(cross) < 1e-6) return false;
+        if (sign === 0) {
+            sign = Math.sign(cross);
+        } else if (Math.sign(cross) !== sign) {
+            return false;
+        }
+    }
+    return sign > 0;
+}
+
+/**
+ * Projective transform taking the unit square (u, v in [0, 1]) onto the quad.
+ * @param {Array<{x: number, y: number}>} corners - nw, ne, se, sw
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+export function computeHomography(corners) {
+    const [p0, p1, p2, p3] = corners;
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const dy3 = p0.y - p1.y + p2.y - p3.y;
+
+    let g = 0;
+    let h = 0;
+    if (Math.abs(dx3) > 1e-12 || Math.abs(dy3) > 1e-12) {
+        const den = (dx1 * dy2) - (dx2 * dy1);
+        g = ((dx3 * dy2) - (dx2 * dy3)) / den;
+        h = ((dx1 * dy3) - (dx3 * dy1)) / den;
+    }
+
+    return [
+        p1.x - p0.x + (g * p1.x), p3.x - p0.x + (h * p3.x), p0.x,
+        p1.y - p0.y + (g * p1.y), p3.y - p0.y + (h * p3.y), p0.y,
+        g, h, 1
+    ];
+}
+
+export function invertHomography(m) {
+    const [a, b, c, d, e, f, g, h, i] = m;
+    const A = (e * i) - (f * h);
+    const B = (f * g) - (d * i);
+    const C = (d * h) - (e * g);
+    const det = (a * A) + (b * B) + (c * C);
+    if (Math.abs(det) < 1e-12) return null;
+
+    return [
+        A / det, ((c * h) - (b * i)) / det, ((b * f) - (c * e)) / det,
+        B / det, ((a * i) - (c * g)) / det, ((c * d) - (a * f)) / det,
+        C / det, ((b * g) - (a * h)) / det, ((a * e) - (b * d)) / det
+    ];
+}
+
+export function applyHomography(m, x, y) {
+    const w = (m[6] * x) + (m[7] * y) + m[8];
+    return {
+        x: ((m[0] * x) + (m[1] * y) + m[2]) / w,
+        y: ((m[3] * x) + (m[4] * y) + m[5]) / w
+    };
+}
+
+/**
+ * Map a layer-local point through the perspective corners (identity when corners is null).
+ */
+export function projectPoint(corners, point, homography = null) {
+    if (isIdentityCorners(corners)) return { x: point.x, y: point.y };
+    const m = homography || computeHomography(corners);
+    return applyHomography(m, point.x + 0.5, point.y + 0.5);
+}
+
+/**
+ * Inverse of projectPoint.
+ */
+export function unprojectPoint(corners, point) {
+    if (isIdentityCorners(corners)) return { x: point.x, y: point.y };
+    const inverse = invertHomography(computeHomography(corners));
+    if (!inverse) return { x: point.x, y: point.y };
+    const square = applyHomography(inverse, point.x, point.y);
+    return { x: square.x - 0.5, y: square.y - 0.5 };
+}
+
+/**
+ * Evaluate the Bezier patch at parameter (u, v) in [0, 1].
+ * @returns {{x: number, y: number}} Point in normalized layer units
+ */
+export function evaluateWarp(warp, u, v) {
+    const bu = bernstein(u);
+    const bv = bernstein(v);
+    let x = 0;
+    let y = 0;
+
+    for (let row = 0; row < WARP_GRID_SIZE; row += 1) {
+        for (let col = 0; col < WARP_GRID_SIZE; col += 1) {
+            const weight = bu[col] * bv[row];
+            const point = warp.points[(row * WARP_GRID_SIZE) + col];
+            x += point.x * weight;
+            y += point.y * weight;
+        }
+    }
+
+    return { x, y };
+}
+
+/**
+ * Sample the warp (then the perspective, if any) into a regular vertex grid.
+ * @param {object|null} warp - Warp, or null for a flat layer
+ * @param {Array<{x: number, y: number}>|null} corners - Perspective corners, or null
+ * @returns {{segments: number, vertices: Array<{u: number, v: number, x: number, y: number}>}}
+ */
+export function buildWarpMesh(warp, corners = null, segments = null) {
+    const hasPerspective = !isIdentityCorners(corners);
+    const count = segments || (hasPerspective ? PERSPECTIVE_MESH_SEGMENTS : MESH_SEGMENTS);
+    const homography = hasPerspective ? computeHomography(corners) : null;
+    const vertices = [];
+
+    for (let row = 0; row <= count; row += 1) {
+        for (let col = 0; col <= count; col += 1) {
+            const u = col / count;
+            const v = row / count;
+            const local = warp ? evaluateWarp(warp, u, v) : { x: u - 0.5, y: v - 0.5 };
+            vertices.push({ u, v, ...(homography ? projectPoint(corners, local, homography) : local) });
+        }
+    }
+    return { segments: count, vertices };
+}
+
+// Control points for a cubic that passes through q0..q3 at t = 0, 1/3, 2/3, 1.
+function interpolateCubic(q0, q1, q2, q3) {
+    return [
+        q0,
+        ((-5 * q0) + (18 * q1) - (9 * q2) + (2 * q3)) / 6,
+        ((2 * q0) - (9 * q1) + (18 * q2) - (5 * q3)) / 6,
+        q3
+    ];
+}
+
+/**
+ * Turn a 4x4 grid of on-surface targets into Bezier control points
+ * so the patch passes through every target.
+ */
+export function fitWarpToTargets(targets) {
+    const size = WARP_GRID_SIZE;
+    const fitAxis = (values) => {
+        const rows = [];
+        for (let row = 0; row < size; row += 1) {
+            const line = values.slice(row * size, (row + 1) * size);
+            rows.push(interpolateCubic(...line));
+        }
+        const result = new Array(size * size);
+        for (let col = 0; col < size; col += 1) {
+            const column = interpolateCubic(rows[0][col], rows[1][col], rows[2][col], rows[3][col]);
+            for (let row = 0; row < size; row += 1) {
+                result[(row * size) + col] = column[row];
+            }
+        }
+        return result;
+    };
+
+    const xs = fitAxis(targets.map((point) => point.x));
+    const ys = fitAxis(targets.map((point) => point.y));
+    return xs.map((x, index) => ({ x, y: ys[index] }));
+}
+
+/**
+ * "Cylinder wrap" preset: bends the design around a cylinder so it rolls away
+ * from the viewer on both sides of the axis, like ink on a forearm or calf.
+ * @param {object} options
+ * @param {number} options.radius - Cylinder radius as a multiple of the design width across the axis
+ * @param {number} options.axis - Axis angle in degrees (0 = vertical, 90 = horizontal)
+ * @param {number} options.aspect - Layer width / height (crop size)
+ */
+export function createCylinderWarp({ radius = 1, axis = 0, aspect = 1 }) {
+    const angle = (axis * Math.PI) / 180;
+    const along = { x: -Math.sin(angle), y: Math.cos(angle) };
+    const across = { x: Math.cos(angle), y: Math.sin(angle) };
+
+    // Work in units where height = 1 so rotated axes keep their proportions.
+    const width = aspect;
+    const height = 1;
+    const acrossExtent = (Math.abs(width * across.x) + Math.abs(height * across.y)) || 1;
+    const minRadius = acrossExtent / Math.PI;
+    const r = Math.max(minRadius, radius * acrossExtent);
+
+    const targets = createWarp().points.map((point) => {
+        const px = point.x * width;
+        const py = point.y * height;
+        const a = (px * along.x) + (py * along.y);
+        const c = (px * across.x) + (py * across.y);
+        const theta = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, c / r));
+        const wrapped = r * Math.sin(theta);
+
+        return {
+            x: ((a * along.x) + (wrapped * across.x)) / width,
+            y: ((a * along.y) + (wrapped * across.y)) / height
+        };
+    });
+
+    return { points: fitWarpToTargets(targets), cylinder: { radius, axis } };
+}
+
+/**
+ * Draw one textured triangle: maps source triangle s0..s2 (image pixels)
+ * onto destination triangle d0..d2 with an affine transform.
+ */
+export function drawImageTriangle(ctx, image, s0, s1, s2, d0, d1, d2) {
+    const u1x = s1.x - s0.x;
+    const u1y = s1.y - s0.y;
+    const u2x = s2.x - s0.x;
+    const u2y = s2.y - s0.y;
+    const det = (u1x * u2y) - (u2x * u1y);
+    if (Math.abs(det) < 1e-9) return;
+
+    const v1x = d1.x - d0.x;
+    const v1y = d1.y - d0.y;
+    const v2x = d2.x - d0.x;
+    const v2y = d2.y - d0.y;
+
+    const a = ((v1x * u2y) - (v2x * u1y)) / det;
+    const b = ((v1y * u2y) - (v2y * u1y)) / det;
+    const c = ((v2x * u1x) - (v1x * u2x)) / det;
+    const d = ((v2y * u1x) - (v1y * u2x)) / det;
+    const e = d0.x - ((a * s0.x) + (c * s0.y));
+    const f = d0.y - ((b * s0.x) + (d * s0.y));
+
+    // Grow the clip slightly around the centroid to hide hairline seams between triangles.
+    const cx = (d0.x + d1.x + d2.x) / 3;
+    const cy = (d0.y + d1.y + d2.y) / 3;
+    const grow = (point) => {
+        const dx = point.x - cx;
+        const dy = point.y - cy;
+        const length = Math.hypot(dx, dy) || 1;
+        return { x: point.x + ((dx / length) * 0.6), y: point.y + ((dy / length) * 0.6) };
+    };
+    const g0 = grow(d0);
+    const g1 = grow(d1);
+    const g2 = grow(d2);
+
+    const sx = Math.max(0, Math.floor(Math.min(s0.x, s1.x, s2.x)) - 1);
+    const sy = Math.max(0, Math.floor(Math.min(s0.y, s1.y, s2.y)) - 1);
+    const sw = Math.min(image.width, Math.ceil(Math.max(s0.x, s1.x, s2.x)) + 1) - sx;
+    const sh = Math.min(image.height, Math.ceil(Math.max(s0.y, s1.y, s2.y)) + 1) - sy;
+    if (sw <= 0 || sh <= 0) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(g0.x, g0.y);
+    ctx.lineTo(g1.x, g1.y);
+    ctx.lineTo(g2.x, g2.y);
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(a, b, c, d, e, f);
+    ctx.drawImage(image, sx, sy, sw, sh, sx, sy, sw, sh);
+    ctx.restore();
+}
+
+/**
+ * Render a warped copy of the (cropped) image into an offscreen canvas.
+ * @param {CanvasImageSource} image - Source image
+ * @param {{x: number, y: number, width: number, height: number}} crop - Source crop in image pixels
+ * @param {object|null} warp - Warp with 4x4 control points
+ * @param {number} width - Undeformed display width in output pixels
+ * @param {number} height - Undeformed display height in output pixels
+ * @param {Array<{x: number, y: number}>|null} corners - Perspective corners
+ * @returns {{canvas: HTMLCanvasElement, x: number, y: number, width: number, height: number}}
+ *   Canvas plus its placement relative to the layer center
+ */
+export function renderWarpedImage(image, crop, warp, width, height, corners = null) {
+    const mesh = buildWarpMesh(isIdentityWarp(warp) ? null : warp, corners);
+    const points = mesh.vertices.map((vertex) => ({
+        src: { x: crop.x + (vertex.u * crop.width), y: crop.y + (vertex.v * crop.height) },
+        dst: { x: vertex.x * width, y: vertex.y * height }
+    }));
+
+    const pad = 2;
+    const minX = Math.min(...points.map((p) => p.dst.x)) - pad;
+    const minY = Math.min(...points.map((p) => p.dst.y)) - pad;
+    const maxX = Math.max(...points.map((p) => p.dst.x)) + pad;
+    const maxY = Math.max(...points.map((p) => p.dst.y)) + pad;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil(maxX - minX));
+    canvas.height = Math.max(1, Math.ceil(maxY - minY));
+    const ctx = canvas.getContext('2d');
+    ctx.translate(-minX, -minY);
+
+    const stride = mesh.segments + 1;
+    for (let row = 0; row < mesh.segments; row += 1) {
+        for (let col = 0; col < mesh.segments; col += 1) {
+            const p00 = points[(row * stride) + col];
+            const p10 = points[(row * stride) + col + 1];
+            const p01 = points[((row + 1) * stride) + col];
+            const p11 = points[((row + 1) * stride) + col + 1];
+
+            drawImageTriangle(ctx, image, p00.src, p10.src, p11.src, p00.dst, p10.dst, p11.dst);
+            drawImageTriangle(ctx, image, p00.src, p11.src, p01.src, p00.dst, p11.dst, p01.dst);
+        }
+    }
+
+    return { canvas, x: minX, y: minY, width: canvas.width, height: canvas.height };
+}
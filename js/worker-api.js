@@ -0,0 +1,141 @@
+// Worker API
+// Calls to the Cloudflare Worker's AI actions (api/worker.js). Long actions run as Worker
+// jobs: the submit returns a job id and short status polls replace one long request,
+// so a slow or flaky mobile connection costs a poll instead of the whole job.
+// With config.MOCK_AI set, jobs are answered in the browser by MockAIBackend instead.
+
+import { creditsManager } from './credits.js';
+import { getAPIEndpoint, getAPIHeaders, isMockAI, getMockAIOptions } from './config.js';
+import { MockAIBackend } from './mock-ai.js';
+import {
+    APIError,
+    ERROR_CODES,
+    codeFromStatus,
+    isRetryableError,
+    retryWithBackoff,
+    sleepUnlessCancelled,
+    throwIfCancelled
+} from './api-errors.js';
+
+const JOB_POLL_FIRST_DELAY = 1000;
+const JOB_POLL_MAX_DELAY = 4000;
+// Polls in a row that may fail on the network before giving up on the job.
+const JOB_POLL_MAX_FAILURES = 6;
+// Past this the Worker has most likely dropped the job.
+const JOB_TIMEOUT_MS = 180000;
+
+let mockBackend = null;
+
+function getMockBackend() {
+    if (!mockBackend) {
+        mockBackend = new MockAIBackend(getMockAIOptions());
+    }
+    return mockBackend;
+}
+
+/**
+ * POST an action to the Worker and pick up the balance it reports.
+ * The Worker debits before calling the model and refunds what it could not deliver.
+ * @param {object} body - Request body with `action`
+ * @param {AbortSignal} signal - Aborts the request
+ * @param {{renewSession?: boolean}} options - Whether a rejected token is replaced for the retry
+ * @returns {Promise<object>} Successful reply
+ * @throws {APIError}
+ */
+export async function callWorker(body, signal = null, { renewSession = true } = {}) {
+    let response;
+    try {
+        response = await fetch(getAPIEndpoint(), {
+            method: 'POST',
+            headers: getAPIHeaders(),
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (error) {
+        throwIfCancelled(signal);
+        throw new APIError(ERROR_CODES.NETWORK, error.message);
+    }
+
+    // Gateways and older Workers may answer with something that is not the JSON contract.
+    const result = await response.json().catch(() => ({}));
+    throwIfCancelled(signal);
+    creditsManager.applyBalance(result.balance);
+
+    if (response.ok && result.success) {
+        return result;
+    }
+
+    const code = result.code || codeFromStatus(response.status);
+    if (code === ERROR_CODES.INSUFFICIENT_CREDITS) {
+        creditsManager.showBuyModal();
+    } else if (code === ERROR_CODES.UNAUTHORIZED && renewSession) {
+        // Token no longer accepted (e.g. TOKEN_SECRET rotated); get a new one for the retry.
+        await creditsManager.resetSession();
+    }
+
+    const retryAfter = result.retryAfter ?? (Number(response.headers.get('Retry-After')) || null);
+    throw new APIError(code, result.error || `Worker error: ${response.status}`, { retryAfter });
+}
+
+/**
+ * Run an AI action as a Worker job and resolve with its reply, the same body the
+ * synchronous call would have returned. Workers without the job API answer the
+ * submit with that body directly.
+ * @param {object} body - Request body with `action`
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Stops polling; the job itself still finishes on the Worker
+ * @param {(progress: number) => void} options.onProgress - Job progress, 0-100
+ * @param {object|null} options.retry - retryWithBackoff() options for the submit only. Once a job
+ *   is submitted (and paid for), failed polls keep following that job instead of submitting another
+ * @returns {Promise<object>}
+ * @throws {APIError} The job's own failure, or NETWORK/UPSTREAM_TIMEOUT when it could not be followed
+ */
+export async function runWorkerJob(body, { signal = null, onProgress = () => { }, retry = null } = {}) {
+    if (isMockAI()) {
+        return getMockBackend().run(body.action, body, { signal, onProgress });
+    }
+
+    const submit = () => callWorker({ ...body, async: true }, signal);
+    const submitted = await (retry ? retryWithBackoff(submit, { ...retry, signal }) : submit());
+    if (!submitted.jobId) {
+        return submitted;
+    }
+
+    const { jobId } = submitted;
+    // Jobs belong to the client that paid for them: a new token would lose this one.
+    const follow = (action) => callWorker({ action, jobId }, signal, { renewSession: false });
+    const startedAt = Date.now();
+    let delay = JOB_POLL_FIRST_DELAY;
+    let failures = 0;
+
+    for (;;) {
+        await sleepUnlessCancelled(delay, signal);
+        if (Date.now() - startedAt > JOB_TIMEOUT_MS) {
+            throw new APIError(ERROR_CODES.UPSTREAM_TIMEOUT, `Job ${jobId} did not finish in time`);
+        }
+
+        let status;
+        try {
+            status = await follow('job-status');
+        } catch (error) {
+            // A dropped poll is not a failed job: keep following it, just slower.
+            if (!isRetryableError(error) || ++failures > JOB_POLL_MAX_FAILURES) {
+                throw error;
+            }
+            delay = Math.min(delay * 2, JOB_POLL_MAX_DELAY);
+            continue;
+        }
+
+        failures = 0;
+        onProgress(status.progress);
+        if (status.done) break;
+        delay = Math.min(delay * 1.5, JOB_POLL_MAX_DELAY);
+    }
+
+    // A failed job answers with its own error, which must not be retried here.
+    return retryWithBackoff(() => follow('job-result'), {
+        retries: JOB_POLL_MAX_FAILURES,
+        shouldRetry: (error) => error.code === ERROR_CODES.NETWORK,
+        signal
+    });
+}
@@ -0,0 +1,73 @@
+// Vendor background-removal models
+// Copies the @xenova/transformers runtime from node_modules into vendor/transformers/ and
+// downloads the segmentation model from the Hugging Face hub into models/, so the app can
+// serve both itself instead of loading them from CDNs. Run `npm install` first, and set
+// REMOVAL_ASSETS.SEGMENTATION_MODEL in js/config.js: the model is opt-in because of its licence.
+// Usage: npm run vendor:models
+
+import { cp, mkdir, stat } from 'node:fs/promises';
+import { createWriteStream } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
+
+import { config } from '../js/config.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const model = config.REMOVAL_ASSETS.SEGMENTATION_MODEL;
+// Only these are loaded: the configs are passed in code, and transformers.js picks the quantized weights.
+const MODEL_FILES = ['config.json', 'onnx/model_quantized.onnx'];
+
+async function exists(path) {
+    try {
+        await stat(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function download(url, path) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    await mkdir(dirname(path), { recursive: true });
+    await pipeline(Readable.fromWeb(response.body), createWriteStream(path));
+}
+
+if (!model) {
+    console.error('No segmentation model is configured: set REMOVAL_ASSETS.SEGMENTATION_MODEL in js/config.js first.');
+    console.error('RMBG-1.4 is licensed for non-commercial use only; see the README before enabling it.');
+    process.exit(1);
+}
+
+const runtime = join(root, 'node_modules', '@xenova', 'transformers', 'dist');
+if (!(await exists(runtime))) {
+    console.error('node_modules/@xenova/transformers is missing: run npm install first.');
+    process.exit(1);
+}
+await cp(runtime, join(root, 'vendor', 'transformers'), { recursive: true });
+console.log('Copied the transformers.js runtime to vendor/transformers/');
+
+for (const file of MODEL_FILES) {
+    const path = join(root, 'models', model, file);
+    if (await exists(path)) {
+        console.log(`models/${model}/${file} is already there`);
+        continue;
+    }
+    console.log(`Downloading ${model}/${file}...`);
+    await download(`https://huggingface.co/${model}/resolve/main/${file}`, path);
+}
+
+console.log(`
+Done. Serve vendor/ and models/ with the app and set in js/config.js:
+
+    REMOVAL_ASSETS: {
+        ...
+        TRANSFORMERS_URL: 'vendor/transformers/transformers.min.js',
+        SEGMENTATION_MODEL: '${model}',
+        MODEL_BASE_URL: 'models/'
+    }
+`);
@@ -0,0 +1,160 @@
+/**
+ * Service worker
+ *
+ * Makes the app installable and usable offline:
+ * - The app shell (page, styles, modules, images) is precached on install and served from
+ *   the cache, refreshed in the background, so manual try-on works without a connection and
+ *   a new deploy shows up on the next visit. Web fonts are kept the same way once used.
+ * - Background-removal runtimes and models are kept in Cache Storage after their first
+ *   download, so removal works offline and later visits do not fetch them again. They are
+ *   large, versioned files: served from the cache first, fetched and stored otherwise.
+ * Everything else (AI calls, credits) goes to the network untouched.
+ */
+
+// Bump SHELL_CACHE when SHELL_FILES changes, so files that are gone get dropped.
+const SHELL_CACHE = 'tattoo-shell-v2';
+const MODEL_CACHE = 'tattoo-models-v1';
+const CACHES = [SHELL_CACHE, MODEL_CACHE];
+
+// Relative to the scope (the folder holding index.html and this file).
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'assets/images/logo.png',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/apple-touch-icon.png',
+    'js/ai-generator.js',
+    'js/api-errors.js',
+    'js/app.js',
+    'js/background-removal.js',
+    'js/canvas.js',
+    'js/config.js',
+    'js/credits.js',
+    'js/custom-styles.js',
+    'js/history.js',
+    'js/line-art.js',
+    'js/mask-editor.js',
+    'js/mock-ai.js',
+    'js/offline.js',
+    'js/project.js',
+    'js/removal-engines.js',
+    'js/removal-pixels.js',
+    'js/removal-worker.js',
+    'js/session-store.js',
+    'js/tattoo-styles.js',
+    'js/tattoo-variants.js',
+    'js/warp.js',
+    'js/worker-api.js'
+];
+
+// Google Fonts stylesheets and font files used by index.html.
+const FONT_PATTERNS = [
+    /^https:\/\/fonts\.googleapis\.com\//,
+    /^https:\/\/fonts\.gstatic\.com\//
+];
+
+// Runtimes and models from CDNs and the Hugging Face hub (see REMOVAL_ASSETS in js/config.js).
+const MODEL_ASSET_PATTERNS = [
+    /^https:\/\/cdn\.jsdelivr\.net\/npm\/(@imgly\/background-removal[^/]*|rembg-webgpu|@xenova\/transformers|onnxruntime-web)@\d/,
+    /^https:\/\/staticimgly\.com\//,
+    /^https:\/\/huggingface\.co\/[^?]+\/resolve\//,
+    /^https:\/\/[^/]+\.hf\.co\//
+];
+
+// Self-hosted copies from `npm run vendor:models`, next to index.html.
+const LOCAL_ASSET_FOLDERS = ['models/', 'vendor/'];
+
+function scopedUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+function isModelAsset(url) {
+    if (MODEL_ASSET_PATTERNS.some((pattern) => pattern.test(url))) return true;
+    return LOCAL_ASSET_FOLDERS.some((folder) => url.startsWith(scopedUrl(folder)));
+}
+
+/**
+ * The cache key of a shell request, or null. Page loads are matched without their query
+ * (e.g. ?checkout=success after a payment), so they all share the cached index.html.
+ */
+function shellKey(request) {
+    const url = new URL(request.url);
+    if (request.mode === 'navigate') {
+        url.search = '';
+        url.hash = '';
+    }
+    return SHELL_FILES.some((file) => scopedUrl(file) === url.href) ? url.href : null;
+}
+
+// Opaque and partial responses cannot be checked, so they are not kept.
+function isCacheable(response) {
+    return response.ok && response.status === 200 && response.type !== 'opaque';
+}
+
+async function cacheFirst(event) {
+    const cache = await caches.open(MODEL_CACHE);
+    const cached = await cache.match(event.request);
+    if (cached) return cached;
+
+    const response = await fetch(event.request);
+    if (isCacheable(response)) {
+        event.waitUntil(cache.put(event.request, response.clone()).catch((error) => {
+            console.warn('Caching a model file failed:', error);
+        }));
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event, key) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(key);
+
+    const network = fetch(event.request).then(async (response) => {
+        if (isCacheable(response)) {
+            await cache.put(key, response.clone());
+        }
+        return response;
+    });
+    // Offline with a cached copy: the failed refresh is expected.
+    event.waitUntil(network.catch(() => null));
+
+    return cached || network;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Past the HTTP cache, so a new version never precaches files from the old one.
+        await cache.addAll(SHELL_FILES.map((file) => new Request(scopedUrl(file), { cache: 'reload' })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Caches from earlier versions of this file.
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter((name) => name.startsWith('tattoo-') && !CACHES.includes(name))
+            .map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    if (isModelAsset(request.url)) {
+        event.respondWith(cacheFirst(event));
+        return;
+    }
+
+    const key = shellKey(request) || (FONT_PATTERNS.some((pattern) => pattern.test(request.url)) ? request.url : null);
+    if (key) {
+        event.respondWith(staleWhileRevalidate(event, key));
+    }
+});
@@ -0,0 +1,269 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM } from './helpers/dom.js';
+import { quietConsole } from './helpers/assert.js';
+
+installDOM();
+const { AUTO_ENGINE, removalEngines } = await import('../js/removal-engines.js');
+const { runBackgroundRemoval } = await import('../js/background-removal.js');
+const { config } = await import('../js/config.js');
+
+const UPLOAD = new Blob(['upload'], { type: 'image/jpeg' });
+
+let builtIns;
+let runs;
+
+// An engine that records its runs and answers with a PNG blob, or fails.
+function fakeEngine(id, { fail = false, ...options } = {}) {
+    return {
+        id,
+        label: `Engine ${id}`,
+        ...options,
+        remove: async (input, onProgress) => {
+            runs.push(id);
+            onProgress(50);
+            if (fail) throw new Error(`${id} failed`);
+            return new Blob([id], { type: 'image/png' });
+        }
+    };
+}
+
+// An engine that only ends when its signal aborts, like a stalled download.
+function hangingEngine(id) {
+    const engine = {
+        id,
+        label: `Engine ${id}`,
+        signal: null,
+        remove: (input, onProgress, signal) => {
+            runs.push(id);
+            engine.signal = signal;
+            return new Promise(() => { });
+        }
+    };
+    return engine;
+}
+
+beforeEach(() => {
+    builtIns = removalEngines.list();
+    builtIns.forEach((engine) => removalEngines.unregister(engine.id));
+    removalEngines.onChange = null;
+    localStorage.clear();
+    runs = [];
+});
+
+afterEach(() => {
+    removalEngines.list().forEach((engine) => removalEngines.unregister(engine.id));
+    builtIns.forEach((engine) => removalEngines.register(engine));
+    removalEngines.onChange = null;
+});
+
+test('built-in engines are registered, the luminance key as fallback', () => {
+    assert.deepEqual(builtIns.map((engine) => engine.id), ['replicate', 'imgly', 'rembg', 'segmentation-model', 'luminance']);
+    assert.deepEqual(builtIns.filter((engine) => engine.fallback).map((engine) => engine.id), ['luminance']);
+    // No WORKER_URL in the default config.
+    assert.equal(removalEngines.isAvailable(builtIns[0]), false);
+});
+
+test('the RMBG engine is off until a model is configured', () => {
+    const rmbg = builtIns.find((engine) => engine.id === 'segmentation-model');
+    assert.equal(removalEngines.isAvailable(rmbg), false);
+
+    config.REMOVAL_ASSETS.SEGMENTATION_MODEL = 'briaai/RMBG-1.4';
+    try {
+        assert.equal(removalEngines.isAvailable(rmbg), true);
+    } finally {
+        config.REMOVAL_ASSETS.SEGMENTATION_MODEL = null;
+    }
+});
+
+test('the cloud engine is unavailable while the browser is offline', () => {
+    const navigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    config.MOCK_AI = true;
+    try {
+        assert.equal(removalEngines.isAvailable(builtIns[0]), true);
+
+        Object.defineProperty(globalThis, 'navigator', { value: { onLine: false }, configurable: true });
+        assert.equal(removalEngines.isAvailable(builtIns[0]), false);
+    } finally {
+        config.MOCK_AI = false;
+        if (navigator) {
+            Object.defineProperty(globalThis, 'navigator', navigator);
+        } else {
+            delete globalThis.navigator;
+        }
+    }
+});
+
+test('register validates engines and notifies listeners', () => {
+    assert.throws(() => removalEngines.register({ label: 'No id', remove() { } }), /needs an id/);
+    assert.throws(() => removalEngines.register({ id: AUTO_ENGINE, remove() { } }), /reserved/);
+    assert.throws(() => removalEngines.register({ id: 'x' }), /remove\(\) function/);
+
+    const changes = [];
+    removalEngines.onChange = (engines) => changes.push(engines.map((engine) => engine.id));
+    removalEngines.register({ id: 'plain', remove() { } });
+    removalEngines.register(fakeEngine('plain'));
+    removalEngines.unregister('plain');
+
+    assert.deepEqual(changes, [['plain'], ['plain'], []]);
+});
+
+test('list can skip unavailable engines', (t) => {
+    quietConsole(t);
+    removalEngines.register(fakeEngine('a'));
+    removalEngines.register(fakeEngine('off', { isAvailable: () => false }));
+    removalEngines.register(fakeEngine('broken', { isAvailable: () => { throw new Error('no WebGPU'); } }));
+
+    assert.deepEqual(removalEngines.list().map((engine) => engine.id), ['a', 'off', 'broken']);
+    assert.deepEqual(removalEngines.list({ availableOnly: true }).map((engine) => engine.id), ['a']);
+});
+
+test('the saved engine falls back to auto once it is gone or unavailable', () => {
+    let available = true;
+    removalEngines.register(fakeEngine('a', { isAvailable: () => available }));
+
+    assert.equal(removalEngines.getPreference(), AUTO_ENGINE);
+    removalEngines.setPreference('a');
+    assert.equal(removalEngines.getPreference(), 'a');
+
+    available = false;
+    assert.equal(removalEngines.getPreference(), AUTO_ENGINE);
+
+    available = true;
+    removalEngines.unregister('a');
+    assert.equal(removalEngines.getPreference(), AUTO_ENGINE);
+});
+
+test('auto runs every available engine at once and returns all candidates', async (t) => {
+    quietConsole(t);
+    removalEngines.register(fakeEngine('a'));
+    removalEngines.register(fakeEngine('b', { fail: true }));
+    removalEngines.register(fakeEngine('off', { isAvailable: () => false }));
+    removalEngines.register(fakeEngine('c'));
+    removalEngines.register(fakeEngine('key', { fallback: true }));
+
+    const progress = [];
+    const removal = await runBackgroundRemoval(UPLOAD, (percent) => progress.push(percent));
+
+    assert.deepEqual(runs, ['a', 'b', 'c']);
+    assert.deepEqual(removal.candidates.map((candidate) => candidate.engineId), ['a', 'c']);
+    assert.equal(removal.engineId, 'a', 'ties keep the first engine');
+    assert.equal(removal.blob, removal.candidates[0].blob);
+    for (const candidate of removal.candidates) {
+        assert.ok(candidate.blob instanceof Blob);
+        assert.equal(typeof candidate.quality.score, 'number');
+    }
+
+    // The bar follows the average engine: all three reach 50% before any of them finishes.
+    assert.deepEqual(progress, [6, 21, 36, 51, 66, 81, 96, 100]);
+});
+
+test('auto leaves engines with a model still to download out, downloading one when nothing else runs', async () => {
+    removalEngines.register(fakeEngine('model-a', { download: true }));
+    removalEngines.register(fakeEngine('model-b', { download: true }));
+
+    await runBackgroundRemoval(UPLOAD);
+    assert.deepEqual(runs, ['model-a'], 'one download at a time');
+    assert.equal(removalEngines.isDownloaded(removalEngines.get('model-a')), true);
+    assert.equal(removalEngines.isDownloaded(removalEngines.get('model-b')), false);
+
+    runs = [];
+    await runBackgroundRemoval(UPLOAD);
+    assert.deepEqual(runs, ['model-a']);
+
+    // Picking an engine by hand downloads its model; from then on auto compares both.
+    await runBackgroundRemoval(UPLOAD, () => { }, { engine: 'model-b' });
+    runs = [];
+    await runBackgroundRemoval(UPLOAD);
+    assert.deepEqual(runs, ['model-a', 'model-b']);
+
+    // Engines without a model to download always run.
+    removalEngines.register(fakeEngine('model-c', { download: true }));
+    removalEngines.register(fakeEngine('cloud'));
+    runs = [];
+    await runBackgroundRemoval(UPLOAD);
+    assert.deepEqual(runs, ['model-a', 'model-b', 'cloud']);
+});
+
+test('fallback engines only run when every other engine failed', async (t) => {
+    quietConsole(t);
+    removalEngines.register(fakeEngine('a', { fail: true }));
+    removalEngines.register(fakeEngine('key', { fallback: true }));
+
+    const removal = await runBackgroundRemoval(UPLOAD);
+    assert.deepEqual(runs, ['a', 'key']);
+    assert.equal(removal.engineId, 'key');
+
+    removalEngines.unregister('key');
+    await assert.rejects(runBackgroundRemoval(UPLOAD), /Every background removal engine failed/);
+});
+
+test('a chosen engine runs alone and its failure is reported', async () => {
+    removalEngines.register(fakeEngine('a'));
+    removalEngines.register(fakeEngine('b', { fail: true }));
+    removalEngines.register(fakeEngine('off', { isAvailable: () => false }));
+
+    const removal = await runBackgroundRemoval(UPLOAD, () => { }, { engine: 'a' });
+    assert.deepEqual(runs, ['a']);
+    assert.equal(removal.candidates.length, 1);
+
+    await assert.rejects(runBackgroundRemoval(UPLOAD, () => { }, { engine: 'b' }), /b failed/);
+    await assert.rejects(runBackgroundRemoval(UPLOAD, () => { }, { engine: 'off' }), /not available/);
+    await assert.rejects(runBackgroundRemoval(UPLOAD, () => { }, { engine: 'missing' }), /not available/);
+});
+
+test('a good enough result stops the other engines', async (t) => {
+    quietConsole(t);
+    const slow = hangingEngine('slow');
+    removalEngines.register(slow);
+    removalEngines.register(fakeEngine('a'));
+
+    // Stand-in pixels are all transparent, which scores 200.
+    const removal = await runBackgroundRemoval(UPLOAD, () => { }, { goodEnoughScore: 200 });
+    assert.deepEqual(removal.candidates.map((candidate) => candidate.engineId), ['a']);
+    assert.equal(slow.signal.aborted, true);
+    assert.equal(slow.signal.reason.name, 'AbortError');
+});
+
+test('engines share one time budget and finished results are kept', async (t) => {
+    quietConsole(t);
+    const stalled = hangingEngine('stalled');
+    removalEngines.register(stalled);
+    removalEngines.register(fakeEngine('a'));
+
+    const started = Date.now();
+    const removal = await runBackgroundRemoval(UPLOAD, () => { }, { timeBudget: 30, goodEnoughScore: -1 });
+    assert.ok(Date.now() - started < 1000);
+    assert.deepEqual(removal.candidates.map((candidate) => candidate.engineId), ['a']);
+    assert.equal(stalled.signal.reason.name, 'TimeoutError');
+});
+
+test('fallback engines still run when the budget ran out without a result', async (t) => {
+    quietConsole(t);
+    removalEngines.register(hangingEngine('stalled'));
+    removalEngines.register(fakeEngine('key', { fallback: true }));
+
+    const removal = await runBackgroundRemoval(UPLOAD, () => { }, { timeBudget: 10 });
+    assert.deepEqual(runs, ['stalled', 'key']);
+    assert.equal(removal.engineId, 'key');
+});
+
+test('aborting rejects at once, even with engines that ignore the signal', async () => {
+    const controller = new AbortController();
+    const stalled = hangingEngine('stalled');
+    removalEngines.register(stalled);
+    removalEngines.register({
+        id: 'a',
+        label: 'A',
+        remove: async () => {
+            runs.push('a');
+            controller.abort();
+            throw controller.signal.reason;
+        }
+    });
+
+    await assert.rejects(runBackgroundRemoval(UPLOAD, () => { }, { signal: controller.signal }), { name: 'AbortError' });
+    assert.deepEqual(runs, ['stalled', 'a']);
+    assert.equal(stalled.signal.aborted, true);
+});
@@ -0,0 +1,284 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM, createContainer, FakeCanvas, FakeImage } from './helpers/dom.js';
+import { assertClose } from './helpers/assert.js';
+
+installDOM();
+const { CanvasController } = await import('../js/canvas.js');
+
+// A 1000x600 canvas with a 2000x1000 photo: the photo is fitted at 82% of the
+// canvas, so body.scale = min(820 / 2000, 492 / 1000) = 0.41 and it shows as
+// 820x410 centred on (500, 300).
+const BODY_SCALE = 0.41;
+
+let controller;
+let tattooImage;
+
+function assertRectClose(actual, expected) {
+    for (const key of Object.keys(expected)) {
+        assertClose(actual[key], expected[key], key);
+    }
+}
+
+beforeEach(() => {
+    controller = new CanvasController(new FakeCanvas(), createContainer(1000, 600));
+    controller.setBodyImage(new FakeImage(2000, 1000));
+    tattooImage = new FakeImage(400, 400);
+});
+
+function cropBodyTo(rect) {
+    controller.selectLayer('body');
+    assert.equal(controller.beginCrop('body'), true);
+    controller.state.crop.rect = rect;
+    assert.equal(controller.applyCrop(), true);
+}
+
+test('fits a new photo inside the canvas, centred', () => {
+    assert.equal(controller.canvas.width, 1000);
+    assert.equal(controller.canvas.height, 600);
+    assertClose(controller.body.scale, BODY_SCALE, 'scale');
+
+    const bounds = controller.getLayerBounds('body');
+    assertRectClose(bounds, { x: 90, y: 95, width: 820, height: 410 });
+    assert.deepEqual(bounds.corners.map((corner) => corner.type), ['nw', 'ne', 'se', 'sw']);
+    assertRectClose(bounds.corners[2], { x: 910, y: 505 });
+});
+
+test('getLayerBounds is null for missing layers', () => {
+    assert.equal(controller.getLayerBounds('tattoo-99'), null);
+});
+
+test('getHandleAt finds corners of the selected layer only', () => {
+    assert.equal(controller.getHandleAt('body', 95, 90), 'nw');
+    assert.equal(controller.getHandleAt('body', 910 + 11, 505 - 11), 'se');
+    assert.equal(controller.getHandleAt('body', 910 + 13, 505), null, 'outside the 12px handle');
+    assert.equal(controller.getHandleAt('body', 500, 300), null, 'middle of the layer');
+
+    const layerId = controller.addTattooLayer(tattooImage);
+    assert.equal(controller.getSelectedLayer(), layerId);
+    assert.equal(controller.getHandleAt('body', 90, 95), null, 'body is no longer selected');
+
+    // 400px design at scale 0.574 shows 229.6px wide around (500, 300).
+    const [nw] = controller.getLayerBounds(layerId).corners;
+    assertRectClose(nw, { x: 385.2, y: 185.2 });
+    assert.equal(controller.getHandleAt(layerId, nw.x, nw.y), 'nw');
+});
+
+test('applyCrop maps the on-screen rectangle back to image pixels', () => {
+    // Right half of the displayed photo.
+    const rect = { x: 500, y: 95, width: 410, height: 410 };
+    cropBodyTo(rect);
+
+    assertRectClose(controller.body.crop, { x: 1000, y: 0, width: 1000, height: 1000 });
+    assertClose(controller.body.scale, BODY_SCALE, 'scale is kept');
+    // The cropped layer stays exactly where the crop rectangle was drawn.
+    assertRectClose(controller.getLayerBounds('body'), rect);
+    assert.equal(controller.isCropping(), false);
+});
+
+test('crops compose and undo restores each step', () => {
+    cropBodyTo({ x: 500, y: 95, width: 410, height: 410 });
+    // Top half of what is left.
+    cropBodyTo({ x: 500, y: 95, width: 410, height: 205 });
+    assertRectClose(controller.body.crop, { x: 1000, y: 0, width: 1000, height: 500 });
+
+    controller.undo();
+    assertRectClose(controller.body.crop, { x: 1000, y: 0, width: 1000, height: 1000 });
+    assertRectClose(controller.getLayerBounds('body'), { x: 500, y: 95, width: 410, height: 410 });
+
+    controller.undo();
+    assertRectClose(controller.body.crop, { x: 0, y: 0, width: 2000, height: 1000 });
+    assertRectClose(controller.getLayerBounds('body'), { x: 90, y: 95, width: 820, height: 410 });
+});
+
+test('applyCrop clamps to the layer and keeps a minimum size', () => {
+    cropBodyTo({ x: -200, y: -200, width: 2000, height: 2000 });
+    assertRectClose(controller.body.crop, { x: 0, y: 0, width: 2000, height: 1000 });
+
+    // A 1px wide sliver still keeps 3% of the image width.
+    cropBodyTo({ x: 300, y: 95, width: 1, height: 410 });
+    assertClose(controller.body.crop.width, 60, 'width');
+});
+
+test('cancelCrop leaves the layer untouched', () => {
+    controller.beginCrop('body');
+    controller.state.crop.rect = { x: 500, y: 95, width: 100, height: 100 };
+    controller.cancelCrop();
+    assertRectClose(controller.body.crop, { x: 0, y: 0, width: 2000, height: 1000 });
+    assert.equal(controller.canUndo(), false);
+});
+
+test('getTattooTransformForImageSpace converts canvas placement to body pixels', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    const layer = controller.getTattooLayer(layerId);
+    assertClose(layer.scale, 0.574, 'initial layer scale');
+
+    let transform = controller.getTattooTransformForImageSpace(layer);
+    assertClose(transform.x, 1000, 'x');
+    assertClose(transform.y, 500, 'y');
+    assertClose(transform.scale, 1.4, 'scale');
+    assert.deepEqual(transform.crop, { x: 0, y: 0, width: 400, height: 400 });
+
+    // 41 canvas px at body scale 0.41 is 100 photo px.
+    layer.x += 41;
+    layer.y -= 20.5;
+    transform = controller.getTattooTransformForImageSpace(layer);
+    assertClose(transform.x, 1100, 'moved x');
+    assertClose(transform.y, 450, 'moved y');
+});
+
+test('image-space transforms are relative to the body crop', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    cropBodyTo({ x: 500, y: 95, width: 410, height: 410 });
+
+    // The design sat at photo x = 1000, which is now the crop's left edge.
+    const transform = controller.getTattooTransformForImageSpace(controller.getTattooLayer(layerId));
+    assertClose(transform.x, 0, 'x');
+    assertClose(transform.y, 500, 'y');
+});
+
+test('getLayerPlacement reports fractions of the body crop and rotation in degrees', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    controller.getTattooLayer(layerId).rotation = Math.PI / 6;
+
+    const placement = controller.getLayerPlacement(layerId);
+    assertClose(placement.centerX, 0.5, 'centerX');
+    assertClose(placement.centerY, 0.5, 'centerY');
+    assertClose(placement.width, 560 / 2000, 'width');
+    assertClose(placement.height, 560 / 1000, 'height');
+    assert.equal(placement.rotation, 30);
+    assert.equal(controller.getLayerPlacement('tattoo-99'), null);
+});
+
+test('layerLocalToCanvas and canvasToLayerLocal are inverses', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    const layer = controller.getTattooLayer(layerId);
+    layer.rotation = 0.7;
+    layer.x = 420;
+
+    const local = { x: 0.25, y: -0.4 };
+    const point = controller.layerLocalToCanvas(layer, local);
+    const back = controller.canvasToLayerLocal(layer, point);
+    assertRectClose(back, local);
+
+    // The layer centre is local (0, 0).
+    assertRectClose(controller.layerLocalToCanvas(layer, { x: 0, y: 0 }), { x: 420, y: 300 });
+});
+
+test('getBodySamplingRect finds the photo pixels under a layer', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    const layer = controller.getTattooLayer(layerId);
+
+    // 229.6 canvas px = 560 photo px, centred on photo (1000, 500).
+    assertRectClose(controller.getBodySamplingRect(layer, controller.body), {
+        sx: 720, sy: 220, sw: 560, sh: 560, width: 229.6, height: 229.6
+    });
+
+    layer.x = 0;
+    const left = controller.getBodySamplingRect(layer, controller.body);
+    assertClose(left.sx, 0, 'clamped to the left edge');
+    assertClose(left.sw, 560, 'sw');
+
+    // 512.5 canvas px right of centre = photo x 2250, so the sample starts at 1970.
+    layer.x = 1012.5;
+    const right = controller.getBodySamplingRect(layer, controller.body);
+    assertClose(right.sx, 1970, 'sx');
+    assertClose(right.sw, 30, 'clipped at the right edge');
+});
+
+test('getBodySamplingRect includes the body crop offset', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    cropBodyTo({ x: 500, y: 95, width: 410, height: 410 });
+
+    const layer = controller.getTattooLayer(layerId);
+    layer.x = controller.body.x;
+    const rect = controller.getBodySamplingRect(layer, controller.body);
+    assertClose(rect.sx, 1000 + 500 - 280, 'sx');
+
+    // The export path passes a body reference in photo pixels instead of the live body.
+    const exportRef = { x: 500, y: 500, width: 1000, height: 1000, scale: 1, cropX: 1000, cropY: 0 };
+    const exported = controller.getBodySamplingRect(controller.getTattooTransformForImageSpace(layer), exportRef);
+    assertClose(exported.sx, rect.sx, 'same pixels from the export path');
+    assertClose(exported.sw, rect.sw, 'sw');
+});
+
+test('exports match the body crop, capped at maxSize', () => {
+    controller.addTattooLayer(tattooImage);
+
+    assert.equal(controller.exportBodyCrop(), 'data:image/jpeg;fake,1536x768');
+    assert.equal(controller.exportBodyCrop({ maxSize: 500 }), 'data:image/jpeg;fake,500x250');
+    assert.equal(controller.exportTattooOverlay(), 'data:image/png;fake,1536x768');
+    assert.equal(controller.exportImage(), 'data:image/png;fake,2000x1000');
+
+    const thumbnail = controller.exportThumbnail(240);
+    assert.equal(thumbnail.width, 240);
+    assert.equal(thumbnail.height, 120);
+
+    cropBodyTo({ x: 500, y: 95, width: 410, height: 410 });
+    assert.equal(controller.exportBodyCrop(), 'data:image/jpeg;fake,1000x1000', 'never upscaled');
+    assert.equal(controller.exportTattooOverlay(), 'data:image/png;fake,1000x1000');
+    assert.equal(controller.exportImage(), 'data:image/png;fake,1000x1000');
+});
+
+test('the tattoo overlay draws each layer at its photo position', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    controller.getTattooLayer(layerId).x += 41;
+
+    const created = [];
+    const createElement = document.createElement;
+    document.createElement = (tag) => {
+        const element = createElement(tag);
+        created.push(element);
+        return element;
+    };
+    try {
+        controller.exportTattooOverlay();
+    } finally {
+        document.createElement = createElement;
+    }
+
+    const { calls } = created[0].getContext();
+    const [scale] = calls.filter((call) => call.name === 'scale');
+    assertClose(scale.args[0], 0.768, 'scaled down to 1536px');
+    const [translate] = calls.filter((call) => call.name === 'translate');
+    assertClose(translate.args[0], 1100, 'x');
+    assertClose(translate.args[1], 500, 'y');
+
+    const draw = calls.find((call) => call.name === 'drawImage');
+    assert.equal(draw.args[0], tattooImage);
+    assertClose(draw.args[7], 560, 'drawn width');
+});
+
+test('exports are empty without a photo', () => {
+    controller.clear();
+    assert.equal(controller.exportBodyCrop(), null);
+    assert.equal(controller.exportTattooOverlay(), null);
+    assert.equal(controller.exportThumbnail(), null);
+});
+
+test('setTattooImage with a layerId swaps the image and keeps the placement', () => {
+    const layerId = controller.addTattooLayer(tattooImage);
+    const layer = controller.getTattooLayer(layerId);
+    layer.x += 41;
+    const { x, y, width, height } = controller.getLayerBounds(layerId);
+    const before = { x, y, width, height };
+
+    const sameSize = new FakeImage(400, 400);
+    assert.equal(controller.setTattooImage(sameSize, { layerId }), layerId);
+    assert.equal(layer.image, sameSize);
+    assertRectClose(controller.getLayerBounds(layerId), before);
+    assert.equal(controller.getTattooLayers().length, 1);
+
+    // Half the resolution: same size on screen, crop in the new pixels.
+    layer.crop = { x: 100, y: 0, width: 300, height: 400 };
+    const bounds = controller.getLayerBounds(layerId);
+    const cropped = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+    controller.setTattooImage(new FakeImage(200, 200), { layerId });
+    assert.deepEqual(layer.crop, { x: 50, y: 0, width: 150, height: 200 });
+    assertRectClose(controller.getLayerBounds(layerId), cropped);
+
+    controller.undo();
+    assert.equal(controller.getTattooLayer(layerId).image, sameSize);
+    assert.equal(controller.setTattooImage(tattooImage, { layerId: 'tattoo-99' }), null);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM } from './helpers/dom.js';
+import { quietConsole } from './helpers/assert.js';
+
+installDOM();
+
+const REFERENCE = 'data:image/jpeg;base64,AAAA';
+
+test('stored styles that add() would not have saved are dropped on load', async (t) => {
+    quietConsole(t);
+    localStorage.setItem('tattoo_tryon_custom_styles', JSON.stringify([
+        { id: 'custom-a', name: 'Sailor', descriptor: 'bold outlines', references: [REFERENCE], createdAt: 1 },
+        { id: 'custom-b', name: 'No examples', descriptor: 'old entry without references' },
+        { id: 'custom-c', name: 'Edited', descriptor: 'bad examples', references: 'not a list of images' },
+        { id: 'custom-d', name: '', descriptor: 'no name' },
+        { name: 'No id', descriptor: 'lost its id', references: [] },
+        null
+    ]));
+    const { customStyleStore } = await import('../js/custom-styles.js');
+
+    assert.deepEqual(customStyleStore.list(), [
+        { id: 'custom-a', name: 'Sailor', descriptor: 'bold outlines', references: [REFERENCE], createdAt: 1 },
+        { id: 'custom-b', name: 'No examples', descriptor: 'old entry without references', references: [], createdAt: 0 },
+        { id: 'custom-c', name: 'Edited', descriptor: 'bad examples', references: [], createdAt: 0 }
+    ]);
+    assert.equal(customStyleStore.get('custom-d'), null);
+});
@@ -0,0 +1,23 @@
+// Shared test assertions.
+
+import assert from 'node:assert/strict';
+
+/**
+ * Assert that two numbers agree within floating-point noise.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {string} message - Names the value in the failure message
+ */
+export function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Silence console.error and console.warn for the rest of the test, for code that
+ * logs the failures the test provokes on purpose.
+ * @param {import('node:test').TestContext} t
+ */
+export function quietConsole(t) {
+    t.mock.method(console, 'error', () => { });
+    t.mock.method(console, 'warn', () => { });
+}
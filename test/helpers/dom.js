@@ -0,0 +1,151 @@
+// DOM and canvas stand-ins for running the browser modules under Node.
+// Just enough for CanvasController and the background-removal pipeline: canvases keep
+// their size and record every 2D context call, images report the size they were created
+// with and "load" as soon as they get a src and an onload, FileReader reads any blob as a
+// fake data URL, and event listeners are accepted and ignored. toDataURL() encodes the
+// canvas size (`data:image/png;fake,800x600`) so tests can check export dimensions.
+
+function createImageData(width, height) {
+    const w = Math.max(1, Math.round(width));
+    const h = Math.max(1, Math.round(height));
+    return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+}
+
+/**
+ * A 2D context that records method calls in `calls` and keeps assigned properties.
+ * @param {FakeCanvas} canvas
+ */
+export function createFakeContext(canvas) {
+    const target = {
+        canvas,
+        calls: [],
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        filter: 'none',
+        getImageData: (x, y, width, height) => createImageData(width, height),
+        createImageData: (width, height) => (typeof width === 'object'
+            ? createImageData(width.width, width.height)
+            : createImageData(width, height)),
+        createLinearGradient: () => ({ addColorStop() { } }),
+        createRadialGradient: () => ({ addColorStop() { } }),
+        measureText: (text) => ({ width: String(text).length * 6 })
+    };
+
+    return new Proxy(target, {
+        get(object, property) {
+            if (property in object) return object[property];
+            return (...args) => {
+                object.calls.push({ name: property, args });
+            };
+        }
+    });
+}
+
+export class FakeCanvas {
+    constructor(width = 300, height = 150) {
+        this.width = width;
+        this.height = height;
+        this.style = {};
+        this.context = null;
+    }
+
+    getContext() {
+        if (!this.context) {
+            this.context = createFakeContext(this);
+        }
+        return this.context;
+    }
+
+    addEventListener() { }
+
+    removeEventListener() { }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height };
+    }
+
+    toDataURL(type = 'image/png') {
+        return `data:${type};fake,${this.width}x${this.height}`;
+    }
+
+    toBlob(callback, type = 'image/png') {
+        callback(new Blob([`${this.width}x${this.height}`], { type }));
+    }
+}
+
+export class FakeImage {
+    constructor(width = 0, height = 0) {
+        this.width = width;
+        this.height = height;
+        this.naturalWidth = width;
+        this.naturalHeight = height;
+        // Never "complete", so the watermark logo is skipped.
+        this.complete = false;
+        this.onload = null;
+        this.source = '';
+    }
+
+    get src() {
+        return this.source;
+    }
+
+    set src(value) {
+        this.source = value;
+        if (this.onload) {
+            queueMicrotask(() => this.onload());
+        }
+    }
+}
+
+export class FakeFileReader {
+    readAsDataURL(blob) {
+        queueMicrotask(() => {
+            this.result = `data:${blob.type || 'application/octet-stream'};fake,${blob.size}`;
+            this.onload({ target: this });
+        });
+    }
+}
+
+/**
+ * A Map-backed localStorage.
+ */
+export function createStorage() {
+    const entries = new Map();
+    return {
+        getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+        setItem: (key, value) => entries.set(key, String(value)),
+        removeItem: (key) => entries.delete(key),
+        clear: () => entries.clear()
+    };
+}
+
+/**
+ * Install window, document, Image, FileReader and localStorage on globalThis.
+ * Safe to call more than once.
+ */
+export function installDOM() {
+    globalThis.window = {
+        innerWidth: 1280,
+        innerHeight: 800,
+        addEventListener() { },
+        removeEventListener() { }
+    };
+    globalThis.document = {
+        createElement: (tag) => (tag === 'canvas' ? new FakeCanvas() : { style: {}, addEventListener() { } }),
+        getElementById: () => null,
+        addEventListener() { },
+        removeEventListener() { }
+    };
+    globalThis.Image = FakeImage;
+    globalThis.FileReader = FakeFileReader;
+    globalThis.localStorage = createStorage();
+}
+
+/**
+ * An element whose layout box has the given size (e.g. the canvas container).
+ */
+export function createContainer(width, height) {
+    return {
+        getBoundingClientRect: () => ({ left: 0, top: 0, width, height })
+    };
+}
@@ -0,0 +1,110 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM, createContainer, FakeCanvas, FakeImage } from './helpers/dom.js';
+
+installDOM();
+const { HistoryStack } = await import('../js/history.js');
+const { CanvasController } = await import('../js/canvas.js');
+
+let history;
+
+beforeEach(() => {
+    history = new HistoryStack({ limit: 3, coalesceWindow: 1000 });
+});
+
+test('undo and redo swap the recorded state with the live one', () => {
+    history.record('Move', { x: 0 });
+    history.record('Resize', { x: 1 });
+    assert.equal(history.getUndoLabel(), 'Resize');
+    assert.equal(history.canRedo(), false);
+
+    assert.deepEqual(history.undo({ x: 2 }), { x: 1 });
+    assert.deepEqual(history.undo({ x: 1 }), { x: 0 });
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.undo({ x: 0 }), null);
+    assert.equal(history.getRedoLabel(), 'Move');
+
+    assert.deepEqual(history.redo({ x: 0 }), { x: 1 });
+    assert.deepEqual(history.redo({ x: 1 }), { x: 2 });
+    assert.equal(history.redo({ x: 2 }), null);
+    assert.equal(history.getUndoLabel(), 'Resize');
+});
+
+test('a new edit drops the redo steps', () => {
+    history.record('Move', { x: 0 });
+    history.undo({ x: 1 });
+    assert.equal(history.canRedo(), true);
+
+    history.record('Rotate', { x: 0 });
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.getRedoLabel(), null);
+});
+
+test('rapid edits with the same key collapse into one step', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 10000 });
+
+    history.record('Change opacity', { opacity: 1 }, 'opacity:tattoo-1');
+    t.mock.timers.tick(600);
+    history.record('Change opacity', { opacity: 0.9 }, 'opacity:tattoo-1');
+    t.mock.timers.tick(600);
+    history.record('Change opacity', { opacity: 0.8 }, 'opacity:tattoo-1');
+    assert.equal(history.undoStack.length, 1, 'each edit extends the window');
+
+    t.mock.timers.tick(1000);
+    history.record('Change opacity', { opacity: 0.7 }, 'opacity:tattoo-1');
+    history.record('Change opacity', { opacity: 0.6 }, 'opacity:tattoo-2');
+    assert.equal(history.undoStack.length, 3);
+
+    // Undo goes back to the state before the first slider move.
+    history.undo({ opacity: 0.5 });
+    history.undo({ opacity: 0.6 });
+    assert.deepEqual(history.undo({ opacity: 0.7 }), { opacity: 1 });
+});
+
+test('the oldest steps fall off past the limit', () => {
+    for (let step = 0; step < 5; step += 1) {
+        history.record(`Step ${step}`, { step });
+    }
+    assert.deepEqual(history.undoStack.map((entry) => entry.label), ['Step 2', 'Step 3', 'Step 4']);
+});
+
+test('listeners hear about every change', () => {
+    const changes = [];
+    history.onChange = (canUndo, canRedo) => changes.push([canUndo, canRedo]);
+
+    history.record('Move', { x: 0 });
+    history.undo({ x: 1 });
+    history.redo({ x: 0 });
+    history.clear();
+    assert.deepEqual(changes, [[true, false], [false, true], [true, false], [false, false]]);
+});
+
+test('canvas edits undo and redo layer by layer', () => {
+    const controller = new CanvasController(new FakeCanvas(), createContainer(1000, 600));
+    controller.setBodyImage(new FakeImage(2000, 1000));
+    assert.equal(controller.canUndo(), false, 'a first photo is not an edit');
+
+    const first = controller.addTattooLayer(new FakeImage(400, 400));
+    const second = controller.addTattooLayer(new FakeImage(200, 100));
+    controller.setOpacity(40);
+    controller.removeLayer(first);
+    assert.deepEqual(controller.getTattooLayers().map((layer) => layer.id), [second]);
+
+    assert.equal(controller.undo(), true);
+    assert.deepEqual(controller.getTattooLayers().map((layer) => layer.id), [first, second]);
+    assert.equal(controller.undo(), true);
+    assert.equal(controller.getTattooLayer(second).opacity, 1);
+
+    assert.equal(controller.redo(), true);
+    assert.equal(controller.getTattooLayer(second).opacity, 0.4);
+    controller.undo();
+    controller.undo();
+    controller.undo();
+    assert.deepEqual(controller.getTattooLayers(), []);
+    assert.equal(controller.undo(), false);
+
+    // Ids are never reused, even for a layer added after undoing another.
+    assert.equal(controller.addTattooLayer(new FakeImage(50, 50)), 'tattoo-3');
+    assert.equal(controller.canRedo(), false);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM, FakeCanvas, FakeImage } from './helpers/dom.js';
+
+installDOM();
+const {
+    LINE_ART_DEFAULTS,
+    LineArtEditor,
+    adaptiveThreshold,
+    despeckle,
+    extractLineArt,
+    flattenShading,
+    thicken,
+    toLuminance
+} = await import('../js/line-art.js');
+
+const SIZE = 96;
+
+// A pencil sketch photographed under uneven light: paper from 150 (left) to 245 (right),
+// a horizontal and a vertical line 70 levels darker than the paper, and a few specks.
+function sketch() {
+    const rgba = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y += 1) {
+        for (let x = 0; x < SIZE; x += 1) {
+            const paper = 150 + ((x / (SIZE - 1)) * 95);
+            const line = (y >= 47 && y <= 49) || (x >= 30 && x <= 31);
+            const speck = (x === 80 && y === 15) || (x === 12 && y === 80);
+            const value = line || speck ? paper - 70 : paper;
+            rgba.set([value, value, value, 255], ((y * SIZE) + x) * 4);
+        }
+    }
+    return rgba;
+}
+
+const alphaAt = (rgba, x, y) => rgba[(((y * SIZE) + x) * 4) + 3];
+const inkPixels = (rgba) => {
+    let count = 0;
+    for (let i = 3; i < rgba.length; i += 4) if (rgba[i] >= 128) count += 1;
+    return count;
+};
+
+test('toLuminance treats transparent pixels as paper', () => {
+    const lum = toLuminance(new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 0, 255, 0, 0, 255]));
+    assert.deepEqual([...lum], [0, 255, 76]);
+});
+
+test('flattenShading evens out the paper and keeps the lines dark', () => {
+    const flat = flattenShading(toLuminance(sketch()), SIZE, SIZE);
+    const at = (x, y) => flat[(y * SIZE) + x];
+
+    assert.ok(Math.abs(at(4, 10) - at(90, 10)) < 25, `paper ${at(4, 10)} vs ${at(90, 10)}`);
+    assert.ok(at(4, 10) > 225, 'the dark side is close to white');
+    assert.ok(at(60, 48) < at(60, 10) - 60, 'line stays well below the paper');
+});
+
+test('adaptiveThreshold finds lines on shaded paper, and fainter ones at higher thresholds', () => {
+    const lum = toLuminance(sketch());
+    const alpha = adaptiveThreshold(lum, SIZE, SIZE, LINE_ART_DEFAULTS.threshold);
+    assert.equal(alpha[(48 * SIZE) + 5], 255, 'line on the dark side');
+    assert.equal(alpha[(48 * SIZE) + 90], 255, 'line on the bright side');
+    assert.equal(alpha[(10 * SIZE) + 5], 0, 'dark paper');
+
+    // A line only 20 levels darker than its paper.
+    const faint = lum.map((value, p) => (Math.floor(p / SIZE) === 20 ? value - 20 : value));
+    assert.equal(adaptiveThreshold(faint, SIZE, SIZE, 10)[(20 * SIZE) + 60], 0);
+    assert.ok(adaptiveThreshold(faint, SIZE, SIZE, 95)[(20 * SIZE) + 60] >= 128);
+});
+
+test('despeckle removes small islands only', () => {
+    const alpha = new Uint8ClampedArray(10 * 10);
+    alpha[11] = 255;
+    alpha[12] = 128;
+    for (let x = 0; x < 10; x += 1) alpha[70 + x] = 255;
+
+    assert.equal(despeckle(alpha, 10, 10, 4), 1);
+    assert.equal(alpha[11], 0);
+    assert.equal(alpha[12], 0);
+    assert.equal(alpha[75], 255);
+    assert.equal(despeckle(alpha, 10, 10, 0), 0);
+});
+
+test('thicken grows lines by whole pixels', () => {
+    const alpha = new Uint8ClampedArray(7 * 7);
+    alpha[(3 * 7) + 3] = 255;
+
+    const thick = thicken(alpha, 7, 7, 1);
+    assert.equal(thick.filter((value) => value === 255).length, 9);
+    assert.equal(thicken(alpha, 7, 7, 0), alpha);
+});
+
+test('extractLineArt produces ink-coloured lines on transparency', () => {
+    const out = extractLineArt(sketch(), SIZE, SIZE, { inkColor: '#102030' });
+
+    assert.deepEqual([...out.slice(0, 3)], [0x10, 0x20, 0x30]);
+    assert.equal(alphaAt(out, 60, 48), 255);
+    assert.equal(alphaAt(out, 30, 70), 255);
+    assert.equal(alphaAt(out, 5, 10), 0, 'shaded paper is transparent');
+    assert.equal(alphaAt(out, 80, 15), 0, 'specks are removed');
+
+    const specks = extractLineArt(sketch(), SIZE, SIZE, { despeckle: 0 });
+    assert.equal(alphaAt(specks, 80, 15), 255);
+
+    const thick = extractLineArt(sketch(), SIZE, SIZE, { thicken: 2 });
+    assert.ok(inkPixels(thick) > inkPixels(out) * 1.5);
+    // Previews at half size thicken by half as much.
+    const preview = extractLineArt(sketch(), SIZE, SIZE, { thicken: 2, pixelScale: 0.5 });
+    assert.ok(inkPixels(preview) < inkPixels(thick));
+});
+
+test('LineArtEditor previews at a capped size and exports at full size', async () => {
+    const canvas = new FakeCanvas();
+    const editor = new LineArtEditor(canvas);
+
+    editor.load(new FakeImage(3000, 1500));
+    assert.equal(canvas.width, 1024);
+    assert.equal(canvas.height, 512);
+    assert.deepEqual(editor.outputSize, { width: 2048, height: 1024 });
+    assert.equal(canvas.context.calls.filter((call) => call.name === 'putImageData').length, 1);
+
+    editor.setOptions({ threshold: 80 });
+    assert.equal(editor.options.threshold, 80);
+    assert.equal(editor.options.inkColor, LINE_ART_DEFAULTS.inkColor);
+
+    const blob = await editor.toBlob();
+    assert.equal(await blob.text(), '2048x1024');
+
+    editor.release();
+    assert.equal(editor.preview, null);
+    assert.equal(editor.options.threshold, 80, 'options are kept for the next drawing');
+});
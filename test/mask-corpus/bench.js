@@ -0,0 +1,54 @@
+// Mask score benchmark
+// Ranks every candidate in the mask corpus with the current scorer and with the original
+// border-only score, and reports how often each one agrees with the expected masks.
+// Usage: npm run bench:masks [-- --verbose]
+
+import { applyAgreement, measureMaskQuality } from '../../js/removal-pixels.js';
+import { buildCorpus, evaluate, toRGBA } from './corpus.js';
+
+const verbose = process.argv.includes('--verbose');
+
+// The score before this benchmark existed: opaque pixels near the border, and emptiness.
+function baselineScore(alpha, width, height) {
+    let visible = 0;
+    let edgeResidue = 0;
+    for (let p = 0; p < alpha.length; p += 1) {
+        if (alpha[p] <= 18) continue;
+        visible += 1;
+        const x = p % width;
+        const y = Math.floor(p / width);
+        if (x < 8 || y < 8 || x >= width - 8 || y >= height - 8) edgeResidue += 1;
+    }
+    return ((edgeResidue / Math.max(1, visible)) * 100) + (visible / alpha.length < 0.003 ? 80 : 0);
+}
+
+const scorers = {
+    baseline: (candidates, width, height) => candidates.map((candidate) => baselineScore(candidate.alpha, width, height)),
+    current: (candidates, width, height) => {
+        const qualities = candidates.map((candidate) => measureMaskQuality(toRGBA(candidate.alpha), width, height));
+        applyAgreement(qualities);
+        qualities.forEach((quality, i) => { candidates[i].quality = quality; });
+        return qualities.map((quality) => quality.score);
+    }
+};
+
+const corpus = buildCorpus();
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+for (const [name, scorer] of Object.entries(scorers)) {
+    const started = performance.now();
+    const result = evaluate(corpus, scorer);
+    const elapsed = performance.now() - started;
+
+    console.log(`\n${name}: top-1 ${percent(result.top1)}, pairwise ${percent(result.concordance)} (${elapsed.toFixed(0)} ms)`);
+    for (const sample of result.samples) {
+        const mark = sample.picked === sample.best ? 'ok  ' : 'MISS';
+        console.log(`  ${mark} ${sample.name.padEnd(14)} picked ${sample.picked.padEnd(14)} pairwise ${percent(sample.concordance)}`);
+        if (!verbose) continue;
+
+        const byScore = [...sample.ranked].sort((a, b) => a.score - b.score);
+        for (const candidate of byScore) {
+            console.log(`         ${candidate.name.padEnd(14)} score ${candidate.score.toFixed(2).padStart(7)}  overlap ${candidate.overlap.toFixed(3)}`);
+        }
+    }
+}
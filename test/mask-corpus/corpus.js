@@ -0,0 +1,259 @@
+// Mask corpus
+// Sample tattoo designs with their expected masks, each paired with the mistakes that
+// background-removal engines make (haze, leftover paper edges, dust, blur, lost parts...).
+// Everything is drawn in code from a fixed seed, so the corpus is identical on every run and
+// needs no image decoder. Used by bench.js and test/removal-pixels.test.js.
+
+const SIZE = 160;
+
+// Deterministic random numbers in [0, 1).
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function segmentDistance(px, py, [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const t = Math.max(0, Math.min(1, (((px - ax) * dx) + ((py - ay) * dy)) / ((dx * dx) + (dy * dy))));
+    return Math.hypot(px - (ax + (t * dx)), py - (ay + (t * dy)));
+}
+
+function insidePolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < (((xj - xi) * (y - yi)) / (yj - yi)) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+const ring = (cx, cy, radius, thickness) => (x, y) => Math.abs(Math.hypot(x - cx, y - cy) - radius) <= thickness / 2;
+const disc = (cx, cy, radius) => (x, y) => Math.hypot(x - cx, y - cy) <= radius;
+const stroke = (a, b, thickness) => (x, y) => segmentDistance(x, y, a, b) <= thickness / 2;
+const box = (x0, y0, x1, y1) => (x, y) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+const union = (...shapes) => (x, y) => shapes.some((shape) => shape(x, y));
+
+function star(cx, cy, outer, inner, points = 5) {
+    const corners = [];
+    for (let i = 0; i < points * 2; i += 1) {
+        const angle = ((Math.PI * i) / points) - (Math.PI / 2);
+        const radius = i % 2 === 0 ? outer : inner;
+        corners.push([cx + (Math.cos(angle) * radius), cy + (Math.sin(angle) * radius)]);
+    }
+    return (x, y) => insidePolygon(x, y, corners);
+}
+
+// Anti-aliased alpha of `shape`, sampled 4x4 per pixel.
+function draw(shape) {
+    const alpha = new Uint8ClampedArray(SIZE * SIZE);
+    for (let y = 0; y < SIZE; y += 1) {
+        for (let x = 0; x < SIZE; x += 1) {
+            let hits = 0;
+            for (let sy = 0; sy < 4; sy += 1) {
+                for (let sx = 0; sx < 4; sx += 1) {
+                    if (shape(x + ((sx + 0.5) / 4), y + ((sy + 0.5) / 4))) hits += 1;
+                }
+            }
+            alpha[(y * SIZE) + x] = Math.round((hits / 16) * 255);
+        }
+    }
+    return alpha;
+}
+
+const SAMPLES = [
+    {
+        name: 'rose-outline',
+        description: 'Fine-line outline with a stem',
+        shape: union(ring(80, 62, 34, 3), ring(80, 62, 18, 3), stroke([80, 96], [80, 150], 3), stroke([80, 125], [100, 110], 3))
+    },
+    {
+        name: 'blackwork',
+        description: 'Solid filled star',
+        shape: star(80, 84, 66, 28)
+    },
+    {
+        name: 'lettering',
+        description: 'Separate glyphs with counters (holes)',
+        shape: union(ring(36, 80, 18, 8), box(64, 58, 72, 102), box(64, 58, 92, 66), box(64, 76, 88, 84), ring(122, 80, 18, 8), stroke([132, 92], [142, 104], 8))
+    },
+    {
+        name: 'tribal-band',
+        description: 'Armband running into the left and right edges',
+        shape: (x, y) => Math.abs(y - 80 - (Math.sin(x / 12) * 10)) <= 18 - (Math.abs(Math.sin(x / 7)) * 8)
+    },
+    {
+        name: 'flash-sheet',
+        description: 'Nine small motifs on a mostly empty sheet',
+        shape: union(...[30, 80, 130].flatMap((cy) => [30, 80, 130].map((cx, i) => (i % 2 === 0 ? ring(cx, cy, 9, 3) : star(cx, cy, 11, 5)))))
+    },
+    {
+        name: 'fine-line',
+        description: 'Thin wavy lines',
+        shape: (x, y) => [50, 80, 110].some((base) => Math.abs(y - base - (Math.sin(x / 14) * 9)) <= 0.9) && x > 14 && x < 146
+    },
+    {
+        name: 'dotwork',
+        description: 'Grid of small dots in a circle',
+        shape: (x, y) => {
+            const cx = (Math.round(x / 9) * 9);
+            const cy = (Math.round(y / 9) * 9);
+            return Math.hypot(cx - 80, cy - 80) < 60 && Math.hypot(x - cx, y - cy) <= 2.5;
+        }
+    }
+];
+
+function blur(alpha, radius) {
+    const pass = (source, horizontal) => {
+        const out = new Uint8ClampedArray(source.length);
+        for (let y = 0; y < SIZE; y += 1) {
+            for (let x = 0; x < SIZE; x += 1) {
+                let sum = 0;
+                let count = 0;
+                for (let d = -radius; d <= radius; d += 1) {
+                    const sx = horizontal ? x + d : x;
+                    const sy = horizontal ? y : y + d;
+                    if (sx < 0 || sy < 0 || sx >= SIZE || sy >= SIZE) continue;
+                    sum += source[(sy * SIZE) + sx];
+                    count += 1;
+                }
+                out[(y * SIZE) + x] = Math.round(sum / count);
+            }
+        }
+        return out;
+    };
+    return pass(pass(alpha, true), false);
+}
+
+// Sets 1x1 or 2x2 blocks to `value` at random pixels where `where(alpha)` holds.
+function sprinkle(alpha, random, count, value, where) {
+    const out = alpha.slice();
+    let placed = 0;
+    for (let tries = 0; placed < count && tries < count * 200; tries += 1) {
+        const x = Math.floor(random() * (SIZE - 1));
+        const y = Math.floor(random() * (SIZE - 1));
+        const p = (y * SIZE) + x;
+        if (!where(alpha[p])) continue;
+
+        const size = random() < 0.5 ? 1 : 2;
+        for (let dy = 0; dy < size; dy += 1) {
+            for (let dx = 0; dx < size; dx += 1) out[p + (dy * SIZE) + dx] = value;
+        }
+        placed += 1;
+    }
+    return out;
+}
+
+// Engine mistakes, from an expected mask. Ranked against the truth by maskOverlap, not by name.
+const MISTAKES = {
+    clean: (alpha) => alpha.slice(),
+    blurred: (alpha) => blur(alpha, 3),
+    haze: (alpha) => alpha.map((a) => a + ((1 - (a / 255)) * 70)),
+    'paper-edge': (alpha, random) => {
+        const out = alpha.slice();
+        for (let y = 0; y < SIZE; y += 1) {
+            for (let x = 0; x < SIZE; x += 1) {
+                const depth = 6 + Math.floor(random() * 4);
+                if (x < depth || y < depth || x >= SIZE - depth || y >= SIZE - depth) out[(y * SIZE) + x] = 255;
+            }
+        }
+        return out;
+    },
+    dust: (alpha, random) => sprinkle(alpha, random, 60, 255, (a) => a === 0),
+    pinholes: (alpha, random) => sprinkle(alpha, random, 40, 0, (a) => a === 255),
+    'half-missing': (alpha) => alpha.map((a, p) => (p % SIZE > SIZE * 0.55 ? 0 : a)),
+    'design-removed': (alpha) => alpha.map((a, p) => (p === (80 * SIZE) + 80 ? 255 : 0))
+};
+
+/**
+ * Overlap between a mask and the expected one (soft IoU), 1 for a perfect match.
+ * @param {Uint8ClampedArray} alpha
+ * @param {Uint8ClampedArray} expected
+ */
+export function maskOverlap(alpha, expected) {
+    let intersection = 0;
+    let union = 0;
+    for (let i = 0; i < alpha.length; i += 1) {
+        intersection += Math.min(alpha[i], expected[i]);
+        union += Math.max(alpha[i], expected[i]);
+    }
+    return union > 0 ? intersection / union : 1;
+}
+
+/**
+ * RGBA pixels (black ink) for an alpha mask, as the scorer reads them.
+ * @param {Uint8ClampedArray} alpha
+ */
+export function toRGBA(alpha) {
+    const data = new Uint8ClampedArray(alpha.length * 4);
+    for (let i = 0; i < alpha.length; i += 1) data[(i * 4) + 3] = alpha[i];
+    return data;
+}
+
+/**
+ * The corpus: every sample with its expected mask and candidate masks.
+ * @returns {{name: string, description: string, width: number, height: number,
+ *   expected: Uint8ClampedArray, candidates: {name: string, alpha: Uint8ClampedArray, overlap: number}[]}[]}
+ */
+export function buildCorpus() {
+    return SAMPLES.map((sample, index) => {
+        const expected = draw(sample.shape);
+        const random = seededRandom(index + 1);
+        const candidates = Object.entries(MISTAKES).map(([name, mistake]) => {
+            const alpha = mistake(expected, random);
+            return { name, alpha, overlap: maskOverlap(alpha, expected) };
+        });
+        return { name: sample.name, description: sample.description, width: SIZE, height: SIZE, expected, candidates };
+    });
+}
+
+/**
+ * Scores every sample's candidates and compares the ranking with their true overlap.
+ * Pairs whose overlap differs by less than `margin` are too close to call and skipped.
+ * @param {ReturnType<typeof buildCorpus>} corpus
+ * @param {(candidates: object[], width: number, height: number) => number[]} scoreCandidates -
+ *   One score per candidate, lower is better
+ * @returns {{samples: object[], top1: number, concordance: number}} top1: share of samples
+ *   where the best scored candidate is the best one; concordance: share of pairs ranked right
+ */
+export function evaluate(corpus, scoreCandidates, { margin = 0.02 } = {}) {
+    let pairs = 0;
+    let concordant = 0;
+    let hits = 0;
+
+    const samples = corpus.map((sample) => {
+        const scores = scoreCandidates(sample.candidates, sample.width, sample.height);
+        const ranked = sample.candidates.map((candidate, i) => ({ ...candidate, score: scores[i] }));
+        const picked = ranked.reduce((a, b) => (b.score < a.score ? b : a));
+        const best = ranked.reduce((a, b) => (b.overlap > a.overlap ? b : a));
+        if (picked === best) hits += 1;
+
+        let samplePairs = 0;
+        let sampleConcordant = 0;
+        for (let i = 0; i < ranked.length; i += 1) {
+            for (let j = i + 1; j < ranked.length; j += 1) {
+                const [a, b] = [ranked[i], ranked[j]];
+                if (Math.abs(a.overlap - b.overlap) < margin) continue;
+                samplePairs += 1;
+                if (a.score === b.score) {
+                    sampleConcordant += 0.5;
+                } else if ((a.score < b.score) === (a.overlap > b.overlap)) {
+                    sampleConcordant += 1;
+                }
+            }
+        }
+        pairs += samplePairs;
+        concordant += sampleConcordant;
+
+        return { name: sample.name, picked: picked.name, best: best.name, concordance: sampleConcordant / Math.max(1, samplePairs), ranked };
+    });
+
+    return { samples, top1: hits / corpus.length, concordance: concordant / Math.max(1, pairs) };
+}
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM, FakeCanvas, FakeImage } from './helpers/dom.js';
+
+installDOM();
+const {
+    MASK_MODES,
+    MASK_TOOLS,
+    MaskEditor,
+    applyBrushDab,
+    applySelection,
+    composeMasked,
+    extractAlpha,
+    floodSelect,
+    interpolateStroke
+} = await import('../js/mask-editor.js');
+
+// RGBA pixels from a grid of [r, g, b, a] rows.
+function pixels(rows) {
+    return new Uint8ClampedArray(rows.flat(2));
+}
+
+test('extractAlpha keeps one value per pixel', () => {
+    const rgba = pixels([[[1, 2, 3, 40], [4, 5, 6, 250]]]);
+    assert.deepEqual([...extractAlpha(rgba)], [40, 250]);
+});
+
+test('a hard dab erases a disc and reports its bounds', () => {
+    const mask = new Uint8ClampedArray(20 * 20).fill(255);
+    const rect = applyBrushDab(mask, 20, 20, { x: 10, y: 10, radius: 4, hardness: 1, mode: MASK_MODES.ERASE });
+
+    assert.deepEqual(rect, { x: 6, y: 6, width: 9, height: 9 });
+    assert.equal(mask[(10 * 20) + 10], 0, 'centre');
+    assert.equal(mask[(10 * 20) + 13], 0, 'inside the radius');
+    assert.equal(mask[(10 * 20) + 14], 255, 'outside the radius');
+    assert.equal(mask[(6 * 20) + 6], 255, 'corner of the bounds');
+});
+
+test('soft dabs fall off towards the edge and never exceed their own strength', () => {
+    const mask = new Uint8ClampedArray(40).fill(0);
+    const dab = { x: 20, y: 0.5, radius: 10, hardness: 0, mode: MASK_MODES.RESTORE };
+    applyBrushDab(mask, 40, 1, dab);
+
+    const centre = mask[20];
+    const middle = mask[25];
+    const edge = mask[29];
+    assert.ok(centre > middle && middle > edge && edge > 0, `${centre} > ${middle} > ${edge} > 0`);
+
+    // The same dab again changes nothing.
+    const before = mask.slice();
+    applyBrushDab(mask, 40, 1, dab);
+    assert.deepEqual(mask, before);
+
+    // Erasing only lowers values.
+    applyBrushDab(mask, 40, 1, { ...dab, x: 29, radius: 2, hardness: 1, mode: MASK_MODES.ERASE });
+    assert.equal(mask[29], 0);
+    assert.equal(mask[20], centre);
+});
+
+test('dabs outside the image change nothing', () => {
+    const mask = new Uint8ClampedArray(16).fill(255);
+    assert.equal(applyBrushDab(mask, 4, 4, { x: -20, y: -20, radius: 3, mode: MASK_MODES.ERASE }), null);
+    assert.ok(mask.every((value) => value === 255));
+
+    // Partly outside: clipped to the image.
+    const rect = applyBrushDab(mask, 4, 4, { x: 0, y: 0, radius: 2, hardness: 1, mode: MASK_MODES.ERASE });
+    assert.deepEqual(rect, { x: 0, y: 0, width: 3, height: 3 });
+    assert.equal(mask[0], 0);
+});
+
+test('interpolateStroke spaces dabs along the segment', () => {
+    const points = interpolateStroke({ x: 0, y: 0 }, { x: 10, y: 0 }, 2.5);
+    assert.deepEqual(points.map((point) => point.x), [2.5, 5, 7.5, 10]);
+    assert.deepEqual(interpolateStroke({ x: 3, y: 3 }, { x: 3, y: 3 }, 2), [{ x: 3, y: 3 }]);
+});
+
+test('floodSelect takes connected pixels within the tolerance', () => {
+    const W = [250, 250, 250, 255];
+    const w = [235, 240, 245, 255];
+    const K = [10, 10, 10, 255];
+    // The white on the right is cut off from the seed by a black column.
+    const rgba = pixels([
+        [W, w, K, W],
+        [W, W, K, W],
+        [K, W, K, W]
+    ]);
+
+    const region = floodSelect(rgba, 4, 3, 0, 0, 16);
+    assert.deepEqual([...region.selection], [
+        1, 1, 0, 0,
+        1, 1, 0, 0,
+        0, 1, 0, 0
+    ]);
+    assert.equal(region.count, 5);
+    assert.deepEqual(region.bounds, { x: 0, y: 0, width: 2, height: 3 });
+
+    const strict = floodSelect(rgba, 4, 3, 0, 0, 5);
+    assert.equal(strict.selection[1], 0, 'off-white is outside a tight tolerance');
+    assert.equal(floodSelect(rgba, 4, 3, 9, 0, 16), null);
+});
+
+test('floodSelect handles a large region', () => {
+    const size = 300;
+    const rgba = new Uint8ClampedArray(size * size * 4).fill(255);
+    const region = floodSelect(rgba, size, size, 150, 150, 0);
+    assert.equal(region.count, size * size);
+});
+
+test('applySelection erases or restores the selected pixels', () => {
+    const mask = new Uint8ClampedArray([10, 20, 30]);
+    applySelection(mask, new Uint8Array([1, 0, 1]), MASK_MODES.ERASE);
+    assert.deepEqual([...mask], [0, 20, 0]);
+    applySelection(mask, new Uint8Array([0, 1, 1]), MASK_MODES.RESTORE);
+    assert.deepEqual([...mask], [0, 255, 255]);
+});
+
+test('composeMasked uses the original pixels, capped by their own alpha', () => {
+    const original = pixels([[[200, 100, 50, 255], [1, 2, 3, 80]], [[9, 9, 9, 255], [7, 7, 7, 255]]]);
+    const mask = new Uint8ClampedArray([128, 255, 0, 255]);
+    const out = new Uint8ClampedArray(16);
+
+    composeMasked(original, mask, out, 2);
+    assert.deepEqual([...out], [200, 100, 50, 128, 1, 2, 3, 80, 9, 9, 9, 0, 7, 7, 7, 255]);
+
+    // Only the rectangle is rewritten.
+    const partial = new Uint8ClampedArray(16);
+    composeMasked(original, mask, partial, 2, { x: 1, y: 1, width: 1, height: 1 });
+    assert.deepEqual([...partial.slice(0, 12)], new Array(12).fill(0));
+    assert.deepEqual([...partial.slice(12)], [7, 7, 7, 255]);
+});
+
+test('MaskEditor strokes, undo and reset', () => {
+    const editor = new MaskEditor(new FakeCanvas());
+    const changes = [];
+    editor.onChange = (state) => changes.push(state.canUndo);
+
+    // The stand-in canvas reads back transparent pixels, so the mask starts empty.
+    editor.load(new FakeImage(2000, 1000), new FakeImage(500, 250));
+    assert.equal(editor.width, 2000);
+    assert.equal(editor.canvas.width, 1024, 'display canvas is capped');
+    assert.equal(editor.canvas.height, 512);
+
+    editor.setMode(MASK_MODES.RESTORE);
+    editor.brushSize = 10;
+    // Screen pixels map 1:1 onto the 1024px display canvas, so the brush covers ~9.8 image px.
+    const event = { button: 0, clientX: 512, clientY: 256, pointerId: 1, preventDefault() { } };
+    editor.onPointerDown(event);
+    editor.onPointerMove({ ...event, clientX: 532 });
+    editor.onPointerUp(event);
+
+    const at = (x, y) => editor.mask[(y * 2000) + x];
+    assert.equal(at(1000, 500), 255);
+    assert.equal(at(1035, 500), 255, 'along the stroke');
+    assert.equal(at(1000, 530), 0, 'outside the brush');
+    assert.equal(changes.at(-1), true);
+
+    editor.undo();
+    assert.equal(at(1000, 500), 0);
+    assert.equal(editor.canUndo(), false);
+
+    editor.setTool(MASK_TOOLS.WAND);
+    editor.onPointerDown(event);
+    assert.ok(editor.mask.every((value) => value === 255), 'one flat colour: the wand takes everything');
+
+    editor.reset();
+    assert.equal(at(1000, 500), 0);
+    editor.undo();
+    assert.equal(at(1000, 500), 255);
+
+    editor.release();
+    assert.equal(editor.mask, null);
+});
@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM, createContainer, FakeCanvas, FakeImage } from './helpers/dom.js';
+import { assertClose } from './helpers/assert.js';
+
+installDOM();
+const { CanvasController } = await import('../js/canvas.js');
+const { serializeProject, parseProject, deserializeProject } = await import('../js/project.js');
+
+let controller;
+
+// Save the scene to a project file's text and read it back into a scene.
+async function roundTrip(scene) {
+    return deserializeProject(parseProject(JSON.stringify(serializeProject(scene))));
+}
+
+beforeEach(() => {
+    controller = new CanvasController(new FakeCanvas(), createContainer(1000, 600));
+    controller.setBodyImage(new FakeImage(2000, 1000));
+});
+
+test('a saved project reopens with the same layers, ids and placements', async () => {
+    const design = new FakeImage(400, 400);
+    controller.addTattooLayer(design);
+    const kept = controller.addTattooLayer(design);
+    const warped = controller.addTattooLayer(new FakeImage(300, 150));
+    controller.removeLayer('tattoo-1');
+
+    controller.selectLayer(kept);
+    controller.setOpacity(55);
+    controller.setRotation(30);
+    controller.applyCylinderWrap(warped, { radius: 1.5, axis: 20 });
+    controller.getTattooLayer(warped).corners = [
+        { x: -0.45, y: -0.5 },
+        { x: 0.45, y: -0.5 },
+        { x: 0.5, y: 0.5 },
+        { x: -0.5, y: 0.5 }
+    ];
+    controller.selectLayer(warped);
+    const saved = controller.exportScene();
+
+    const reopened = new CanvasController(new FakeCanvas(), createContainer(1000, 600));
+    reopened.loadScene(await roundTrip(saved));
+    const scene = reopened.exportScene();
+
+    assert.deepEqual(scene.layers.map((layer) => layer.id), ['tattoo-2', 'tattoo-3']);
+    assert.deepEqual(scene.layers.map((layer) => layer.name), ['Tattoo 2', 'Tattoo 3']);
+    assert.equal(reopened.nextLayerId, 4, 'new layers continue after the highest id');
+    assert.equal(reopened.getSelectedLayer(), warped);
+    assert.equal(reopened.canUndo(), false, 'a reopened project starts a fresh history');
+
+    assert.deepEqual(scene.body.crop, saved.body.crop);
+    for (const [index, layer] of scene.layers.entries()) {
+        const before = saved.layers[index];
+        for (const key of ['x', 'y', 'scale', 'rotation', 'opacity', 'width', 'height']) {
+            assertClose(layer[key], before[key], `${layer.id} ${key}`);
+        }
+        assert.deepEqual(layer.crop, before.crop);
+        assert.deepEqual(layer.warp, before.warp);
+        assert.deepEqual(layer.corners, before.corners);
+    }
+    assertClose(scene.layers[0].opacity, 0.55, 'opacity');
+    assert.deepEqual(scene.layers[1].warp.cylinder, { radius: 1.5, axis: 20 });
+
+    assert.equal(reopened.addTattooLayer(new FakeImage(100, 100)), 'tattoo-4');
+});
+
+test('placements follow the photo when the project opens on another screen size', async () => {
+    const layerId = controller.addTattooLayer(new FakeImage(400, 400));
+    const before = controller.getTattooTransformForImageSpace(controller.getTattooLayer(layerId));
+
+    const large = new CanvasController(new FakeCanvas(), createContainer(2000, 1200));
+    large.loadScene(await roundTrip(controller.exportScene()));
+    const after = large.getTattooTransformForImageSpace(large.getTattooLayer(layerId));
+
+    for (const key of ['x', 'y', 'scale']) {
+        assertClose(after[key], before[key], key);
+    }
+    assertClose(large.body.scale, controller.body.scale * 2, 'photo grows with the canvas');
+});
+
+test('opening a project renumbers clashing layer ids', async () => {
+    controller.addTattooLayer(new FakeImage(400, 400));
+    controller.addTattooLayer(new FakeImage(400, 400));
+    const project = serializeProject(controller.exportScene());
+    project.layers[0].id = 'tattoo-7';
+    project.layers[1].id = 'tattoo-7';
+
+    const reopened = new CanvasController(new FakeCanvas(), createContainer(1000, 600));
+    reopened.loadScene(await deserializeProject(parseProject(JSON.stringify(project))));
+
+    assert.deepEqual(reopened.getTattooLayers().map((layer) => layer.id), ['tattoo-7', 'tattoo-8']);
+    assert.equal(reopened.nextLayerId, 9);
+});
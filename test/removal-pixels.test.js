@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GOOD_ENOUGH_SCORE, applyAgreement, cleanupAlpha, measureMaskQuality } from '../js/removal-pixels.js';
+import { buildCorpus, evaluate, toRGBA } from './mask-corpus/corpus.js';
+
+const clamp = (value) => Math.max(0, Math.min(255, value));
+
+// An RGBA image whose alpha comes from `alphaAt(x, y)`.
+function image(width, height, alphaAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y += 1) {
+        for (let x = 0; x < width; x += 1) {
+            data[(((y * width) + x) * 4) + 3] = alphaAt(x, y);
+        }
+    }
+    return data;
+}
+
+test('cleanupAlpha drops haze, lifts faint pixels and keeps the rest', () => {
+    const data = new Uint8ClampedArray([
+        9, 9, 9, 9,
+        9, 9, 9, 10,
+        9, 9, 9, 41,
+        9, 9, 9, 42,
+        9, 9, 9, 255
+    ]);
+    cleanupAlpha(data);
+    assert.deepEqual([...data].filter((_, i) => i % 4 === 3), [0, 5, 47, 42, 255]);
+    assert.equal(data[0], 9, 'colour is untouched');
+});
+
+test('background left around the design is penalised, a design touching one edge barely', () => {
+    const square = (x, y) => x > 20 && x < 44 && y > 20 && y < 44;
+    const clean = measureMaskQuality(image(64, 64, (x, y) => (square(x, y) ? 255 : 0)), 64, 64);
+    const framed = measureMaskQuality(image(64, 64, (x, y) => (x < 3 || y < 3 || x > 60 || y > 60 || square(x, y) ? 255 : 0)), 64, 64);
+    const touching = measureMaskQuality(image(64, 64, (x, y) => (x > 20 && x < 44 && y > 20 ? 255 : 0)), 64, 64);
+
+    assert.equal(clean.borderCoverage, 0);
+    assert.equal(clean.score, 0);
+    assert.equal(framed.borderCoverage, 1);
+    assert.ok(framed.score > 90);
+    assert.ok(touching.borderCoverage < 0.1 && touching.score < GOOD_ENOUGH_SCORE);
+});
+
+test('an empty result is penalised', () => {
+    const empty = measureMaskQuality(image(64, 64, () => 0), 64, 64);
+    assert.equal(empty.visibleRatio, 0);
+    assert.equal(empty.score, 200);
+});
+
+test('soft edges, haze, specks and pinholes are measured', () => {
+    const square = (x, y) => x >= 16 && x < 48 && y >= 16 && y < 48;
+
+    const soft = measureMaskQuality(image(64, 64, (x) => clamp((x - 16) * 16)), 64, 64);
+    assert.ok(soft.sharpness < 0.5, `sharpness ${soft.sharpness}`);
+
+    const hazy = measureMaskQuality(image(64, 64, (x, y) => (square(x, y) ? 255 : 60)), 64, 64);
+    assert.ok(hazy.bimodality < 0.8, `bimodality ${hazy.bimodality}`);
+
+    const dusty = measureMaskQuality(image(64, 64, (x, y) => (square(x, y) || (x % 8 === 4 && y % 8 === 4) ? 255 : 0)), 64, 64);
+    assert.equal(dusty.islands, 49, 'the square plus 48 specks outside it');
+    assert.equal(dusty.speckles, 48);
+
+    const holed = measureMaskQuality(image(64, 64, (x, y) => (square(x, y) && !(x === 30 && y === 30) && !(x > 36 && y > 36) ? 255 : 0)), 64, 64);
+    assert.equal(holed.holes, 1, 'the notch in the corner is not enclosed');
+    assert.equal(holed.pinholes, 1);
+});
+
+test('applyAgreement penalises the result the other engines disagree with', () => {
+    const square = image(64, 64, (x, y) => (x > 16 && x < 48 && y > 16 && y < 48 ? 255 : 0));
+    const half = image(64, 64, (x, y) => (x > 16 && x < 32 && y > 16 && y < 48 ? 255 : 0));
+    const qualities = [square, square, half].map((data) => measureMaskQuality(data, 64, 64));
+    const before = qualities.map((quality) => quality.score);
+
+    applyAgreement(qualities);
+    assert.deepEqual(qualities.map((quality) => quality.baseScore), before);
+    assert.ok(qualities[0].agreement > qualities[2].agreement);
+    assert.ok(qualities[2].score - qualities[2].baseScore > qualities[0].score - qualities[0].baseScore);
+
+    const single = [measureMaskQuality(square, 64, 64)];
+    applyAgreement(single);
+    assert.equal(single[0].agreement, undefined);
+});
+
+test('the scorer ranks the mask corpus like the expected masks do', () => {
+    const corpus = buildCorpus();
+    const result = evaluate(corpus, (candidates, width, height) => {
+        const qualities = candidates.map((candidate) => measureMaskQuality(toRGBA(candidate.alpha), width, height));
+        return applyAgreement(qualities).map((quality) => quality.score);
+    });
+
+    assert.equal(result.top1, 1, result.samples.map((sample) => `${sample.name}: ${sample.picked}`).join(', '));
+    assert.ok(result.concordance >= 0.9, `pairwise ${result.concordance}`);
+
+    // Clean masks end auto mode early on their own; obvious failures never do.
+    for (const sample of corpus) {
+        for (const candidate of sample.candidates) {
+            const { score } = measureMaskQuality(toRGBA(candidate.alpha), sample.width, sample.height);
+            if (candidate.name === 'clean') {
+                assert.ok(score <= GOOD_ENOUGH_SCORE, `${sample.name} clean: ${score}`);
+            } else if (['haze', 'paper-edge', 'blurred', 'dust', 'design-removed'].includes(candidate.name)) {
+                assert.ok(score > GOOD_ENOUGH_SCORE, `${sample.name} ${candidate.name}: ${score}`);
+            }
+        }
+    }
+});
@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import vm from 'node:vm';
+
+const source = await readFile(new URL('../sw.js', import.meta.url), 'utf8');
+
+// Cache Storage backed by Maps of URL -> Response.
+class FakeCaches {
+    constructor(fetch) {
+        this.stores = new Map();
+        this.fetch = fetch;
+    }
+
+    async open(name) {
+        if (!this.stores.has(name)) this.stores.set(name, new Map());
+        const store = this.stores.get(name);
+        const key = (request) => (typeof request === 'string' ? request : request.url);
+        return {
+            match: async (request) => store.get(key(request))?.clone(),
+            put: async (request, response) => {
+                store.set(key(request), response);
+            },
+            addAll: async (requests) => {
+                for (const request of requests) {
+                    const response = await this.fetch(request);
+                    if (!response.ok) throw new TypeError(`${request.url}: HTTP ${response.status}`);
+                    store.set(request.url, response);
+                }
+            }
+        };
+    }
+
+    async keys() {
+        return [...this.stores.keys()];
+    }
+
+    async delete(name) {
+        return this.stores.delete(name);
+    }
+}
+
+const SCOPE = 'https://studio.example/app/';
+
+// Loads sw.js into a fresh context and returns a way to dispatch events to it.
+// Responses carry the URL and the current version, which tests can bump to fake a deploy.
+function loadWorker({ status = 200 } = {}) {
+    const listeners = {};
+    const fetched = [];
+    const network = { online: true, version: 1 };
+    const self = {
+        registration: { scope: SCOPE },
+        clients: { claim: async () => { self.claimed = true; } },
+        skipWaiting: () => { self.skippedWaiting = true; },
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+    const fetch = async (request) => {
+        if (!network.online) throw new TypeError('Failed to fetch');
+        fetched.push(request.url);
+        return new Response(`v${network.version} ${request.url}`, { status });
+    };
+    const caches = new FakeCaches(fetch);
+    vm.runInNewContext(source, { self, caches, fetch, URL, Response, Request, console });
+
+    async function dispatch(type, fields = {}) {
+        const pending = [];
+        let response;
+        listeners[type]({
+            ...fields,
+            waitUntil: (promise) => pending.push(promise),
+            respondWith: (promise) => { response = promise; }
+        });
+        await Promise.all(pending);
+        const result = await response;
+        await Promise.all(pending);
+        return result;
+    }
+
+    return {
+        self,
+        caches,
+        fetched,
+        network,
+        dispatch,
+        request: (url, init) => dispatch('fetch', { request: new Request(url, init) }),
+        // Request() refuses mode 'navigate', so page loads are plain objects.
+        navigate: (url) => dispatch('fetch', {
+            request: { url, method: 'GET', mode: 'navigate', headers: new Headers() }
+        })
+    };
+}
+
+test('model files are cached on first download and served from the cache afterwards', async () => {
+    const worker = loadWorker();
+    const urls = [
+        'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/ort-wasm-simd.wasm',
+        'https://huggingface.co/briaai/RMBG-1.4/resolve/main/onnx/model_quantized.onnx',
+        'https://studio.example/app/models/briaai/RMBG-1.4/config.json'
+    ];
+
+    for (const url of urls) {
+        const first = await worker.request(url);
+        assert.equal(await first.text(), `v1 ${url}`);
+        const second = await worker.request(url);
+        assert.equal(await second.text(), `v1 ${url}`);
+    }
+    assert.deepEqual(worker.fetched, urls, 'each file is downloaded once');
+    assert.equal(worker.caches.stores.get('tattoo-models-v1').size, 3);
+});
+
+test('other requests, uploads and range requests go to the network untouched', async () => {
+    const worker = loadWorker();
+
+    assert.equal(await worker.request('https://tattoo-api.example.workers.dev/', { method: 'POST', body: '{}' }), undefined);
+    assert.equal(await worker.request('https://api.replicate.com/v1/predictions'), undefined);
+    assert.equal(await worker.request(`${SCOPE}js/unknown.js`), undefined);
+    assert.equal(await worker.request('https://studio.example/elsewhere/models/x.onnx'), undefined);
+    assert.equal(await worker.request('https://huggingface.co/briaai/RMBG-1.4/resolve/main/config.json', {
+        method: 'POST',
+        body: '{}'
+    }), undefined);
+    assert.equal(await worker.request('https://huggingface.co/briaai/RMBG-1.4/resolve/main/config.json', {
+        headers: { range: 'bytes=0-99' }
+    }), undefined);
+    assert.deepEqual(worker.fetched, []);
+});
+
+test('failed downloads are passed through but not cached', async () => {
+    const worker = loadWorker({ status: 404 });
+    const url = 'https://huggingface.co/briaai/RMBG-1.4/resolve/main/missing.json';
+
+    assert.equal((await worker.request(url)).status, 404);
+    await worker.request(url);
+    assert.equal(worker.fetched.length, 2);
+    assert.equal(worker.caches.stores.get('tattoo-models-v1').size, 0);
+});
+
+test('install precaches the page, styles, images and every module', async () => {
+    const worker = loadWorker();
+    await worker.dispatch('install');
+
+    const cached = [...worker.caches.stores.get('tattoo-shell-v2').keys()];
+    const modules = (await readdir(new URL('../js/', import.meta.url))).filter((file) => file.endsWith('.js'));
+    const expected = [
+        '', 'index.html', 'manifest.webmanifest', 'css/styles.css', 'assets/images/logo.png',
+        ...modules.map((file) => `js/${file}`)
+    ];
+    for (const file of expected) {
+        assert.ok(cached.includes(`${SCOPE}${file}`), `${file} is precached`);
+    }
+});
+
+test('the shell works offline and picks up a new deploy on the next load', async () => {
+    const worker = loadWorker();
+    await worker.dispatch('install');
+
+    worker.network.online = false;
+    assert.equal(await (await worker.request(`${SCOPE}js/app.js`)).text(), `v1 ${SCOPE}js/app.js`);
+    // Back from the payment page, with a query.
+    assert.equal(await (await worker.navigate(`${SCOPE}?checkout=success`)).text(), `v1 ${SCOPE}`);
+
+    worker.network.online = true;
+    worker.network.version = 2;
+    assert.equal(await (await worker.request(`${SCOPE}js/app.js`)).text(), `v1 ${SCOPE}js/app.js`, 'cached copy first');
+    assert.equal(await (await worker.request(`${SCOPE}js/app.js`)).text(), `v2 ${SCOPE}js/app.js`, 'refreshed meanwhile');
+
+    await worker.navigate(`${SCOPE}?checkout=success`);
+    assert.ok(!worker.caches.stores.get('tattoo-shell-v2').has(`${SCOPE}?checkout=success`), 'one page entry');
+});
+
+test('web fonts are kept once used', async () => {
+    const worker = loadWorker();
+    const url = 'https://fonts.gstatic.com/s/barlow/v12/barlow.woff2';
+
+    await worker.request(url);
+    worker.network.online = false;
+    assert.equal(await (await worker.request(url)).text(), `v1 ${url}`);
+});
+
+test('activation drops caches from earlier versions only', async () => {
+    const worker = loadWorker();
+    await worker.caches.open('tattoo-models-v0');
+    await worker.caches.open('tattoo-shell-v0');
+    await worker.caches.open('tattoo-models-v1');
+    await worker.caches.open('something-else');
+
+    await worker.dispatch('install');
+    await worker.dispatch('activate');
+
+    assert.deepEqual(await worker.caches.keys(), ['tattoo-models-v1', 'something-else', 'tattoo-shell-v2']);
+    assert.ok(worker.self.skippedWaiting);
+    assert.ok(worker.self.claimed);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    WARP_GRID_SIZE,
+    createWarp,
+    createCorners,
+    isIdentityWarp,
+    isValidCorners,
+    computeHomography,
+    invertHomography,
+    applyHomography,
+    projectPoint,
+    unprojectPoint,
+    evaluateWarp,
+    buildWarpMesh,
+    fitWarpToTargets,
+    createCylinderWarp
+} from '../js/warp.js';
+import { assertClose } from './helpers/assert.js';
+
+// A keystone: the far (top) edge is narrower and lower than the near one.
+const KEYSTONE = [
+    { x: -0.3, y: -0.4 },
+    { x: 0.35, y: -0.45 },
+    { x: 0.6, y: 0.5 },
+    { x: -0.55, y: 0.45 }
+];
+
+function assertPointClose(actual, expected, message) {
+    assertClose(actual.x, expected.x, `${message || 'point'} x`);
+    assertClose(actual.y, expected.y, `${message || 'point'} y`);
+}
+
+test('the homography takes the unit square onto the corners', () => {
+    const m = computeHomography(KEYSTONE);
+    assertPointClose(applyHomography(m, 0, 0), KEYSTONE[0], 'nw');
+    assertPointClose(applyHomography(m, 1, 0), KEYSTONE[1], 'ne');
+    assertPointClose(applyHomography(m, 1, 1), KEYSTONE[2], 'se');
+    assertPointClose(applyHomography(m, 0, 1), KEYSTONE[3], 'sw');
+
+    // Straight lines stay straight: the square's centre lands on the quad's diagonals' crossing.
+    const centre = applyHomography(m, 0.5, 0.5);
+    const [nw, ne, se, sw] = KEYSTONE;
+    const cross = (a, b, p) => ((b.x - a.x) * (p.y - a.y)) - ((b.y - a.y) * (p.x - a.x));
+    assertClose(cross(nw, se, centre), 0, 'on nw-se');
+    assertClose(cross(ne, sw, centre), 0, 'on ne-sw');
+});
+
+test('a parallelogram needs no projective terms', () => {
+    const m = computeHomography([{ x: 0, y: 0 }, { x: 2, y: 1 }, { x: 3, y: 3 }, { x: 1, y: 2 }]);
+    assert.deepEqual(m.slice(6), [0, 0, 1]);
+    assert.deepEqual(m.slice(0, 6), [2, 1, 0, 1, 2, 0]);
+});
+
+test('invertHomography undoes the transform and rejects degenerate ones', () => {
+    const m = computeHomography(KEYSTONE);
+    const inverse = invertHomography(m);
+    for (const point of [{ x: 0.25, y: 0.75 }, { x: 0.9, y: 0.1 }, { x: 0.5, y: 0.5 }]) {
+        const mapped = applyHomography(m, point.x, point.y);
+        assertPointClose(applyHomography(inverse, mapped.x, mapped.y), point);
+    }
+
+    assert.equal(invertHomography([1, 2, 3, 2, 4, 6, 0, 0, 1]), null);
+});
+
+test('projectPoint and unprojectPoint are inverses in layer units', () => {
+    for (const point of [{ x: -0.5, y: -0.5 }, { x: 0.1, y: -0.2 }, { x: 0.4, y: 0.3 }]) {
+        const projected = projectPoint(KEYSTONE, point);
+        assertPointClose(unprojectPoint(KEYSTONE, projected), point);
+    }
+    assertPointClose(projectPoint(KEYSTONE, { x: 0.5, y: 0.5 }), KEYSTONE[2], 'se corner');
+
+    // Untouched corners leave points where they are.
+    const point = { x: 0.2, y: -0.1 };
+    assert.deepEqual(projectPoint(createCorners(), point), point);
+    assert.deepEqual(projectPoint(null, point), point);
+    assert.deepEqual(unprojectPoint(null, point), point);
+});
+
+test('isValidCorners accepts convex quads with the layer winding only', () => {
+    assert.equal(isValidCorners(createCorners()), true);
+    assert.equal(isValidCorners(KEYSTONE), true);
+
+    const [nw, ne, se, sw] = createCorners();
+    assert.equal(isValidCorners([nw, se, ne, sw]), false, 'self-crossing');
+    assert.equal(isValidCorners([nw, sw, se, ne]), false, 'mirrored');
+    assert.equal(isValidCorners([nw, ne, { x: -0.1, y: -0.1 }, sw]), false, 'dented');
+    assert.equal(isValidCorners([nw, { x: 0, y: -0.5 }, ne, sw]), false, 'three in a row');
+});
+
+test('the flat warp maps the patch parameters straight onto the layer', () => {
+    const warp = createWarp();
+    assert.equal(warp.points.length, WARP_GRID_SIZE * WARP_GRID_SIZE);
+    assert.equal(isIdentityWarp(warp), true);
+    assert.equal(isIdentityWarp(null), true);
+
+    for (const [u, v] of [[0, 0], [1, 1], [0.25, 0.6], [0.5, 0.5]]) {
+        assertPointClose(evaluateWarp(warp, u, v), { x: u - 0.5, y: v - 0.5 });
+    }
+
+    warp.points[5].x += 0.1;
+    assert.equal(isIdentityWarp(warp), false);
+});
+
+test('fitWarpToTargets builds a patch through every target', () => {
+    // A wave: inner rows pushed sideways by different amounts.
+    const targets = createWarp().points.map((point) => ({
+        x: point.x + (0.1 * Math.sin((point.y + 0.5) * Math.PI)),
+        y: point.y + (0.05 * point.x)
+    }));
+    const warp = { points: fitWarpToTargets(targets), cylinder: null };
+
+    for (let row = 0; row < WARP_GRID_SIZE; row += 1) {
+        for (let col = 0; col < WARP_GRID_SIZE; col += 1) {
+            const u = col / (WARP_GRID_SIZE - 1);
+            const v = row / (WARP_GRID_SIZE - 1);
+            assertPointClose(evaluateWarp(warp, u, v), targets[(row * WARP_GRID_SIZE) + col], `target ${row},${col}`);
+        }
+    }
+});
+
+test('cylinder wrap squeezes the sides and keeps the axis', () => {
+    const warp = createCylinderWarp({ radius: 1, axis: 0, aspect: 1 });
+    assert.deepEqual(warp.cylinder, { radius: 1, axis: 0 });
+
+    // Centre column and the top and bottom edges' height stay put.
+    assertPointClose(evaluateWarp(warp, 0.5, 0), { x: 0, y: -0.5 });
+    assertPointClose(evaluateWarp(warp, 0.5, 1), { x: 0, y: 0.5 });
+
+    // Sides roll away: x = r * sin(0.5 / r) with r = 1 for the edge.
+    const right = evaluateWarp(warp, 1, 0.5);
+    const left = evaluateWarp(warp, 0, 0.5);
+    assertClose(right.x, Math.sin(0.5), 'right edge');
+    assertClose(left.x, -right.x, 'symmetric');
+    assertClose(right.y, 0, 'no vertical drift');
+
+    // A horizontal axis bends the other way.
+    const lying = createCylinderWarp({ radius: 1, axis: 90, aspect: 1 });
+    assertClose(evaluateWarp(lying, 0.5, 1).y, Math.sin(0.5), 'bottom edge');
+    assertClose(evaluateWarp(lying, 1, 0.5).x, 0.5, 'ends stay');
+});
+
+test('buildWarpMesh samples a finer grid under perspective', () => {
+    const flat = buildWarpMesh(null);
+    assert.equal(flat.segments, 12);
+    assert.equal(flat.vertices.length, 13 * 13);
+    assert.deepEqual(flat.vertices[0], { u: 0, v: 0, x: -0.5, y: -0.5 });
+
+    const tilted = buildWarpMesh(createWarp(), KEYSTONE);
+    assert.equal(tilted.segments, 20);
+    assert.equal(tilted.vertices.length, 21 * 21);
+    assertPointClose(tilted.vertices[0], KEYSTONE[0], 'first vertex');
+    assertPointClose(tilted.vertices[tilted.vertices.length - 1], KEYSTONE[2], 'last vertex');
+
+    assert.equal(buildWarpMesh(null, null, 4).vertices.length, 25);
+});
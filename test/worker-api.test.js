@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDOM } from './helpers/dom.js';
+import { quietConsole } from './helpers/assert.js';
+
+installDOM();
+const { config } = await import('../js/config.js');
+const { aiGenerator } = await import('../js/ai-generator.js');
+const { ERROR_CODES } = await import('../js/api-errors.js');
+const { creditsManager } = await import('../js/credits.js');
+
+const realFetch = globalThis.fetch;
+let calls;
+
+// A Worker whose replies per action come from `script`: each entry is a reply body, or
+// 'drop' for a request that never reaches it. The last entry repeats.
+function fakeWorker(script) {
+    const left = Object.fromEntries(Object.entries(script).map(([action, replies]) => [action, [...replies]]));
+    globalThis.fetch = async (url, { body }) => {
+        const { action } = JSON.parse(body);
+        calls.push(action);
+        const replies = left[action];
+        const reply = replies.length > 1 ? replies.shift() : replies[0];
+        if (reply === 'drop') throw new TypeError('Failed to fetch');
+        return new Response(JSON.stringify(reply), { status: reply.success ? 200 : 503 });
+    };
+}
+
+// Runs `promise` to the end, jumping over every backoff and poll delay.
+async function settle(t, promise) {
+    let done = false;
+    promise.finally(() => { done = true; });
+    while (!done) {
+        await new Promise((resolve) => setImmediate(resolve));
+        t.mock.timers.tick(5000);
+    }
+    return promise;
+}
+
+beforeEach((t) => {
+    calls = [];
+    config.WORKER_URL = 'https://tattoo-api.example.workers.dev';
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    quietConsole(t);
+});
+
+afterEach(() => {
+    config.WORKER_URL = null;
+    globalThis.fetch = realFetch;
+});
+
+const SESSION = [{ success: true, creditsEnabled: false }];
+const DONE = { success: true, status: 'done', done: true, progress: 100 };
+
+test('a dropped submit is sent again', async (t) => {
+    fakeWorker({
+        session: SESSION,
+        'generate-tattoo': ['drop', { success: true, jobId: 'job-1' }],
+        'job-status': [DONE],
+        'job-result': [{ success: true, images: ['data:image/png;base64,AA'], seeds: [7] }]
+    });
+
+    const result = await settle(t, aiGenerator.generateTattoo('a fox'));
+    assert.equal(result.success, true);
+    assert.deepEqual(result.images, ['data:image/png;base64,AA']);
+    assert.equal(calls.filter((action) => action === 'generate-tattoo').length, 2);
+});
+
+test('failed polls keep following the same job and never submit it again', async (t) => {
+    const timeout = { success: false, code: ERROR_CODES.UPSTREAM_TIMEOUT, error: 'Gateway timeout' };
+    fakeWorker({
+        session: SESSION,
+        'generate-tattoo': [{ success: true, jobId: 'job-1' }],
+        'job-status': ['drop', timeout, 'drop', DONE],
+        'job-result': [{ success: true, images: ['data:image/png;base64,AA'], seeds: [7] }]
+    });
+
+    const result = await settle(t, aiGenerator.generateTattoo('a fox'));
+    assert.equal(result.success, true);
+    assert.equal(calls.filter((action) => action === 'generate-tattoo').length, 1);
+    assert.equal(calls.filter((action) => action === 'job-status').length, 4);
+});
+
+test('a job that cannot be followed fails without a second submit', async (t) => {
+    fakeWorker({
+        session: SESSION,
+        'generate-tattoo': [{ success: true, jobId: 'job-1' }],
+        'job-status': ['drop']
+    });
+
+    const result = await settle(t, aiGenerator.generateTattoo('a fox'));
+    assert.equal(result.success, false);
+    assert.equal(result.code, ERROR_CODES.NETWORK);
+    assert.equal(calls.filter((action) => action === 'generate-tattoo').length, 1);
+});
+
+test('a rejected token while polling keeps the session and never submits again', async (t) => {
+    const resets = t.mock.method(creditsManager, 'resetSession', async () => { });
+    fakeWorker({
+        session: SESSION,
+        'generate-tattoo': [{ success: true, jobId: 'job-1' }],
+        'job-status': [{ success: false, code: ERROR_CODES.UNAUTHORIZED, error: 'Missing or invalid client token' }]
+    });
+
+    const result = await settle(t, aiGenerator.generateTattoo('a fox'));
+    assert.equal(result.success, false);
+    assert.equal(result.code, ERROR_CODES.UNAUTHORIZED);
+    assert.equal(resets.mock.callCount(), 0, 'the token that owns the job is kept');
+    assert.equal(calls.filter((action) => action === 'generate-tattoo').length, 1);
+});
+
+test('a second call while one is running fails with the busy code', async (t) => {
+    fakeWorker({
+        session: SESSION,
+        'generate-tattoo': [{ success: true, jobId: 'job-1' }],
+        'job-status': [DONE],
+        'job-result': [{ success: true, images: ['data:image/png;base64,AA'], seeds: [7] }]
+    });
+
+    const first = aiGenerator.generateTattoo('a fox');
+    const second = await aiGenerator.generateTattoo('a wolf');
+    assert.equal(second.success, false);
+    assert.equal(second.code, ERROR_CODES.BUSY);
+    assert.equal(second.error, 'Another AI request is still running. Wait for it to finish and try again.');
+
+    assert.equal((await settle(t, first)).success, true);
+});
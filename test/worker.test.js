@@ -0,0 +1,505 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../api/worker.js';
+import { quietConsole } from './helpers/assert.js';
+import { generateVoucherCode } from '../api/vouchers.js';
+import { MockPaymentProvider } from '../api/payments.js';
+import { verifyClientToken } from '../api/credits-ledger.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const GEMINI_KEY = 'test-gemini-key';
+const WEBHOOK_URL = 'https://tattoo-api.example.workers.dev/webhooks/payments';
+
+// Rate limits, credits and jobs live in module-level memory stores, so every request
+// gets its own IP and client token unless a test shares them on purpose.
+let requestCount = 0;
+
+function nextIP() {
+    requestCount += 1;
+    return `10.0.${Math.floor(requestCount / 250)}.${requestCount % 250}`;
+}
+
+function createContext() {
+    const pending = [];
+    return {
+        waitUntil: (promise) => pending.push(promise),
+        settle: () => Promise.all(pending)
+    };
+}
+
+/**
+ * Send a request to the Worker and parse the JSON reply.
+ * @returns {Promise<{response: Response, body: object|null}>}
+ */
+async function send(body, { env = {}, ctx = createContext(), ip = nextIP(), token = null, auth = null, origin = 'http://localhost:8080', method = 'POST', raw = null } = {}) {
+    const headers = { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip, Origin: origin };
+    if (token) headers['X-Client-Token'] = token;
+    if (auth) headers.Authorization = auth;
+
+    const request = new Request('https://tattoo-api.example.workers.dev/', {
+        method,
+        headers,
+        body: method === 'GET' || method === 'OPTIONS' ? undefined : raw ?? JSON.stringify(body)
+    });
+    const response = await worker.fetch(request, env, ctx);
+    const text = await response.text();
+    return { response, body: text ? JSON.parse(text) : null };
+}
+
+function jsonReply(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function geminiImage(data = 'aW1hZ2U=') {
+    return jsonReply({ candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/png', data } }] } }] });
+}
+
+/**
+ * Replace fetch for the test. `handler(url, init, call)` answers each upstream request.
+ * @returns {Array<{url: string, init: object}>} Calls made so far
+ */
+function mockFetch(t, handler) {
+    const calls = [];
+    t.mock.method(globalThis, 'fetch', async (url, init = {}) => {
+        calls.push({ url: String(url), init });
+        return handler(String(url), init, calls.length);
+    });
+    return calls;
+}
+
+// A client with a fresh credit balance.
+async function openSession(env) {
+    const { token, balance } = (await send({ action: 'session' }, { env })).body;
+    return { token, balance, clientId: await verifyClientToken(token, env.TOKEN_SECRET) };
+}
+
+async function deliverWebhook(request, env) {
+    const response = await worker.fetch(request, env, createContext());
+    return { response, body: await response.json() };
+}
+
+test('preflight echoes localhost origins and falls back for others', async () => {
+    const local = await send(null, { method: 'OPTIONS', origin: 'http://localhost:5173' });
+    assert.equal(local.response.status, 204);
+    assert.equal(local.response.headers.get('Access-Control-Allow-Origin'), 'http://localhost:5173');
+    assert.match(local.response.headers.get('Access-Control-Allow-Headers'), /X-Client-Token/);
+
+    const other = await send(null, { method: 'OPTIONS', origin: 'https://evil.example' });
+    assert.equal(other.response.headers.get('Access-Control-Allow-Origin'), 'http://localhost:8080');
+});
+
+test('rejects other methods, non-JSON bodies and unknown actions', async () => {
+    const get = await send(null, { method: 'GET' });
+    assert.equal(get.response.status, 405);
+    assert.equal(get.body.code, 'invalid_input');
+    assert.equal(get.response.headers.get('Access-Control-Allow-Origin'), 'http://localhost:8080');
+
+    const notJSON = await send(null, { raw: 'not json' });
+    assert.equal(notJSON.response.status, 400);
+    assert.equal(notJSON.body.error, 'Request body must be JSON');
+
+    const unknown = await send({ action: 'delete-everything' });
+    assert.equal(unknown.response.status, 400);
+    assert.equal(unknown.body.error, 'Invalid action');
+});
+
+test('AI actions need their upstream key', async () => {
+    const generate = await send({ action: 'generate-tattoo', prompt: 'rose' });
+    assert.equal(generate.response.status, 503);
+    assert.equal(generate.body.code, 'not_configured');
+
+    const removal = await send({ action: 'remove-background', image: PNG }, { env: { GEMINI_API_KEY: GEMINI_KEY } });
+    assert.equal(removal.response.status, 503);
+    assert.equal(removal.body.error, 'Replicate token not configured');
+});
+
+test('generate-tattoo sends one seeded request per variant', async (t) => {
+    const calls = mockFetch(t, () => geminiImage());
+
+    const { response, body } = await send(
+        { action: 'generate-tattoo', prompt: 'a small swallow', style: 'traditional', count: 3, seed: 40 },
+        { env: { GEMINI_API_KEY: GEMINI_KEY } }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.images.length, 3);
+    assert.deepEqual(body.seeds, [40, 41, 42]);
+    assert.equal(body.seed, 40);
+    assert.equal(body.image, 'data:image/png;base64,aW1hZ2U=');
+
+    assert.equal(calls.length, 3);
+    assert.match(calls[0].url, /generativelanguage\.googleapis\.com/);
+    assert.equal(calls[0].init.headers['x-goog-api-key'], GEMINI_KEY);
+    const sentSeeds = calls.map((call) => JSON.parse(call.init.body).generationConfig.seed).sort();
+    assert.deepEqual(sentSeeds, [40, 41, 42]);
+});
+
+test('generate-tattoo returns the variants that succeeded', async (t) => {
+    quietConsole(t);
+    mockFetch(t, (url, init) => (JSON.parse(init.body).generationConfig.seed === 11
+        ? new Response('overloaded', { status: 503 })
+        : geminiImage()));
+
+    const { response, body } = await send(
+        { action: 'generate-tattoo', prompt: 'koi', count: 2, seed: 10 },
+        { env: { GEMINI_API_KEY: GEMINI_KEY } }
+    );
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.seeds, [10]);
+    assert.equal(body.requested, 2);
+});
+
+test('upstream failures map to the error contract', async (t) => {
+    quietConsole(t);
+    const env = { GEMINI_API_KEY: GEMINI_KEY };
+
+    mockFetch(t, () => jsonReply({ candidates: [{ finishReason: 'IMAGE_SAFETY' }] }));
+    const blocked = await send({ action: 'generate-tattoo', prompt: 'x', count: 2 }, { env });
+    assert.equal(blocked.response.status, 422);
+    assert.equal(blocked.body.code, 'safety_blocked');
+    assert.equal(blocked.body.success, false);
+
+    globalThis.fetch.mock.mockImplementation(async () => new Response('boom', { status: 500 }));
+    const failed = await send({ action: 'place-tattoo', bodyImage: PNG, tattooImage: PNG, prompt: 'forearm' }, { env });
+    assert.equal(failed.response.status, 502);
+    assert.equal(failed.body.code, 'upstream_error');
+});
+
+test('bad images are rejected before calling upstream', async (t) => {
+    const calls = mockFetch(t, () => geminiImage());
+
+    const { response, body } = await send(
+        { action: 'place-tattoo', bodyImage: 'https://example.com/me.jpg', tattooImage: PNG, prompt: 'forearm' },
+        { env: { GEMINI_API_KEY: GEMINI_KEY } }
+    );
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'invalid_input');
+    assert.equal(calls.length, 0);
+});
+
+test('remove-background fetches the Replicate output as a data URL', async (t) => {
+    const calls = mockFetch(t, (url) => {
+        if (url === 'https://api.replicate.com/v1/predictions') {
+            return jsonReply({ id: 'p1', status: 'succeeded', output: 'https://replicate.delivery/out.png' });
+        }
+        return new Response(new Uint8Array([1, 2, 3]), { headers: { 'content-type': 'image/png' } });
+    });
+
+    const { response, body } = await send({ action: 'remove-background', image: PNG }, { env: { REPLICATE_API_TOKEN: 'r8_test' } });
+    assert.equal(response.status, 200);
+    assert.equal(body.image, 'data:image/png;base64,AQID');
+    assert.equal(calls[0].init.headers.Authorization, 'Token r8_test');
+    assert.equal(JSON.parse(calls[0].init.body).input.image, PNG);
+    assert.equal(calls[1].url, 'https://replicate.delivery/out.png');
+});
+
+test('requests over the IP limit get 429 with Retry-After', async (t) => {
+    mockFetch(t, () => geminiImage());
+    const env = { GEMINI_API_KEY: GEMINI_KEY, RATE_LIMITS: JSON.stringify({ ip: { limit: 2 } }) };
+    const ip = nextIP();
+    const body = { action: 'generate-tattoo', prompt: 'fern' };
+
+    assert.equal((await send(body, { env, ip })).response.status, 200);
+    assert.equal((await send(body, { env, ip })).response.status, 200);
+
+    const limited = await send(body, { env, ip });
+    assert.equal(limited.response.status, 429);
+    assert.equal(limited.body.code, 'quota_exceeded');
+    assert.ok(limited.body.retryAfter >= 1);
+    assert.equal(limited.response.headers.get('Retry-After'), String(limited.body.retryAfter));
+});
+
+test('daily quotas count per IP, whatever token the caller sends', async (t) => {
+    mockFetch(t, () => geminiImage());
+    const env = { GEMINI_API_KEY: GEMINI_KEY, RATE_LIMITS: JSON.stringify({ daily: { 'generate-tattoo': 3 } }) };
+    const ip = nextIP();
+    const generate = (token) => send({ action: 'generate-tattoo', prompt: 'fern' }, { env, ip, token });
+
+    // Unsigned tokens are free to rotate, so each request brings a new one.
+    assert.equal((await generate('client-a')).response.status, 200);
+    assert.equal((await generate('client-b')).response.status, 200);
+    assert.equal((await generate(null)).response.status, 200);
+
+    const limited = await generate('client-c');
+    assert.equal(limited.response.status, 429);
+    assert.equal(limited.body.error, 'Daily limit reached for this feature');
+    assert.ok(limited.body.retryAfter > 60);
+
+    // A bigger request that does not fit is refused without using up what is left.
+    const other = nextIP();
+    const tooBig = await send({ action: 'generate-tattoo', prompt: 'fern', count: 4 }, { env, ip: other });
+    assert.equal(tooBig.response.status, 429);
+    assert.equal((await send({ action: 'generate-tattoo', prompt: 'fern', count: 3 }, { env, ip: other })).response.status, 200);
+});
+
+test('fresh signed tokens do not reset the daily quota', async (t) => {
+    mockFetch(t, () => geminiImage());
+    const env = {
+        GEMINI_API_KEY: GEMINI_KEY,
+        TOKEN_SECRET: 'test-secret',
+        FREE_CREDITS: '3',
+        RATE_LIMITS: JSON.stringify({ daily: { 'generate-tattoo': 2 } })
+    };
+    const ip = nextIP();
+    const generateAsNewClient = async () => {
+        const { token } = (await send({ action: 'session' }, { env, ip })).body;
+        return send({ action: 'generate-tattoo', prompt: 'fern' }, { env, ip, token });
+    };
+
+    assert.equal((await generateAsNewClient()).response.status, 200);
+    assert.equal((await generateAsNewClient()).response.status, 200);
+    assert.equal((await generateAsNewClient()).response.status, 429);
+});
+
+test('a signed client is limited across IPs', async (t) => {
+    mockFetch(t, () => geminiImage());
+    const env = {
+        GEMINI_API_KEY: GEMINI_KEY,
+        TOKEN_SECRET: 'test-secret',
+        FREE_CREDITS: '10',
+        RATE_LIMITS: JSON.stringify({ client: { limit: 2 } })
+    };
+    const { token } = (await send({ action: 'session' }, { env })).body;
+    const generate = () => send({ action: 'generate-tattoo', prompt: 'fern' }, { env, token });
+
+    assert.equal((await generate()).response.status, 200);
+    assert.equal((await generate()).response.status, 200);
+    const throttled = await generate();
+    assert.equal(throttled.response.status, 429);
+    assert.equal(throttled.body.error, 'Too many requests (client limit)');
+});
+
+test('a signed client keeps its daily quota when it changes IP', async (t) => {
+    mockFetch(t, () => geminiImage());
+    const env = {
+        GEMINI_API_KEY: GEMINI_KEY,
+        TOKEN_SECRET: 'test-secret',
+        FREE_CREDITS: '10',
+        RATE_LIMITS: JSON.stringify({ daily: { 'generate-tattoo': 2 } })
+    };
+    const { token } = (await send({ action: 'session' }, { env })).body;
+    const generate = () => send({ action: 'generate-tattoo', prompt: 'fern' }, { env, token });
+
+    assert.equal((await generate()).response.status, 200);
+    assert.equal((await generate()).response.status, 200);
+    const limited = await generate();
+    assert.equal(limited.response.status, 429);
+    assert.equal(limited.body.error, 'Daily limit reached for this feature');
+});
+
+test('credits are debited per variant and refunded for the ones that failed', async (t) => {
+    quietConsole(t);
+    const env = { GEMINI_API_KEY: GEMINI_KEY, TOKEN_SECRET: 'test-secret', FREE_CREDITS: '3' };
+
+    const session = await send({ action: 'session' }, { env });
+    assert.equal(session.body.creditsEnabled, true);
+    assert.equal(session.body.balance, 3);
+    const { token } = session.body;
+    assert.ok(token);
+
+    mockFetch(t, (url, init) => (JSON.parse(init.body).generationConfig.seed === 1
+        ? new Response('overloaded', { status: 503 })
+        : geminiImage()));
+    const partial = await send({ action: 'generate-tattoo', prompt: 'moth', count: 2, seed: 0 }, { env, token });
+    assert.equal(partial.body.images.length, 1);
+    assert.equal(partial.body.balance, 2, 'one variant delivered, one refunded');
+
+    const tooMany = await send({ action: 'generate-tattoo', prompt: 'moth', count: 3 }, { env, token });
+    assert.equal(tooMany.response.status, 402);
+    assert.equal(tooMany.body.code, 'insufficient_credits');
+    assert.equal(tooMany.body.balance, 2);
+
+    const forged = await send({ action: 'place-tattoo', bodyImage: PNG, tattooImage: PNG, prompt: 'arm' }, { env, token: 'forged' });
+    assert.equal(forged.response.status, 401);
+});
+
+test('async requests run as jobs visible only to their client', async (t) => {
+    mockFetch(t, () => geminiImage());
+    const env = { GEMINI_API_KEY: GEMINI_KEY };
+    const token = 'client-a';
+    const ctx = createContext();
+
+    const submitted = await send({ action: 'generate-tattoo', prompt: 'anchor', count: 2, seed: 7, async: true }, { env, ctx, token });
+    assert.equal(submitted.response.status, 200);
+    assert.equal(submitted.body.status, 'queued');
+    const { jobId } = submitted.body;
+    assert.ok(jobId);
+
+    const early = await send({ action: 'job-result', jobId }, { env, token });
+    assert.ok([200, 409].includes(early.response.status));
+
+    await ctx.settle();
+
+    const status = await send({ action: 'job-status', jobId }, { env, token });
+    assert.deepEqual(status.body, {
+        success: true, jobId, action: 'generate-tattoo', status: 'succeeded', progress: 100, done: true
+    });
+
+    const result = await send({ action: 'job-result', jobId }, { env, token });
+    assert.deepEqual(result.body.seeds, [7, 8]);
+    assert.equal(result.body.images.length, 2);
+
+    const stranger = await send({ action: 'job-status', jobId }, { env, token: 'client-b' });
+    assert.equal(stranger.response.status, 404);
+});
+
+test('a failed job reports its error from job-result', async (t) => {
+    quietConsole(t);
+    mockFetch(t, () => new Response('boom', { status: 500 }));
+    const env = { GEMINI_API_KEY: GEMINI_KEY };
+    const ctx = createContext();
+
+    const { body } = await send({ action: 'generate-tattoo', prompt: 'x', async: true }, { env, ctx, token: 'client-c' });
+    await ctx.settle();
+
+    const result = await send({ action: 'job-result', jobId: body.jobId }, { env, token: 'client-c' });
+    assert.equal(result.response.status, 502);
+    assert.equal(result.body.code, 'upstream_error');
+});
+
+test('a job the runtime cut off is failed and refunded once when polled', async (t) => {
+    quietConsole(t);
+    const env = { GEMINI_API_KEY: GEMINI_KEY, TOKEN_SECRET: 'test-secret', FREE_CREDITS: '3' };
+    const { token } = (await send({ action: 'session' }, { env })).body;
+
+    // Gemini hangs until the test answers, long after waitUntil() would have given up.
+    const pending = [];
+    mockFetch(t, () => new Promise((resolve) => { pending.push(resolve); }));
+    const ctx = createContext();
+    const submitted = await send({ action: 'generate-tattoo', prompt: 'koi', count: 2, async: true }, { env, ctx, token });
+    assert.equal(submitted.body.balance, 1);
+    const { jobId } = submitted.body;
+
+    const running = await send({ action: 'job-status', jobId }, { env, token });
+    assert.equal(running.body.done, false);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 121000 });
+    const status = await send({ action: 'job-status', jobId }, { env, token });
+    assert.equal(status.body.status, 'failed');
+    assert.equal(status.body.done, true);
+
+    const result = await send({ action: 'job-result', jobId }, { env, token });
+    assert.equal(result.response.status, 504);
+    assert.equal(result.body.code, 'upstream_timeout');
+    assert.equal(result.body.balance, 3);
+
+    // A late finish neither overwrites the failure nor changes the balance again.
+    pending.forEach((answer) => answer(geminiImage()));
+    await ctx.settle();
+    assert.equal((await send({ action: 'job-status', jobId }, { env, token })).body.status, 'failed');
+    assert.equal((await send({ action: 'session' }, { env, token })).body.balance, 3);
+});
+
+test('the mock backend answers without keys or upstream calls', async (t) => {
+    const calls = mockFetch(t, () => geminiImage());
+    const env = { AI_BACKEND: 'mock', MOCK_LATENCY_MS: 0 };
+
+    const first = await send({ action: 'generate-tattoo', prompt: 'wolf', count: 2 }, { env });
+    const second = await send({ action: 'generate-tattoo', prompt: 'wolf', count: 2 }, { env });
+    assert.equal(first.response.status, 200);
+    assert.equal(first.body.images.length, 2);
+    assert.match(first.body.image, /^data:image\/png;base64,/);
+    assert.deepEqual(first.body.images, second.body.images, 'same prompt, same designs');
+
+    const forced = await send({ action: 'generate-tattoo', prompt: 'wolf [mock:safety_blocked]' }, { env });
+    assert.equal(forced.response.status, 422);
+    assert.equal(calls.length, 0);
+});
+
+test('voucher codes draw again on bytes that would favour some characters', (t) => {
+    // 248 and up would wrap onto the first characters of the 31-letter alphabet.
+    const draws = [new Array(12).fill(255), [0, 1, 2, 3, 250, 4, 5, 6, 7, 8, 9, 10, 11], new Array(12).fill(30)];
+    t.mock.method(crypto, 'getRandomValues', (array) => {
+        array.set(draws.shift().slice(0, array.length));
+        return array;
+    });
+
+    assert.equal(generateVoucherCode(), '2345-6789-ABCZ');
+});
+
+test('a signed payment webhook tops up the buyer once per order', async () => {
+    const env = { TOKEN_SECRET: 'test-secret', FREE_CREDITS: '3', PAYMENT_PROVIDER: 'mock', MOCK_WEBHOOK_SECRET: 'test-webhook-secret' };
+    const provider = new MockPaymentProvider(env.MOCK_WEBHOOK_SECRET);
+    const { token, clientId } = await openSession(env);
+    const order = { id: `mock_${clientId}`, clientId, packId: 'starter' };
+
+    const paid = await deliverWebhook(await provider.createWebhookRequest(WEBHOOK_URL, order), env);
+    assert.equal(paid.response.status, 200);
+    assert.deepEqual(paid.body, { received: true, applied: true });
+    assert.equal((await send({ action: 'session' }, { env, token })).body.balance, 13);
+
+    // Providers resend events until they are acknowledged.
+    const duplicate = await deliverWebhook(await provider.createWebhookRequest(WEBHOOK_URL, order), env);
+    assert.equal(duplicate.response.status, 200);
+    assert.equal(duplicate.body.applied, false);
+    assert.equal((await send({ action: 'session' }, { env, token })).body.balance, 13);
+});
+
+test('payment webhooks with a bad signature or no secret are rejected', async (t) => {
+    quietConsole(t);
+    const env = { TOKEN_SECRET: 'test-secret', PAYMENT_PROVIDER: 'mock', MOCK_WEBHOOK_SECRET: 'test-webhook-secret' };
+    const { token, clientId } = await openSession(env);
+    const order = { id: `mock_${clientId}`, clientId, packId: 'pro' };
+
+    const forger = new MockPaymentProvider('guessed-secret');
+    const forged = await deliverWebhook(await forger.createWebhookRequest(WEBHOOK_URL, order), env);
+    assert.equal(forged.response.status, 400);
+    assert.equal((await send({ action: 'session' }, { env, token })).body.balance, 3);
+
+    const { MOCK_WEBHOOK_SECRET, ...noSecret } = env;
+    const provider = new MockPaymentProvider(MOCK_WEBHOOK_SECRET);
+    const unconfigured = await deliverWebhook(await provider.createWebhookRequest(WEBHOOK_URL, order), noSecret);
+    assert.equal(unconfigured.response.status, 404);
+    assert.equal((await send({ action: 'list-packs' }, { env: noSecret })).body.packs.length, 0);
+});
+
+test('create-vouchers needs the admin token', async () => {
+    const env = { TOKEN_SECRET: 'test-secret', ADMIN_TOKEN: 'test-admin-token' };
+    const request = { action: 'create-vouchers', credits: 5 };
+
+    const missing = await send(request, { env });
+    assert.equal(missing.response.status, 403);
+    assert.equal(missing.body.code, 'unauthorized');
+
+    const wrong = await send(request, { env, auth: 'Bearer test-admin-tokem' });
+    assert.equal(wrong.response.status, 403);
+
+    const unset = await send(request, { env: { TOKEN_SECRET: 'test-secret' }, auth: 'Bearer ' });
+    assert.equal(unset.response.status, 403, 'no ADMIN_TOKEN means no admin');
+
+    const created = await send({ ...request, count: 2 }, { env, auth: 'Bearer test-admin-token' });
+    assert.equal(created.response.status, 200);
+    assert.equal(created.body.codes.length, 2);
+    assert.match(created.body.codes[0], /^[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}$/);
+});
+
+test('a voucher credits its redeemer once and is then used up', async () => {
+    const env = { TOKEN_SECRET: 'test-secret', FREE_CREDITS: '3', ADMIN_TOKEN: 'test-admin-token' };
+    const { body: { codes: [code] } } = await send(
+        { action: 'create-vouchers', credits: 5 },
+        { env, auth: 'Bearer test-admin-token' }
+    );
+    const { token } = await openSession(env);
+
+    // Codes are typed from paper: case and separators do not matter.
+    const redeemed = await send({ action: 'redeem-voucher', code: code.toLowerCase().replaceAll('-', ' ') }, { env, token });
+    assert.equal(redeemed.response.status, 200);
+    assert.equal(redeemed.body.credits, 5);
+    assert.equal(redeemed.body.balance, 8);
+
+    // A retried redeem from the same client succeeds without a second top-up.
+    const repeat = await send({ action: 'redeem-voucher', code }, { env, token });
+    assert.equal(repeat.response.status, 200);
+    assert.equal(repeat.body.balance, 8);
+
+    const other = await openSession(env);
+    const used = await send({ action: 'redeem-voucher', code }, { env, token: other.token });
+    assert.equal(used.response.status, 400);
+    assert.equal(used.body.error, 'That voucher has already been used.');
+
+    const unknown = await send({ action: 'redeem-voucher', code: 'AAAA-AAAA-AAAA' }, { env, token });
+    assert.equal(unknown.response.status, 400);
+    assert.match(unknown.body.error, /voucher/i);
+});